@@ -1,21 +1,52 @@
-import { BrowserRouter, Route, Routes } from "react-router";
+import { BrowserRouter, Outlet, Route, Routes } from "react-router";
 import LandingPage from "./pages/LandingPage";
 import StudentPage from "./pages/StudentPage";
+import StudentDetailPage from "./pages/StudentDetailPage";
 import SubjectPage from "./pages/SubjectPage";
+import SubjectDetailPage from "./pages/SubjectDetailPage";
+import SectionPage from "./pages/SectionPage";
 import GradePage from "./pages/GradePage";
+import LoginPage from "./pages/LoginPage";
+import StudentPortalPage from "./pages/StudentPortalPage";
+import AuditLogPage from "./pages/AuditLogPage";
+import AtRiskPage from "./pages/AtRiskPage";
+import AnalyticsPage from "./pages/AnalyticsPage";
+import Navbar from "./components/Navbar";
+import RequireRole from "./components/RequireRole";
+import { STAFF_ROLES } from "./lib/permissions";
 import { Toaster } from "react-hot-toast";
 
 
+// Layout for the management pages: shared navbar above the routed page.
+const ManagementLayout = () => (
+    <div className="font-sans antialiased min-h-screen">
+        <Navbar />
+        <main className="min-h-[calc(100vh-64px)]">
+            <Outlet />
+        </main>
+    </div>
+);
+
 export default function App() {
     return (
         <BrowserRouter>
             <Routes>
                 <Route path="/" element={<LandingPage />} />
-                <Route path="/students" element={<StudentPage />} />
-                <Route path="/subjects" element={<SubjectPage />} />
-                <Route path="/grades" element={<GradePage />} />
+                <Route path="/login" element={<LoginPage />} />
+                <Route element={<ManagementLayout />}>
+                    <Route path="/students" element={<RequireRole roles={STAFF_ROLES}><StudentPage /></RequireRole>} />
+                    <Route path="/students/:id" element={<RequireRole roles={STAFF_ROLES}><StudentDetailPage /></RequireRole>} />
+                    <Route path="/subjects" element={<RequireRole roles={STAFF_ROLES}><SubjectPage /></RequireRole>} />
+                    <Route path="/subjects/:id" element={<RequireRole roles={STAFF_ROLES}><SubjectDetailPage /></RequireRole>} />
+                    <Route path="/sections" element={<RequireRole roles={STAFF_ROLES}><SectionPage /></RequireRole>} />
+                    <Route path="/grades" element={<RequireRole roles={[...STAFF_ROLES, "student"]}><GradePage /></RequireRole>} />
+                    <Route path="/at-risk" element={<RequireRole roles={STAFF_ROLES}><AtRiskPage /></RequireRole>} />
+                    <Route path="/analytics" element={<RequireRole roles={STAFF_ROLES}><AnalyticsPage /></RequireRole>} />
+                    <Route path="/me" element={<RequireRole roles={["student"]}><StudentPortalPage /></RequireRole>} />
+                    <Route path="/audit" element={<RequireRole roles={["admin"]}><AuditLogPage /></RequireRole>} />
+                </Route>
             </Routes>
             <Toaster />
             </BrowserRouter>
     );
-}
\ No newline at end of file
+}
@@ -0,0 +1,165 @@
+import React, { useState } from "react";
+import { studentsAnalyzer } from "../lib/ai";
+import { aiProvider } from "../lib/aiProviders";
+import Markdown from "./Markdown";
+
+// ----------------------------------------------------
+// --- ANALYSIS CARDS (Structured AI analysis of one subject) ---
+// ----------------------------------------------------
+const AnalysisCards = ({ analysis }) => {
+  const maxCount = Math.max(1, ...analysis.distribution.map(bucket => bucket.count));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+          <div className="text-3xl font-bold text-indigo-600">
+            {analysis.average.toFixed(1)}%
+          </div>
+          <div className="text-sm text-gray-600">Average Score</div>
+        </div>
+        <div className="md:col-span-2 bg-white p-4 rounded-xl border border-gray-200">
+          <Markdown>{analysis.summary}</Markdown>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Distribution */}
+        <div className="bg-white p-4 rounded-xl border border-gray-200">
+          <h3 className="font-bold text-gray-800 mb-3">📊 Score Distribution</h3>
+          <div className="space-y-2">
+            {analysis.distribution.map(bucket => (
+              <div key={bucket.label} className="flex items-center gap-3 text-sm">
+                <span className="w-20 text-gray-600 whitespace-nowrap">{bucket.label}</span>
+                <div className="flex-1 bg-gray-100 rounded-full h-4">
+                  <div
+                    className="bg-gradient-to-r from-indigo-500 to-purple-500 h-4 rounded-full"
+                    style={{ width: `${(bucket.count / maxCount) * 100}%` }}
+                  />
+                </div>
+                <span className="w-8 text-right font-semibold text-gray-800">{bucket.count}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* At-risk students */}
+        <div className="bg-white p-4 rounded-xl border border-gray-200">
+          <h3 className="font-bold text-gray-800 mb-3">⚠️ At-Risk Students</h3>
+          {analysis.atRiskStudents.length > 0 ? (
+            <ul className="space-y-2">
+              {analysis.atRiskStudents.map(student => (
+                <li key={student.name} className="p-3 rounded-lg bg-red-50 border border-red-100">
+                  <div className="flex justify-between font-semibold text-red-700">
+                    <span>{student.name}</span>
+                    {student.score !== undefined && <span>{student.score}%</span>}
+                  </div>
+                  <ul className="list-disc pl-5 text-sm text-gray-700">
+                    {student.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-green-700">No students flagged.</p>
+          )}
+        </div>
+
+        {/* Key findings */}
+        <div className="bg-white p-4 rounded-xl border border-gray-200">
+          <h3 className="font-bold text-gray-800 mb-3">🔎 Key Findings</h3>
+          <ul className="list-disc pl-5 space-y-1 text-gray-700">
+            {analysis.keyFindings.map(finding => <li key={finding}>{finding}</li>)}
+          </ul>
+        </div>
+
+        {/* Recommendations */}
+        <div className="bg-white p-4 rounded-xl border border-gray-200">
+          <h3 className="font-bold text-gray-800 mb-3">💡 Recommendations</h3>
+          <ol className="list-decimal pl-5 space-y-1 text-gray-700">
+            {analysis.recommendations.map(recommendation => <li key={recommendation}>{recommendation}</li>)}
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------
+// --- AI INSIGHTS PANEL (AI analysis of a subject's grades) ---
+// ----------------------------------------------------
+const AIInsightsPanel = ({ subjects, initialSubjectId = "" }) => {
+  const [subjectId, setSubjectId] = useState(initialSubjectId);
+  const [analysis, setAnalysis] = useState(undefined);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleAnalyze = async () => {
+    setLoading(true);
+    setError(null);
+    setAnalysis(undefined);
+    try {
+      setAnalysis(await studentsAnalyzer(subjectId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="mt-8 bg-white rounded-xl shadow-lg border border-gray-200 p-6" aria-labelledby="ai-insights-title">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4">
+        <div>
+          <h2 id="ai-insights-title" className="text-2xl font-bold text-gray-800">
+            AI Insights ✨
+          </h2>
+          <p className="text-gray-600 text-sm">
+            Analyze the recorded grades of a subject with {aiProvider.name}.
+          </p>
+        </div>
+        <div className="flex gap-3 w-full md:w-auto">
+          <select
+            value={subjectId}
+            onChange={(e) => setSubjectId(e.target.value)}
+            className="flex-1 px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white"
+            aria-label="Subject to analyze"
+          >
+            <option value="" disabled>Select a subject</option>
+            {subjects.map(subject => (
+              <option key={subject.id} value={subject.id}>
+                {subject.code} - {subject.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleAnalyze}
+            disabled={!subjectId || loading}
+            className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:bg-gray-300 disabled:text-gray-500 disabled:shadow-none whitespace-nowrap"
+          >
+            {loading ? "Analyzing..." : "Analyze"}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 rounded-lg border border-red-200 bg-red-50 text-red-700" role="alert">
+          {error}
+        </div>
+      )}
+      {loading && (
+        <div className="p-4 rounded-lg border border-indigo-200 bg-indigo-50 text-indigo-700 animate-pulse" role="status">
+          {aiProvider.name} is reading the grades...
+        </div>
+      )}
+      {analysis === null && (
+        <div className="p-4 rounded-lg border border-gray-200 bg-gray-50 text-gray-600">
+          No grades have been recorded for this subject yet.
+        </div>
+      )}
+      {analysis && <AnalysisCards analysis={analysis} />}
+    </section>
+  );
+};
+
+export default AIInsightsPanel;
@@ -0,0 +1,266 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { attendanceRecordRepository, attendanceSessionRepository, enrollmentRepository, studentRepository, subjectRepository, termRepository } from "../lib/data";
+import { ATTENDANCE_LABELS, ATTENDANCE_STATUSES, deleteSession, formatAttendanceRate, getSectionAttendance, markAttendance, validateSession } from "../lib/attendance";
+import { getSectionLabel } from "../lib/enrollment";
+import { getStudentName } from "../lib/records";
+import { getTermLabel } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white";
+
+// Selected and unselected look of each status button
+const STATUS_STYLES = {
+  present: { on: 'bg-green-600 text-white border-green-600', off: 'text-green-700 border-green-200 hover:bg-green-50' },
+  absent: { on: 'bg-red-600 text-white border-red-600', off: 'text-red-700 border-red-200 hover:bg-red-50' },
+  late: { on: 'bg-yellow-500 text-white border-yellow-500', off: 'text-yellow-700 border-yellow-200 hover:bg-yellow-50' },
+  excused: { on: 'bg-gray-600 text-white border-gray-600', off: 'text-gray-700 border-gray-200 hover:bg-gray-50' },
+};
+
+const rateClass = (rate) => {
+  if (rate === null) return 'text-gray-400';
+  if (rate >= 90) return 'text-green-600';
+  if (rate >= 75) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// ----------------------------------------------------
+// --- ATTENDANCE MODAL (Class sessions and roster marking) ---
+// ----------------------------------------------------
+const AttendanceModal = ({
+  section,
+  locked,
+  lockReason = "🔒 This term is closed, so its attendance can no longer change.",
+  handleCloseModal
+}) => {
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const terms = useRecords(termRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const allSessions = useRecords(attendanceSessionRepository);
+  const records = useRecords(attendanceRecordRepository);
+
+  const subject = subjects.find(s => s.id === section.subjectId);
+  const term = terms.find(t => t.id === section.termId);
+
+  const sessions = useMemo(
+    () => allSessions
+      .filter(session => session.sectionId === section.id)
+      .sort((a, b) => b.date.localeCompare(a.date)),
+    [allSessions, section.id]
+  );
+  const roster = useMemo(() => {
+    const studentsById = new Map(students.map(s => [s.id, s]));
+    return enrollments
+      .filter(enrollment => enrollment.sectionId === section.id && studentsById.has(enrollment.studentId))
+      .map(enrollment => studentsById.get(enrollment.studentId))
+      .sort((a, b) => getStudentName(a).localeCompare(getStudentName(b)));
+  }, [students, enrollments, section.id]);
+  const summaries = useMemo(
+    () => getSectionAttendance(section.id, { sections: [section], sessions: allSessions, records }),
+    [section, allSessions, records]
+  );
+
+  const [sessionForm, setSessionForm] = useState({ date: today(), topic: "" });
+  const [selectedId, setSelectedId] = useState(null);
+  // Newest session until another one is picked
+  const selectedSession = sessions.find(s => s.id === selectedId) ?? sessions[0];
+
+  const marks = useMemo(() => new Map(
+    records
+      .filter(record => record.sessionId === selectedSession?.id)
+      .map(record => [record.studentId, record.status])
+  ), [records, selectedSession]);
+  const unmarked = roster.filter(student => !marks.has(student.id));
+
+  const handleAddSession = () => {
+    const session = { sectionId: section.id, date: sessionForm.date, topic: sessionForm.topic.trim() };
+    const problem = validateSession(session, allSessions);
+    if (problem) {
+      alert(`Validation failed: ${problem}`);
+      return;
+    }
+    attendanceSessionRepository.create(session)
+      .then(created => setSelectedId(created.id))
+      .catch((error) => toast.error(`Could not add session: ${error.message}`));
+    setSessionForm({ date: today(), topic: "" });
+  };
+
+  const handleDeleteSession = () => {
+    if (!window.confirm(`Delete the ${selectedSession.date} session and its attendance marks?`)) return;
+    deleteSession(selectedSession.id)
+      .then(() => toast.success("Session deleted."))
+      .catch((error) => toast.error(`Could not delete session: ${error.message}`));
+    setSelectedId(null);
+  };
+
+  const handleMark = (studentId, status) => {
+    markAttendance(selectedSession.id, studentId, status)
+      .catch((error) => toast.error(`Could not save attendance: ${error.message}`));
+  };
+
+  const handleMarkRestPresent = () => {
+    Promise.all(unmarked.map(student => markAttendance(selectedSession.id, student.id, 'present')))
+      .catch((error) => toast.error(`Could not save attendance: ${error.message}`));
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-5xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="attendance-modal-title">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div>
+            <h2 id="attendance-modal-title" className="text-3xl font-bold text-gray-800">
+              📋 {getSectionLabel(section, subject)} Attendance
+            </h2>
+            <p className="text-gray-600">
+              {subject?.name ?? 'Unknown subject'} · {term ? getTermLabel(term) : 'No term'}
+              {" · "}{section.schedule} · {section.instructor}
+            </p>
+          </div>
+          <button
+            onClick={handleCloseModal}
+            className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Close
+          </button>
+        </div>
+
+        {/* New session */}
+        {locked ? (
+          <p className="mb-6 p-4 rounded-xl border border-gray-200 bg-gray-50 text-gray-600">
+            {lockReason}
+          </p>
+        ) : (
+          <div className="mb-6 p-4 rounded-xl border border-indigo-100 bg-indigo-50">
+            <div className="flex flex-col md:flex-row gap-3">
+              <input
+                type="date"
+                value={sessionForm.date}
+                onChange={(e) => setSessionForm({ ...sessionForm, date: e.target.value })}
+                aria-label="Session date"
+                className={`${inputClass} md:w-56`}
+              />
+              <input
+                type="text"
+                value={sessionForm.topic}
+                onChange={(e) => setSessionForm({ ...sessionForm, topic: e.target.value })}
+                placeholder="Topic (optional), e.g. Loops and arrays"
+                aria-label="Session topic"
+                className={inputClass}
+              />
+              <button
+                onClick={handleAddSession}
+                className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl whitespace-nowrap"
+              >
+                ➕ Add Session
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Sessions */}
+        {sessions.length === 0 ? (
+          <p className="p-8 rounded-xl border border-gray-200 text-center text-gray-500">
+            No class sessions yet.{!locked && " Add one to start taking attendance."}
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-col md:flex-row gap-3 mb-4">
+              <select
+                value={selectedSession.id}
+                onChange={(e) => setSelectedId(e.target.value)}
+                aria-label="Class session"
+                className={inputClass}
+              >
+                {sessions.map(session => (
+                  <option key={session.id} value={session.id}>
+                    {session.date}{session.topic && ` · ${session.topic}`}
+                  </option>
+                ))}
+              </select>
+              {!locked && (
+                <>
+                  <button
+                    onClick={handleMarkRestPresent}
+                    disabled={unmarked.length === 0}
+                    className="px-6 py-3 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition shadow-lg hover:shadow-xl whitespace-nowrap disabled:opacity-50"
+                  >
+                    ✅ Mark {unmarked.length === roster.length ? "All" : "Rest"} Present
+                  </button>
+                  <button
+                    onClick={handleDeleteSession}
+                    className="px-6 py-3 rounded-lg text-red-600 hover:text-red-700 hover:bg-red-50 font-semibold transition whitespace-nowrap"
+                  >
+                    🗑️ Delete Session
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div className="overflow-x-auto rounded-xl border border-gray-200">
+              <table className="min-w-full bg-white text-sm">
+                <thead>
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Student ID</th>
+                    <th className="py-3 px-4 text-left font-semibold">Name</th>
+                    <th className="py-3 px-4 text-left font-semibold">This Session</th>
+                    <th className="py-3 px-4 text-center font-semibold">Absences</th>
+                    <th className="py-3 px-4 text-center font-semibold">Attendance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {roster.map(student => {
+                    const status = marks.get(student.id);
+                    const summary = summaries.get(student.id);
+                    return (
+                      <tr key={student.id} className="border-b">
+                        <td className="py-3 px-4 font-semibold text-gray-800 whitespace-nowrap">{student.studentId}</td>
+                        <td className="py-3 px-4 text-gray-800 whitespace-nowrap">{getStudentName(student)}</td>
+                        <td className="py-3 px-4">
+                          {locked ? (
+                            <span className="text-gray-700">{status ? ATTENDANCE_LABELS[status] : <span className="text-gray-400">Not marked</span>}</span>
+                          ) : (
+                            <div className="flex gap-1" role="group" aria-label={`Attendance of ${getStudentName(student)}`}>
+                              {ATTENDANCE_STATUSES.map(option => (
+                                <button
+                                  key={option}
+                                  onClick={() => handleMark(student.id, option)}
+                                  aria-pressed={status === option}
+                                  className={`px-3 py-1 rounded-lg border-2 text-xs font-semibold transition ${status === option ? STATUS_STYLES[option].on : STATUS_STYLES[option].off}`}
+                                >
+                                  {ATTENDANCE_LABELS[option]}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-center text-gray-700">{summary?.absent ?? 0}</td>
+                        <td className={`py-3 px-4 text-center font-bold whitespace-nowrap ${rateClass(summary?.rate ?? null)}`}>
+                          {formatAttendanceRate(summary?.rate)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {roster.length === 0 && (
+                    <tr>
+                      <td colSpan="5" className="py-8 text-center text-gray-500">
+                        No students enrolled yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+              Late counts as attended. Excused absences are left out of the attendance rate.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceModal;
@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { repositories } from "../lib/data";
+import { downloadBackup, readBackup, restoreBackup } from "../lib/backup";
+
+const COLLECTION_LABELS = {
+  students: 'Students',
+  subjects: 'Subjects',
+  grades: 'Grades',
+  grading_scales: 'Grading scales',
+  terms: 'Terms',
+  sections: 'Sections',
+  enrollments: 'Enrollments',
+  attendance_sessions: 'Class sessions',
+  attendance_records: 'Attendance marks',
+  student_notes: 'Student notes',
+};
+
+// ----------------------------------------------------
+// --- BACKUP MODAL (Full JSON backup and restore) ---
+// ----------------------------------------------------
+const BackupModal = ({ handleCloseModal }) => {
+  // The backup picked for restoring, checked and ready
+  const [pending, setPending] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const handleDownload = () => {
+    downloadBackup();
+    toast.success("Backup downloaded.");
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => setPending({ ...readBackup(text), fileName: file.name }))
+      .catch((error) => {
+        setPending(null);
+        toast.error(`Could not read ${file.name}: ${error.message}`);
+      });
+  };
+
+  const handleRestore = () => {
+    if (!window.confirm("Replace the stored records with the backup? This cannot be undone.")) return;
+    setRestoring(true);
+    restoreBackup(pending.backup)
+      .then(() => {
+        toast.success("Backup restored.");
+        handleCloseModal();
+      })
+      .catch((error) => {
+        toast.error(`Could not restore backup: ${error.message}`);
+        setRestoring(false);
+      });
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-2xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="backup-modal-title">
+        <h2 id="backup-modal-title" className="text-3xl font-bold mb-6 text-gray-800">
+          💾 Backup & Restore
+        </h2>
+
+        {/* Backup */}
+        <div className="mb-6 p-4 rounded-xl border border-indigo-100 bg-indigo-50">
+          <p className="text-gray-700 mb-3">
+            Download every student, subject, grade, grading scale, term, section, enrollment, attendance record and student note as one JSON file.
+          </p>
+          <button
+            onClick={handleDownload}
+            className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+          >
+            ⬇️ Download Backup
+          </button>
+        </div>
+
+        {/* Restore */}
+        <div className="p-4 rounded-xl border border-gray-200">
+          <p className="text-gray-700 mb-3">
+            Restore replaces the stored records with those of a backup. Backups from older versions of the app are
+            upgraded first; backups from newer versions are refused.
+          </p>
+          <label className="inline-block px-6 py-3 rounded-lg bg-white hover:bg-gray-50 text-gray-800 border-2 border-gray-200 font-semibold transition cursor-pointer">
+            📂 Choose Backup File
+            <input type="file" accept=".json,application/json" onChange={handleFile} className="sr-only" />
+          </label>
+
+          {pending && (
+            <div className="mt-4 space-y-3">
+              <p className="text-sm text-gray-600">
+                <span className="font-semibold">{pending.fileName}</span>
+                {pending.backup.exportedAt && `, saved ${new Date(pending.backup.exportedAt).toLocaleString()}`}
+                {`, schema version ${pending.fromVersion}`}
+                {pending.fromVersion < pending.backup.schemaVersion && ` (upgraded to ${pending.backup.schemaVersion})`}
+              </p>
+              <table className="min-w-full bg-white text-sm rounded-lg border border-gray-200">
+                <thead>
+                  <tr className="bg-gray-50 text-gray-700">
+                    <th className="py-2 px-4 text-left font-semibold">Records</th>
+                    <th className="py-2 px-4 text-right font-semibold">Stored now</th>
+                    <th className="py-2 px-4 text-right font-semibold">In backup</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {repositories.map(repository => {
+                    const records = pending.backup.collections[repository.collection];
+                    return (
+                      <tr key={repository.collection} className="border-t">
+                        <td className="py-2 px-4 text-gray-800">{COLLECTION_LABELS[repository.collection] ?? repository.collection}</td>
+                        <td className="py-2 px-4 text-right text-gray-600">{repository.getAll().length}</td>
+                        <td className="py-2 px-4 text-right font-semibold text-gray-800">
+                          {records ? records.length : <span className="font-normal text-gray-400">Kept as is</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="text-sm text-red-600">
+                ⚠️ Download a backup of the current records first if you may need them.
+              </p>
+              <button
+                onClick={handleRestore}
+                disabled={restoring}
+                className="px-6 py-3 rounded-lg bg-red-600 hover:bg-red-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:opacity-50"
+              >
+                {restoring ? "Restoring..." : "♻️ Restore Backup"}
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-8">
+          <button
+            onClick={handleCloseModal}
+            disabled={restoring}
+            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition disabled:opacity-50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupModal;
@@ -0,0 +1,97 @@
+import React from "react";
+import { useSettings, updateSettings } from "../lib/settings";
+
+const POLICY_OPTIONS = [
+  { value: 'block', label: 'Block', help: 'Keep the record. Delete or move its grades first.' },
+  { value: 'cascade', label: 'Cascade', help: 'Delete the record and every grade that references it.' },
+  { value: 'archive', label: 'Archive', help: 'Keep the record and its grades, but hide it from lists and new grades.' },
+];
+
+// ----------------------------------------------------
+// --- CONFIRM DELETE MODAL (Shows dependent grades and the delete policy) ---
+// ----------------------------------------------------
+const ConfirmDeleteModal = ({
+  collection,
+  recordLabel,
+  dependentCount,
+  handleConfirm,
+  handleCloseModal
+}) => {
+  const { deletePolicy } = useSettings();
+  const policy = deletePolicy[collection];
+  const noun = collection === 'students' ? 'student' : 'subject';
+
+  const setPolicy = (value) =>
+    updateSettings({ deletePolicy: { ...deletePolicy, [collection]: value } });
+
+  const confirmLabel = dependentCount === 0
+    ? `Delete ${noun}`
+    : {
+        block: 'Delete blocked',
+        cascade: `Delete ${noun} and ${dependentCount} ${dependentCount === 1 ? 'grade' : 'grades'}`,
+        archive: `Archive ${noun}`,
+      }[policy];
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-md transform transition-all" role="dialog" aria-modal="true" aria-labelledby="delete-modal-title">
+        <h2 id="delete-modal-title" className="text-3xl font-bold mb-4 text-gray-800">
+          🗑️ Delete "{recordLabel}"?
+        </h2>
+
+        {dependentCount === 0 ? (
+          <p className="text-gray-600">
+            No grades reference this {noun}. This action cannot be undone.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <p className="p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800">
+              <span className="font-bold">{dependentCount} {dependentCount === 1 ? 'grade record references' : 'grade records reference'}</span> this {noun}.
+            </p>
+            <fieldset>
+              <legend className="block text-sm font-semibold text-gray-700 mb-2">
+                When a {noun} with grades is deleted
+              </legend>
+              <div className="space-y-2">
+                {POLICY_OPTIONS.map(option => (
+                  <label key={option.value} className={`flex gap-3 p-3 rounded-lg border-2 cursor-pointer transition ${policy === option.value ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:border-indigo-300'}`}>
+                    <input
+                      type="radio"
+                      name="delete-policy"
+                      value={option.value}
+                      checked={policy === option.value}
+                      onChange={() => setPolicy(option.value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-semibold text-gray-800">{option.label}</span>
+                      <span className="block text-sm text-gray-600">{option.help}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 mt-8">
+          <button
+            onClick={handleCloseModal}
+            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => handleConfirm(policy)}
+            disabled={dependentCount > 0 && policy === 'block'}
+            className="px-6 py-3 rounded-lg bg-red-600 hover:bg-red-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:bg-gray-300 disabled:text-gray-500 disabled:shadow-none disabled:cursor-not-allowed"
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDeleteModal;
@@ -0,0 +1,45 @@
+import React from "react";
+import { useRecordsStatus } from "../lib/useRecords";
+
+// ----------------------------------------------------
+// --- DATA STATUS BANNER (Loading / error / offline state of a repository) ---
+// ----------------------------------------------------
+const DataStatusBanner = ({ repository, label }) => {
+  const { loading, error, offline } = useRecordsStatus(repository);
+
+  if (error) {
+    return (
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-6 p-4 rounded-xl border border-red-200 bg-red-50 text-red-700" role="alert">
+        <span>
+          <span className="font-bold">Could not load {label}.</span> {error.message}
+        </span>
+        <button
+          onClick={() => repository.load()}
+          className="px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white font-semibold transition"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="mb-6 p-4 rounded-xl border border-indigo-200 bg-indigo-50 text-indigo-700 animate-pulse" role="status">
+        Loading {label}...
+      </div>
+    );
+  }
+
+  if (offline) {
+    return (
+      <div className="mb-6 p-4 rounded-xl border border-yellow-200 bg-yellow-50 text-yellow-800" role="status">
+        <span className="font-bold">Offline.</span> Showing {label} saved in this browser. Changes will sync when the connection is back.
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default DataStatusBanner;
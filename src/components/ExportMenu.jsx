@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { EXPORT_FORMATS, exportRecords } from "../lib/exporter";
+
+// Full class names, so Tailwind finds them
+const ACCENTS = {
+  indigo: "hover:bg-indigo-50 text-indigo-700 border-indigo-200",
+  pink: "hover:bg-pink-50 text-pink-700 border-pink-200",
+};
+
+// ----------------------------------------------------
+// --- EXPORT MENU (Download the listed records) ---
+// ----------------------------------------------------
+const ExportMenu = ({ kind, records, accent = "indigo" }) => {
+  const [open, setOpen] = useState(false);
+
+  const handleExport = (format) => {
+    setOpen(false);
+    exportRecords(kind, records, format)
+      .then(() => toast.success(`Exported ${records.length} ${kind}.`))
+      .catch((error) => toast.error(`Could not export ${kind}: ${error.message}`));
+  };
+
+  return (
+    <div
+      className="relative"
+      // Closes when focus leaves the menu, but not when it moves between its buttons
+      onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}
+    >
+      <button
+        onClick={() => setOpen(!open)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title={`Export the ${records.length} ${kind} listed below`}
+        className={`flex items-center gap-2 bg-white ${ACCENTS[accent]} border-2 px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl`}
+      >
+        <span className="text-xl">📤</span>
+        <span className="font-semibold">Export</span>
+      </button>
+      {open && (
+        <div role="menu" className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-xl border border-gray-200 z-20 overflow-hidden">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              role="menuitem"
+              onClick={() => handleExport(format.id)}
+              className="block w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-50 font-medium transition"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
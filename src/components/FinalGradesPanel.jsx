@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from "react";
+import { computeFinalGrade } from "../lib/assessments";
+import { getLetterGrade } from "../lib/grading";
+import { getStudentName, indexById } from "../lib/records";
+
+// ----------------------------------------------------
+// --- FINAL GRADES PANEL (Per-student final grade with component breakdown) ---
+// ----------------------------------------------------
+const FinalGradesPanel = ({ grades, students, subjects, scalesBySubject, closed = false }) => {
+  const gradedSubjects = useMemo(() => {
+    const gradedIds = new Set(grades.map(grade => grade.subjectId));
+    return subjects.filter(subject => gradedIds.has(subject.id)).sort((a, b) => a.code.localeCompare(b.code));
+  }, [grades, subjects]);
+
+  const [selectedId, setSelectedId] = useState("");
+  // Fall back to the first graded subject until one is picked (or when the pick loses its grades)
+  const subject = gradedSubjects.find(s => s.id === selectedId) ?? gradedSubjects[0];
+  const components = subject?.components ?? [];
+  const scale = scalesBySubject.get(subject?.id);
+
+  const rows = useMemo(() => {
+    if (!subject) return [];
+    const studentsById = indexById(students);
+    const gradesByStudent = new Map();
+    for (const grade of grades) {
+      if (grade.subjectId !== subject.id || !studentsById.has(grade.studentId)) continue;
+      gradesByStudent.set(grade.studentId, [...(gradesByStudent.get(grade.studentId) || []), grade]);
+    }
+    return [...gradesByStudent]
+      .map(([studentId, studentGrades]) => ({
+        student: studentsById.get(studentId),
+        ...computeFinalGrade(studentGrades, subject, { closed }),
+      }))
+      .sort((a, b) => getStudentName(a.student).localeCompare(getStudentName(b.student)));
+  }, [grades, students, subject, closed]);
+
+  if (!subject) return null;
+
+  return (
+    <section className="mt-8 bg-gradient-to-br from-pink-50 to-purple-50 rounded-2xl border border-pink-100 p-6" aria-labelledby="final-grades-title">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-4">
+        <div>
+          <h2 id="final-grades-title" className="text-2xl font-bold text-gray-800">🧮 Final Grades</h2>
+          <p className="text-gray-600 text-sm">
+            {components.length > 0
+              ? `Weighted by component: ${components.map(c => `${c.name} ${c.weight}%`).join(', ')}.`
+              : 'This subject has no assessment components, so the final grade is the average of every score.'}
+          </p>
+        </div>
+        <select
+          value={subject.id}
+          onChange={(e) => setSelectedId(e.target.value)}
+          aria-label="Subject"
+          className="px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+        >
+          {gradedSubjects.map(s => (
+            <option key={s.id} value={s.id}>{s.code} - {s.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto rounded-xl border border-gray-200">
+        <table className="min-w-full bg-white text-sm">
+          <thead>
+            <tr className="bg-gradient-to-r from-pink-500 to-purple-500 text-white">
+              <th className="py-3 px-4 text-left font-semibold">Student</th>
+              {components.map(component => (
+                <th key={component.id} className="py-3 px-4 text-center font-semibold whitespace-nowrap">
+                  {component.name} <span className="font-normal opacity-80">({component.weight}%)</span>
+                </th>
+              ))}
+              <th className="py-3 px-4 text-center font-semibold">Final</th>
+              <th className="py-3 px-4 text-center font-semibold">Grade</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ student, score, breakdown, complete, unassigned }) => (
+              <tr key={student.id} className="border-b">
+                <td className="py-3 px-4 font-semibold text-gray-800 whitespace-nowrap">
+                  {getStudentName(student)}
+                  {unassigned > 0 && (
+                    <span className="ml-2 text-xs font-semibold text-red-600" title="Scores without a component do not count. Edit them to pick one.">
+                      ({unassigned} without component)
+                    </span>
+                  )}
+                </td>
+                {breakdown.map(({ component, count, average, contribution }) => (
+                  <td key={component.id} className="py-3 px-4 text-center text-gray-700 whitespace-nowrap">
+                    {average !== null ? (
+                      <>
+                        <span className="font-semibold">{average.toFixed(1)}%</span>
+                        <span className="block text-xs text-gray-500">
+                          {count} {count === 1 ? 'score' : 'scores'} · +{contribution.toFixed(1)}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="text-gray-400">—</span>
+                    )}
+                  </td>
+                ))}
+                <td className="py-3 px-4 text-center font-extrabold text-indigo-600 whitespace-nowrap">
+                  {score !== null ? `${score.toFixed(1)}%` : 'N/A'}
+                  {!complete && score !== null && (
+                    <span className="block text-xs font-normal text-gray-500">{closed ? 'missing scores count as 0' : 'so far'}</span>
+                  )}
+                </td>
+                <td className="py-3 px-4 text-center">
+                  <span className="font-extrabold text-purple-600 bg-purple-100 px-3 py-1 rounded-md">
+                    {getLetterGrade(score, scale)}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default FinalGradesPanel;
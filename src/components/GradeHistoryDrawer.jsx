@@ -0,0 +1,120 @@
+import React, { useMemo } from "react";
+import { gradeAuditRepository } from "../lib/data";
+import { AUDIT_ACTIONS, AUDITED_FIELD_LABELS, formatAuditValue, getChangedFields, getGradeHistory } from "../lib/audit";
+import { describeGrade, indexById } from "../lib/records";
+import { useRecords } from "../lib/useRecords";
+
+const ACTION_BADGES = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-indigo-100 text-indigo-700',
+  delete: 'bg-red-100 text-red-700',
+};
+
+/**
+ * What one audit entry changed: every field that changed for an update, the
+ * score (and assessment) for a create or delete.
+ */
+export const AuditEntryChanges = ({ entry, lookups }) => {
+  const subject = lookups.subjectsById.get(entry.subjectId);
+  const format = (field, value) => formatAuditValue(field, value, lookups, subject);
+
+  if (entry.action === 'update') {
+    return (
+      <ul className="space-y-0.5">
+        {getChangedFields(entry).map(field => (
+          <li key={field}>
+            <span className="text-gray-500">{AUDITED_FIELD_LABELS[field]}:</span>{" "}
+            <span className="line-through text-gray-400">{format(field, entry.before[field])}</span>
+            {" → "}
+            <span className="font-semibold text-gray-800">{format(field, entry.after[field])}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  const values = entry.after ?? entry.before;
+  return (
+    <span className="text-gray-800">
+      <span className="font-semibold">{format('score', values.score)}</span>
+      {[values.componentId && format('componentId', values.componentId), values.assessment].filter(Boolean).map(label => ` · ${label}`)}
+    </span>
+  );
+};
+
+export const AuditActionBadge = ({ action }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-bold ${ACTION_BADGES[action]}`}>
+    {AUDIT_ACTIONS[action]}
+  </span>
+);
+
+// ----------------------------------------------------
+// --- GRADE HISTORY DRAWER (Audit entries of one grade) ---
+// ----------------------------------------------------
+const GradeHistoryDrawer = ({ gradeId, grades, students, subjects, terms, handleClose }) => {
+  const entries = useRecords(gradeAuditRepository);
+  const history = useMemo(() => getGradeHistory(gradeId, entries), [gradeId, entries]);
+  const lookups = useMemo(() => ({
+    studentsById: indexById(students),
+    subjectsById: indexById(subjects),
+    termsById: indexById(terms),
+  }), [students, subjects, terms]);
+
+  const grade = grades.find(g => g.id === gradeId);
+  const described = grade && describeGrade(grade, lookups.studentsById, lookups.subjectsById);
+
+  return (
+    <div className="fixed inset-0 flex justify-end bg-black bg-opacity-50 backdrop-blur-sm z-50" onClick={handleClose}>
+      <aside
+        className="bg-white w-full max-w-md h-full shadow-2xl p-6 overflow-y-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="grade-history-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div>
+            <h2 id="grade-history-title" className="text-2xl font-bold text-gray-800">🕘 Grade History</h2>
+            {described && (
+              <p className="text-gray-600">
+                {described.studentName} · {described.subjectCode}{grade.assessment && ` · ${grade.assessment}`}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={handleClose}
+            className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {history.length === 0 ? (
+          <p className="p-4 rounded-xl border border-gray-200 text-center text-gray-500">
+            No changes recorded. Grades entered before the audit trail existed have no history.
+          </p>
+        ) : (
+          <ol className="space-y-4">
+            {history.map(entry => (
+              <li key={entry.id} className="p-4 rounded-xl border border-gray-200 text-sm">
+                <div className="flex justify-between items-center gap-2 mb-2">
+                  <AuditActionBadge action={entry.action} />
+                  <time dateTime={entry.changedAt} className="text-xs text-gray-500">
+                    {new Date(entry.changedAt).toLocaleString()}
+                  </time>
+                </div>
+                <AuditEntryChanges entry={entry} lookups={lookups} />
+                <div className="mt-2 text-xs text-gray-500">by {entry.changedByName}</div>
+                {entry.reason && (
+                  <p className="mt-2 p-2 rounded bg-gray-50 text-gray-700 italic">“{entry.reason}”</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default GradeHistoryDrawer;
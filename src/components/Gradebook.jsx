@@ -0,0 +1,399 @@
+import React, { useMemo, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { createGrade, deleteGrade, updateGrade } from "../lib/audit";
+import { computeFinalGrade } from "../lib/assessments";
+import { getSectionLabel } from "../lib/enrollment";
+import { getLetterGrade } from "../lib/grading";
+import { getStudentName, indexById } from "../lib/records";
+import { mean } from "../lib/stats";
+import { getTermLabel, isTermClosed, resolveGradeTerm } from "../lib/terms";
+
+// A column is one assessment: a component of the subject plus an optional title
+const columnKey = (componentId, assessment) => `${componentId ?? ''}::${assessment ?? ''}`;
+
+const parseScore = (text) => {
+  const score = Number(text.trim().replace(/%$/, ''));
+  return text.trim() !== '' && !isNaN(score) && score >= 0 && score <= 100 ? score : null;
+};
+
+// ----------------------------------------------------
+// --- GRADEBOOK (Spreadsheet-style grid of one section's scores) ---
+// ----------------------------------------------------
+const Gradebook = ({ grades, students, subjects, terms, sections, enrollments, scalesBySubject, selectedTerm }) => {
+  const tableRef = useRef(null);
+
+  const subjectsById = useMemo(() => indexById(subjects), [subjects]);
+  const termsById = useMemo(() => indexById(terms), [terms]);
+  const sectionOptions = useMemo(
+    () => sections
+      .filter(section => !selectedTerm || section.termId === selectedTerm.id)
+      .map(section => ({ ...section, label: getSectionLabel(section, subjectsById.get(section.subjectId)) }))
+      .sort((a, b) => a.label.localeCompare(b.label)),
+    [sections, selectedTerm, subjectsById]
+  );
+
+  const [selectedId, setSelectedId] = useState("");
+  // Fall back to the first section until one is picked (or when the pick leaves the term)
+  const section = sectionOptions.find(s => s.id === selectedId) ?? sectionOptions[0];
+  const subject = section && subjectsById.get(section.subjectId);
+  const term = section && termsById.get(section.termId);
+  const components = useMemo(() => subject?.components ?? [], [subject]);
+  const scale = scalesBySubject.get(section?.subjectId);
+  const locked = isTermClosed(term);
+
+  // Columns added in this session that have no scores yet, keyed by section
+  const [addedColumns, setAddedColumns] = useState({});
+  const [newColumn, setNewColumn] = useState({ componentId: "", assessment: "" });
+
+  const sectionGrades = useMemo(
+    () => (section
+      ? grades.filter(grade =>
+        grade.subjectId === section.subjectId && resolveGradeTerm(grade, terms)?.id === section.termId)
+      : []),
+    [grades, terms, section]
+  );
+
+  const rows = useMemo(() => {
+    if (!section) return [];
+    const studentsById = indexById(students);
+    return enrollments
+      .filter(enrollment => enrollment.sectionId === section.id && studentsById.has(enrollment.studentId))
+      .map(enrollment => studentsById.get(enrollment.studentId))
+      .sort((a, b) => getStudentName(a).localeCompare(getStudentName(b)));
+  }, [students, enrollments, section]);
+
+  const columns = useMemo(() => {
+    if (!section) return [];
+    const byKey = new Map();
+    const addColumn = (componentId, assessment) => {
+      const key = columnKey(componentId, assessment);
+      if (!byKey.has(key)) byKey.set(key, { key, componentId, assessment, date: null });
+      return byKey.get(key);
+    };
+    sectionGrades.forEach(grade => {
+      const column = addColumn(grade.componentId ?? null, grade.assessment ?? null);
+      column.date = column.date ?? grade.date;
+    });
+    (addedColumns[section.id] || []).forEach(({ componentId, assessment }) => addColumn(componentId, assessment));
+
+    // Component order first, then titles in natural order (Quiz 2 before Quiz 10)
+    const componentOrder = (componentId) => {
+      const index = components.findIndex(c => c.id === componentId);
+      return index === -1 ? components.length : index;
+    };
+    return [...byKey.values()]
+      .map(column => ({ ...column, component: components.find(c => c.id === column.componentId) }))
+      .sort((a, b) =>
+        componentOrder(a.componentId) - componentOrder(b.componentId) ||
+        (a.assessment ?? '').localeCompare(b.assessment ?? '', undefined, { numeric: true })
+      );
+  }, [section, sectionGrades, addedColumns, components]);
+
+  // student id -> column key -> grades
+  const cells = useMemo(() => {
+    const byStudent = new Map();
+    sectionGrades.forEach(grade => {
+      if (!byStudent.has(grade.studentId)) byStudent.set(grade.studentId, new Map());
+      const byColumn = byStudent.get(grade.studentId);
+      const key = columnKey(grade.componentId ?? null, grade.assessment ?? null);
+      byColumn.set(key, [...(byColumn.get(key) || []), grade]);
+    });
+    return byStudent;
+  }, [sectionGrades]);
+
+  const getCell = (student, column) => cells.get(student.id)?.get(column.key) ?? [];
+
+  // New scores are dated like the rest of their column, or today within the term
+  const dateFor = (column) => {
+    if (column.date) return column.date;
+    const today = new Date().toISOString().substring(0, 10);
+    if (!term || (term.startDate <= today && today <= term.endDate)) return today;
+    return today < term.startDate ? term.startDate : term.endDate;
+  };
+
+  /**
+   * Saves one cell. An empty cell deletes its score.
+   * @returns {{ result: 'saved'|'unchanged'|'invalid'|'readonly', write?: Promise }} The write, for saved cells.
+   */
+  const saveCell = (student, column, text) => {
+    const existing = getCell(student, column);
+    if (locked || existing.length > 1) return { result: 'readonly' };
+    const [grade] = existing;
+    if (text.trim() === '') {
+      if (!grade) return { result: 'unchanged' };
+      return { result: 'saved', write: deleteGrade(grade.id, { reason: 'Cleared in gradebook' }) };
+    }
+    const score = parseScore(text);
+    if (score === null) return { result: 'invalid' };
+    if (grade) {
+      if (grade.score === score) return { result: 'unchanged' };
+      return { result: 'saved', write: updateGrade(grade.id, { score }) };
+    }
+    return {
+      result: 'saved',
+      write: createGrade({
+        studentId: student.id,
+        subjectId: section.subjectId,
+        componentId: column.componentId,
+        assessment: column.assessment,
+        score,
+        date: dateFor(column),
+        termId: section.termId,
+      }),
+    };
+  };
+
+  const focusCell = (row, col) => {
+    const input = tableRef.current?.querySelector(`[data-cell="${row}:${col}"]`);
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const handleBlur = (e, student, column) => {
+    if (e.target.readOnly) return;
+    const { result, write } = saveCell(student, column, e.target.value);
+    if (result === 'invalid') {
+      toast.error(`"${e.target.value}" is not a score between 0 and 100.`);
+      e.target.value = e.target.defaultValue;
+    }
+    write?.catch((error) => toast.error(`Could not save grade: ${error.message}`));
+  };
+
+  const handleKeyDown = (e, row, col) => {
+    const input = e.currentTarget;
+    const move = (rowStep, colStep) => {
+      e.preventDefault();
+      focusCell(row + rowStep, col + colStep);
+    };
+    switch (e.key) {
+      case 'Enter':
+        move(e.shiftKey ? -1 : 1, 0);
+        break;
+      case 'ArrowUp':
+        move(-1, 0);
+        break;
+      case 'ArrowDown':
+        move(1, 0);
+        break;
+      case 'ArrowLeft':
+        if (input.selectionStart === 0 && input.selectionEnd === 0) move(0, -1);
+        break;
+      case 'ArrowRight':
+        if (input.selectionStart === input.value.length) move(0, 1);
+        break;
+      case 'Escape':
+        input.value = input.defaultValue;
+        input.blur();
+        break;
+      default:
+    }
+  };
+
+  // Tab- and newline-separated cells, as Excel and Google Sheets copy them
+  const handlePaste = (e, row, col) => {
+    const text = e.clipboardData.getData('text/plain');
+    if (!/[\t\n]/.test(text.trim())) return;
+    e.preventDefault();
+    const matrix = text.replace(/\r/g, '').replace(/\n+$/, '').split('\n').map(line => line.split('\t'));
+    const writes = [];
+    let skipped = 0;
+    matrix.forEach((values, rowOffset) => values.forEach((value, colOffset) => {
+      const student = rows[row + rowOffset];
+      const column = columns[col + colOffset];
+      const { result, write } = student && column ? saveCell(student, column, value) : { result: 'readonly' };
+      if (write) writes.push(write);
+      if (result === 'invalid' || result === 'readonly') skipped += 1;
+    }));
+    if (skipped > 0) toast.error(`${skipped} pasted ${skipped === 1 ? 'cell was' : 'cells were'} not a valid score or fell outside the grid.`);
+    Promise.allSettled(writes).then((results) => {
+      const failed = results.filter(({ status }) => status === 'rejected');
+      const saved = results.length - failed.length;
+      if (saved > 0 || failed.length === 0) toast.success(`${saved} ${saved === 1 ? 'score' : 'scores'} pasted.`);
+      if (failed.length > 0) {
+        toast.error(`${failed.length} pasted ${failed.length === 1 ? 'score' : 'scores'} could not be saved: ${failed[0].reason.message}`);
+      }
+    });
+  };
+
+  const handleAddColumn = () => {
+    const assessment = newColumn.assessment.trim() || null;
+    const componentId = components.length > 0 ? newColumn.componentId : null;
+    if (components.length > 0 && !components.some(c => c.id === componentId)) {
+      alert("Please pick the assessment component for the new column.");
+      return;
+    }
+    if (columns.some(column => column.key === columnKey(componentId, assessment))) {
+      alert("That column already exists.");
+      return;
+    }
+    setAddedColumns({
+      ...addedColumns,
+      [section.id]: [...(addedColumns[section.id] || []), { componentId, assessment }],
+    });
+    setNewColumn({ componentId, assessment: "" });
+  };
+
+  if (!section) {
+    return (
+      <div className="p-8 rounded-xl border border-gray-200 bg-white text-center text-gray-500">
+        <div className="text-6xl mb-4">🧮</div>
+        <div className="text-lg font-medium">No sections{selectedTerm && ` in ${getTermLabel(selectedTerm)}`}</div>
+        <div className="text-sm">Add a section and enroll students on the Sections page to use the gradebook.</div>
+      </div>
+    );
+  }
+
+  return (
+    <section aria-labelledby="gradebook-title">
+      <div className="flex flex-col lg:flex-row justify-between items-start lg:items-end gap-4 mb-4">
+        <div>
+          <label htmlFor="gradebook-section" id="gradebook-title" className="block text-sm font-semibold text-gray-700 mb-2">
+            Section
+          </label>
+          <select
+            id="gradebook-section"
+            value={section.id}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+          >
+            {sectionOptions.map(s => (
+              <option key={s.id} value={s.id}>
+                {s.label}{!selectedTerm && termsById.has(s.termId) ? ` · ${getTermLabel(termsById.get(s.termId))}` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {!locked && (
+          <div className="flex flex-wrap items-end gap-2">
+            {components.length > 0 && (
+              <select
+                value={newColumn.componentId}
+                onChange={(e) => setNewColumn({ ...newColumn, componentId: e.target.value })}
+                aria-label="Component of the new column"
+                className="px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+              >
+                <option value="" disabled>Component</option>
+                {components.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            )}
+            <input
+              type="text"
+              value={newColumn.assessment}
+              onChange={(e) => setNewColumn({ ...newColumn, assessment: e.target.value })}
+              placeholder="e.g. Quiz 1"
+              aria-label="Title of the new column"
+              className="px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
+            />
+            <button
+              onClick={handleAddColumn}
+              className="px-4 py-2 rounded-lg bg-pink-600 hover:bg-pink-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+            >
+              ➕ Add Column
+            </button>
+          </div>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-3">
+        {locked
+          ? '🔒 This term is closed, so its scores are locked.'
+          : 'Type a score and press Enter or an arrow key to move. Clear a cell to delete its score. Paste a block of cells from Excel or Google Sheets into any cell.'}
+      </p>
+
+      <div className="overflow-x-auto rounded-xl shadow-lg border border-gray-200">
+        <table ref={tableRef} className="min-w-full bg-white text-sm">
+          <thead>
+            <tr className="bg-gradient-to-r from-pink-500 to-purple-500 text-white">
+              <th className="py-3 px-4 text-left font-semibold sticky left-0 bg-pink-500">Student</th>
+              {columns.map(column => (
+                <th key={column.key} className="py-3 px-2 text-center font-semibold whitespace-nowrap">
+                  {column.assessment || (column.component ? column.component.name : 'Score')}
+                  {column.component && column.assessment && (
+                    <span className="block text-xs font-normal opacity-80">{column.component.name}</span>
+                  )}
+                </th>
+              ))}
+              <th className="py-3 px-4 text-center font-semibold">Final</th>
+              <th className="py-3 px-4 text-center font-semibold">Grade</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((student, row) => {
+              const studentGrades = columns.flatMap(column => getCell(student, column));
+              const { score: finalScore } = computeFinalGrade(studentGrades, subject, { closed: locked });
+              return (
+                <tr key={student.id} className="border-b">
+                  <td className="py-2 px-4 font-semibold text-gray-800 whitespace-nowrap sticky left-0 bg-white z-10">
+                    {getStudentName(student)}
+                    <span className="block text-xs font-normal text-gray-500">{student.studentId}</span>
+                  </td>
+                  {columns.map((column, col) => {
+                    const cellGrades = getCell(student, column);
+                    const multiple = cellGrades.length > 1;
+                    const value = multiple
+                      ? mean(cellGrades.map(g => g.score)).toFixed(1)
+                      : cellGrades[0]?.score.toString() ?? '';
+                    return (
+                      <td key={column.key} className="p-1 text-center">
+                        <input
+                          // Remount when the stored score changes, so the cell shows it
+                          key={`${column.key}:${value}`}
+                          type="text"
+                          inputMode="decimal"
+                          defaultValue={value}
+                          readOnly={locked || multiple}
+                          data-cell={`${row}:${col}`}
+                          onFocus={(e) => e.target.select()}
+                          onBlur={(e) => handleBlur(e, student, column)}
+                          onKeyDown={(e) => handleKeyDown(e, row, col)}
+                          onPaste={(e) => handlePaste(e, row, col)}
+                          title={multiple ? `${cellGrades.length} scores share this column; edit them in the records view.` : undefined}
+                          aria-label={`${getStudentName(student)}, ${column.assessment || column.component?.name || 'Score'}`}
+                          className={`w-20 px-2 py-1.5 text-center rounded border-2 border-transparent hover:border-gray-200 focus:border-pink-500 outline-none transition ${multiple ? 'italic text-gray-500' : 'text-gray-800'} ${locked ? 'bg-gray-50' : ''}`}
+                        />
+                      </td>
+                    );
+                  })}
+                  <td className="py-2 px-4 text-center font-extrabold text-indigo-600 whitespace-nowrap">
+                    {finalScore !== null ? `${finalScore.toFixed(1)}%` : 'N/A'}
+                  </td>
+                  <td className="py-2 px-4 text-center">
+                    <span className="font-extrabold text-purple-600 bg-purple-100 px-3 py-1 rounded-md">
+                      {getLetterGrade(finalScore, scale)}
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length + 3} className="py-8 text-center text-gray-500">
+                  No students are enrolled in this section yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+          <tfoot>
+            <tr className="bg-gray-50 font-semibold text-gray-700">
+              <td className="py-2 px-4 sticky left-0 bg-gray-50">Average</td>
+              {columns.map(column => {
+                const average = mean(rows.flatMap(student => getCell(student, column).map(g => g.score)));
+                return (
+                  <td key={column.key} className="py-2 px-2 text-center">
+                    {average !== null ? average.toFixed(1) : '—'}
+                  </td>
+                );
+              })}
+              <td className="py-2 px-4" colSpan="2"></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default Gradebook;
@@ -0,0 +1,262 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { gradingScaleRepository, subjectRepository } from "../lib/data";
+import { DEFAULT_GRADING_SCALE_ID, MAX_GRADE_POINTS, sortBands, validateGradingScale } from "../lib/grading";
+import { generateId } from "../lib/repository";
+import { useRecords } from "../lib/useRecords";
+
+const inputClass = "w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition";
+
+const EMPTY_DRAFT = {
+  name: "",
+  bands: [
+    { min: "75", label: "Passed", points: "", passed: true },
+    { min: "0", label: "Failed", points: "", passed: false },
+  ],
+};
+
+// Inputs hold strings; empty grade points mean the band does not count towards GPAs
+const toDraft = (scale) => ({
+  name: scale.name,
+  bands: scale.bands.map(band => ({
+    ...band,
+    min: String(band.min),
+    points: band.points === null ? "" : String(band.points),
+  })),
+});
+
+const fromDraft = (draft) => ({
+  name: draft.name.trim(),
+  bands: sortBands(draft.bands.map(band => ({
+    min: parseFloat(band.min),
+    label: band.label.trim(),
+    points: band.points === "" ? null : parseFloat(band.points),
+    passed: band.passed,
+  }))),
+});
+
+// ----------------------------------------------------
+// --- GRADING SCALES MODAL (Define scales and their bands) ---
+// ----------------------------------------------------
+const GradingScalesModal = ({ handleCloseModal }) => {
+  const scales = useRecords(gradingScaleRepository);
+  const subjects = useRecords(subjectRepository);
+
+  // null: creating a new scale
+  const [selectedId, setSelectedId] = useState(scales[0]?.id ?? null);
+  const [draft, setDraft] = useState(scales[0] ? toDraft(scales[0]) : EMPTY_DRAFT);
+
+  const usedBy = (scaleId) => subjects.filter(subject =>
+    (subject.gradingScaleId || DEFAULT_GRADING_SCALE_ID) === scaleId
+  ).length;
+
+  const handleSelect = (scale) => {
+    setSelectedId(scale ? scale.id : null);
+    setDraft(scale ? toDraft(scale) : EMPTY_DRAFT);
+  };
+
+  const setBand = (index, changes) =>
+    setDraft({ ...draft, bands: draft.bands.map((band, i) => (i === index ? { ...band, ...changes } : band)) });
+
+  const handleAddBand = () =>
+    setDraft({ ...draft, bands: [...draft.bands, { min: "", label: "", points: "", passed: true }] });
+
+  const handleRemoveBand = (index) =>
+    setDraft({ ...draft, bands: draft.bands.filter((_, i) => i !== index) });
+
+  const handleSave = () => {
+    const scale = fromDraft(draft);
+    const problem = validateGradingScale(scale);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    if (selectedId) {
+      gradingScaleRepository.update(selectedId, scale)
+        .then(() => toast.success("Grading scale saved!"))
+        .catch((error) => toast.error(`Could not save grading scale: ${error.message}`));
+    } else {
+      // Pick the id up front so the new scale stays selected while it saves
+      const id = generateId();
+      gradingScaleRepository.create({ ...scale, id })
+        .then(() => toast.success("Grading scale added!"))
+        .catch((error) => toast.error(`Could not save grading scale: ${error.message}`));
+      setSelectedId(id);
+    }
+    setDraft(toDraft(scale));
+  };
+
+  const handleDelete = () => {
+    if (selectedId === DEFAULT_GRADING_SCALE_ID) {
+      toast.error("The default scale cannot be deleted.");
+      return;
+    }
+    const count = usedBy(selectedId);
+    if (count > 0) {
+      toast.error(`${count} ${count === 1 ? 'subject uses' : 'subjects use'} this scale. Assign them another scale first.`);
+      return;
+    }
+    gradingScaleRepository.remove(selectedId)
+      .catch((error) => toast.error(`Could not delete grading scale: ${error.message}`));
+    handleSelect(scales.find(scale => scale.id !== selectedId));
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-4xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="grading-scales-modal-title">
+        <h2 id="grading-scales-modal-title" className="text-3xl font-bold mb-2 text-gray-800">
+          ⚖️ Grading Scales
+        </h2>
+        <p className="text-gray-600 mb-6">
+          Each subject turns scores into marks with its scale. A score earns the first band whose minimum it reaches.
+          Grade points (0 to {MAX_GRADE_POINTS.toFixed(1)}) are weighted by credits in GPAs; leave them empty for pass/fail bands.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-[14rem_1fr] gap-6">
+          {/* Scale list */}
+          <div className="space-y-2">
+            {scales.map(scale => (
+              <button
+                key={scale.id}
+                onClick={() => handleSelect(scale)}
+                className={`w-full text-left p-3 rounded-lg border-2 transition ${selectedId === scale.id ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:border-indigo-300'}`}
+              >
+                <span className="block font-semibold text-gray-800">{scale.name}</span>
+                <span className="block text-xs text-gray-500">
+                  {usedBy(scale.id)} {usedBy(scale.id) === 1 ? 'subject' : 'subjects'}
+                  {scale.id === DEFAULT_GRADING_SCALE_ID && ' · default'}
+                </span>
+              </button>
+            ))}
+            <button
+              onClick={() => handleSelect(null)}
+              className={`w-full text-left p-3 rounded-lg border-2 border-dashed transition ${selectedId === null ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:border-indigo-300'} text-indigo-600 font-semibold`}
+            >
+              ➕ New Scale
+            </button>
+          </div>
+
+          {/* Scale editor */}
+          <div>
+            <label htmlFor="grading-scale-name" className="block text-sm font-semibold text-gray-700 mb-2">
+              Scale Name *
+            </label>
+            <input
+              id="grading-scale-name"
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="e.g., Philippine (1.0-5.0)"
+              className={`${inputClass} mb-4`}
+            />
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-600">
+                  <th className="py-2 pr-2 text-left font-semibold">Min score</th>
+                  <th className="py-2 pr-2 text-left font-semibold">Label</th>
+                  <th className="py-2 pr-2 text-left font-semibold">Grade points</th>
+                  <th className="py-2 pr-2 text-center font-semibold">Passing</th>
+                  <th className="py-2"><span className="sr-only">Remove</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {draft.bands.map((band, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        value={band.min}
+                        onChange={(e) => setBand(index, { min: e.target.value })}
+                        aria-label={`Band ${index + 1} minimum score`}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={band.label}
+                        onChange={(e) => setBand(index, { label: e.target.value })}
+                        aria-label={`Band ${index + 1} label`}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max={MAX_GRADE_POINTS}
+                        step="0.1"
+                        value={band.points}
+                        onChange={(e) => setBand(index, { points: e.target.value })}
+                        placeholder="none"
+                        aria-label={`Band ${index + 1} grade points`}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="py-1 pr-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={band.passed}
+                        onChange={(e) => setBand(index, { passed: e.target.checked })}
+                        aria-label={`Band ${index + 1} is passing`}
+                        className="w-4 h-4 accent-indigo-600"
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <button
+                        onClick={() => handleRemoveBand(index)}
+                        className="text-red-600 hover:text-red-700 transition font-semibold px-2 py-1 rounded hover:bg-red-50"
+                        aria-label={`Remove band ${index + 1}`}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={handleAddBand}
+              className="mt-2 text-indigo-600 hover:text-indigo-700 transition font-semibold px-3 py-1 rounded hover:bg-indigo-50"
+            >
+              ➕ Add Band
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-between gap-3 mt-8">
+          <div>
+            {selectedId && (
+              <button
+                onClick={handleDelete}
+                className="px-6 py-3 rounded-lg text-red-600 hover:bg-red-50 font-semibold transition"
+              >
+                🗑️ Delete Scale
+              </button>
+            )}
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleCloseModal}
+              className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+            >
+              {selectedId ? "Save Scale" : "Add Scale"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GradingScalesModal;
@@ -0,0 +1,277 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { enrollmentRepository, gradeRepository, sectionRepository, studentRepository, subjectRepository, termRepository } from "../lib/data";
+import { IMPORT_FIELDS, buildImportPreview, commitImport, guessMapping, readSpreadsheet } from "../lib/importer";
+import { useRecords } from "../lib/useRecords";
+
+const NOUNS = {
+  students: ['student', 'students'],
+  subjects: ['subject', 'subjects'],
+  grades: ['grade', 'grades'],
+};
+
+const STATUS_STYLES = {
+  valid: { row: '', badge: 'bg-green-100 text-green-700', label: '✅ Ready' },
+  invalid: { row: 'bg-red-50', badge: 'bg-red-100 text-red-700', label: '❌ Error' },
+  duplicate: { row: 'bg-yellow-50', badge: 'bg-yellow-100 text-yellow-800', label: '⚠️ Duplicate' },
+};
+
+const STEPS = ['Upload', 'Map Columns', 'Preview'];
+
+// ----------------------------------------------------
+// --- IMPORT WIZARD (Upload, map columns, preview and import) ---
+// ----------------------------------------------------
+const ImportWizard = ({ kind, defaultTermId, handleCloseModal }) => {
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const grades = useRecords(gradeRepository);
+  const terms = useRecords(termRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+
+  const fields = IMPORT_FIELDS[kind];
+  const [singular, plural] = NOUNS[kind];
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState("");
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [importing, setImporting] = useState(false);
+
+  const preview = useMemo(
+    () => (step === 2
+      ? buildImportPreview(kind, sheet.rows, mapping, { students, subjects, grades, terms, sections, enrollments }, defaultTermId)
+      : []),
+    [step, kind, sheet, mapping, students, subjects, grades, terms, sections, enrollments, defaultTermId]
+  );
+  const counts = useMemo(() => ({
+    valid: preview.filter(row => row.status === 'valid').length,
+    invalid: preview.filter(row => row.status === 'invalid').length,
+    duplicate: preview.filter(row => row.status === 'duplicate').length,
+  }), [preview]);
+  const mappedFields = fields.filter(field => mapping[field.key] !== null && mapping[field.key] !== undefined);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    // Lets the same file be picked again after going back
+    e.target.value = "";
+    if (!file) return;
+    readSpreadsheet(file)
+      .then((result) => {
+        setFileName(file.name);
+        setSheet(result);
+        setMapping(guessMapping(result.headers, fields));
+        setStep(1);
+      })
+      .catch((error) => toast.error(`Could not read ${file.name}: ${error.message}`));
+  };
+
+  const handlePreview = () => {
+    const missing = fields.filter(field => field.required && mapping[field.key] === null);
+    if (missing.length > 0) {
+      alert(`Please map a column to: ${missing.map(field => field.label).join(', ')}.`);
+      return;
+    }
+    setStep(2);
+  };
+
+  const handleImport = () => {
+    setImporting(true);
+    commitImport(kind, preview)
+      .then((count) => {
+        toast.success(`${count} ${count === 1 ? singular : plural} imported.`);
+        handleCloseModal();
+      })
+      .catch((error) => {
+        toast.error(`Could not import ${plural}: ${error.message}`);
+        setImporting(false);
+      });
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-5xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="import-modal-title">
+        <h2 id="import-modal-title" className="text-3xl font-bold mb-2 text-gray-800 capitalize">
+          📥 Import {plural}
+        </h2>
+
+        {/* Steps */}
+        <ol className="flex flex-wrap gap-2 mb-6 text-sm">
+          {STEPS.map((label, index) => (
+            <li
+              key={label}
+              aria-current={step === index ? "step" : undefined}
+              className={`px-3 py-1 rounded-full font-semibold ${step === index ? 'bg-indigo-600 text-white' : step > index ? 'bg-indigo-100 text-indigo-700' : 'bg-gray-100 text-gray-500'}`}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 0 && (
+          <div className="space-y-4">
+            <p className="text-gray-600">
+              Upload a CSV or Excel (.xlsx) file whose first row holds the column headers. You can match the columns
+              to {singular} fields in the next step.
+            </p>
+            <p className="text-sm text-gray-600">
+              Fields: {fields.map(field => `${field.label}${field.required ? ' *' : ''}`).join(', ')}
+            </p>
+            {kind === 'grades' && (
+              <p className="text-sm text-gray-600">
+                Students are matched by student ID and subjects by code. Each grade goes to the open term containing
+                its date, or the active term.
+              </p>
+            )}
+            <label className="flex flex-col items-center justify-center gap-2 p-10 border-2 border-dashed border-indigo-300 rounded-xl bg-indigo-50 hover:bg-indigo-100 transition cursor-pointer">
+              <span className="text-5xl">📄</span>
+              <span className="font-semibold text-indigo-700">Choose a .csv or .xlsx file</span>
+              <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} className="sr-only" />
+            </label>
+          </div>
+        )}
+
+        {step === 1 && (
+          <div className="space-y-4">
+            <p className="text-gray-600">
+              <span className="font-semibold">{fileName}</span>: {sheet.rows.length} {sheet.rows.length === 1 ? 'row' : 'rows'}.
+              Pick the column each field comes from.
+            </p>
+            <div className="overflow-x-auto rounded-xl border border-gray-200">
+              <table className="min-w-full bg-white text-sm">
+                <thead>
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Field</th>
+                    <th className="py-3 px-4 text-left font-semibold">Column</th>
+                    <th className="py-3 px-4 text-left font-semibold">First Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fields.map(field => (
+                    <tr key={field.key} className="border-b">
+                      <td className="py-2 px-4 font-semibold text-gray-800">
+                        <label htmlFor={`import-field-${field.key}`}>{field.label}{field.required && ' *'}</label>
+                      </td>
+                      <td className="py-2 px-4">
+                        <select
+                          id={`import-field-${field.key}`}
+                          value={mapping[field.key] ?? ""}
+                          onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value === "" ? null : Number(e.target.value) })}
+                          className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white"
+                        >
+                          <option value="">— Not imported —</option>
+                          {sheet.headers.map((header, index) => (
+                            <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-2 px-4 text-gray-600">
+                        {mapping[field.key] !== null ? sheet.rows[0]?.[mapping[field.key]] : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {step === 2 && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border border-green-200">
+                <div className="text-3xl font-bold text-green-600">{counts.valid}</div>
+                <div className="text-sm text-gray-600">Ready to import</div>
+              </div>
+              <div className="bg-gradient-to-br from-red-50 to-red-100 p-4 rounded-xl border border-red-200">
+                <div className="text-3xl font-bold text-red-600">{counts.invalid}</div>
+                <div className="text-sm text-gray-600">With errors (skipped)</div>
+              </div>
+              <div className="bg-gradient-to-br from-yellow-50 to-yellow-100 p-4 rounded-xl border border-yellow-200">
+                <div className="text-3xl font-bold text-yellow-600">{counts.duplicate}</div>
+                <div className="text-sm text-gray-600">Duplicates (skipped)</div>
+              </div>
+            </div>
+            <div className="overflow-x-auto rounded-xl border border-gray-200 max-h-[45vh]">
+              <table className="min-w-full bg-white text-sm">
+                <thead className="sticky top-0">
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Row</th>
+                    {mappedFields.map(field => (
+                      <th key={field.key} className="py-3 px-4 text-left font-semibold whitespace-nowrap">{field.label}</th>
+                    ))}
+                    <th className="py-3 px-4 text-left font-semibold">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(row => (
+                    <tr key={row.rowNumber} className={`border-b ${STATUS_STYLES[row.status].row}`}>
+                      <td className="py-2 px-4 text-gray-500">{row.rowNumber}</td>
+                      {mappedFields.map(field => (
+                        <td key={field.key} className="py-2 px-4 text-gray-800 whitespace-nowrap">{row.values[field.key]}</td>
+                      ))}
+                      <td className="py-2 px-4">
+                        <span className={`${STATUS_STYLES[row.status].badge} px-2 py-0.5 rounded-full text-xs font-bold whitespace-nowrap`}>
+                          {STATUS_STYLES[row.status].label}
+                        </span>
+                        {row.problem && <span className="block mt-1 text-xs text-gray-700">{row.problem}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                  {preview.length === 0 && (
+                    <tr>
+                      <td colSpan={mappedFields.length + 2} className="py-8 text-center text-gray-500">
+                        The file has no rows below the headers.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-between gap-3 mt-8">
+          <div>
+            {step > 0 && (
+              <button
+                onClick={() => setStep(step - 1)}
+                disabled={importing}
+                className="px-6 py-3 rounded-lg bg-white hover:bg-gray-50 text-gray-800 border-2 border-gray-200 font-semibold transition disabled:opacity-50"
+              >
+                ← Back
+              </button>
+            )}
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleCloseModal}
+              disabled={importing}
+              className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            {step === 1 && (
+              <button
+                onClick={handlePreview}
+                className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+              >
+                Preview →
+              </button>
+            )}
+            {step === 2 && (
+              <button
+                onClick={handleImport}
+                disabled={importing || counts.valid === 0}
+                className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {importing ? "Importing..." : `Import ${counts.valid} ${counts.valid === 1 ? singular : plural}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
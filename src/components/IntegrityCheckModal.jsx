@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { findOrphanedGrades, isRelinkable, repairOrphanedGrades } from "../lib/integrity";
+import { getStudentName, indexById } from "../lib/records";
+
+// ----------------------------------------------------
+// --- INTEGRITY CHECK MODAL (Finds and repairs orphaned grades) ---
+// ----------------------------------------------------
+const IntegrityCheckModal = ({ grades, students, subjects, handleCloseModal }) => {
+  const [repairing, setRepairing] = useState(false);
+
+  const orphans = useMemo(
+    () => findOrphanedGrades({ grades, students, subjects }),
+    [grades, students, subjects]
+  );
+  const studentsById = useMemo(() => indexById(students), [students]);
+  const subjectsById = useMemo(() => indexById(subjects), [subjects]);
+  const relinkableCount = orphans.filter(isRelinkable).length;
+  const unmatchedCount = orphans.length - relinkableCount;
+
+  const handleRepair = async (deleteUnmatched) => {
+    if (deleteUnmatched && !window.confirm(`Delete ${unmatchedCount} grade record(s) that cannot be relinked? This action cannot be undone.`)) {
+      return;
+    }
+    setRepairing(true);
+    try {
+      const { relinked, deleted } = await repairOrphanedGrades(orphans, { deleteUnmatched });
+      toast.success(`Relinked ${relinked} and deleted ${deleted} grade record(s).`);
+    } catch (error) {
+      toast.error(`Repair failed: ${error.message}`);
+    } finally {
+      setRepairing(false);
+    }
+  };
+
+  const describeReference = (missing, match, currentLabel, legacyLabel, matchLabel) => {
+    if (!missing) return <span className="text-gray-700">{currentLabel}</span>;
+    if (match) return <span className="text-green-700">{legacyLabel} → {matchLabel}</span>;
+    return <span className="text-red-600">{legacyLabel || 'Missing'} (no match)</span>;
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-3xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="integrity-modal-title">
+        <h2 id="integrity-modal-title" className="text-3xl font-bold mb-2 text-gray-800">
+          🩺 Data Integrity Check
+        </h2>
+        <p className="text-gray-600 mb-6">
+          Grades whose student or subject no longer exists, or that were never linked to one.
+        </p>
+
+        {orphans.length === 0 ? (
+          <div className="text-center py-8 text-green-700 bg-green-50 border border-green-200 rounded-xl">
+            <div className="text-5xl mb-2">✅</div>
+            <div className="text-lg font-semibold">No orphaned grades found</div>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-4 mb-6">
+              <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border border-green-200">
+                <div className="text-3xl font-bold text-green-600">{relinkableCount}</div>
+                <div className="text-sm text-gray-600">Can be relinked by name/code</div>
+              </div>
+              <div className="bg-gradient-to-br from-red-50 to-red-100 p-4 rounded-xl border border-red-200">
+                <div className="text-3xl font-bold text-red-600">{unmatchedCount}</div>
+                <div className="text-sm text-gray-600">No matching record</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-xl border border-gray-200 mb-6">
+              <table className="min-w-full bg-white text-sm">
+                <thead>
+                  <tr className="bg-gray-100 text-gray-700">
+                    <th className="py-2 px-4 text-left font-semibold">Student</th>
+                    <th className="py-2 px-4 text-left font-semibold">Subject</th>
+                    <th className="py-2 px-4 text-center font-semibold">Score</th>
+                    <th className="py-2 px-4 text-left font-semibold">Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orphans.map(({ grade, missingStudent, missingSubject, studentMatch, subjectMatch }) => (
+                    <tr key={grade.id} className="border-t">
+                      <td className="py-2 px-4">
+                        {describeReference(
+                          missingStudent,
+                          studentMatch,
+                          studentsById.get(grade.studentId) && getStudentName(studentsById.get(grade.studentId)),
+                          grade.studentName,
+                          studentMatch && getStudentName(studentsById.get(studentMatch))
+                        )}
+                      </td>
+                      <td className="py-2 px-4">
+                        {describeReference(
+                          missingSubject,
+                          subjectMatch,
+                          subjectsById.get(grade.subjectId)?.code,
+                          grade.subjectCode,
+                          subjectMatch && subjectsById.get(subjectMatch).code
+                        )}
+                      </td>
+                      <td className="py-2 px-4 text-center">{grade.score}%</td>
+                      <td className="py-2 px-4 text-gray-600">{grade.date}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-3">
+          <button
+            onClick={handleCloseModal}
+            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Close
+          </button>
+          {orphans.length > 0 && (
+            <>
+              <button
+                onClick={() => handleRepair(false)}
+                disabled={repairing || relinkableCount === 0}
+                className="px-6 py-3 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition shadow-lg disabled:bg-gray-300 disabled:text-gray-500 disabled:shadow-none"
+              >
+                Relink {relinkableCount}
+              </button>
+              <button
+                onClick={() => handleRepair(true)}
+                disabled={repairing || unmatchedCount === 0}
+                className="px-6 py-3 rounded-lg bg-red-600 hover:bg-red-700 text-white font-semibold transition shadow-lg disabled:bg-gray-300 disabled:text-gray-500 disabled:shadow-none"
+              >
+                Relink & delete {unmatchedCount} unmatched
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IntegrityCheckModal;
@@ -0,0 +1,23 @@
+import React from "react";
+import ReactMarkdown from "react-markdown";
+
+// Tailwind has no default styles for generated HTML, so style each element here.
+const COMPONENTS = {
+  h1: ({ children }) => <h3 className="text-2xl font-bold text-gray-800 mt-4 mb-2">{children}</h3>,
+  h2: ({ children }) => <h4 className="text-xl font-bold text-gray-800 mt-4 mb-2">{children}</h4>,
+  h3: ({ children }) => <h5 className="text-lg font-semibold text-gray-800 mt-3 mb-1">{children}</h5>,
+  p: ({ children }) => <p className="text-gray-700 my-2">{children}</p>,
+  ul: ({ children }) => <ul className="list-disc pl-6 space-y-1 text-gray-700 my-2">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-6 space-y-1 text-gray-700 my-2">{children}</ol>,
+  strong: ({ children }) => <strong className="font-semibold text-gray-900">{children}</strong>,
+  code: ({ children }) => <code className="bg-gray-100 text-pink-600 px-1 rounded">{children}</code>,
+};
+
+// ----------------------------------------------------
+// --- MARKDOWN COMPONENT (Renders AI output) ---
+// ----------------------------------------------------
+const Markdown = ({ children }) => (
+  <ReactMarkdown components={COMPONENTS}>{children}</ReactMarkdown>
+);
+
+export default Markdown;
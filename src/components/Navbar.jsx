@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { Link, NavLink } from "react-router";
+import toast from "react-hot-toast";
+import { AUTH_ENABLED, signOut, useAuth } from "../lib/auth";
+import { canManageRecords, ROLE_LABELS, STAFF_ROLES } from "../lib/permissions";
+import { ACTIVE_TERM, ALL_TERMS, getTermLabel, isTermClosed } from "../lib/terms";
+import { setTermFilter, useSelectedTerm } from "../lib/useTermFilter";
+import BackupModal from "./BackupModal";
+import TermsModal from "./TermsModal";
+
+// Items without roles are shown to everyone
+const NAV_ITEMS = [
+  { name: 'Home', to: '/' },
+  { name: 'Students', to: '/students', roles: STAFF_ROLES },
+  { name: 'Subjects', to: '/subjects', roles: STAFF_ROLES },
+  { name: 'Sections', to: '/sections', roles: STAFF_ROLES },
+  { name: 'Grades', to: '/grades' },
+  { name: 'At Risk', to: '/at-risk', roles: STAFF_ROLES },
+  { name: 'Analytics', to: '/analytics', roles: STAFF_ROLES },
+  { name: 'My Portal', to: '/me', roles: ['student'] },
+  { name: 'Audit', to: '/audit', roles: ['admin'] },
+];
+
+// ----------------------------------------------------
+// --- NAVBAR COMPONENT (Shared by all management pages) ---
+// ----------------------------------------------------
+const Navbar = () => {
+  const { terms, selectedTerm, termFilter } = useSelectedTerm();
+  const [showTermsModal, setShowTermsModal] = useState(false);
+  const [showBackupModal, setShowBackupModal] = useState(false);
+  const { user } = useAuth();
+  const canManage = canManageRecords(user);
+
+  const handleSignOut = () => {
+    signOut().catch((error) => toast.error(`Could not sign out: ${error.message}`));
+  };
+
+  return (
+    <>
+      <nav className="bg-white/80 backdrop-blur-sm sticky top-0 z-50 border-b border-gray-200 shadow-md" aria-label="Main navigation">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <Link to="/" className="font-bold text-2xl text-indigo-600 hover:text-pink-600 transition-colors">
+              Grading System
+            </Link>
+            <div className="flex items-center space-x-4 sm:space-x-8">
+              {NAV_ITEMS.filter(item => !item.roles || item.roles.includes(user?.role)).map(item => (
+                <NavLink
+                  key={item.to}
+                  to={item.to}
+                  end
+                  className={({ isActive }) => `
+                    transition-colors duration-200 font-medium pb-1 border-b-2
+                    ${isActive
+                      ? 'text-pink-600 border-pink-600 font-bold'
+                      : 'text-gray-700 border-transparent hover:text-indigo-600 hover:border-indigo-600'
+                    }
+                  `}
+                >
+                  {item.name}
+                </NavLink>
+              ))}
+              {/* Term switcher: filters the management pages */}
+              <div className="flex items-center gap-1">
+                <select
+                  value={termFilter}
+                  onChange={(e) => setTermFilter(e.target.value)}
+                  aria-label="Term"
+                  title={selectedTerm ? `Showing ${getTermLabel(selectedTerm)}` : 'Showing all terms'}
+                  className="max-w-[12rem] px-2 py-1 border-2 border-gray-200 rounded-lg text-sm font-medium text-gray-700 bg-white focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+                >
+                  <option value={ACTIVE_TERM}>
+                    {termFilter === ACTIVE_TERM && selectedTerm ? `${getTermLabel(selectedTerm)} (active)` : 'Active term'}
+                  </option>
+                  {terms.map(term => (
+                    <option key={term.id} value={term.id}>
+                      {isTermClosed(term) ? '🔒 ' : ''}{getTermLabel(term)}
+                    </option>
+                  ))}
+                  <option value={ALL_TERMS}>All terms</option>
+                </select>
+                {canManage && (
+                  <>
+                    <button
+                      onClick={() => setShowTermsModal(true)}
+                      className="px-2 py-1 rounded-lg text-gray-700 hover:text-indigo-600 hover:bg-indigo-50 transition"
+                      aria-label="Manage terms"
+                      title="Manage terms"
+                    >
+                      📅
+                    </button>
+                    <button
+                      onClick={() => setShowBackupModal(true)}
+                      className="px-2 py-1 rounded-lg text-gray-700 hover:text-indigo-600 hover:bg-indigo-50 transition"
+                      aria-label="Backup and restore"
+                      title="Backup and restore"
+                    >
+                      💾
+                    </button>
+                  </>
+                )}
+              </div>
+              {/* Signed-in user */}
+              {AUTH_ENABLED && user && (
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="font-medium text-gray-700">{user.fullName}</span>
+                  <span className="bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full text-xs font-bold">
+                    {ROLE_LABELS[user.role]}
+                  </span>
+                  <button
+                    onClick={handleSignOut}
+                    className="px-2 py-1 rounded-lg text-gray-700 hover:text-red-600 hover:bg-red-50 font-medium transition"
+                  >
+                    Sign out
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      {showTermsModal && <TermsModal handleCloseModal={() => setShowTermsModal(false)} />}
+      {showBackupModal && <BackupModal handleCloseModal={() => setShowBackupModal(false)} />}
+    </>
+  );
+};
+
+export default Navbar;
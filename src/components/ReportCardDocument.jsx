@@ -0,0 +1,117 @@
+import React from "react";
+import { Document, Page, StyleSheet, Text, View } from "@react-pdf/renderer";
+import { formatAttendanceRate } from "../lib/attendance";
+import { formatGpa } from "../lib/gpa";
+import { getStudentName } from "../lib/records";
+
+const styles = StyleSheet.create({
+  page: { padding: 40, fontSize: 10, fontFamily: "Helvetica", color: "#1f2937" },
+  header: { textAlign: "center", marginBottom: 16 },
+  school: { fontSize: 16, fontFamily: "Helvetica-Bold", color: "#4338ca" },
+  title: { fontSize: 12, marginTop: 4, letterSpacing: 2 },
+  term: { marginTop: 4, color: "#4b5563" },
+  info: { flexDirection: "row", flexWrap: "wrap", borderWidth: 1, borderColor: "#c7d2fe", padding: 8, marginBottom: 16 },
+  infoItem: { width: "50%", marginBottom: 4 },
+  label: { fontFamily: "Helvetica-Bold" },
+  table: { borderWidth: 1, borderColor: "#c7d2fe" },
+  headRow: { flexDirection: "row", backgroundColor: "#4f46e5", color: "#ffffff", fontFamily: "Helvetica-Bold" },
+  row: { flexDirection: "row", borderTopWidth: 1, borderTopColor: "#e5e7eb" },
+  totalRow: { flexDirection: "row", borderTopWidth: 1, borderTopColor: "#c7d2fe", backgroundColor: "#eef2ff", fontFamily: "Helvetica-Bold" },
+  cell: { padding: 6 },
+  code: { width: "18%" },
+  name: { width: "30%" },
+  number: { width: "13%", textAlign: "center" },
+  empty: { padding: 12, textAlign: "center", color: "#6b7280" },
+  signatures: { flexDirection: "row", justifyContent: "space-between", marginTop: 60 },
+  signature: { width: "40%", borderTopWidth: 1, borderTopColor: "#1f2937", paddingTop: 4, textAlign: "center" },
+  footer: { position: "absolute", bottom: 24, left: 40, right: 40, textAlign: "center", fontSize: 8, color: "#9ca3af" },
+});
+
+// ----------------------------------------------------
+// --- REPORT CARD PAGE (One student) ---
+// ----------------------------------------------------
+const ReportCardPage = ({ card, termInfo }) => {
+  const { student, rows, totalCredits, gpa } = card;
+
+  return (
+    <Page size="A4" style={styles.page}>
+      <View style={styles.header}>
+        <Text style={styles.school}>Student Management System</Text>
+        <Text style={styles.title}>REPORT CARD</Text>
+        <Text style={styles.term}>
+          {termInfo.term} · School Year {termInfo.schoolYear}
+        </Text>
+      </View>
+
+      <View style={styles.info}>
+        <Text style={styles.infoItem}>
+          <Text style={styles.label}>Name: </Text>{getStudentName(student)}
+        </Text>
+        <Text style={styles.infoItem}>
+          <Text style={styles.label}>Student ID: </Text>{student.studentId}
+        </Text>
+        <Text style={styles.infoItem}>
+          <Text style={styles.label}>Major: </Text>{student.major}
+        </Text>
+        <Text style={styles.infoItem}>
+          <Text style={styles.label}>Issued: </Text>{termInfo.issuedOn}
+        </Text>
+      </View>
+
+      <View style={styles.table}>
+        <View style={styles.headRow}>
+          <Text style={[styles.cell, styles.code]}>Code</Text>
+          <Text style={[styles.cell, styles.name]}>Subject</Text>
+          <Text style={[styles.cell, styles.number]}>Credits</Text>
+          <Text style={[styles.cell, styles.number]}>Score</Text>
+          <Text style={[styles.cell, styles.number]}>Grade</Text>
+          <Text style={[styles.cell, styles.number]}>Attendance</Text>
+        </View>
+        {rows.length > 0 ? (
+          rows.map(row => (
+            <View key={row.code} style={styles.row} wrap={false}>
+              <Text style={[styles.cell, styles.code]}>{row.code}</Text>
+              <Text style={[styles.cell, styles.name]}>{row.name}</Text>
+              <Text style={[styles.cell, styles.number]}>{row.credits}</Text>
+              <Text style={[styles.cell, styles.number]}>{row.score.toFixed(1)}%</Text>
+              <Text style={[styles.cell, styles.number]}>{row.letter}</Text>
+              <Text style={[styles.cell, styles.number]}>{formatAttendanceRate(row.attendance)}</Text>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.empty}>No grades recorded.</Text>
+        )}
+        <View style={styles.totalRow}>
+          <Text style={[styles.cell, styles.code]}></Text>
+          <Text style={[styles.cell, styles.name]}>Total credits / GPA</Text>
+          <Text style={[styles.cell, styles.number]}>{totalCredits}</Text>
+          <Text style={[styles.cell, styles.number]}></Text>
+          <Text style={[styles.cell, styles.number]}>{formatGpa(gpa)}</Text>
+          <Text style={[styles.cell, styles.number]}></Text>
+        </View>
+      </View>
+
+      <View style={styles.signatures} wrap={false}>
+        <Text style={styles.signature}>Class Adviser</Text>
+        <Text style={styles.signature}>Registrar</Text>
+      </View>
+
+      <Text style={styles.footer} fixed>
+        GPA is credit-weighted on a 4.0 scale; pass/fail subjects do not count towards it. Attendance is the share of class sessions attended. This report card is not valid without signatures.
+      </Text>
+    </Page>
+  );
+};
+
+// ----------------------------------------------------
+// --- REPORT CARD DOCUMENT (One page per student) ---
+// ----------------------------------------------------
+const ReportCardDocument = ({ cards, termInfo }) => (
+  <Document title={`Report Cards - ${termInfo.term} ${termInfo.schoolYear}`}>
+    {cards.map(card => (
+      <ReportCardPage key={card.student.id} card={card} termInfo={termInfo} />
+    ))}
+  </Document>
+);
+
+export default ReportCardDocument;
@@ -0,0 +1,217 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { attendanceRecordRepository, attendanceSessionRepository, gradeRepository, gradingScaleRepository, sectionRepository, subjectRepository } from "../lib/data";
+import { buildReportCards, downloadReportCards } from "../lib/reportCards";
+import { getStudentName, isArchived } from "../lib/records";
+import { ALL_TERMS, getTermLabel, resolveGradeTerm, suggestTermForDate } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { useSelectedTerm } from "../lib/useTermFilter";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition";
+
+const toFileName = (label) =>
+  `report-cards-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.pdf`;
+
+// ----------------------------------------------------
+// --- REPORT CARD MODAL (PDF for one student or a whole major) ---
+// ----------------------------------------------------
+const ReportCardModal = ({ students, initialStudentId = null, handleCloseModal }) => {
+  const grades = useRecords(gradeRepository);
+  const subjects = useRecords(subjectRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const sessions = useRecords(attendanceSessionRepository);
+  const attendanceRecords = useRecords(attendanceRecordRepository);
+  const { terms, selectedTerm } = useSelectedTerm();
+  // Batches skip archived students; a single card can still be printed for one
+  const currentStudents = useMemo(() => students.filter(s => !isArchived(s)), [students]);
+  const majors = useMemo(() => [...new Set(currentStudents.map(s => s.major))].sort(), [currentStudents]);
+
+  const [scope, setScope] = useState(initialStudentId ? 'student' : 'major');
+  const [studentId, setStudentId] = useState(initialStudentId ?? students[0]?.id ?? '');
+  const [major, setMajor] = useState(majors[0] ?? '');
+  // Cards cover the term picked in the navbar, or every term when none is
+  const [termId, setTermId] = useState(selectedTerm?.id ?? ALL_TERMS);
+  const [termInfo, setTermInfo] = useState(() => {
+    const issuedOn = new Date().toISOString().split('T')[0];
+    const { name, schoolYear } = selectedTerm ?? suggestTermForDate(issuedOn);
+    return { term: name, schoolYear, issuedOn };
+  });
+  const [generating, setGenerating] = useState(false);
+
+  const selected = scope === 'student'
+    ? students.filter(s => s.id === studentId)
+    : currentStudents.filter(s => s.major === major);
+
+  const handleTermChange = (value) => {
+    setTermId(value);
+    const term = terms.find(t => t.id === value);
+    if (term) setTermInfo({ ...termInfo, term: term.name, schoolYear: term.schoolYear });
+  };
+
+  const handleDownload = async () => {
+    if (selected.length === 0) {
+      toast.error("No students to print.");
+      return;
+    }
+    if (!termInfo.term.trim() || !termInfo.schoolYear.trim()) {
+      toast.error("Please enter the term and school year.");
+      return;
+    }
+    const label = scope === 'student' ? selected[0].studentId : major;
+    setGenerating(true);
+    try {
+      const termGrades = termId === ALL_TERMS
+        ? grades
+        : grades.filter(grade => resolveGradeTerm(grade, terms)?.id === termId);
+      const attendance = {
+        sections: termId === ALL_TERMS ? sections : sections.filter(section => section.termId === termId),
+        sessions,
+        records: attendanceRecords,
+      };
+      const cards = buildReportCards(selected, { grades: termGrades, subjects, gradingScales, terms, attendance });
+      await downloadReportCards(cards, termInfo, toFileName(label));
+      toast.success(`${selected.length} report ${selected.length === 1 ? 'card' : 'cards'} generated!`);
+      handleCloseModal();
+    } catch (err) {
+      toast.error(`Could not generate the PDF: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-lg transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="report-card-modal-title">
+        <h2 id="report-card-modal-title" className="text-3xl font-bold mb-6 text-gray-800">
+          📄 Report Cards
+        </h2>
+
+        <div className="space-y-4">
+          <fieldset>
+            <legend className="block text-sm font-semibold text-gray-700 mb-2">Print for</legend>
+            <div className="flex gap-3">
+              {[
+                { value: 'student', label: 'One student' },
+                { value: 'major', label: 'A whole major' },
+              ].map(option => (
+                <label key={option.value} className={`flex-1 flex gap-2 p-3 rounded-lg border-2 cursor-pointer transition ${scope === option.value ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:border-indigo-300'}`}>
+                  <input
+                    type="radio"
+                    name="report-card-scope"
+                    value={option.value}
+                    checked={scope === option.value}
+                    onChange={() => setScope(option.value)}
+                  />
+                  <span className="font-semibold text-gray-800">{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {scope === 'student' ? (
+            <div>
+              <label htmlFor="report-card-student" className="block text-sm font-semibold text-gray-700 mb-2">Student</label>
+              <select
+                id="report-card-student"
+                value={studentId}
+                onChange={(e) => setStudentId(e.target.value)}
+                className={`${inputClass} bg-white`}
+              >
+                {students.map(s => (
+                  <option key={s.id} value={s.id}>{getStudentName(s)} ({s.studentId})</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="report-card-major" className="block text-sm font-semibold text-gray-700 mb-2">Major</label>
+              <select
+                id="report-card-major"
+                value={major}
+                onChange={(e) => setMajor(e.target.value)}
+                className={`${inputClass} bg-white`}
+              >
+                {majors.map(m => (
+                  <option key={m} value={m}>{m}</option>
+                ))}
+              </select>
+              <p className="text-sm text-gray-500 mt-1">
+                {selected.length} {selected.length === 1 ? 'student' : 'students'}, one page each.
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="report-card-grades-term" className="block text-sm font-semibold text-gray-700 mb-2">Grades From</label>
+            <select
+              id="report-card-grades-term"
+              value={termId}
+              onChange={(e) => handleTermChange(e.target.value)}
+              className={`${inputClass} bg-white`}
+            >
+              {terms.map(t => (
+                <option key={t.id} value={t.id}>{getTermLabel(t)}</option>
+              ))}
+              <option value={ALL_TERMS}>All terms</option>
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="report-card-term" className="block text-sm font-semibold text-gray-700 mb-2">Term *</label>
+              <input
+                id="report-card-term"
+                type="text"
+                value={termInfo.term}
+                onChange={(e) => setTermInfo({ ...termInfo, term: e.target.value })}
+                placeholder="e.g., First Semester"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="report-card-school-year" className="block text-sm font-semibold text-gray-700 mb-2">School Year *</label>
+              <input
+                id="report-card-school-year"
+                type="text"
+                value={termInfo.schoolYear}
+                onChange={(e) => setTermInfo({ ...termInfo, schoolYear: e.target.value })}
+                placeholder="e.g., 2026-2027"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="report-card-issued" className="block text-sm font-semibold text-gray-700 mb-2">Date Issued</label>
+            <input
+              id="report-card-issued"
+              type="date"
+              value={termInfo.issuedOn}
+              onChange={(e) => setTermInfo({ ...termInfo, issuedOn: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-8">
+          <button
+            onClick={handleCloseModal}
+            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={generating}
+            className="px-6 py-3 rounded-lg bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:from-gray-300 disabled:to-gray-300 disabled:text-gray-500 disabled:shadow-none"
+          >
+            {generating ? "Generating..." : "Download PDF"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportCardModal;
@@ -0,0 +1,46 @@
+import React from "react";
+import { Link, Navigate, useLocation } from "react-router";
+import { useAuth } from "../lib/auth";
+import { HOME_PATHS, ROLE_LABELS } from "../lib/permissions";
+
+// ----------------------------------------------------
+// --- ROUTE GUARD (Signed-in users with an allowed role) ---
+// ----------------------------------------------------
+const RequireRole = ({ roles, children }) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="min-h-[calc(100vh-64px)] flex items-center justify-center text-gray-500" role="status">
+        Checking your sign-in...
+      </div>
+    );
+  }
+  if (!user) {
+    // The login page sends the user back here afterwards
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  if (!roles.includes(user.role)) {
+    return (
+      <div className="min-h-[calc(100vh-64px)] flex items-center justify-center p-4">
+        <div className="bg-white p-8 rounded-2xl shadow-xl text-center max-w-md">
+          <div className="text-6xl mb-4">🚫</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Not available</h1>
+          <p className="text-gray-600 mb-6">
+            This page is not open to {ROLE_LABELS[user.role]?.toLowerCase() ?? 'your'} accounts.
+          </p>
+          <Link
+            to={HOME_PATHS[user.role] ?? "/"}
+            className="inline-block px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition"
+          >
+            Go to my page
+          </Link>
+        </div>
+      </div>
+    );
+  }
+  return children;
+};
+
+export default RequireRole;
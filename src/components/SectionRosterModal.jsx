@@ -0,0 +1,290 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { enrollmentRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentRepository, subjectRepository, termRepository } from "../lib/data";
+import { computeFinalGrade } from "../lib/assessments";
+import { enrollStudents, getEnrolledStudentIds, getSectionLabel } from "../lib/enrollment";
+import { getLetterGrade, indexScalesBySubject } from "../lib/grading";
+import { getStudentName, isArchived } from "../lib/records";
+import { getTermLabel, isTermClosed, resolveGradeTerm } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white";
+
+const byName = (a, b) => getStudentName(a).localeCompare(getStudentName(b));
+
+// ----------------------------------------------------
+// --- SECTION ROSTER MODAL (Enrolled students and enrollment) ---
+// ----------------------------------------------------
+const SectionRosterModal = ({
+  section,
+  locked,
+  lockReason = "🔒 This term is closed, so its rosters can no longer change.",
+  handleCloseModal
+}) => {
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const grades = useRecords(gradeRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const terms = useRecords(termRepository);
+
+  const subject = subjects.find(s => s.id === section.subjectId);
+  const term = terms.find(t => t.id === section.termId);
+  const scale = useMemo(
+    () => indexScalesBySubject(subjects, gradingScales).get(section.subjectId),
+    [subjects, gradingScales, section.subjectId]
+  );
+
+  const roster = useMemo(() => {
+    const studentsById = new Map(students.map(s => [s.id, s]));
+    return enrollments
+      .filter(enrollment => enrollment.sectionId === section.id && studentsById.has(enrollment.studentId))
+      .map(enrollment => {
+        const studentGrades = grades.filter(grade =>
+          grade.studentId === enrollment.studentId &&
+          grade.subjectId === section.subjectId &&
+          resolveGradeTerm(grade, terms)?.id === section.termId
+        );
+        return {
+          enrollment,
+          student: studentsById.get(enrollment.studentId),
+          finalGrade: computeFinalGrade(studentGrades, subject, { closed: isTermClosed(term) }),
+        };
+      })
+      .sort((a, b) => byName(a.student, b.student));
+  }, [students, enrollments, grades, terms, section, subject, term]);
+
+  // Students not yet in any section of this subject this term
+  const eligible = useMemo(() => {
+    const taken = getEnrolledStudentIds(section.subjectId, section.termId, { sections, enrollments });
+    return students.filter(s => !isArchived(s) && !taken.has(s.id)).sort(byName);
+  }, [students, sections, enrollments, section]);
+  const majors = useMemo(() => [...new Set(eligible.map(s => s.major))].sort(), [eligible]);
+
+  const [studentId, setStudentId] = useState("");
+  const [showBulk, setShowBulk] = useState(false);
+  const [majorFilter, setMajorFilter] = useState("all");
+  const [checkedIds, setCheckedIds] = useState(new Set());
+
+  const bulkCandidates = eligible.filter(s => majorFilter === "all" || s.major === majorFilter);
+  const checkedCount = bulkCandidates.filter(s => checkedIds.has(s.id)).length;
+  const allChecked = bulkCandidates.length > 0 && checkedCount === bulkCandidates.length;
+
+  const toggleChecked = (id) => {
+    const next = new Set(checkedIds);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setCheckedIds(next);
+  };
+
+  const toggleAll = () => {
+    const next = new Set(checkedIds);
+    bulkCandidates.forEach(s => (allChecked ? next.delete(s.id) : next.add(s.id)));
+    setCheckedIds(next);
+  };
+
+  const handleEnroll = (ids) => {
+    enrollStudents(section, ids)
+      .then(({ enrolled, skipped }) => {
+        toast.success(`${enrolled} ${enrolled === 1 ? 'student' : 'students'} enrolled.`);
+        if (skipped > 0) toast.error(`${skipped} already enrolled in ${subject?.code ?? 'this subject'} this term.`);
+      })
+      .catch((error) => toast.error(`Could not enroll students: ${error.message}`));
+  };
+
+  const handleEnrollOne = () => {
+    if (!studentId) {
+      alert("Please select a student to enroll.");
+      return;
+    }
+    handleEnroll([studentId]);
+    setStudentId("");
+  };
+
+  const handleEnrollChecked = () => {
+    // Only students still listed; the major filter may hide some checked ones
+    const ids = bulkCandidates.filter(s => checkedIds.has(s.id)).map(s => s.id);
+    if (checkedCount === 0) {
+      alert("Please check the students to enroll.");
+      return;
+    }
+    handleEnroll(ids);
+    setCheckedIds(new Set());
+  };
+
+  const handleUnenroll = ({ enrollment, student }) => {
+    if (!window.confirm(`Remove ${getStudentName(student)} from ${getSectionLabel(section, subject)}? Their grades are kept.`)) return;
+    enrollmentRepository.remove(enrollment.id)
+      .catch((error) => toast.error(`Could not remove enrollment: ${error.message}`));
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-4xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="roster-modal-title">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div>
+            <h2 id="roster-modal-title" className="text-3xl font-bold text-gray-800">
+              👥 {getSectionLabel(section, subject)} Roster
+            </h2>
+            <p className="text-gray-600">
+              {subject?.name ?? 'Unknown subject'} · {term ? getTermLabel(term) : 'No term'}
+              {" · "}{section.schedule}{section.room && ` · ${section.room}`} · {section.instructor}
+            </p>
+          </div>
+          <button
+            onClick={handleCloseModal}
+            className="px-4 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Close
+          </button>
+        </div>
+
+        {/* Enrollment */}
+        {locked ? (
+          <p className="mb-6 p-4 rounded-xl border border-gray-200 bg-gray-50 text-gray-600">
+            {lockReason}
+          </p>
+        ) : (
+          <div className="mb-6 p-4 rounded-xl border border-indigo-100 bg-indigo-50">
+            <div className="flex flex-col md:flex-row gap-3">
+              <select
+                value={studentId}
+                onChange={(e) => setStudentId(e.target.value)}
+                aria-label="Student to enroll"
+                className={inputClass}
+              >
+                <option value="">
+                  {eligible.length > 0 ? 'Select a student to enroll' : 'Every student is already enrolled'}
+                </option>
+                {eligible.map(s => (
+                  <option key={s.id} value={s.id}>{getStudentName(s)} ({s.studentId}) · {s.major}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleEnrollOne}
+                className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl whitespace-nowrap"
+              >
+                ➕ Enroll
+              </button>
+              <button
+                onClick={() => setShowBulk(!showBulk)}
+                aria-expanded={showBulk}
+                className="px-6 py-3 rounded-lg bg-white hover:bg-indigo-50 text-indigo-700 border-2 border-indigo-200 font-semibold transition whitespace-nowrap"
+              >
+                📋 Bulk Enroll
+              </button>
+            </div>
+
+            {showBulk && (
+              <div className="mt-4">
+                <div className="flex flex-col sm:flex-row justify-between gap-3 mb-2">
+                  <label className="flex items-center gap-2 font-medium text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={allChecked}
+                      onChange={toggleAll}
+                      className="w-4 h-4 accent-indigo-600"
+                    />
+                    Select all ({bulkCandidates.length})
+                  </label>
+                  <select
+                    value={majorFilter}
+                    onChange={(e) => setMajorFilter(e.target.value)}
+                    aria-label="Filter by major"
+                    className="px-3 py-2 border-2 border-gray-200 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+                  >
+                    <option value="all">All Majors</option>
+                    {majors.map(m => <option key={m} value={m}>{m}</option>)}
+                  </select>
+                </div>
+                <div className="max-h-60 overflow-y-auto rounded-lg border border-gray-200 bg-white divide-y">
+                  {bulkCandidates.map(s => (
+                    <label key={s.id} className="flex items-center gap-3 px-4 py-2 hover:bg-indigo-50 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={checkedIds.has(s.id)}
+                        onChange={() => toggleChecked(s.id)}
+                        className="w-4 h-4 accent-indigo-600"
+                      />
+                      <span className="font-semibold text-gray-800">{getStudentName(s)}</span>
+                      <span className="text-sm text-gray-500">{s.studentId} · {s.major}</span>
+                    </label>
+                  ))}
+                  {bulkCandidates.length === 0 && (
+                    <p className="px-4 py-3 text-gray-500">No students left to enroll.</p>
+                  )}
+                </div>
+                <div className="flex justify-end mt-3">
+                  <button
+                    onClick={handleEnrollChecked}
+                    className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+                  >
+                    Enroll {checkedCount} {checkedCount === 1 ? 'Student' : 'Students'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Roster */}
+        <div className="overflow-x-auto rounded-xl border border-gray-200">
+          <table className="min-w-full bg-white text-sm">
+            <thead>
+              <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                <th className="py-3 px-4 text-left font-semibold">Student ID</th>
+                <th className="py-3 px-4 text-left font-semibold">Name</th>
+                <th className="py-3 px-4 text-left font-semibold">Major</th>
+                <th className="py-3 px-4 text-left font-semibold">Enrolled</th>
+                <th className="py-3 px-4 text-center font-semibold">Final Grade</th>
+                {!locked && <th className="py-3 px-4"><span className="sr-only">Remove</span></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {roster.map(entry => (
+                <tr key={entry.enrollment.id} className="border-b">
+                  <td className="py-3 px-4 font-semibold text-gray-800 whitespace-nowrap">{entry.student.studentId}</td>
+                  <td className="py-3 px-4 text-gray-800 whitespace-nowrap">{getStudentName(entry.student)}</td>
+                  <td className="py-3 px-4 text-gray-700">{entry.student.major}</td>
+                  <td className="py-3 px-4 text-gray-600 whitespace-nowrap">{entry.enrollment.enrolledOn}</td>
+                  <td className="py-3 px-4 text-center whitespace-nowrap">
+                    {entry.finalGrade.score !== null ? (
+                      <>
+                        <span className="font-bold text-indigo-600">{entry.finalGrade.score.toFixed(1)}%</span>
+                        <span className="ml-2 font-extrabold text-purple-600 bg-purple-100 px-2 py-0.5 rounded-md">
+                          {getLetterGrade(entry.finalGrade.score, scale)}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="text-gray-400">No grades yet</span>
+                    )}
+                  </td>
+                  {!locked && (
+                    <td className="py-3 px-4 text-right">
+                      <button
+                        onClick={() => handleUnenroll(entry)}
+                        className="text-red-600 hover:text-red-700 transition font-semibold px-3 py-1 rounded hover:bg-red-50 whitespace-nowrap"
+                        aria-label={`Remove ${getStudentName(entry.student)}`}
+                      >
+                        ✕ Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+              {roster.length === 0 && (
+                <tr>
+                  <td colSpan={locked ? 5 : 6} className="py-8 text-center text-gray-500">
+                    No students enrolled yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SectionRosterModal;
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { studentProgressAnalyzer } from "../lib/ai";
+import { aiProvider } from "../lib/aiProviders";
+import Markdown from "./Markdown";
+
+const TREND_BADGES = {
+  improving: { label: '📈 Improving', color: 'bg-green-100 text-green-700' },
+  steady: { label: '➡️ Steady', color: 'bg-blue-100 text-blue-700' },
+  declining: { label: '📉 Declining', color: 'bg-red-100 text-red-700' },
+  unknown: { label: '❔ Not enough data', color: 'bg-gray-100 text-gray-700' },
+};
+
+export const TrendBadge = ({ trend }) => {
+  const badge = TREND_BADGES[trend] || TREND_BADGES.unknown;
+  return (
+    <span className={`${badge.color} px-3 py-1 rounded-full text-sm font-bold whitespace-nowrap`}>
+      {badge.label}
+    </span>
+  );
+};
+
+const ReportList = ({ title, items, color }) => (
+  <div className="bg-white p-4 rounded-xl border border-gray-200">
+    <h4 className={`font-bold mb-2 ${color}`}>{title}</h4>
+    {items.length > 0 ? (
+      <ul className="list-disc pl-5 space-y-1 text-gray-700 text-sm">
+        {items.map(item => <li key={item}>{item}</li>)}
+      </ul>
+    ) : (
+      <p className="text-sm text-gray-500">Nothing noted.</p>
+    )}
+  </div>
+);
+
+// ----------------------------------------------------
+// --- STUDENT PROGRESS REPORT (AI narrative for one student) ---
+// ----------------------------------------------------
+const StudentProgressReport = ({ studentId }) => {
+  const [report, setReport] = useState(undefined);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError(null);
+    setReport(undefined);
+    try {
+      setReport(await studentProgressAnalyzer(studentId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="bg-gradient-to-br from-indigo-50 to-purple-50 rounded-xl border border-indigo-100 p-5" aria-labelledby="progress-report-title">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-3">
+        <div>
+          <h3 id="progress-report-title" className="text-xl font-bold text-gray-800">
+            AI Progress Report ✨
+          </h3>
+          <p className="text-sm text-gray-600">Written by {aiProvider.name} from every grade on record.</p>
+        </div>
+        <button
+          onClick={handleGenerate}
+          disabled={loading}
+          className="px-5 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg disabled:bg-gray-300 disabled:text-gray-500 disabled:shadow-none whitespace-nowrap"
+        >
+          {loading ? "Writing..." : report ? "Regenerate" : "Generate Report"}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg border border-red-200 bg-red-50 text-red-700" role="alert">
+          {error}
+        </div>
+      )}
+      {loading && (
+        <div className="p-3 rounded-lg border border-indigo-200 bg-white text-indigo-700 animate-pulse" role="status">
+          {aiProvider.name} is reviewing the grades...
+        </div>
+      )}
+      {report === null && (
+        <div className="p-3 rounded-lg border border-gray-200 bg-white text-gray-600">
+          This student has no grades yet.
+        </div>
+      )}
+      {report && (
+        <div className="space-y-4">
+          <div className="bg-white p-4 rounded-xl border border-gray-200">
+            <div className="mb-2"><TrendBadge trend={report.trend} /></div>
+            <Markdown>{report.narrative}</Markdown>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <ReportList title="💪 Strengths" items={report.strengths} color="text-green-700" />
+            <ReportList title="🧩 Weaknesses" items={report.weaknesses} color="text-red-700" />
+            <ReportList title="🧭 Next Steps" items={report.nextSteps} color="text-indigo-700" />
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default StudentProgressReport;
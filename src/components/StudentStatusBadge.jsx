@@ -0,0 +1,21 @@
+import React from "react";
+
+const STATUS_BADGES = {
+  active: { color: 'bg-green-100 text-green-700', emoji: '✅' },
+  inactive: { color: 'bg-yellow-100 text-yellow-700', emoji: '⏸️' },
+  graduated: { color: 'bg-blue-100 text-blue-700', emoji: '🎓' },
+  suspended: { color: 'bg-red-100 text-red-700', emoji: '⛔' }
+};
+
+const StudentStatusBadge = ({ status }) => {
+  const config = STATUS_BADGES[status] || STATUS_BADGES.active;
+
+  return (
+    <span className={`${config.color} px-3 py-1 rounded-full text-sm font-bold flex items-center gap-1 w-fit`}>
+      <span>{config.emoji}</span>
+      {status.charAt(0).toUpperCase() + status.slice(1)}
+    </span>
+  );
+};
+
+export default StudentStatusBadge;
@@ -0,0 +1,271 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { gradeRepository, sectionRepository, termRepository } from "../lib/data";
+import { generateId } from "../lib/repository";
+import { TERM_NAMES, activateTerm, getActiveTerm, getTermLabel, sortTerms, suggestTermForDate, validateTerm } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:text-gray-500";
+
+const STATUS_BADGES = {
+  active: { color: 'bg-green-100 text-green-700', label: '✅ Active' },
+  open: { color: 'bg-blue-100 text-blue-700', label: 'Open' },
+  closed: { color: 'bg-gray-200 text-gray-700', label: '🔒 Closed' },
+};
+
+// A new term starts where the newest one ends, or at today's term
+const suggestNextTerm = (terms) => {
+  const newest = sortTerms(terms)[0];
+  if (!newest) return suggestTermForDate(new Date().toISOString().split('T')[0]);
+  const dayAfter = new Date(`${newest.endDate}T00:00:00Z`);
+  dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+  return suggestTermForDate(dayAfter.toISOString().split('T')[0]);
+};
+
+const toDraft = ({ name, schoolYear, startDate, endDate }) => ({ name, schoolYear, startDate, endDate });
+
+// ----------------------------------------------------
+// --- TERMS MODAL (Create, activate and close academic terms) ---
+// ----------------------------------------------------
+const TermsModal = ({ handleCloseModal }) => {
+  const records = useRecords(termRepository);
+  const grades = useRecords(gradeRepository);
+  const sections = useRecords(sectionRepository);
+  const terms = useMemo(() => sortTerms(records), [records]);
+
+  // null: creating a new term
+  const [selectedId, setSelectedId] = useState(terms[0]?.id ?? null);
+  const [draft, setDraft] = useState(toDraft(terms[0] ?? suggestNextTerm(terms)));
+  const selected = terms.find(term => term.id === selectedId);
+  const locked = selected?.status === 'closed';
+
+  const gradeCount = (termId) => grades.filter(grade => grade.termId === termId).length;
+
+  const handleSelect = (term) => {
+    setSelectedId(term ? term.id : null);
+    setDraft(toDraft(term ?? suggestNextTerm(terms)));
+  };
+
+  const handleSave = () => {
+    const term = {
+      ...draft,
+      name: draft.name.trim(),
+      schoolYear: draft.schoolYear.trim(),
+    };
+    const problem = validateTerm({ ...term, id: selectedId }, terms);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    if (selectedId) {
+      termRepository.update(selectedId, term)
+        .then(() => toast.success("Term saved!"))
+        .catch((error) => toast.error(`Could not save term: ${error.message}`));
+    } else {
+      // The first term becomes the active one, later ones start open
+      const id = generateId();
+      const status = getActiveTerm(terms) ? 'open' : 'active';
+      termRepository.create({ ...term, id, status, closedAt: null })
+        .then(() => toast.success("Term added!"))
+        .catch((error) => toast.error(`Could not save term: ${error.message}`));
+      setSelectedId(id);
+    }
+    setDraft(term);
+  };
+
+  const handleActivate = () => {
+    activateTerm(selectedId)
+      .then(() => toast.success(`${getTermLabel(selected)} is now the active term.`))
+      .catch((error) => toast.error(`Could not activate term: ${error.message}`));
+  };
+
+  const handleClose = () => {
+    if (!window.confirm(`Close ${getTermLabel(selected)}? Its ${gradeCount(selectedId)} grade record(s) will be locked against edits.`)) return;
+    termRepository.update(selectedId, { status: 'closed', closedAt: new Date().toISOString() })
+      .then(() => toast.success("Term closed. Its grades are locked."))
+      .catch((error) => toast.error(`Could not close term: ${error.message}`));
+  };
+
+  const handleReopen = () => {
+    if (!window.confirm(`Reopen ${getTermLabel(selected)}? Its grades can be edited again.`)) return;
+    termRepository.update(selectedId, { status: 'open', closedAt: null })
+      .then(() => toast.success("Term reopened."))
+      .catch((error) => toast.error(`Could not reopen term: ${error.message}`));
+  };
+
+  const handleDelete = () => {
+    const count = gradeCount(selectedId);
+    if (count > 0) {
+      toast.error(`${count} grade record(s) belong to this term. Close it instead.`);
+      return;
+    }
+    const sectionCount = sections.filter(section => section.termId === selectedId).length;
+    if (sectionCount > 0) {
+      toast.error(`${sectionCount} section(s) run in this term. Delete them first.`);
+      return;
+    }
+    termRepository.remove(selectedId)
+      .catch((error) => toast.error(`Could not delete term: ${error.message}`));
+    handleSelect(terms.find(term => term.id !== selectedId));
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-4xl transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="terms-modal-title">
+        <h2 id="terms-modal-title" className="text-3xl font-bold mb-2 text-gray-800">
+          📅 Academic Terms
+        </h2>
+        <p className="text-gray-600 mb-6">
+          New grades go to the active term. Closing a term locks its grades against edits; reopen it to fix a mistake.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-[16rem_1fr] gap-6">
+          {/* Term list */}
+          <div className="space-y-2">
+            {terms.map(term => (
+              <button
+                key={term.id}
+                onClick={() => handleSelect(term)}
+                className={`w-full text-left p-3 rounded-lg border-2 transition ${selectedId === term.id ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:border-indigo-300'}`}
+              >
+                <span className="block font-semibold text-gray-800">{getTermLabel(term)}</span>
+                <span className="flex items-center gap-2 text-xs text-gray-500 mt-1">
+                  <span className={`${STATUS_BADGES[term.status].color} px-2 py-0.5 rounded-full font-bold`}>
+                    {STATUS_BADGES[term.status].label}
+                  </span>
+                  {gradeCount(term.id)} {gradeCount(term.id) === 1 ? 'grade' : 'grades'}
+                </span>
+              </button>
+            ))}
+            <button
+              onClick={() => handleSelect(null)}
+              className={`w-full text-left p-3 rounded-lg border-2 border-dashed transition ${selectedId === null ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:border-indigo-300'} text-indigo-600 font-semibold`}
+            >
+              ➕ New Term
+            </button>
+          </div>
+
+          {/* Term editor */}
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="term-name" className="block text-sm font-semibold text-gray-700 mb-2">Term *</label>
+                <input
+                  id="term-name"
+                  type="text"
+                  list="term-name-options"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="e.g., First Semester"
+                  disabled={locked}
+                  className={inputClass}
+                />
+                <datalist id="term-name-options">
+                  {TERM_NAMES.map(name => <option key={name} value={name} />)}
+                </datalist>
+              </div>
+              <div>
+                <label htmlFor="term-school-year" className="block text-sm font-semibold text-gray-700 mb-2">School Year *</label>
+                <input
+                  id="term-school-year"
+                  type="text"
+                  value={draft.schoolYear}
+                  onChange={(e) => setDraft({ ...draft, schoolYear: e.target.value })}
+                  placeholder="e.g., 2026-2027"
+                  disabled={locked}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label htmlFor="term-start" className="block text-sm font-semibold text-gray-700 mb-2">Starts *</label>
+                <input
+                  id="term-start"
+                  type="date"
+                  value={draft.startDate}
+                  onChange={(e) => setDraft({ ...draft, startDate: e.target.value })}
+                  disabled={locked}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label htmlFor="term-end" className="block text-sm font-semibold text-gray-700 mb-2">Ends *</label>
+                <input
+                  id="term-end"
+                  type="date"
+                  value={draft.endDate}
+                  onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+                  disabled={locked}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {selected && (
+              <div className="flex flex-wrap gap-3">
+                {selected.status === 'open' && (
+                  <button
+                    onClick={handleActivate}
+                    className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold transition"
+                  >
+                    ✅ Activate
+                  </button>
+                )}
+                {selected.status !== 'closed' ? (
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-800 text-white font-semibold transition"
+                  >
+                    🔒 Close Term
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleReopen}
+                    className="px-4 py-2 rounded-lg bg-white hover:bg-gray-50 text-gray-800 border-2 border-gray-200 font-semibold transition"
+                  >
+                    🔓 Reopen
+                  </button>
+                )}
+              </div>
+            )}
+            {locked && (
+              <p className="text-sm text-gray-500">
+                This term is closed{selected.closedAt && ` since ${new Date(selected.closedAt).toLocaleDateString()}`}. Reopen it to change it.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-between gap-3 mt-8">
+          <div>
+            {selected && (
+              <button
+                onClick={handleDelete}
+                className="px-6 py-3 rounded-lg text-red-600 hover:bg-red-50 font-semibold transition"
+              >
+                🗑️ Delete Term
+              </button>
+            )}
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleCloseModal}
+              className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+            >
+              Close
+            </button>
+            {!locked && (
+              <button
+                onClick={handleSave}
+                className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+              >
+                {selectedId ? "Save Term" : "Add Term"}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TermsModal;
@@ -0,0 +1,82 @@
+import React, { useMemo } from "react";
+import { buildTranscript, formatGpa } from "../lib/gpa";
+import { isTermClosed } from "../lib/terms";
+
+// ----------------------------------------------------
+// --- TRANSCRIPT (Grades and GPA per term for one student) ---
+// ----------------------------------------------------
+const Transcript = ({ student, grades, subjects, gradingScales, terms }) => {
+  const transcript = useMemo(
+    () => buildTranscript(student, { grades, subjects, gradingScales, terms }),
+    [student, grades, subjects, gradingScales, terms]
+  );
+
+  return (
+    <section className="mb-6" aria-labelledby="transcript-title">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-end gap-2 mb-3">
+        <h3 id="transcript-title" className="text-xl font-bold text-gray-800">🎓 Transcript</h3>
+        <p className="text-gray-700">
+          Cumulative GPA{" "}
+          <span className="text-2xl font-bold text-indigo-600">{formatGpa(transcript.cumulativeGpa)}</span>
+          <span className="text-sm text-gray-500"> · {transcript.totalCredits} credits</span>
+        </p>
+      </div>
+
+      {transcript.terms.length === 0 ? (
+        <p className="p-4 rounded-xl border border-gray-200 text-center text-gray-500">
+          No graded subjects yet.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {transcript.terms.map(({ period, rows, credits, gpa, cumulativeGpa }) => (
+            <div key={period.id} className="rounded-xl border border-gray-200 overflow-hidden">
+              <div className="flex flex-wrap justify-between gap-2 px-4 py-2 bg-indigo-50 border-b border-indigo-100">
+                <span className="font-semibold text-gray-800">
+                  {period.name} · {period.schoolYear}
+                  {isTermClosed(period) && <span className="ml-2 text-xs text-gray-500" title="Closed terms lock their grades.">🔒 Closed</span>}
+                </span>
+                <span className="text-sm text-gray-700">
+                  Term GPA <span className="font-bold text-indigo-600">{formatGpa(gpa)}</span>
+                  {" · "}Cumulative <span className="font-bold text-purple-600">{formatGpa(cumulativeGpa)}</span>
+                </span>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full bg-white text-sm">
+                  <thead>
+                    <tr className="text-gray-600">
+                      <th className="py-2 px-4 text-left font-semibold">Code</th>
+                      <th className="py-2 px-4 text-left font-semibold">Subject</th>
+                      <th className="py-2 px-4 text-center font-semibold">Credits</th>
+                      <th className="py-2 px-4 text-center font-semibold">Score</th>
+                      <th className="py-2 px-4 text-center font-semibold">Grade</th>
+                      <th className="py-2 px-4 text-center font-semibold">Points</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.code} className="border-t">
+                        <td className="py-2 px-4 font-semibold text-gray-800 whitespace-nowrap">{row.code}</td>
+                        <td className="py-2 px-4 text-gray-700">{row.name}</td>
+                        <td className="py-2 px-4 text-center text-gray-700">{row.credits}</td>
+                        <td className="py-2 px-4 text-center text-gray-700">{row.score.toFixed(1)}%</td>
+                        <td className={`py-2 px-4 text-center font-bold ${row.passed ? 'text-gray-800' : 'text-red-600'}`}>{row.letter}</td>
+                        <td className="py-2 px-4 text-center text-gray-700">{row.points !== null ? row.points.toFixed(1) : '—'}</td>
+                      </tr>
+                    ))}
+                    <tr className="border-t bg-gray-50 font-semibold text-gray-700">
+                      <td className="py-2 px-4" colSpan="2">Term total</td>
+                      <td className="py-2 px-4 text-center">{credits}</td>
+                      <td className="py-2 px-4" colSpan="3"></td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default Transcript;
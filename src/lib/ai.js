@@ -1,51 +1,342 @@
-// src/analysis-service.js (or integrated directly into your component)
-
-import { ai, model } from './gemini-client'; // Import the client you set up
-
-/**
- * Analyzes student performance data for a given subject using the Gemini API.
- * @param {string} subjectId - The ID of the subject to analyze (e.g., "MATH-101").
- * @returns {Promise<string>} A promise that resolves to the analysis as a string.
- */
-export async function studentsAnalyzer(subjectId) {
-    // --- 1. Simulate Fetching Student Data ---
-    // In a real application, you would call a backend API or database here
-    // to get the actual student data for the subject.
-    const studentData = [
-        { name: "Alice", score: 92, attendance: 95 },
-        { name: "Bob", score: 55, attendance: 70 },
-        { name: "Charlie", score: 88, attendance: 100 },
-        { name: "David", score: 71, attendance: 85 },
-        // ... more data
-    ];
-    
-    const dataString = JSON.stringify(studentData);
-
-    // --- 2. Construct the Prompt for Gemini ---
-    const prompt = `
-        Analyze the following student performance data for the subject ID **${subjectId}**. 
-        
-        The data is an array of objects: ${dataString}.
-        
-        Provide a concise analysis focusing on:
-        1. **Overall Performance:** Average score and distribution (e.g., how many failed, passed, excelled).
-        2. **Key Findings:** Note any significant trends, like a correlation between low scores and low attendance (for Bob).
-        3. **Recommendations:** Suggest 1-2 actionable recommendations for the teacher.
-        
-        Format the output using clear headings and bullet points.
-    `;
-
-    // --- 3. Call the Gemini API ---
-    try {
-        const response = await ai.models.generateContent({
-            model: model,
-            contents: [{ role: "user", parts: [{ text: prompt }] }],
-        });
-
-        // The response text will contain the analysis
-        return response.text; 
-    } catch (error) {
-        console.error("Error analyzing student data with Gemini:", error);
-        return "Analysis failed. Please check the API key and console for errors.";
-    }
-}
\ No newline at end of file
+// AI analysis of student performance. The model behind it is pluggable
+// (see ./aiProviders): Gemini, a local OpenAI-compatible server or an offline mock.
+
+import { aiProvider } from './aiProviders';
+import { computeFinalGrade } from './assessments';
+import { getSubjectAttendance } from './attendance';
+import { gradeRepository, gradingScaleRepository, studentRepository, subjectRepository } from './data';
+import { getLetterGrade, getPassingScore, indexScalesBySubject } from './grading';
+import { describeGrade, getStudentName, indexById } from './records';
+import { mean, scoreTrend } from './stats';
+import { coerceJson, parseJsonReply, validateJson } from './jsonSchema';
+
+/**
+ * JSON Schema of a subject analysis, sent to the model and used to validate its reply.
+ */
+export const SUBJECT_ANALYSIS_SCHEMA = {
+    title: 'SubjectAnalysis',
+    type: 'object',
+    properties: {
+        summary: { type: 'string', description: 'Two or three sentences on how the class is doing.' },
+        average: { type: 'number', minimum: 0, maximum: 100, description: 'Mean score in percent.' },
+        distribution: {
+            type: 'array',
+            description: 'Score buckets from lowest to highest, e.g. 0-59, 60-69, 70-79, 80-89, 90-100.',
+            items: {
+                type: 'object',
+                properties: {
+                    label: { type: 'string' },
+                    min: { type: 'number', minimum: 0, maximum: 100 },
+                    max: { type: 'number', minimum: 0, maximum: 100 },
+                    count: { type: 'integer', minimum: 0 },
+                },
+                required: ['label', 'min', 'max', 'count'],
+            },
+        },
+        atRiskStudents: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    score: { type: 'number', minimum: 0, maximum: 100 },
+                    reasons: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                },
+                required: ['name', 'reasons'],
+            },
+        },
+        keyFindings: { type: 'array', items: { type: 'string' } },
+        recommendations: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    },
+    required: ['summary', 'average', 'distribution', 'atRiskStudents', 'keyFindings', 'recommendations'],
+};
+
+/**
+ * Sends a prompt that must be answered with JSON matching `schema`. Replies are
+ * repaired where possible (code fences, numbers as strings, out-of-range
+ * numbers); replies that still do not match are retried with the problems
+ * listed in the prompt.
+ * @param {import('./aiProviders').AIProvider} provider
+ * @param {string} prompt
+ * @param {Object} schema - JSON Schema of the expected reply.
+ * @param {number} [maxAttempts]
+ * @returns {Promise<Object>} The validated reply.
+ * @throws {Error} When no valid reply arrives within maxAttempts.
+ */
+export async function requestStructured(provider, prompt, schema, maxAttempts = 3) {
+    const fullPrompt = `${prompt}\n\nReply with only a JSON object matching this JSON Schema:\n${JSON.stringify(schema)}`;
+    let problems = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const retryNote = problems.length > 0
+            ? `\n\nYour previous reply could not be used: ${problems.join('; ')}. Reply again with only the corrected JSON object.`
+            : '';
+        const reply = await provider.generate({ prompt: fullPrompt + retryNote, schema });
+
+        let parsed;
+        try {
+            parsed = coerceJson(parseJsonReply(reply), schema);
+        } catch {
+            problems = ['the reply was not valid JSON'];
+            continue;
+        }
+        problems = validateJson(parsed, schema);
+        if (problems.length === 0) return parsed;
+        console.warn(`Attempt ${attempt}: ${provider.name} reply did not match ${schema.title}:`, problems);
+    }
+    throw new Error(`${provider.name} did not return a valid ${schema.title} after ${maxAttempts} attempts (${problems.join('; ')}).`);
+}
+
+/**
+ * Collects the grades recorded for one subject, and its students' attendance,
+ * in the shape sent to the model.
+ * @param {string} subjectId - id of the subject record.
+ * @param {{ grades: Object[], students: Object[], subjects: Object[], gradingScales: Object[], attendance?: import('./attendance').AttendanceData }} [data] -
+ *   Defaults to the stored records; attendance defaults to the stored attendance.
+ * @returns {{ subject: (Object|undefined), scale: import('./grading').GradingScale, studentData: { name: string, score: number, grade: string, component: (string|undefined), date: string }[], attendanceData: { name: string, attendance: (number|null), absences: number, late: number, excused: number }[] }}
+ */
+export function collectSubjectGrades(subjectId, data = {
+    grades: gradeRepository.getAll(),
+    students: studentRepository.getAll(),
+    subjects: subjectRepository.getAll(),
+    gradingScales: gradingScaleRepository.getAll(),
+}) {
+    const studentsById = indexById(data.students);
+    const subjectsById = indexById(data.subjects);
+    const scale = indexScalesBySubject(data.subjects, data.gradingScales).get(subjectId);
+    const components = subjectsById.get(subjectId)?.components ?? [];
+
+    const studentData = data.grades
+        .filter(grade => grade.subjectId === subjectId)
+        .map(grade => ({
+            name: describeGrade(grade, studentsById, subjectsById).studentName,
+            score: grade.score,
+            grade: getLetterGrade(grade.score, scale),
+            component: components.find(component => component.id === grade.componentId)?.name,
+            date: grade.date,
+        }));
+
+    const attendanceData = [...getSubjectAttendance(subjectId, data.attendance)]
+        .map(([studentId, summary]) => ({
+            name: studentsById.get(studentId) ? getStudentName(studentsById.get(studentId)) : 'Unknown student',
+            attendance: summary.rate,
+            absences: summary.absent,
+            late: summary.late,
+            excused: summary.excused,
+        }));
+
+    return { subject: subjectsById.get(subjectId), scale, studentData, attendanceData };
+}
+
+/**
+ * Analyzes student performance data for a given subject using the configured AI provider.
+ * @param {string} subjectId - id of the subject record to analyze.
+ * @param {Object} [options]
+ * @param {import('./aiProviders').AIProvider} [options.provider] - Defaults to the provider from VITE_AI_PROVIDER.
+ * @param {{ grades: Object[], students: Object[], subjects: Object[], gradingScales: Object[], attendance?: import('./attendance').AttendanceData }} [options.data] - Records to analyze instead of the stored ones.
+ * @returns {Promise<Object|null>} A promise that resolves to an analysis matching
+ *   SUBJECT_ANALYSIS_SCHEMA, or null when the subject has no grades yet.
+ * @throws {Error} When the provider is not configured, the request fails or the reply stays invalid.
+ */
+export async function studentsAnalyzer(subjectId, { provider = aiProvider, data } = {}) {
+    // --- 1. Fetch the grades recorded for this subject ---
+    const { subject, scale, studentData, attendanceData } = collectSubjectGrades(subjectId, data);
+    if (!subject) {
+        throw new Error(`Subject "${subjectId}" does not exist.`);
+    }
+    if (studentData.length === 0) {
+        return null;
+    }
+    const dataString = JSON.stringify(studentData);
+    const weights = (subject.components ?? []).map(component => `${component.name} ${component.weight}%`).join(', ');
+
+    // --- 2. Construct the Prompt ---
+    const prompt = `
+        Analyze the following student performance data for the subject **${subject.code} - ${subject.name}** (${subject.credits} credits).
+        
+        The data is an array of grade records (score is a percentage, grade is its mark on the subject's "${scale.name}" grading scale, date is when it was recorded): ${dataString}.
+        A score of ${getPassingScore(scale)} or higher passes.${weights ? `
+        Each record belongs to an assessment component; final grades weight them as follows: ${weights}.` : ''}${attendanceData.length > 0 ? `
+        Attendance per student (attendance is the percentage of class sessions attended, late counting as attended and excused absences left out): ${JSON.stringify(attendanceData)}.` : ''}
+        
+        Provide a concise analysis focusing on:
+        1. **Overall Performance:** Average score and distribution (how many failed, passed, excelled).
+        2. **At-Risk Students:** Who needs attention and why (low scores, falling scores over time, poor attendance).
+        3. **Key Findings:** Note any significant trends.
+        4. **Recommendations:** Suggest 1-2 actionable recommendations for the teacher.
+    `;
+
+    // --- 3. Call the AI provider ---
+    try {
+        return await requestStructured(provider, prompt, SUBJECT_ANALYSIS_SCHEMA);
+    } catch (error) {
+        console.error(`Error analyzing student data with ${provider.name}:`, error);
+        throw new Error(`Analysis failed (${provider.name}): ${error.message}`);
+    }
+}
+
+/**
+ * JSON Schema of a student progress report, sent to the model and used to validate its reply.
+ */
+export const STUDENT_REPORT_SCHEMA = {
+    title: 'StudentProgressReport',
+    type: 'object',
+    properties: {
+        narrative: { type: 'string', description: 'A short paragraph an advisor can read out in a one-on-one meeting.' },
+        trend: { type: 'string', enum: ['improving', 'steady', 'declining', 'unknown'] },
+        strengths: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        weaknesses: { type: 'array', items: { type: 'string' } },
+        nextSteps: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    },
+    required: ['narrative', 'trend', 'strengths', 'weaknesses', 'nextSteps'],
+};
+
+/**
+ * Collects one student's grades across subjects, oldest first, with per-subject
+ * final grades (see computeFinalGrade), trends and attendance rates. Letters
+ * come from each subject's grading scale.
+ * @param {string} studentId - id of the student record.
+ * @param {{ grades: Object[], students: Object[], subjects: Object[], gradingScales: Object[], attendance?: import('./attendance').AttendanceData }} [data] -
+ *   Defaults to the stored records; attendance defaults to the stored attendance.
+ * @returns {{ student: (Object|undefined), history: Object[], subjects: Object[], overall: Object }}
+ */
+export function collectStudentGrades(studentId, data = {
+    grades: gradeRepository.getAll(),
+    students: studentRepository.getAll(),
+    subjects: subjectRepository.getAll(),
+    gradingScales: gradingScaleRepository.getAll(),
+}) {
+    const studentsById = indexById(data.students);
+    const subjectsById = indexById(data.subjects);
+    const scalesBySubject = indexScalesBySubject(data.subjects, data.gradingScales);
+
+    const studentGrades = data.grades.filter(grade => grade.studentId === studentId);
+    const history = studentGrades
+        .map(grade => ({
+            subject: describeGrade(grade, studentsById, subjectsById).subjectCode,
+            subjectName: subjectsById.get(grade.subjectId)?.name,
+            component: subjectsById.get(grade.subjectId)?.components?.find(component => component.id === grade.componentId)?.name,
+            score: grade.score,
+            grade: getLetterGrade(grade.score, scalesBySubject.get(grade.subjectId)),
+            date: grade.date,
+        }))
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    const bySubject = new Map();
+    history.forEach(entry => {
+        bySubject.set(entry.subject, [...(bySubject.get(entry.subject) || []), entry]);
+    });
+    const subjectIdsByCode = new Map(data.subjects.map(subject => [subject.code, subject.id]));
+    const subjects = [...bySubject].map(([code, entries]) => {
+        const subjectId = subjectIdsByCode.get(code);
+        // Unlinked grades have no subject (and so no components): their final grade is their mean
+        const { score: finalGrade } = subjectId
+            ? computeFinalGrade(studentGrades.filter(grade => grade.subjectId === subjectId), subjectsById.get(subjectId))
+            : computeFinalGrade(entries);
+        return {
+            subject: code,
+            average: mean(entries.map(entry => entry.score)),
+            finalGrade,
+            grade: getLetterGrade(finalGrade, scalesBySubject.get(subjectId)),
+            trend: scoreTrend(entries).direction,
+            attendance: subjectId ? getSubjectAttendance(subjectId, data.attendance).get(studentId)?.rate ?? null : null,
+        };
+    });
+
+    const overall = {
+        average: mean(history.map(entry => entry.score)),
+        trend: scoreTrend(history).direction,
+    };
+
+    return { student: studentsById.get(studentId), history, subjects, overall };
+}
+
+/**
+ * Writes a progress narrative for one student from all their grades.
+ * @param {string} studentId - id of the student record.
+ * @param {Object} [options]
+ * @param {import('./aiProviders').AIProvider} [options.provider] - Defaults to the provider from VITE_AI_PROVIDER.
+ * @param {{ grades: Object[], students: Object[], subjects: Object[], gradingScales: Object[], attendance?: import('./attendance').AttendanceData }} [options.data] - Records to analyze instead of the stored ones.
+ * @returns {Promise<Object|null>} A report matching STUDENT_REPORT_SCHEMA, or null when the student has no grades yet.
+ * @throws {Error} When the provider is not configured, the request fails or the reply stays invalid.
+ */
+export async function studentProgressAnalyzer(studentId, { provider = aiProvider, data } = {}) {
+    const { student, history, subjects, overall } = collectStudentGrades(studentId, data);
+    if (!student) {
+        throw new Error(`Student "${studentId}" does not exist.`);
+    }
+    if (history.length === 0) {
+        return null;
+    }
+
+    const prompt = `
+        Write a progress report for the student **${getStudentName(student)}** (${student.major}, status: ${student.status}).
+        
+        Every grade they received, oldest first (score is a percentage): ${JSON.stringify(history)}.
+        Per-subject averages, final grades (weighted by assessment component where the subject has them), trends and attendance rates (percentage of class sessions attended, null when none were taken): ${JSON.stringify(subjects)}.
+        Overall average ${overall.average.toFixed(1)}%, overall trend: ${overall.trend}.
+        
+        The report is read by an academic advisor in a one-on-one meeting with the student. Include:
+        1. **Narrative:** 3-5 encouraging but honest sentences on how the student is doing and where they are heading.
+        2. **Strengths** and **Weaknesses:** Specific subjects or patterns, including attendance.
+        3. **Next Steps:** 2-3 concrete actions for the student.
+    `;
+
+    try {
+        return await requestStructured(provider, prompt, STUDENT_REPORT_SCHEMA);
+    } catch (error) {
+        console.error(`Error writing progress report with ${provider.name}:`, error);
+        throw new Error(`Progress report failed (${provider.name}): ${error.message}`);
+    }
+}
+
+/**
+ * JSON Schema of an at-risk explanation, sent to the model and used to validate its reply.
+ */
+export const RISK_EXPLANATION_SCHEMA = {
+    title: 'RiskExplanation',
+    type: 'object',
+    properties: {
+        explanation: { type: 'string', description: 'A short paragraph on why the student was flagged and how serious it is.' },
+        urgency: { type: 'string', enum: ['low', 'medium', 'high'] },
+        interventions: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    },
+    required: ['explanation', 'urgency', 'interventions'],
+};
+
+/**
+ * Explains why the early-warning rules flagged a student and suggests interventions.
+ * @param {string} studentId - id of the student record.
+ * @param {import('./earlyWarning').Warning[]} warnings - The student's warnings (see findAtRiskStudents).
+ * @param {Object} [options]
+ * @param {import('./aiProviders').AIProvider} [options.provider] - Defaults to the provider from VITE_AI_PROVIDER.
+ * @param {{ grades: Object[], students: Object[], subjects: Object[], gradingScales: Object[], attendance?: import('./attendance').AttendanceData }} [options.data] - Records to analyze instead of the stored ones.
+ * @returns {Promise<Object>} An explanation matching RISK_EXPLANATION_SCHEMA.
+ * @throws {Error} When the provider is not configured, the request fails or the reply stays invalid.
+ */
+export async function riskExplainer(studentId, warnings, { provider = aiProvider, data } = {}) {
+    const { student, subjects, overall } = collectStudentGrades(studentId, data);
+    if (!student) {
+        throw new Error(`Student "${studentId}" does not exist.`);
+    }
+
+    const prompt = `
+        Our early-warning rules flagged the student **${getStudentName(student)}** (${student.major}, status: ${student.status}) as at risk.
+        
+        The warnings: ${JSON.stringify(warnings.map(warning => warning.reason))}.
+        Per-subject averages, final grades, trends and attendance rates (percentage of class sessions attended, null when none were taken): ${JSON.stringify(subjects)}.
+        Overall average ${overall.average !== null ? `${overall.average.toFixed(1)}%` : 'unknown'}, overall trend: ${overall.trend}.
+        
+        The explanation is read by the student's instructor or adviser. Include:
+        1. **Explanation:** 2-4 sentences on what the warnings mean together and how serious they are.
+        2. **Urgency:** low, medium or high.
+        3. **Interventions:** 2-4 concrete actions the school can take, most important first.
+    `;
+
+    try {
+        return await requestStructured(provider, prompt, RISK_EXPLANATION_SCHEMA);
+    } catch (error) {
+        console.error(`Error explaining risk with ${provider.name}:`, error);
+        throw new Error(`Explanation failed (${provider.name}): ${error.message}`);
+    }
+}
@@ -0,0 +1,120 @@
+import { describe, expect, it, vi } from 'vitest';
+import { requestStructured, studentProgressAnalyzer, STUDENT_REPORT_SCHEMA, SUBJECT_ANALYSIS_SCHEMA, studentsAnalyzer } from './ai';
+import { createMockProvider } from './aiProviders';
+import { INITIAL_GRADING_SCALES } from './seedData';
+
+const data = {
+  students: [
+    { id: 'stu1', firstName: 'Ana', lastName: 'Cruz', major: 'Computer Science', status: 'active' },
+    { id: 'stu2', firstName: 'Ben', lastName: 'Reyes' },
+  ],
+  subjects: [{ id: 'sub1', code: 'IT 101', name: 'Intro to Programming', credits: 3 }],
+  grades: [
+    { id: 'g1', studentId: 'stu1', subjectId: 'sub1', score: 92, date: '2026-09-01' },
+    { id: 'g2', studentId: 'stu2', subjectId: 'sub1', score: 58, date: '2026-09-01' },
+  ],
+  gradingScales: INITIAL_GRADING_SCALES,
+  attendance: {
+    sections: [{ id: 'it-a', subjectId: 'sub1' }],
+    sessions: [{ id: 's1', sectionId: 'it-a' }, { id: 's2', sectionId: 'it-a' }],
+    records: [
+      { sessionId: 's1', studentId: 'stu2', status: 'present' },
+      { sessionId: 's2', studentId: 'stu2', status: 'absent' },
+    ],
+  },
+};
+
+const ANALYSIS = {
+  summary: 'Half the class is passing.',
+  average: 75,
+  distribution: [{ label: '0-59', min: 0, max: 59, count: 1 }, { label: '90-100', min: 90, max: 100, count: 1 }],
+  atRiskStudents: [{ name: 'Ben Reyes', score: 58, reasons: ['Failed the first quiz.'] }],
+  keyFindings: ['Scores are spread out.'],
+  recommendations: ['Offer a review session.'],
+};
+
+// A reply the validator accepts as a subject analysis
+const validReply = () => JSON.stringify(ANALYSIS);
+
+describe('studentsAnalyzer', () => {
+  it('sends the subject\'s grades to the provider and returns the validated analysis', async () => {
+    const generate = vi.fn(validReply);
+    const analysis = await studentsAnalyzer('sub1', { provider: createMockProvider(generate), data });
+
+    expect(analysis).toEqual(ANALYSIS);
+    const [{ prompt, schema }] = generate.mock.calls[0];
+    expect(schema).toBe(SUBJECT_ANALYSIS_SCHEMA);
+    expect(prompt).toContain('IT 101 - Intro to Programming');
+    expect(prompt).toContain('"name":"Ben Reyes","score":58,"grade":"F"');
+    expect(prompt).toContain('{"name":"Ben Reyes","attendance":50,"absences":1,"late":0,"excused":0}');
+  });
+
+  it('works with the canned offline reply', async () => {
+    const analysis = await studentsAnalyzer('sub1', { provider: createMockProvider(), data });
+    expect(analysis.summary).toMatch(/offline demo provider/);
+  });
+
+  it('returns null without asking the provider when nothing is graded', async () => {
+    const generate = vi.fn(validReply);
+    const result = await studentsAnalyzer('sub1', { provider: createMockProvider(generate), data: { ...data, grades: [] } });
+    expect(result).toBeNull();
+    expect(generate).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown subjects', async () => {
+    await expect(studentsAnalyzer('nope', { provider: createMockProvider(), data })).rejects.toThrow('Subject "nope" does not exist.');
+  });
+});
+
+describe('studentProgressAnalyzer', () => {
+  it('sends the student\'s grades and trend to the provider', async () => {
+    const generate = vi.fn(({ schema }) => JSON.stringify(schema === STUDENT_REPORT_SCHEMA && {
+      narrative: 'Ana is doing well.',
+      trend: 'steady',
+      strengths: ['Programming'],
+      weaknesses: [],
+      nextSteps: ['Keep practicing.'],
+    }));
+    const report = await studentProgressAnalyzer('stu1', { provider: createMockProvider(generate), data });
+
+    expect(report.narrative).toBe('Ana is doing well.');
+    const [{ prompt }] = generate.mock.calls[0];
+    expect(prompt).toContain('**Ana Cruz** (Computer Science, status: active)');
+    expect(prompt).toContain('Overall average 92.0%');
+    expect(prompt).toContain('"subject":"IT 101","average":92,"finalGrade":92,"grade":"A-"');
+  });
+
+  it('returns null when the student has no grades', async () => {
+    expect(await studentProgressAnalyzer('stu1', { provider: createMockProvider(), data: { ...data, grades: [] } })).toBeNull();
+  });
+});
+
+describe('requestStructured', () => {
+  it('repairs code fences, numbers sent as strings and out-of-range numbers', async () => {
+    const reply = `Here you go:\n\`\`\`json\n${JSON.stringify({ ...ANALYSIS, average: '75%', distribution: [{ label: 'all', min: '-5', max: 120, count: '2' }] })}\n\`\`\``;
+    const result = await requestStructured(createMockProvider(reply), 'Analyze', SUBJECT_ANALYSIS_SCHEMA);
+    expect(result.average).toBe(75);
+    expect(result.distribution).toEqual([{ label: 'all', min: 0, max: 100, count: 2 }]);
+  });
+
+  it('retries an invalid reply with the problems listed', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const replies = ['not json at all', JSON.stringify({ summary: 'Missing fields' }), validReply()];
+    const generate = vi.fn(() => replies.shift());
+
+    const result = await requestStructured(createMockProvider(generate), 'Analyze', SUBJECT_ANALYSIS_SCHEMA);
+
+    expect(result).toEqual(ANALYSIS);
+    expect(generate).toHaveBeenCalledTimes(3);
+    expect(generate.mock.calls[1][0].prompt).toContain('the reply was not valid JSON');
+    expect(generate.mock.calls[2][0].prompt).toContain('$.average is required');
+  });
+
+  it('gives up after maxAttempts', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const generate = vi.fn(() => '{}');
+    await expect(requestStructured(createMockProvider(generate), 'Analyze', SUBJECT_ANALYSIS_SCHEMA, 2))
+      .rejects.toThrow('Offline demo did not return a valid SubjectAnalysis after 2 attempts');
+    expect(generate).toHaveBeenCalledTimes(2);
+  });
+});
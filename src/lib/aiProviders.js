@@ -0,0 +1,161 @@
+import { ai, model as geminiModel } from './gemini-client';
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} name - Shown to users, e.g. "Gemini".
+ * @property {(request: AIRequest) => Promise<string>} generate
+ *   Sends one prompt and resolves with the model's text reply.
+ */
+
+/**
+ * @typedef {Object} AIRequest
+ * @property {string} prompt
+ * @property {Object} [schema] - JSON Schema the reply must follow. Providers
+ *   that support structured output pass it on; the reply is still text.
+ */
+
+/**
+ * @function createGeminiProvider
+ * Provider backed by the Gemini API.
+ * @param {{ models: { generateContent: function } }|null} [client] - Defaults to the shared Gemini client.
+ * @param {string} [modelName]
+ * @returns {AIProvider}
+ */
+export const createGeminiProvider = (client = ai, modelName = geminiModel) => ({
+  name: 'Gemini',
+  generate: async ({ prompt, schema }) => {
+    if (!client) {
+      throw new Error('Gemini is not configured. Set VITE_GEMINI_API_KEY in .env.');
+    }
+    const response = await client.models.generateContent({
+      model: modelName,
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      ...(schema ? { config: { responseMimeType: 'application/json', responseJsonSchema: schema } } : {}),
+    });
+    return response.text;
+  },
+});
+
+/**
+ * @function createLocalProvider
+ * Provider for a local OpenAI-compatible server (llama.cpp, Ollama, LM Studio, ...).
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. "http://localhost:11434/v1".
+ * @param {string} options.model - Model name known to the server.
+ * @param {string} [options.apiKey] - Sent as a bearer token if the server wants one.
+ * @param {typeof fetch} [options.fetchImpl] - Pass a stub in tests.
+ * @returns {AIProvider}
+ */
+export const createLocalProvider = ({ baseUrl, model, apiKey, fetchImpl = (...args) => fetch(...args) }) => ({
+  name: `Local model (${model})`,
+  generate: async ({ prompt, schema }) => {
+    if (!baseUrl) {
+      throw new Error('The local AI provider is not configured. Set VITE_LOCAL_AI_URL in .env.');
+    }
+    const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(schema
+          ? { response_format: { type: 'json_schema', json_schema: { name: schema.title, schema } } }
+          : {}),
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Local model request failed (${response.status} ${response.statusText}).`);
+    }
+    const body = await response.json();
+    return body.choices?.[0]?.message?.content ?? '';
+  },
+});
+
+const CANNED_TEXT = 'This is a sample reply from the offline demo provider.';
+
+// Canned structured replies, keyed by schema title.
+const CANNED_REPLIES = {
+  SubjectAnalysis: {
+    summary: 'Most of the class is passing comfortably, with a small group that needs support. _(Sample analysis from the offline demo provider.)_',
+    average: 81.5,
+    distribution: [
+      { label: 'Below 60', min: 0, max: 59.9, count: 1 },
+      { label: '60-69', min: 60, max: 69.9, count: 1 },
+      { label: '70-79', min: 70, max: 79.9, count: 3 },
+      { label: '80-89', min: 80, max: 89.9, count: 4 },
+      { label: '90-100', min: 90, max: 100, count: 3 },
+    ],
+    atRiskStudents: [
+      { name: 'Sample Student', score: 55, reasons: ['Score below the passing mark', 'Scores falling over the last three assessments'] },
+    ],
+    keyFindings: [
+      'Scores recorded later in the term are slightly higher than early ones.',
+      'Students below 70% have fewer recorded assessments than their classmates.',
+    ],
+    recommendations: [
+      'Schedule a short review session for students scoring below 70%.',
+      'Keep recording assessments regularly so trends are easier to spot.',
+    ],
+  },
+  StudentProgressReport: {
+    narrative: 'This student is making steady progress and keeps up with most of their subjects. Their strongest results come from hands-on work, while exam scores lag slightly behind. With a bit more consistent review they are well placed to finish the term strongly. _(Sample report from the offline demo provider.)_',
+    trend: 'steady',
+    strengths: ['Consistent results in programming subjects', 'Scores improved after the midterm'],
+    weaknesses: ['Lower scores on written exams'],
+    nextSteps: ['Set up a weekly review session before exams', 'Check in with the instructor of the lowest-scoring subject'],
+  },
+  RiskExplanation: {
+    explanation: 'The warnings point to a student who has started to fall behind in one subject while still coping elsewhere. Acting now, before the final assessments, gives them a good chance to recover. _(Sample explanation from the offline demo provider.)_',
+    urgency: 'medium',
+    interventions: ['Meet the student this week to agree on a catch-up plan', 'Arrange make-up work for missed assessments', 'Follow up on attendance with the student and their adviser'],
+  },
+};
+
+/**
+ * @function createMockProvider
+ * Deterministic provider for tests, demos and classrooms without internet.
+ * Structured requests get the canned reply for their schema title.
+ * @param {string|((request: AIRequest) => string)} [reply] - Overrides every reply, as text or as a function of the request.
+ * @returns {AIProvider}
+ */
+export const createMockProvider = (reply) => ({
+  name: 'Offline demo',
+  generate: async (request) => {
+    if (typeof reply === 'function') return reply(request);
+    if (reply !== undefined) return reply;
+    const canned = request.schema && CANNED_REPLIES[request.schema.title];
+    return canned ? JSON.stringify(canned) : CANNED_TEXT;
+  },
+});
+
+/**
+ * @function createProviderFromEnv
+ * Picks the provider named by VITE_AI_PROVIDER: "gemini" (default), "mock" or "local".
+ * @param {Object} [env] - Defaults to import.meta.env.
+ * @returns {AIProvider}
+ */
+export const createProviderFromEnv = (env = import.meta.env) => {
+  switch (env.VITE_AI_PROVIDER) {
+    case 'mock':
+      return createMockProvider();
+    case 'local':
+      return createLocalProvider({
+        baseUrl: env.VITE_LOCAL_AI_URL,
+        model: env.VITE_LOCAL_AI_MODEL || 'llama3.2',
+        apiKey: env.VITE_LOCAL_AI_API_KEY,
+      });
+    case 'gemini':
+    case undefined:
+    case '':
+      return createGeminiProvider();
+    default:
+      console.error(`Unknown VITE_AI_PROVIDER "${env.VITE_AI_PROVIDER}"; using Gemini.`);
+      return createGeminiProvider();
+  }
+};
+
+/** Provider used by the app, chosen once from the environment. */
+export const aiProvider = createProviderFromEnv();
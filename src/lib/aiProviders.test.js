@@ -0,0 +1,63 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createGeminiProvider, createLocalProvider, createMockProvider, createProviderFromEnv } from './aiProviders';
+
+describe('createGeminiProvider', () => {
+  it('sends the prompt to the model and returns the reply text', async () => {
+    const client = { models: { generateContent: vi.fn(async () => ({ text: 'Analysis' })) } };
+    const reply = await createGeminiProvider(client, 'test-model').generate({ prompt: 'Analyze' });
+
+    expect(reply).toBe('Analysis');
+    expect(client.models.generateContent).toHaveBeenCalledWith({
+      model: 'test-model',
+      contents: [{ role: 'user', parts: [{ text: 'Analyze' }] }],
+    });
+  });
+
+  it('asks for JSON matching the schema when one is given', async () => {
+    const client = { models: { generateContent: vi.fn(async () => ({ text: '{}' })) } };
+    const schema = { title: 'Reply', type: 'object' };
+    await createGeminiProvider(client, 'test-model').generate({ prompt: 'Analyze', schema });
+    expect(client.models.generateContent.mock.calls[0][0].config).toEqual({ responseMimeType: 'application/json', responseJsonSchema: schema });
+  });
+
+  it('explains how to configure Gemini when there is no client', async () => {
+    await expect(createGeminiProvider(null).generate({ prompt: 'Analyze' })).rejects.toThrow('Set VITE_GEMINI_API_KEY');
+  });
+});
+
+describe('createLocalProvider', () => {
+  it('posts a chat completion to the server and returns the message', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: 'Analysis' } }] }) }));
+    const provider = createLocalProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3.2', apiKey: 'secret', fetchImpl });
+
+    expect(await provider.generate({ prompt: 'Analyze' })).toBe('Analysis');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(init.body)).toEqual({ model: 'llama3.2', messages: [{ role: 'user', content: 'Analyze' }] });
+  });
+
+  it('reports a failed request', async () => {
+    const fetchImpl = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' });
+    const provider = createLocalProvider({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.2', fetchImpl });
+    await expect(provider.generate({ prompt: 'Analyze' })).rejects.toThrow('Local model request failed (503 Service Unavailable).');
+  });
+});
+
+describe('createProviderFromEnv', () => {
+  it('picks the provider named by VITE_AI_PROVIDER', () => {
+    expect(createProviderFromEnv({ VITE_AI_PROVIDER: 'mock' }).name).toBe('Offline demo');
+    expect(createProviderFromEnv({ VITE_AI_PROVIDER: 'local', VITE_LOCAL_AI_URL: 'http://x' }).name).toBe('Local model (llama3.2)');
+    expect(createProviderFromEnv({}).name).toBe('Gemini');
+  });
+
+  it('falls back to Gemini for an unknown name', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(createProviderFromEnv({ VITE_AI_PROVIDER: 'gpt' }).name).toBe('Gemini');
+  });
+
+  it('lets the mock reply depend on the request', async () => {
+    const provider = createMockProvider(({ prompt }) => prompt.toUpperCase());
+    expect(await provider.generate({ prompt: 'hi' })).toBe('HI');
+  });
+});
@@ -0,0 +1,174 @@
+import { computeFinalGrade } from './assessments';
+import { indexScalesBySubject, resolveGrade } from './grading';
+import { indexById } from './records';
+import { mean } from './stats';
+import { isTermClosed, resolveGradeTerm } from './terms';
+
+// ----------------------------------------------------
+// --- ANALYTICS (Figures behind the analytics charts) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} SubjectResult
+ * A student's final grade in one subject and term.
+ * @property {import('./data').Student} student
+ * @property {import('./data').Subject} subject
+ * @property {string|null} termId
+ * @property {import('./grading').GradingScale} scale - The subject's grading scale.
+ * @property {number} score - Final grade (see computeFinalGrade).
+ * @property {string} letter - Label for the score on the subject's scale.
+ * @property {boolean} passed
+ */
+
+/**
+ * @function collectResults
+ * Grades in scope, and the final grades they add up to. Grades whose student
+ * or subject no longer exists are left out.
+ * @param {{ grades: Object[], students: Object[], subjects: Object[], gradingScales: Object[], terms: Object[],
+ *   sections: Object[], enrollments: Object[] }} data
+ * @param {{ termId?: string|null, sectionId?: string|null }} [filters] - A section narrows to its
+ *   subject, term and enrolled students. Empty filters cover everything.
+ * @returns {{ grades: import('./data').Grade[], results: SubjectResult[] }}
+ */
+export const collectResults = (data, { termId = null, sectionId = null } = {}) => {
+  const studentsById = indexById(data.students);
+  const subjectsById = indexById(data.subjects);
+  const termsById = indexById(data.terms);
+  const scalesBySubject = indexScalesBySubject(data.subjects, data.gradingScales);
+  const section = sectionId ? data.sections.find(s => s.id === sectionId) : null;
+  const sectionStudentIds = section && new Set(data.enrollments
+    .filter(enrollment => enrollment.sectionId === section.id)
+    .map(enrollment => enrollment.studentId));
+
+  const groups = new Map();
+  const grades = [];
+  data.grades.forEach(grade => {
+    if (!studentsById.has(grade.studentId) || !subjectsById.has(grade.subjectId)) return;
+    const gradeTermId = resolveGradeTerm(grade, data.terms)?.id ?? null;
+    if (termId && gradeTermId !== termId) return;
+    if (section && (grade.subjectId !== section.subjectId || gradeTermId !== section.termId || !sectionStudentIds.has(grade.studentId))) return;
+    grades.push(grade);
+    const key = `${grade.studentId}|${grade.subjectId}|${gradeTermId ?? ''}`;
+    if (!groups.has(key)) groups.set(key, { studentId: grade.studentId, subjectId: grade.subjectId, termId: gradeTermId, grades: [] });
+    groups.get(key).grades.push(grade);
+  });
+
+  const results = [...groups.values()].map(group => {
+    const subject = subjectsById.get(group.subjectId);
+    const { score } = computeFinalGrade(group.grades, subject, { closed: isTermClosed(termsById.get(group.termId)) });
+    if (score === null) return null;
+    const scale = scalesBySubject.get(group.subjectId);
+    const band = resolveGrade(score, scale);
+    return {
+      student: studentsById.get(group.studentId),
+      subject,
+      termId: group.termId,
+      scale,
+      score,
+      letter: band.label,
+      passed: band.passed,
+    };
+  }).filter(Boolean);
+
+  return { grades, results };
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    groups.set(key, [...(groups.get(key) ?? []), item]);
+  });
+  return groups;
+};
+
+const passRate = (results) => (results.length > 0 ? (results.filter(result => result.passed).length / results.length) * 100 : null);
+
+/**
+ * @function getLetterDistribution
+ * How many final grades landed in each band, per subject.
+ * @param {SubjectResult[]} results
+ * @returns {{ subject: import('./data').Subject, total: number, bands: { label: string, passed: boolean, count: number }[] }[]}
+ *   One entry per subject, ordered by code; bands ordered as on the subject's scale, highest first.
+ */
+export const getLetterDistribution = (results) =>
+  [...groupBy(results, result => result.subject.id).values()]
+    .map(subjectResults => {
+      const { subject, scale } = subjectResults[0];
+      return {
+        subject,
+        total: subjectResults.length,
+        bands: scale.bands.map(band => ({
+          label: band.label,
+          passed: band.passed,
+          count: subjectResults.filter(result => result.letter === band.label).length,
+        })),
+      };
+    })
+    .sort((a, b) => a.subject.code.localeCompare(b.subject.code));
+
+/**
+ * @function getAverageByMonth
+ * Mean of the individual scores recorded in each calendar month.
+ * @param {import('./data').Grade[]} grades
+ * @returns {{ month: string, average: number, count: number }[]} Oldest month (YYYY-MM) first; undated grades are left out.
+ */
+export const getAverageByMonth = (grades) =>
+  [...groupBy(grades.filter(grade => grade.date), grade => grade.date.slice(0, 7))]
+    .map(([month, monthGrades]) => ({
+      month,
+      average: mean(monthGrades.map(grade => grade.score)),
+      count: monthGrades.length,
+    }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+/**
+ * @function compareSubjects
+ * @param {SubjectResult[]} results
+ * @returns {{ subject: import('./data').Subject, average: number, passRate: number, count: number }[]}
+ *   Final-grade average and pass rate (%) per subject, ordered by code.
+ */
+export const compareSubjects = (results) =>
+  [...groupBy(results, result => result.subject.id).values()]
+    .map(subjectResults => ({
+      subject: subjectResults[0].subject,
+      average: mean(subjectResults.map(result => result.score)),
+      passRate: passRate(subjectResults),
+      count: subjectResults.length,
+    }))
+    .sort((a, b) => a.subject.code.localeCompare(b.subject.code));
+
+/**
+ * @function getPassRatesByMajor
+ * @param {SubjectResult[]} results
+ * @returns {{ major: string, passed: number, failed: number, passRate: number }[]} Final grades passed and failed per major, by major.
+ */
+export const getPassRatesByMajor = (results) =>
+  [...groupBy(results, result => result.student.major || 'Undeclared')]
+    .map(([major, majorResults]) => {
+      const passed = majorResults.filter(result => result.passed).length;
+      return { major, passed, failed: majorResults.length - passed, passRate: passRate(majorResults) };
+    })
+    .sort((a, b) => a.major.localeCompare(b.major));
+
+/**
+ * @function rankStudents
+ * Students ranked by the mean of their final grades.
+ * @param {SubjectResult[]} results
+ * @param {number} [count] - How many to list at each end.
+ * @returns {{ top: Object[], bottom: Object[] }} Entries of { student, average, subjects }. top is
+ *   highest first and bottom lowest first; a student is never in both.
+ */
+export const rankStudents = (results, count = 5) => {
+  const ranked = [...groupBy(results, result => result.student.id).values()]
+    .map(studentResults => ({
+      student: studentResults[0].student,
+      average: mean(studentResults.map(result => result.score)),
+      subjects: studentResults.length,
+    }))
+    .sort((a, b) => b.average - a.average);
+  return {
+    top: ranked.slice(0, count),
+    bottom: ranked.slice(count).slice(-count).reverse(),
+  };
+};
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { collectResults, compareSubjects, getAverageByMonth, getLetterDistribution, getPassRatesByMajor, rankStudents } from './analytics';
+import { INITIAL_GRADING_SCALES } from './seedData';
+
+const grade = (studentId, subjectId, score, date, termId = 't1') =>
+  ({ id: `${studentId}-${subjectId}-${date}`, studentId, subjectId, score, date, termId });
+
+const data = {
+  students: [
+    { id: 'stu1', firstName: 'Ana', lastName: 'Cruz', major: 'Computer Science' },
+    { id: 'stu2', firstName: 'Ben', lastName: 'Reyes', major: 'Computer Science' },
+    { id: 'stu3', firstName: 'Cara', lastName: 'Lim', major: '' },
+  ],
+  subjects: [
+    { id: 'it', code: 'IT 101', name: 'Intro to Programming', credits: 3 },
+    { id: 'pe', code: 'PE 1', name: 'Physical Education', credits: 2, gradingScaleId: 'pass-fail' },
+  ],
+  grades: [
+    grade('stu1', 'it', 94, '2026-09-01'),
+    grade('stu1', 'it', 92, '2026-10-01'),
+    grade('stu2', 'it', 50, '2026-09-15'),
+    grade('stu3', 'it', 85, '2026-10-02'),
+    grade('stu3', 'pe', 80, '2026-10-03'),
+    grade('stu2', 'it', 99, '2026-02-01', 't0'),
+    grade('gone', 'it', 10, '2026-09-01'),
+  ],
+  gradingScales: INITIAL_GRADING_SCALES,
+  terms: [
+    { id: 't0', startDate: '2026-01-05', endDate: '2026-05-31', status: 'closed' },
+    { id: 't1', startDate: '2026-08-01', endDate: '2026-12-31', status: 'active' },
+  ],
+  sections: [{ id: 'it-a', subjectId: 'it', termId: 't1' }],
+  enrollments: [{ id: 'e1', sectionId: 'it-a', studentId: 'stu1' }],
+};
+
+describe('collectResults', () => {
+  it('turns the term\'s grades into final grades per student and subject', () => {
+    const { grades, results } = collectResults(data, { termId: 't1' });
+
+    expect(grades).toHaveLength(5);
+    expect(results.map(({ student, subject, score, letter, passed }) => [student.id, subject.id, score, letter, passed])).toEqual([
+      ['stu1', 'it', 93, 'A', true],
+      ['stu2', 'it', 50, 'F', false],
+      ['stu3', 'it', 85, 'B', true],
+      ['stu3', 'pe', 80, 'Passed', true],
+    ]);
+  });
+
+  it('narrows a section to its subject, term and students', () => {
+    const { results } = collectResults(data, { sectionId: 'it-a' });
+    expect(results.map(result => result.student.id)).toEqual(['stu1']);
+  });
+});
+
+describe('charts', () => {
+  const { grades, results } = collectResults(data, { termId: 't1' });
+
+  it('counts final grades per band of each subject\'s scale', () => {
+    const [it, pe] = getLetterDistribution(results);
+    expect(it.subject.code).toBe('IT 101');
+    expect(it.total).toBe(3);
+    expect(it.bands.filter(band => band.count > 0).map(band => [band.label, band.count])).toEqual([['A', 1], ['B', 1], ['F', 1]]);
+    expect(pe.bands.map(band => [band.label, band.count])).toEqual([['Passed', 1], ['Failed', 0]]);
+  });
+
+  it('averages the scores recorded each month', () => {
+    expect(getAverageByMonth(grades)).toEqual([
+      { month: '2026-09', average: 72, count: 2 },
+      { month: '2026-10', average: 85.66666666666667, count: 3 },
+    ]);
+  });
+
+  it('compares subjects by average final grade and pass rate', () => {
+    expect(compareSubjects(results).map(({ subject, average, passRate, count }) => [subject.code, average, passRate, count])).toEqual([
+      ['IT 101', 76, (2 / 3) * 100, 3],
+      ['PE 1', 80, 100, 1],
+    ]);
+  });
+
+  it('counts passes and fails per major', () => {
+    expect(getPassRatesByMajor(results)).toEqual([
+      { major: 'Computer Science', passed: 1, failed: 1, passRate: 50 },
+      { major: 'Undeclared', passed: 2, failed: 0, passRate: 100 },
+    ]);
+  });
+
+  it('ranks students without listing anyone at both ends', () => {
+    const { top, bottom } = rankStudents(results, 2);
+    expect(top.map(entry => [entry.student.id, entry.average])).toEqual([['stu1', 93], ['stu3', 82.5]]);
+    expect(bottom.map(entry => entry.student.id)).toEqual(['stu2']);
+  });
+});
@@ -0,0 +1,111 @@
+import { mean } from './stats';
+
+// ----------------------------------------------------
+// --- ASSESSMENT COMPONENTS (Weighted final grades) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} AssessmentComponent
+ * @property {string} id
+ * @property {string} name - e.g. "Quizzes" or "Midterm".
+ * @property {number} weight - Percent of the final grade; a subject's weights add up to 100.
+ */
+
+/**
+ * @typedef {Object} ComponentResult
+ * @property {AssessmentComponent} component
+ * @property {number} count - Scores recorded under the component.
+ * @property {number|null} average - Mean of those scores, or null without any.
+ * @property {number|null} contribution - Points the component adds to the final grade; null when it is left out.
+ */
+
+/**
+ * @typedef {Object} FinalGrade
+ * @property {number|null} score - Final grade (0-100) to one decimal, or null without scores.
+ * @property {ComponentResult[]} breakdown - One entry per component; empty for subjects without components.
+ * @property {boolean} complete - Every component has at least one score.
+ * @property {number} unassigned - Scores of a subject with components that belong to none of them; they do not count.
+ */
+
+/**
+ * @function validateComponents
+ * @param {{ name: string, weight: number }[]} components
+ * @returns {string|null} A message describing the first problem, or null when
+ *   the components are valid. No components at all is valid.
+ */
+export const validateComponents = (components) => {
+  if (components.length === 0) return null;
+  for (const component of components) {
+    if (!component.name.trim()) return 'Every assessment component needs a name.';
+    if (isNaN(component.weight) || component.weight <= 0) return `"${component.name}" needs a weight above 0%.`;
+  }
+  const names = components.map(component => component.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) return 'Two assessment components cannot share a name.';
+  const total = components.reduce((sum, component) => sum + component.weight, 0);
+  if (Math.abs(total - 100) > 0.01) return `Component weights must add up to 100% (now ${total}%).`;
+  return null;
+};
+
+/**
+ * @function countComponentGrades
+ * Grades recorded under each of a subject's components. A component with
+ * grades cannot be removed: they would point at a component that no longer
+ * exists and drop out of the final grade.
+ * @param {string} subjectId
+ * @param {import('./data').Grade[]} grades - Every grade; other subjects' are skipped.
+ * @returns {Map<string, number>} Component id -> number of grades.
+ */
+export const countComponentGrades = (subjectId, grades) => {
+  const counts = new Map();
+  grades.forEach(grade => {
+    if (grade.subjectId !== subjectId || !grade.componentId) return;
+    counts.set(grade.componentId, (counts.get(grade.componentId) ?? 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * @function computeFinalGrade
+ * Final grade of one student in one subject. Without components it is the
+ * mean of every score. With components it is the weighted mean of the
+ * component averages. While the term runs, components without scores yet are
+ * left out and the other weights scaled up, so a running grade shows; once
+ * the term is closed they count as 0.
+ * @param {import('./data').Grade[]} grades - The student's grades in the subject.
+ * @param {import('./data').Subject} subject
+ * @param {{ closed?: boolean }} [options] - Set closed for grades of a closed term.
+ * @returns {FinalGrade}
+ */
+export const computeFinalGrade = (grades, subject, { closed = false } = {}) => {
+  const components = subject?.components ?? [];
+  if (components.length === 0) {
+    const average = mean(grades.map(grade => grade.score));
+    return {
+      score: average === null ? null : Math.round(average * 10) / 10,
+      breakdown: [],
+      complete: grades.length > 0,
+      unassigned: 0,
+    };
+  }
+
+  const componentIds = new Set(components.map(component => component.id));
+  const breakdown = components.map(component => {
+    const scores = grades.filter(grade => grade.componentId === component.id).map(grade => grade.score);
+    return { component, count: scores.length, average: mean(scores), contribution: null };
+  });
+
+  const scored = breakdown.filter(result => result.average !== null);
+  const counted = closed ? breakdown : scored;
+  const countedWeight = counted.reduce((sum, result) => sum + result.component.weight, 0);
+  counted.forEach(result => {
+    result.contribution = ((result.average ?? 0) * result.component.weight) / countedWeight;
+  });
+  const total = counted.reduce((sum, result) => sum + result.contribution, 0);
+
+  return {
+    score: scored.length > 0 ? Math.round(total * 10) / 10 : null,
+    breakdown,
+    complete: scored.length === components.length,
+    unassigned: grades.filter(grade => !componentIds.has(grade.componentId)).length,
+  };
+};
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import { computeFinalGrade, countComponentGrades, validateComponents } from './assessments';
+
+const subject = {
+  id: 'sub1',
+  components: [
+    { id: 'quiz', name: 'Quizzes', weight: 20 },
+    { id: 'mid', name: 'Midterm', weight: 30 },
+    { id: 'fin', name: 'Finals', weight: 50 },
+  ],
+};
+
+describe('computeFinalGrade', () => {
+  it('averages every score of a subject without components', () => {
+    expect(computeFinalGrade([{ score: 80 }, { score: 91 }], { id: 'sub2' })).toEqual({
+      score: 85.5,
+      breakdown: [],
+      complete: true,
+      unassigned: 0,
+    });
+  });
+
+  it('is null without scores', () => {
+    expect(computeFinalGrade([], { id: 'sub2' }).score).toBeNull();
+    expect(computeFinalGrade([], subject).score).toBeNull();
+  });
+
+  it('weights the component averages', () => {
+    const result = computeFinalGrade([
+      { componentId: 'quiz', score: 70 },
+      { componentId: 'quiz', score: 90 },
+      { componentId: 'mid', score: 60 },
+      { componentId: 'fin', score: 100 },
+    ], subject);
+
+    // 80 * 20% + 60 * 30% + 100 * 50%
+    expect(result.score).toBe(84);
+    expect(result.complete).toBe(true);
+    expect(result.breakdown.map(({ count, average }) => [count, average])).toEqual([[2, 80], [1, 60], [1, 100]]);
+  });
+
+  it('scales up the weights of the scored components while others have no scores yet', () => {
+    const result = computeFinalGrade([
+      { componentId: 'quiz', score: 90 },
+      { componentId: 'mid', score: 65 },
+    ], subject);
+
+    // (90 * 20 + 65 * 30) / 50
+    expect(result.score).toBe(75);
+    expect(result.complete).toBe(false);
+    expect(result.breakdown[2].contribution).toBeNull();
+  });
+
+  it('counts components without scores as 0 once the term is closed', () => {
+    const result = computeFinalGrade([
+      { componentId: 'quiz', score: 90 },
+      { componentId: 'mid', score: 65 },
+    ], subject, { closed: true });
+
+    // 90 * 20% + 65 * 30% + 0 * 50%
+    expect(result.score).toBe(37.5);
+    expect(result.complete).toBe(false);
+    expect(result.breakdown[2]).toMatchObject({ count: 0, average: null, contribution: 0 });
+  });
+
+  it('leaves out scores that belong to no component', () => {
+    const result = computeFinalGrade([
+      { componentId: 'fin', score: 70 },
+      { componentId: null, score: 0 },
+    ], subject);
+    expect(result.score).toBe(70);
+    expect(result.unassigned).toBe(1);
+  });
+});
+
+describe('countComponentGrades', () => {
+  it('counts the subject\'s grades per component', () => {
+    const counts = countComponentGrades('sub1', [
+      { subjectId: 'sub1', componentId: 'quiz' },
+      { subjectId: 'sub1', componentId: 'quiz' },
+      { subjectId: 'sub1', componentId: 'fin' },
+      { subjectId: 'sub1', componentId: null },
+      { subjectId: 'sub2', componentId: 'mid' },
+    ]);
+    expect([...counts]).toEqual([['quiz', 2], ['fin', 1]]);
+  });
+});
+
+describe('validateComponents', () => {
+  it('accepts no components, or weights adding up to 100%', () => {
+    expect(validateComponents([])).toBeNull();
+    expect(validateComponents(subject.components)).toBeNull();
+  });
+
+  it('explains the first problem', () => {
+    expect(validateComponents([{ name: 'Quizzes', weight: 0 }])).toBe('"Quizzes" needs a weight above 0%.');
+    expect(validateComponents([{ name: 'Quizzes', weight: 50 }, { name: 'quizzes ', weight: 50 }])).toBe('Two assessment components cannot share a name.');
+    expect(validateComponents([{ name: 'Quizzes', weight: 40 }, { name: 'Finals', weight: 50 }])).toBe('Component weights must add up to 100% (now 90%).');
+  });
+});
@@ -0,0 +1,145 @@
+import { attendanceRecordRepository, attendanceSessionRepository, sectionRepository } from './data';
+
+// ----------------------------------------------------
+// --- ATTENDANCE (Class sessions and who attended them) ---
+// ----------------------------------------------------
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+export const ATTENDANCE_LABELS = {
+  present: 'Present',
+  absent: 'Absent',
+  late: 'Late',
+  excused: 'Excused',
+};
+
+/**
+ * @typedef {Object} AttendanceSummary
+ * @property {number} present
+ * @property {number} absent
+ * @property {number} late
+ * @property {number} excused
+ * @property {number} marked - Sessions the student was marked in.
+ * @property {number|null} rate - Percentage attended, to one decimal; null when every mark is excused.
+ */
+
+/**
+ * @typedef {Object} AttendanceData
+ * @property {import('./data').Section[]} sections - Only sessions of these sections count.
+ * @property {import('./data').AttendanceSession[]} sessions
+ * @property {import('./data').AttendanceRecord[]} records
+ */
+
+const storedAttendance = () => ({
+  sections: sectionRepository.getAll(),
+  sessions: attendanceSessionRepository.getAll(),
+  records: attendanceRecordRepository.getAll(),
+});
+
+/**
+ * @function summarizeAttendance
+ * Late counts as attended. Excused absences are left out of the rate, so they
+ * neither help nor hurt it.
+ * @param {import('./data').AttendanceRecord[]} records - One student's marks.
+ * @returns {AttendanceSummary}
+ */
+export const summarizeAttendance = (records) => {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+  records.forEach(record => { counts[record.status] += 1; });
+  const counted = records.length - counts.excused;
+  return {
+    ...counts,
+    marked: records.length,
+    rate: counted > 0 ? Math.round(((counts.present + counts.late) / counted) * 1000) / 10 : null,
+  };
+};
+
+/**
+ * @function formatAttendanceRate
+ * @param {number|null|undefined} rate
+ * @returns {string} e.g. "92%", or "N/A".
+ */
+export const formatAttendanceRate = (rate) => (rate === null || rate === undefined ? 'N/A' : `${Math.round(rate)}%`);
+
+const summarizeByStudent = (sessionIds, records) => {
+  const byStudent = new Map();
+  records
+    .filter(record => sessionIds.has(record.sessionId))
+    .forEach(record => byStudent.set(record.studentId, [...(byStudent.get(record.studentId) ?? []), record]));
+  return new Map([...byStudent].map(([studentId, studentRecords]) => [studentId, summarizeAttendance(studentRecords)]));
+};
+
+/**
+ * @function getSectionAttendance
+ * @param {string} sectionId
+ * @param {AttendanceData} [data] - Defaults to the stored records.
+ * @returns {Map<string, AttendanceSummary>} Summaries keyed by student record id.
+ */
+export const getSectionAttendance = (sectionId, data = storedAttendance()) =>
+  summarizeByStudent(
+    new Set(data.sessions.filter(session => session.sectionId === sectionId).map(session => session.id)),
+    data.records
+  );
+
+/**
+ * @function getSubjectAttendance
+ * Attendance in every section of a subject. Pass only one term's sections to
+ * get that term's attendance.
+ * @param {string} subjectId
+ * @param {AttendanceData} [data] - Defaults to the stored records.
+ * @returns {Map<string, AttendanceSummary>} Summaries keyed by student record id.
+ */
+export const getSubjectAttendance = (subjectId, data = storedAttendance()) => {
+  const sectionIds = new Set(data.sections.filter(section => section.subjectId === subjectId).map(section => section.id));
+  return summarizeByStudent(
+    new Set(data.sessions.filter(session => sectionIds.has(session.sectionId)).map(session => session.id)),
+    data.records
+  );
+};
+
+/**
+ * @function validateSession
+ * @param {import('./data').AttendanceSession} session - Unsaved values.
+ * @param {import('./data').AttendanceSession[]} sessions - Stored sessions.
+ * @returns {string|null} What is wrong, or null when the session is valid.
+ */
+export const validateSession = (session, sessions) => {
+  if (!session.date) return 'Please enter the date of the session.';
+  const duplicate = sessions.some(s =>
+    s.id !== session.id && s.sectionId === session.sectionId && s.date === session.date &&
+    (s.topic || '').trim().toLowerCase() === (session.topic || '').trim().toLowerCase()
+  );
+  if (duplicate) return 'This section already has a session with that date and topic.';
+  return null;
+};
+
+/**
+ * @function markAttendance
+ * Sets one student's mark for a session, replacing any earlier mark.
+ * @param {string} sessionId
+ * @param {string} studentId
+ * @param {'present'|'absent'|'late'|'excused'} status
+ * @returns {Promise<import('./data').AttendanceRecord>}
+ */
+export const markAttendance = (sessionId, studentId, status) => {
+  const existing = attendanceRecordRepository.getAll()
+    .find(record => record.sessionId === sessionId && record.studentId === studentId);
+  if (existing) {
+    return existing.status === status
+      ? Promise.resolve(existing)
+      : attendanceRecordRepository.update(existing.id, { status });
+  }
+  return attendanceRecordRepository.create({ sessionId, studentId, status });
+};
+
+/**
+ * @function deleteSession
+ * Deletes a session together with its marks.
+ * @param {string} id - Session id.
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  const records = attendanceRecordRepository.getAll().filter(record => record.sessionId === id);
+  await Promise.all(records.map(record => attendanceRecordRepository.remove(record.id)));
+  await attendanceSessionRepository.remove(id);
+};
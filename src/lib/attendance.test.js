@@ -0,0 +1,95 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+  formatAttendanceRate,
+  getSectionAttendance,
+  getSubjectAttendance,
+  markAttendance,
+  summarizeAttendance,
+  validateSession,
+} from './attendance';
+import { attendanceRecordRepository } from './data';
+
+const marks = (...statuses) => statuses.map((status, index) => ({ id: `r${index}`, sessionId: `s${index}`, studentId: 'stu1', status }));
+
+describe('summarizeAttendance', () => {
+  it('counts late as attended and leaves excused absences out of the rate', () => {
+    expect(summarizeAttendance(marks('present', 'late', 'absent', 'excused', 'present'))).toEqual({
+      present: 2,
+      absent: 1,
+      late: 1,
+      excused: 1,
+      marked: 5,
+      rate: 75,
+    });
+  });
+
+  it('rounds the rate to one decimal', () => {
+    expect(summarizeAttendance(marks('present', 'present', 'absent')).rate).toBe(66.7);
+  });
+
+  it('has no rate without counted sessions', () => {
+    expect(summarizeAttendance([]).rate).toBeNull();
+    expect(summarizeAttendance(marks('excused')).rate).toBeNull();
+    expect(formatAttendanceRate(null)).toBe('N/A');
+    expect(formatAttendanceRate(66.7)).toBe('67%');
+  });
+});
+
+describe('section and subject attendance', () => {
+  const data = {
+    sections: [
+      { id: 'it-a', subjectId: 'it' },
+      { id: 'it-b', subjectId: 'it' },
+      { id: 'math-a', subjectId: 'math' },
+    ],
+    sessions: [
+      { id: 's1', sectionId: 'it-a' },
+      { id: 's2', sectionId: 'it-b' },
+      { id: 's3', sectionId: 'math-a' },
+    ],
+    records: [
+      { sessionId: 's1', studentId: 'stu1', status: 'present' },
+      { sessionId: 's2', studentId: 'stu2', status: 'absent' },
+      { sessionId: 's3', studentId: 'stu1', status: 'absent' },
+    ],
+  };
+
+  it('summarizes each student of a section', () => {
+    const attendance = getSectionAttendance('it-a', data);
+    expect([...attendance.keys()]).toEqual(['stu1']);
+    expect(attendance.get('stu1').rate).toBe(100);
+  });
+
+  it('summarizes every section of a subject', () => {
+    const attendance = getSubjectAttendance('it', data);
+    expect(attendance.get('stu1').rate).toBe(100);
+    expect(attendance.get('stu2').rate).toBe(0);
+  });
+});
+
+describe('validateSession', () => {
+  const sessions = [{ id: 's1', sectionId: 'it-a', date: '2026-09-01', topic: 'Loops' }];
+
+  it('needs a date and refuses a repeated date and topic', () => {
+    expect(validateSession({ sectionId: 'it-a', date: '' }, sessions)).toBe('Please enter the date of the session.');
+    expect(validateSession({ sectionId: 'it-a', date: '2026-09-01', topic: ' loops' }, sessions))
+      .toBe('This section already has a session with that date and topic.');
+    expect(validateSession({ sectionId: 'it-a', date: '2026-09-01', topic: 'Arrays' }, sessions)).toBeNull();
+    expect(validateSession(sessions[0], sessions)).toBeNull();
+  });
+});
+
+describe('markAttendance', () => {
+  beforeEach(() => attendanceRecordRepository.replaceAll([]));
+
+  it('keeps one mark per student and session', async () => {
+    await markAttendance('s1', 'stu1', 'absent');
+    await markAttendance('s1', 'stu1', 'late');
+    await markAttendance('s1', 'stu2', 'present');
+
+    expect(attendanceRecordRepository.getAll().map(({ sessionId, studentId, status }) => [sessionId, studentId, status])).toEqual([
+      ['s1', 'stu1', 'late'],
+      ['s1', 'stu2', 'present'],
+    ]);
+  });
+});
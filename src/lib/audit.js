@@ -0,0 +1,258 @@
+import { gradeAuditRepository, gradeRepository, termRepository } from './data';
+import { getAuthState } from './auth';
+import { generateId } from './repository';
+import { getStudentName } from './records';
+import { getTermLabel, isTermClosed } from './terms';
+
+// ----------------------------------------------------
+// --- GRADE AUDIT TRAIL (Append-only log of grade changes) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} GradeSnapshot
+ * @property {string|null} studentId - Null for a legacy grade never linked to a student.
+ * @property {string|null} subjectId - Null for a legacy grade never linked to a subject.
+ * @property {string|null} componentId
+ * @property {string|null} assessment
+ * @property {number} score
+ * @property {string} date
+ * @property {string|null} termId
+ */
+
+/**
+ * @typedef {Object} GradeAuditEntry
+ * @property {string} id
+ * @property {string} gradeId - id of the changed {@link import('./data').Grade}; it may since have been deleted.
+ * @property {'create'|'update'|'delete'} action
+ * @property {GradeSnapshot|null} before - Null for "create".
+ * @property {GradeSnapshot|null} after - Null for "delete".
+ * @property {string|null} studentId - The grade's student, kept for filtering after a delete.
+ * @property {string|null} subjectId - The grade's subject, kept for filtering after a delete.
+ * @property {string|null} reason
+ * @property {string} changedBy - Auth user id of whoever made the change.
+ * @property {string} changedByName
+ * @property {string} changedAt - ISO timestamp.
+ */
+
+/** Grade fields the audit trail records. */
+export const AUDITED_FIELDS = ['studentId', 'subjectId', 'componentId', 'assessment', 'score', 'date', 'termId'];
+
+export const AUDIT_ACTIONS = {
+  create: 'Created',
+  update: 'Changed',
+  delete: 'Deleted',
+};
+
+const snapshotGrade = (grade) =>
+  Object.fromEntries(AUDITED_FIELDS.map(field => [field, grade[field] ?? null]));
+
+/**
+ * @function getChangedFields
+ * @param {GradeAuditEntry} entry
+ * @returns {string[]} Audited fields whose value differs between before and after.
+ */
+export const getChangedFields = (entry) => {
+  if (!entry.before || !entry.after) return [];
+  return AUDITED_FIELDS.filter(field => entry.before[field] !== entry.after[field]);
+};
+
+// With Supabase a trigger on the grades table writes each entry in the same
+// transaction as the change, so a change can never be saved unlogged. Other
+// backends get the entry from the app, written before the change.
+const loggedByBackend = () => Boolean(gradeRepository.getBackend().logsGradeChanges);
+
+// Entries written by the trigger reach this browser with the next load
+const refreshLog = () => gradeAuditRepository.load();
+
+// Mirrors the lock_closed_term_grades trigger for every backend: grades cannot
+// be added to, changed in, moved out of or deleted from a closed term
+const assertTermsOpen = (...termIds) => {
+  const closed = termIds.map(termId => termRepository.getById(termId)).find(isTermClosed);
+  if (closed) {
+    const error = new Error(`${getTermLabel(closed)} is closed and its grades are locked. Reopen the term to change them.`);
+    error.name = 'TermClosedError';
+    throw error;
+  }
+};
+
+const appendEntry = (action, before, after, reason) => {
+  const user = getAuthState().user;
+  const grade = after ?? before;
+  return gradeAuditRepository.create({
+    gradeId: grade.id,
+    action,
+    before: before && snapshotGrade(before),
+    after: after && snapshotGrade(after),
+    studentId: grade.studentId,
+    subjectId: grade.subjectId,
+    reason: reason?.trim() || null,
+    changedBy: user?.id ?? 'unknown',
+    changedByName: user?.fullName ?? 'Unknown user',
+    changedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * @function createGrade
+ * Creates a grade and logs it.
+ * @param {Object} data - Grade fields.
+ * @param {{ reason?: string }} [options]
+ * @returns {Promise<import('./data').Grade>}
+ * @throws {Error} A "TermClosedError" when the grade's term is closed.
+ */
+export const createGrade = async (data, { reason } = {}) => {
+  assertTermsOpen(data.termId);
+  if (loggedByBackend()) {
+    const grade = await gradeRepository.create(data, { reason: reason?.trim() || null });
+    await refreshLog();
+    return grade;
+  }
+  const record = { ...data, id: data.id || generateId() };
+  await appendEntry('create', null, record, reason);
+  return gradeRepository.create(record);
+};
+
+/**
+ * @function updateGrade
+ * Updates a grade and logs the change. Changes that leave every audited field
+ * as it was are saved without an entry.
+ * @param {string} id - Grade id.
+ * @param {Object} changes
+ * @param {{ reason?: string }} [options]
+ * @returns {Promise<import('./data').Grade>}
+ * @throws {Error} A "TermClosedError" when the grade is in a closed term or is moved into one.
+ */
+export const updateGrade = async (id, changes, { reason } = {}) => {
+  const before = gradeRepository.getById(id);
+  assertTermsOpen(before?.termId, changes.termId);
+  if (loggedByBackend()) {
+    const grade = await gradeRepository.update(id, changes, { reason: reason?.trim() || null });
+    await refreshLog();
+    return grade;
+  }
+  const after = before && { ...before, ...changes, id };
+  if (before && AUDITED_FIELDS.some(field => (before[field] ?? null) !== (after[field] ?? null))) {
+    await appendEntry('update', before, after, reason);
+  }
+  return gradeRepository.update(id, changes);
+};
+
+/**
+ * @function deleteGrade
+ * Deletes a grade and logs its last values.
+ * @param {string} id - Grade id.
+ * @param {{ reason?: string }} [options]
+ * @returns {Promise<void>}
+ * @throws {Error} A "TermClosedError" when the grade's term is closed.
+ */
+export const deleteGrade = async (id, { reason } = {}) => {
+  const before = gradeRepository.getById(id);
+  assertTermsOpen(before?.termId);
+  if (loggedByBackend()) {
+    await gradeRepository.remove(id, { reason: reason?.trim() || null });
+    await refreshLog();
+    return;
+  }
+  if (before) await appendEntry('delete', before, null, reason);
+  await gradeRepository.remove(id);
+};
+
+/**
+ * @function logGradeRestore
+ * Logs what replacing every grade with a restored set does to each one: an
+ * entry per grade removed, changed or added. Call it before the grades are
+ * replaced. With Supabase the trigger logs each grade the restore writes or
+ * deletes, so nothing is written here.
+ * @param {import('./data').Grade[]} restored - The grades about to be stored.
+ * @param {{ reason?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export const logGradeRestore = async (restored, { reason } = {}) => {
+  if (loggedByBackend()) return;
+  const current = gradeRepository.getAll();
+  const restoredById = new Map(restored.map(grade => [grade.id, grade]));
+  const currentIds = new Set(current.map(grade => grade.id));
+  for (const grade of current) {
+    const next = restoredById.get(grade.id);
+    if (!next) {
+      await appendEntry('delete', grade, null, reason);
+    } else if (AUDITED_FIELDS.some(field => (grade[field] ?? null) !== (next[field] ?? null))) {
+      await appendEntry('update', grade, next, reason);
+    }
+  }
+  for (const grade of restored) {
+    if (!currentIds.has(grade.id)) await appendEntry('create', null, grade, reason);
+  }
+};
+
+// Entries are appended in order, so ties within a millisecond keep it reversed
+const newestFirst = (entries) =>
+  [...entries].reverse().sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+
+/**
+ * @function getGradeHistory
+ * @param {string} gradeId
+ * @param {GradeAuditEntry[]} [entries] - Defaults to the stored log.
+ * @returns {GradeAuditEntry[]} The grade's entries, newest first.
+ */
+export const getGradeHistory = (gradeId, entries = gradeAuditRepository.getAll()) =>
+  newestFirst(entries.filter(entry => entry.gradeId === gradeId));
+
+/**
+ * @function filterAuditEntries
+ * @param {GradeAuditEntry[]} entries
+ * @param {{ userId?: string, studentId?: string, subjectId?: string, from?: string, to?: string }} filters -
+ *   Empty filters match everything; from and to are inclusive ISO dates (YYYY-MM-DD).
+ * @returns {GradeAuditEntry[]} Matching entries, newest first.
+ */
+export const filterAuditEntries = (entries, { userId, studentId, subjectId, from, to }) =>
+  newestFirst(entries.filter(entry => {
+    // Compare calendar days in local time, as picked in the date inputs
+    const day = new Date(entry.changedAt).toLocaleDateString('en-CA');
+    return (!userId || entry.changedBy === userId) &&
+      (!studentId || entry.studentId === studentId) &&
+      (!subjectId || entry.subjectId === subjectId) &&
+      (!from || day >= from) &&
+      (!to || day <= to);
+  }));
+
+export const AUDITED_FIELD_LABELS = {
+  studentId: 'Student',
+  subjectId: 'Subject',
+  componentId: 'Component',
+  assessment: 'Assessment',
+  score: 'Score',
+  date: 'Date',
+  termId: 'Term',
+};
+
+/**
+ * @function formatAuditValue
+ * Readable form of one audited field, with ids resolved to names.
+ * @param {string} field - One of AUDITED_FIELDS.
+ * @param {*} value
+ * @param {{ studentsById: Map, subjectsById: Map, termsById: Map }} lookups
+ * @param {import('./data').Subject} [subject] - The grade's subject, for its components.
+ * @returns {string}
+ */
+export const formatAuditValue = (field, value, { studentsById, subjectsById, termsById }, subject) => {
+  if (value === null || value === undefined || value === '') return '—';
+  switch (field) {
+    case 'score':
+      return `${value}%`;
+    case 'studentId': {
+      const student = studentsById.get(value);
+      return student ? getStudentName(student) : 'Deleted student';
+    }
+    case 'subjectId':
+      return subjectsById.get(value)?.code ?? 'Deleted subject';
+    case 'componentId':
+      return subject?.components?.find(component => component.id === value)?.name ?? 'Removed component';
+    case 'termId': {
+      const term = termsById.get(value);
+      return term ? getTermLabel(term) : 'Deleted term';
+    }
+    default:
+      return String(value);
+  }
+};
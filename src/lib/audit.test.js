@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createGrade, deleteGrade, filterAuditEntries, getChangedFields, getGradeHistory, updateGrade } from './audit';
+import { gradeAuditRepository, gradeRepository, setStorageBackend, termRepository } from './data';
+import { createLocalStorageBackend } from './storage';
+
+const entries = () => gradeAuditRepository.getAll().map(({ action, reason, before, after }) =>
+  [action, reason, before?.score ?? null, after?.score ?? null]);
+
+describe('grade audit trail', () => {
+  beforeEach(async () => {
+    await setStorageBackend(createLocalStorageBackend());
+    await gradeRepository.replaceAll([]);
+    await gradeAuditRepository.replaceAll([]);
+  });
+
+  it('logs creates, changes and deletes', async () => {
+    const grade = await createGrade({ studentId: 'stu1', subjectId: 'sub1', score: 80, date: '2026-09-01' });
+    await updateGrade(grade.id, { score: 85 }, { reason: 'Regraded' });
+    await updateGrade(grade.id, { score: 85 });
+    await deleteGrade(grade.id, { reason: ' Entered twice ' });
+
+    expect(entries()).toEqual([
+      ['create', null, null, 80],
+      ['update', 'Regraded', 80, 85],
+      ['delete', 'Entered twice', 85, null],
+    ]);
+    expect(gradeAuditRepository.getAll().every(entry => entry.gradeId === grade.id)).toBe(true);
+    expect(getChangedFields(gradeAuditRepository.getAll()[1])).toEqual(['score']);
+  });
+
+  it('logs deleting a legacy grade that was never linked', async () => {
+    await gradeRepository.create({ id: 'legacy', studentId: null, subjectId: null, studentName: 'Old Name', score: 40 });
+    await deleteGrade('legacy', { reason: 'Unmatched orphan deleted by the integrity check' });
+
+    expect(gradeRepository.getAll()).toEqual([]);
+    expect(gradeAuditRepository.getAll()[0]).toMatchObject({ action: 'delete', studentId: null, subjectId: null });
+  });
+
+  it('refuses to add, change, move or delete grades in a closed term', async () => {
+    await termRepository.replaceAll([
+      { id: 'closed', name: 'First Semester', schoolYear: '2025-2026', startDate: '2025-08-01', endDate: '2025-12-31', status: 'closed' },
+      { id: 'open', name: 'Second Semester', schoolYear: '2025-2026', startDate: '2026-01-01', endDate: '2026-05-31', status: 'active' },
+    ]);
+    await gradeRepository.replaceAll([
+      { id: 'locked', studentId: 'stu1', subjectId: 'sub1', score: 80, date: '2025-09-01', termId: 'closed' },
+      { id: 'current', studentId: 'stu1', subjectId: 'sub1', score: 70, date: '2026-02-01', termId: 'open' },
+    ]);
+    const locked = { name: 'TermClosedError', message: expect.stringContaining('First Semester 2025-2026 is closed') };
+
+    await expect(createGrade({ studentId: 'stu1', subjectId: 'sub1', score: 90, termId: 'closed' })).rejects.toMatchObject(locked);
+    await expect(updateGrade('locked', { score: 85 })).rejects.toMatchObject(locked);
+    await expect(updateGrade('current', { termId: 'closed' })).rejects.toMatchObject(locked);
+    await expect(deleteGrade('locked')).rejects.toMatchObject(locked);
+
+    expect(gradeRepository.getAll().map(grade => [grade.id, grade.score, grade.termId])).toEqual([
+      ['locked', 80, 'closed'],
+      ['current', 70, 'open'],
+    ]);
+    expect(gradeAuditRepository.getAll()).toEqual([]);
+    await termRepository.replaceAll([]);
+  });
+
+  describe('with a backend that logs grade changes itself', () => {
+    let writes;
+
+    beforeEach(async () => {
+      writes = [];
+      const local = createLocalStorageBackend();
+      await setStorageBackend({
+        ...local,
+        name: 'database',
+        logsGradeChanges: true,
+        insert: (collection, record, options) => {
+          writes.push(['insert', collection, options]);
+          return local.insert(collection, record);
+        },
+        remove: (collection, id, options) => {
+          writes.push(['remove', collection, options]);
+          return local.remove(collection, id);
+        },
+      });
+    });
+
+    afterEach(() => setStorageBackend(createLocalStorageBackend()));
+
+    it('sends the reason with the change and writes no entry of its own', async () => {
+      const grade = await createGrade({ studentId: 'stu1', subjectId: 'sub1', score: 80 }, { reason: 'Imported' });
+      await deleteGrade(grade.id);
+
+      expect(writes).toEqual([
+        ['insert', 'grades', { reason: 'Imported' }],
+        ['remove', 'grades', { reason: null }],
+      ]);
+      expect(gradeAuditRepository.getAll()).toEqual([]);
+    });
+  });
+});
+
+describe('reading the log', () => {
+  const log = [
+    { id: 'a1', gradeId: 'g1', subjectId: 'it', changedBy: 'u1', changedAt: '2026-09-01T10:00:00.000Z' },
+    { id: 'a2', gradeId: 'g2', subjectId: 'math', changedBy: 'u2', changedAt: '2026-09-05T10:00:00.000Z' },
+    { id: 'a3', gradeId: 'g1', subjectId: 'it', changedBy: 'u2', changedAt: '2026-09-10T10:00:00.000Z' },
+  ];
+  const ids = (list) => list.map(entry => entry.id);
+
+  it('lists a grade\'s history newest first', () => {
+    expect(ids(getGradeHistory('g1', log))).toEqual(['a3', 'a1']);
+  });
+
+  it('filters by user, subject and date range', () => {
+    expect(ids(filterAuditEntries(log, {}))).toEqual(['a3', 'a2', 'a1']);
+    expect(ids(filterAuditEntries(log, { userId: 'u2', subjectId: 'it' }))).toEqual(['a3']);
+    expect(ids(filterAuditEntries(log, { from: '2026-09-02', to: '2026-09-09' }))).toEqual(['a2']);
+  });
+});
@@ -0,0 +1,144 @@
+import { useSyncExternalStore } from 'react';
+import { clearLocalData, reloadAll } from './data';
+import supabase from './supabase';
+
+// ----------------------------------------------------
+// --- AUTHENTICATION (Supabase Auth sessions and profiles) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} AppUser
+ * @property {string} id - Supabase Auth user id; "local" for the local administrator.
+ * @property {string|null} email
+ * @property {string} fullName
+ * @property {import('./permissions').Role} role
+ * @property {string|null} studentId - id of the {@link import('./data').Student} record of a student account.
+ */
+
+/**
+ * @typedef {Object} AuthState
+ * @property {AppUser|null} user - Null while signed out.
+ * @property {boolean} loading - The session is still being restored.
+ */
+
+/**
+ * Sign-in guards the shared Supabase records. A browser that keeps its
+ * records in localStorage alone has a single user, its administrator.
+ */
+export const AUTH_ENABLED = import.meta.env.VITE_DATA_BACKEND === 'supabase' && Boolean(supabase);
+
+/** @type {AppUser} */
+const LOCAL_ADMIN = { id: 'local', email: null, fullName: 'Local administrator', role: 'admin', studentId: null };
+
+/** @type {AuthState} */
+let state = AUTH_ENABLED ? { user: null, loading: true } : { user: LOCAL_ADMIN, loading: false };
+const listeners = new Set();
+
+const setState = (next) => {
+  state = next;
+  listeners.forEach(listener => listener());
+};
+
+const loadProfile = async (authUser) => {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('full_name, role, student_id')
+    .eq('id', authUser.id)
+    .single();
+  if (error) throw new Error(error.message);
+  return {
+    id: authUser.id,
+    email: authUser.email ?? null,
+    fullName: data.full_name || authUser.email || 'Unnamed user',
+    role: data.role,
+    studentId: data.student_id,
+  };
+};
+
+const applySession = async (session) => {
+  if (session?.user.id === state.user?.id && !state.loading) return;
+  let user = null;
+  if (session) {
+    try {
+      user = await loadProfile(session.user);
+    } catch (error) {
+      console.error('Error loading the signed-in profile:', error);
+    }
+  }
+  setState({ user, loading: false });
+  // Row level security decides which records each user sees.
+  await reloadAll();
+};
+
+if (AUTH_ENABLED) {
+  supabase.auth.onAuthStateChange((event, session) => {
+    if (!['INITIAL_SESSION', 'SIGNED_IN', 'SIGNED_OUT'].includes(event)) return;
+    // Supabase calls made inside the callback can deadlock the client.
+    setTimeout(() => {
+      applySession(session).catch(error => console.error('Error applying the session:', error));
+    }, 0);
+  });
+}
+
+/**
+ * @function getAuthState
+ * @returns {AuthState} Current state (stable reference until a change).
+ */
+export const getAuthState = () => state;
+
+/**
+ * @function subscribeAuth
+ * @param {function} listener
+ * @returns {function} Unsubscribe function.
+ */
+export const subscribeAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * @hook useAuth
+ * Subscribes a component to the signed-in user.
+ * @returns {AuthState}
+ */
+export const useAuth = () => useSyncExternalStore(subscribeAuth, getAuthState);
+
+/**
+ * @function signIn
+ * Signs in with email and password. The user is set once their profile loads.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<void>}
+ */
+export const signIn = async (email, password) => {
+  const { error } = await supabase.auth.signInWithPassword({ email, password });
+  if (error) throw new Error(error.message);
+};
+
+/**
+ * @function signOut
+ * Signs out and forgets the records and queued writes of the signed-out user
+ * (see clearLocalData).
+ * @returns {Promise<void>}
+ */
+export const signOut = async () => {
+  const { error } = await supabase.auth.signOut();
+  if (error) throw new Error(error.message);
+  await clearLocalData();
+};
+
+/**
+ * @function listInstructors
+ * Instructor accounts, for assigning sections. Only admins can read them.
+ * @returns {Promise<{ id: string, fullName: string }[]>} Sorted by name.
+ */
+export const listInstructors = async () => {
+  if (!AUTH_ENABLED) return [];
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, full_name')
+    .eq('role', 'instructor')
+    .order('full_name');
+  if (error) throw new Error(error.message);
+  return data.map(profile => ({ id: profile.id, fullName: profile.full_name }));
+};
@@ -0,0 +1,113 @@
+import { logGradeRestore } from './audit';
+import { repositories, restoreSnapshot } from './data';
+import { downloadBlob } from './exporter';
+import { DATA_SCHEMA_VERSION, migrateData } from './migrations';
+
+// ----------------------------------------------------
+// --- BACKUP AND RESTORE (Every collection in one JSON file) ---
+// ----------------------------------------------------
+
+const BACKUP_FORMAT = 'grading-system-backup';
+
+const RESTORE_REASON = 'Restored from backup';
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format - Always "grading-system-backup".
+ * @property {number} schemaVersion - DATA_SCHEMA_VERSION the records were saved with.
+ * @property {string|null} exportedAt - ISO timestamp.
+ * @property {Object<string, Object[]>} collections - Records keyed by collection name.
+ */
+
+/**
+ * @function createBackup
+ * @returns {Backup} Every stored record.
+ */
+export const createBackup = () => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: DATA_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  collections: Object.fromEntries(repositories.map(repository => [repository.collection, repository.getAll()])),
+});
+
+/**
+ * @function downloadBackup
+ * Downloads every stored record as a JSON backup.
+ */
+export const downloadBackup = () => {
+  const backup = createBackup();
+  downloadBlob(
+    new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }),
+    `grading-backup-${backup.exportedAt.split('T')[0]}.json`
+  );
+};
+
+/**
+ * @function readBackup
+ * Parses and checks a backup file before anything is overwritten. Backups
+ * from older schema versions are migrated to the current one; backups from
+ * newer versions are refused, since this version of the app cannot read them.
+ * @param {string} text - Contents of the file.
+ * @returns {{ backup: Backup, fromVersion: number }} The backup at
+ *   DATA_SCHEMA_VERSION, holding only the collections it restores, and the
+ *   version it was saved with.
+ * @throws {Error} When the file is not a usable backup.
+ */
+export const readBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (backup?.format !== BACKUP_FORMAT || typeof backup.collections !== 'object' || backup.collections === null) {
+    throw new Error('The file is not a backup of this app.');
+  }
+  const { schemaVersion } = backup;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error('The backup has no valid schema version.');
+  }
+  if (schemaVersion > DATA_SCHEMA_VERSION) {
+    throw new Error(`The backup uses schema version ${schemaVersion}, but this app reads up to version ${DATA_SCHEMA_VERSION}. Update the app first.`);
+  }
+
+  const names = repositories.map(repository => repository.collection);
+  const included = names.filter(name => backup.collections[name] !== undefined);
+  included.forEach(name => {
+    const records = backup.collections[name];
+    if (!Array.isArray(records) || records.some(record => typeof record?.id !== 'string')) {
+      throw new Error(`The "${name}" records of the backup are damaged.`);
+    }
+  });
+  if (included.length === 0) throw new Error('The backup holds no records.');
+
+  // Migrations see every collection; the ones they fill in (e.g. terms) are restored too
+  const snapshot = Object.fromEntries(names.map(name => [name, backup.collections[name] ?? []]));
+  const migrated = migrateData(snapshot, schemaVersion);
+  return {
+    backup: {
+      format: BACKUP_FORMAT,
+      schemaVersion: DATA_SCHEMA_VERSION,
+      exportedAt: backup.exportedAt ?? null,
+      collections: Object.fromEntries(names
+        .filter(name => included.includes(name) || migrated[name].length > 0)
+        .map(name => [name, migrated[name]])),
+    },
+    fromVersion: schemaVersion,
+  };
+};
+
+/**
+ * @function restoreBackup
+ * Replaces the stored records of every collection in a backup read with
+ * readBackup. Grades it adds, changes or removes are logged in the grade
+ * audit trail as "Restored from backup".
+ * @param {Backup} backup
+ * @returns {Promise<void>}
+ */
+export const restoreBackup = async (backup) => {
+  if (backup.collections.grades) {
+    await logGradeRestore(backup.collections.grades, { reason: RESTORE_REASON });
+  }
+  await restoreSnapshot(backup.collections, { reason: RESTORE_REASON });
+};
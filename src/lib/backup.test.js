@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { readBackup, restoreBackup } from './backup';
+import { gradeAuditRepository, gradeRepository, setStorageBackend, studentRepository, subjectRepository, termRepository } from './data';
+import { DATA_SCHEMA_VERSION } from './migrations';
+import { createLocalStorageBackend } from './storage';
+
+const backupText = (changes = {}) => JSON.stringify({
+  format: 'grading-system-backup',
+  schemaVersion: DATA_SCHEMA_VERSION,
+  exportedAt: '2026-10-01T08:00:00.000Z',
+  collections: {
+    students: [{ id: 'stu1', firstName: 'Ana', lastName: 'Cruz' }],
+    grades: [{ id: 'g1', studentId: 'stu1', subjectId: 'sub1', score: 88, date: '2026-09-01', termId: '2026-2027-1' }],
+  },
+  ...changes,
+});
+
+describe('readBackup', () => {
+  it('reads a current backup, keeping only the collections it holds', () => {
+    const { backup, fromVersion } = readBackup(backupText());
+    expect(fromVersion).toBe(DATA_SCHEMA_VERSION);
+    expect(Object.keys(backup.collections).sort()).toEqual(['grades', 'students']);
+    expect(backup.collections.grades[0].score).toBe(88);
+    expect(backup.exportedAt).toBe('2026-10-01T08:00:00.000Z');
+  });
+
+  it('refuses files that are not backups', () => {
+    expect(() => readBackup('not json')).toThrow('The file is not valid JSON.');
+    expect(() => readBackup('{"collections": {}}')).toThrow('The file is not a backup of this app.');
+    expect(() => readBackup(backupText({ schemaVersion: 'one' }))).toThrow('The backup has no valid schema version.');
+    expect(() => readBackup(backupText({ collections: {} }))).toThrow('The backup holds no records.');
+  });
+
+  it('refuses damaged collections', () => {
+    expect(() => readBackup(backupText({ collections: { grades: [{ score: 88 }] } })))
+      .toThrow('The "grades" records of the backup are damaged.');
+  });
+
+  it('refuses backups from a newer version of the app', () => {
+    expect(() => readBackup(backupText({ schemaVersion: DATA_SCHEMA_VERSION + 1 })))
+      .toThrow(`The backup uses schema version ${DATA_SCHEMA_VERSION + 1}`);
+  });
+
+  it('upgrades backups from older versions', () => {
+    const { backup, fromVersion } = readBackup(JSON.stringify({
+      format: 'grading-system-backup',
+      schemaVersion: 1,
+      collections: {
+        students: [{ id: 'stu1', firstName: 'Ana', lastName: 'Cruz' }],
+        subjects: [{ id: 'sub1', code: 'IT 101', name: 'Intro to Programming', credits: 3 }],
+        grades: [{ id: 'g1', studentName: 'Ana Cruz', subjectCode: 'IT 101', score: 88, date: '2026-09-01' }],
+      },
+    }));
+
+    expect(fromVersion).toBe(1);
+    expect(backup.schemaVersion).toBe(DATA_SCHEMA_VERSION);
+    const [grade] = backup.collections.grades;
+    expect(grade).toMatchObject({ studentId: 'stu1', subjectId: 'sub1' });
+    // Version 3 gives every dated grade a term, adding the terms it needs
+    expect(backup.collections.terms.map(term => term.id)).toContain(grade.termId);
+  });
+});
+
+describe('restoreBackup', () => {
+  beforeEach(async () => {
+    await gradeAuditRepository.replaceAll([]);
+    await subjectRepository.replaceAll([{ id: 'sub1', code: 'IT 101', name: 'Intro to Programming', credits: 3 }]);
+    await gradeRepository.replaceAll([
+      { id: 'g1', studentId: 'stu1', subjectId: 'sub1', score: 70, date: '2026-09-01', termId: '2026-2027-1' },
+      { id: 'g2', studentId: 'stu1', subjectId: 'sub1', score: 90, date: '2026-09-02', termId: '2026-2027-1' },
+    ]);
+  });
+
+  it('replaces the collections in the backup and keeps the others', async () => {
+    await restoreBackup(readBackup(backupText()).backup);
+
+    expect(gradeRepository.getAll()).toEqual([
+      { id: 'g1', studentId: 'stu1', subjectId: 'sub1', score: 88, date: '2026-09-01', termId: '2026-2027-1' },
+    ]);
+    expect(studentRepository.getAll().map(student => student.id)).toEqual(['stu1']);
+    expect(subjectRepository.getAll().map(subject => subject.id)).toEqual(['sub1']);
+  });
+
+  it('logs each grade it changes or removes in the audit trail', async () => {
+    await restoreBackup(readBackup(backupText()).backup);
+
+    expect(gradeAuditRepository.getAll().map(({ action, gradeId, reason }) => [action, gradeId, reason])).toEqual([
+      ['update', 'g1', 'Restored from backup'],
+      ['delete', 'g2', 'Restored from backup'],
+    ]);
+  });
+});
+
+describe('restoreBackup writes', () => {
+  let writes;
+
+  beforeEach(async () => {
+    writes = [];
+    const local = createLocalStorageBackend();
+    const record = (method) => (collection, ...args) => {
+      writes.push([method, collection, typeof args[0] === 'string' ? args[0] : args[0]?.id]);
+      return local[method](collection, ...args);
+    };
+    await setStorageBackend({ ...local, insert: record('insert'), update: record('update'), remove: record('remove'), replace: record('replace') });
+    await studentRepository.replaceAll([
+      { id: 'stu1', firstName: 'Ana', lastName: 'Cruz' },
+      { id: 'stu2', firstName: 'Ben', lastName: 'Reyes' },
+    ]);
+    await termRepository.replaceAll([
+      { id: 't1', name: 'First Semester', schoolYear: '2026-2027', startDate: '2026-08-01', endDate: '2026-12-31', status: 'active' },
+      { id: 't0', name: 'Summer', schoolYear: '2025-2026', startDate: '2026-06-01', endDate: '2026-07-31', status: 'closed' },
+    ]);
+    writes = [];
+  });
+
+  afterEach(() => setStorageBackend(createLocalStorageBackend()));
+
+  it('keeps the rows it restores and deletes only the ones missing from the backup', async () => {
+    await restoreBackup(readBackup(backupText({
+      collections: { students: [{ id: 'stu1', firstName: 'Ana', lastName: 'Cruz' }, { id: 'stu3', firstName: 'Cy', lastName: 'Lim' }] },
+    })).backup);
+
+    // stu1 is unchanged, so it is not even rewritten: rows linked to it keep their link
+    expect(writes).toEqual([
+      ['insert', 'students', 'stu3'],
+      ['remove', 'students', 'stu2'],
+    ]);
+  });
+
+  it('gives terms their status once every other record is in place', async () => {
+    await restoreBackup(readBackup(backupText({
+      collections: {
+        terms: [
+          { id: 't1', name: 'First Semester', schoolYear: '2026-2027', startDate: '2026-08-01', endDate: '2026-12-31', status: 'closed' },
+          { id: 't2', name: 'Second Semester', schoolYear: '2026-2027', startDate: '2027-01-01', endDate: '2027-05-31', status: 'active' },
+        ],
+      },
+    })).backup);
+
+    expect(writes).toEqual([
+      ['update', 'terms', 't1'],
+      ['update', 'terms', 't0'],
+      ['insert', 'terms', 't2'],
+      ['remove', 'terms', 't0'],
+      ['update', 'terms', 't1'],
+      ['update', 'terms', 't2'],
+    ]);
+    expect(termRepository.getAll().map(term => [term.id, term.status])).toEqual([['t1', 'closed'], ['t2', 'active']]);
+  });
+});
@@ -0,0 +1,386 @@
+import { createRepository } from './repository';
+import { createLocalStorageBackend } from './storage';
+import { createSupabaseBackend } from './supabaseBackend';
+import { createOfflineFallbackBackend } from './offlineBackend';
+import supabase from './supabase';
+import { DATA_SCHEMA_VERSION, migrateData } from './migrations';
+import {
+  INITIAL_STUDENTS,
+  INITIAL_SUBJECTS,
+  INITIAL_GRADES,
+  INITIAL_GRADING_SCALES,
+  INITIAL_TERMS,
+  INITIAL_SECTIONS,
+  INITIAL_ENROLLMENTS,
+} from './seedData';
+
+/**
+ * @typedef {Object} Student
+ * @property {string} id
+ * @property {string} studentId - School-issued ID, e.g. "STU-2024-001".
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} email
+ * @property {string} [phone]
+ * @property {string} enrollmentDate - ISO date (YYYY-MM-DD).
+ * @property {string} major
+ * @property {'active'|'inactive'|'graduated'|'suspended'} status
+ * @property {StatusChange[]} [statusHistory] - Every status the student has had, oldest first (see src/lib/students.js).
+ */
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {'active'|'inactive'|'graduated'|'suspended'} status - The status from then on.
+ * @property {string} changedAt - ISO timestamp.
+ * @property {string} changedByName
+ */
+
+/**
+ * @typedef {Object} Subject
+ * @property {string} id
+ * @property {string} code - e.g. "IT 101".
+ * @property {string} name
+ * @property {number} credits - 1 to 6.
+ * @property {string} [description] - What the course covers.
+ * @property {string} [gradingScaleId] - id of the {@link import('./grading').GradingScale} letters are resolved with; the default scale when missing.
+ * @property {import('./assessments').AssessmentComponent[]} [components] - Weighted parts of the final grade; none means every score counts equally.
+ */
+
+/**
+ * @typedef {Object} Grade
+ * @property {string} id
+ * @property {string|null} studentId - id of the {@link Student} record (not the school-issued studentId).
+ * @property {string|null} subjectId - id of the {@link Subject} record.
+ * @property {string} [studentName] - Legacy free-text student name, from before grades were linked by id.
+ * @property {string} [subjectCode] - Legacy free-text subject code, from before grades were linked by id.
+ * @property {number} score - 0 to 100.
+ * @property {string} date - ISO date (YYYY-MM-DD).
+ * @property {string|null} [componentId] - id of the subject's {@link import('./assessments').AssessmentComponent} the score counts towards.
+ * @property {string|null} [assessment] - Optional title, e.g. "Quiz 3".
+ * @property {string|null} [termId] - id of the {@link Term} the grade belongs to.
+ */
+
+/**
+ * @typedef {Object} Term
+ * @property {string} id
+ * @property {string} name - e.g. "First Semester".
+ * @property {string} schoolYear - e.g. "2026-2027".
+ * @property {string} startDate - ISO date (YYYY-MM-DD).
+ * @property {string} endDate - ISO date (YYYY-MM-DD), inclusive.
+ * @property {'open'|'active'|'closed'} status - At most one term is active; closed terms lock their grades.
+ * @property {string|null} [closedAt] - ISO timestamp of the close.
+ */
+
+/**
+ * @typedef {Object} Section
+ * @property {string} id
+ * @property {string} subjectId - id of the {@link Subject} taught.
+ * @property {string|null} termId - id of the {@link Term} it runs in.
+ * @property {string} code - Section name within the subject, e.g. "A".
+ * @property {string} schedule - Free text, e.g. "MWF 9:00-10:00".
+ * @property {string} [room]
+ * @property {string} instructor - Instructor's name.
+ * @property {string|null} [instructorId] - Auth user id of the instructor's account; only set with sign-in.
+ */
+
+/**
+ * @typedef {Object} Enrollment
+ * @property {string} id
+ * @property {string} sectionId - id of the {@link Section}.
+ * @property {string} studentId - id of the {@link Student} record.
+ * @property {string} enrolledOn - ISO date (YYYY-MM-DD).
+ */
+
+/**
+ * @typedef {Object} AttendanceSession
+ * @property {string} id
+ * @property {string} sectionId - id of the {@link Section} that met.
+ * @property {string} date - ISO date (YYYY-MM-DD).
+ * @property {string} [topic] - e.g. "Loops and arrays".
+ */
+
+/**
+ * @typedef {Object} AttendanceRecord
+ * @property {string} id
+ * @property {string} sessionId - id of the {@link AttendanceSession}.
+ * @property {string} studentId - id of the {@link Student} record.
+ * @property {'present'|'absent'|'late'|'excused'} status
+ */
+
+/**
+ * @typedef {Object} StudentNote
+ * @property {string} id
+ * @property {string} studentId - id of the {@link Student} record.
+ * @property {string} body
+ * @property {string} authorId - Auth user id of whoever wrote it.
+ * @property {string} authorName
+ * @property {string} createdAt - ISO timestamp.
+ */
+
+// localStorage keys used before the shared data layer existed; kept so that
+// existing browsers keep their records.
+const LOCAL_STORAGE_KEYS = {
+  students: 'studentRecords',
+  subjects: 'subjectRecords',
+  grades: 'gradeRecords',
+  grading_scales: 'gradingScaleRecords',
+  terms: 'termRecords',
+  sections: 'sectionRecords',
+  enrollments: 'enrollmentRecords',
+  attendance_sessions: 'attendanceSessionRecords',
+  attendance_records: 'attendanceRecords',
+  student_notes: 'studentNoteRecords',
+  grade_audit: 'gradeAuditRecords',
+};
+
+/**
+ * @function createDefaultBackend
+ * Picks the backend from VITE_DATA_BACKEND: "supabase" stores records in the
+ * shared Supabase tables, with localStorage as the offline cache; anything
+ * else (the default) keeps records in this browser's localStorage only.
+ * @returns {import('./storage').StorageBackend}
+ */
+export const createDefaultBackend = () => {
+  const localBackend = createLocalStorageBackend(LOCAL_STORAGE_KEYS);
+  if (import.meta.env.VITE_DATA_BACKEND !== 'supabase') {
+    return localBackend;
+  }
+  if (!supabase) {
+    console.error('VITE_DATA_BACKEND is "supabase" but VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY are missing; using localStorage.');
+    return localBackend;
+  }
+  return createOfflineFallbackBackend({
+    remote: createSupabaseBackend(supabase),
+    cache: localBackend,
+  });
+};
+
+const defaultBackend = createDefaultBackend();
+
+// The demo sections enroll demo students by id. A browser that already stores
+// students or subjects of its own gets none: those ids may be gone there, or
+// belong to unrelated records.
+const isFreshInstall = [LOCAL_STORAGE_KEYS.students, LOCAL_STORAGE_KEYS.subjects]
+  .every(key => localStorage.getItem(key) === null);
+
+/** @type {import('./repository').Repository} Repository of {@link Student} records. */
+export const studentRepository = createRepository({
+  collection: 'students',
+  backend: defaultBackend,
+  seed: INITIAL_STUDENTS,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link Subject} records. */
+export const subjectRepository = createRepository({
+  collection: 'subjects',
+  backend: defaultBackend,
+  seed: INITIAL_SUBJECTS,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link Grade} records. */
+export const gradeRepository = createRepository({
+  collection: 'grades',
+  backend: defaultBackend,
+  seed: INITIAL_GRADES,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link import('./grading').GradingScale} records. */
+export const gradingScaleRepository = createRepository({
+  collection: 'grading_scales',
+  backend: defaultBackend,
+  seed: INITIAL_GRADING_SCALES,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link Term} records. */
+export const termRepository = createRepository({
+  collection: 'terms',
+  backend: defaultBackend,
+  seed: INITIAL_TERMS,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link Section} records. */
+export const sectionRepository = createRepository({
+  collection: 'sections',
+  backend: defaultBackend,
+  seed: isFreshInstall ? INITIAL_SECTIONS : [],
+});
+
+/** @type {import('./repository').Repository} Repository of {@link Enrollment} records. */
+export const enrollmentRepository = createRepository({
+  collection: 'enrollments',
+  backend: defaultBackend,
+  seed: isFreshInstall ? INITIAL_ENROLLMENTS : [],
+});
+
+/** @type {import('./repository').Repository} Repository of {@link AttendanceSession} records. */
+export const attendanceSessionRepository = createRepository({
+  collection: 'attendance_sessions',
+  backend: defaultBackend,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link AttendanceRecord} records. */
+export const attendanceRecordRepository = createRepository({
+  collection: 'attendance_records',
+  backend: defaultBackend,
+});
+
+/** @type {import('./repository').Repository} Repository of {@link StudentNote} records. */
+export const studentNoteRepository = createRepository({
+  collection: 'student_notes',
+  backend: defaultBackend,
+});
+
+/**
+ * Repository of {@link import('./audit').GradeAuditEntry} records. Entries are
+ * only ever appended (see src/lib/audit.js), so the log is not one of the
+ * `repositories` that backups restore.
+ * @type {import('./repository').Repository}
+ */
+export const gradeAuditRepository = createRepository({
+  collection: 'grade_audit',
+  backend: defaultBackend,
+});
+
+export const repositories = [
+  studentRepository,
+  subjectRepository,
+  gradeRepository,
+  gradingScaleRepository,
+  termRepository,
+  sectionRepository,
+  enrollmentRepository,
+  attendanceSessionRepository,
+  attendanceRecordRepository,
+  studentNoteRepository,
+];
+
+/**
+ * @function setStorageBackend
+ * Points every repository at a different backend and reloads its records.
+ * @param {import('./storage').StorageBackend} backend
+ * @returns {Promise<void>}
+ */
+export const setStorageBackend = async (backend) => {
+  await Promise.all([...repositories, gradeAuditRepository].map(repository => repository.setBackend(backend)));
+};
+
+/**
+ * @function reloadAll
+ * Reloads every repository from its backend.
+ * @returns {Promise<void>}
+ */
+export const reloadAll = async () => {
+  await Promise.all([...repositories, gradeAuditRepository].map(repository => repository.load()));
+};
+
+/**
+ * @function clearLocalData
+ * Forgets the records this browser holds, e.g. on sign-out: the repositories
+ * are emptied without writing to the backend, and an offline backend drops its
+ * cache and any writes still queued. The next user to sign in then neither
+ * sees those records nor replays those writes under their own account.
+ * @returns {Promise<void>}
+ */
+export const clearLocalData = async () => {
+  const all = [...repositories, gradeAuditRepository];
+  all.forEach(repository => repository.clear());
+  await gradeRepository.getBackend().clearLocal?.(all.map(repository => repository.collection));
+};
+
+const SCHEMA_VERSION_KEY = 'dataSchemaVersion';
+
+/**
+ * @function upgradeStoredData
+ * Runs the record migrations from src/lib/migrations.js over the loaded
+ * collections and saves every record they changed or added. The version
+ * reached is remembered in this browser, so each migration runs once per
+ * browser. Backends that migrate their own records (Supabase) are left alone:
+ * a version kept per browser would rerun the upgrade in every new browser.
+ * @returns {Promise<void>}
+ */
+export const upgradeStoredData = async () => {
+  if (gradeRepository.getBackend().migratesData) return;
+  const storedVersion = Number(localStorage.getItem(SCHEMA_VERSION_KEY)) || 1;
+  if (storedVersion >= DATA_SCHEMA_VERSION) return;
+  // Migrating a partial load would mark this browser as upgraded too early.
+  if (repositories.some(repository => repository.getStatus().error)) return;
+
+  const snapshot = Object.fromEntries(
+    repositories.map(repository => [repository.collection, repository.getAll()])
+  );
+  const migrated = migrateData(snapshot, storedVersion);
+
+  for (const repository of repositories) {
+    const before = new Set(snapshot[repository.collection]);
+    const changed = migrated[repository.collection].filter(record => !before.has(record));
+    // Migrations can add records too (e.g. terms for old grades)
+    await Promise.all(changed.map(record => (repository.getById(record.id)
+      ? repository.update(record.id, record, { reason: 'Upgraded to the current data format' })
+      : repository.create(record, { reason: 'Upgraded to the current data format' }))));
+  }
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(DATA_SCHEMA_VERSION));
+};
+
+// Parents before children, so foreign keys hold at every step of a remote restore
+const RESTORE_ORDER = ['grading_scales', 'terms', 'students', 'subjects', 'sections', 'enrollments', 'grades', 'attendance_sessions', 'attendance_records', 'student_notes'];
+
+// Writes a record unless it is stored already with the same values
+const saveRecord = (repository, record, options) => {
+  const existing = repository.getById(record.id);
+  if (!existing) return repository.create(record, options);
+  const unchanged = Object.keys(record).every(key => JSON.stringify(existing[key]) === JSON.stringify(record[key]));
+  return unchanged ? Promise.resolve(existing) : repository.update(record.id, record, options);
+};
+
+/**
+ * @function restoreSnapshot
+ * Overwrites collections with the given records, e.g. from a backup. The
+ * records must already have the current shape (DATA_SCHEMA_VERSION).
+ * Records are saved parents first, then records missing from the snapshot
+ * are deleted children first. Records that are kept are never deleted, so
+ * rows outside the snapshot that point at them stay linked (e.g. the student
+ * logins in Supabase's profiles table).
+ * @param {Object<string, Object[]>} collections - Records keyed by collection
+ *   name. Collections left out keep their records.
+ * @param {import('./storage').WriteOptions} [options] - e.g. the reason the
+ *   grade audit trail gives for the replaced grades.
+ * @returns {Promise<void>}
+ */
+export const restoreSnapshot = async (collections, options) => {
+  const restored = RESTORE_ORDER
+    .map(collection => repositories.find(repository => repository.collection === collection))
+    .filter(repository => collections[repository.collection]);
+  // Only one term may be active and grades of closed terms are locked, so
+  // terms stay open until every other record is in place
+  const terms = collections.terms;
+  if (terms) {
+    await Promise.all(termRepository.getAll()
+      .filter(term => term.status !== 'open')
+      .map(term => termRepository.update(term.id, { status: 'open' }, options)));
+  }
+  for (const repository of restored) {
+    const records = repository === termRepository
+      ? terms.map(term => ({ ...term, status: 'open' }))
+      : collections[repository.collection];
+    await Promise.all(records.map(record => saveRecord(repository, record, options)));
+  }
+  for (const repository of [...restored].reverse()) {
+    const kept = new Set(collections[repository.collection].map(record => record.id));
+    await Promise.all(repository.getAll()
+      .filter(record => !kept.has(record.id))
+      .map(record => repository.remove(record.id, options)));
+  }
+  if (terms) {
+    await Promise.all(terms
+      .filter(term => term.status !== 'open')
+      .map(term => termRepository.update(term.id, { status: term.status }, options)));
+  }
+  localStorage.setItem(SCHEMA_VERSION_KEY, String(DATA_SCHEMA_VERSION));
+};
+
+reloadAll()
+  .then(upgradeStoredData)
+  .catch(error => console.error('Error upgrading stored records:', error));
+
+// Coming back online replays queued writes and refreshes from the server.
+window.addEventListener('online', reloadAll);
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { clearLocalData, gradeAuditRepository, gradeRepository, setStorageBackend, studentRepository, subjectRepository, upgradeStoredData } from './data';
+import { createOfflineFallbackBackend } from './offlineBackend';
+import { createLocalStorageBackend } from './storage';
+
+const legacyGrade = { id: 'g1', studentName: 'Ana Cruz', subjectCode: 'IT 101', score: 88, date: null };
+
+describe('upgradeStoredData', () => {
+  let writes;
+
+  const createBackend = (flags = {}) => {
+    const local = createLocalStorageBackend();
+    const record = (method) => (collection, ...args) => {
+      writes.push([method, collection]);
+      return local[method](collection, ...args);
+    };
+    return { ...local, ...flags, insert: record('insert'), update: record('update') };
+  };
+
+  beforeEach(async () => {
+    await setStorageBackend(createLocalStorageBackend());
+    await studentRepository.replaceAll([{ id: 'stu1', firstName: 'Ana', lastName: 'Cruz' }]);
+    await subjectRepository.replaceAll([{ id: 'sub1', code: 'IT 101', name: 'Intro to Programming', credits: 3 }]);
+    await gradeRepository.replaceAll([legacyGrade]);
+    localStorage.removeItem('dataSchemaVersion');
+    writes = [];
+  });
+
+  afterEach(() => setStorageBackend(createLocalStorageBackend()));
+
+  it('upgrades records kept in this browser once', async () => {
+    await setStorageBackend(createBackend());
+    await upgradeStoredData();
+
+    expect(gradeRepository.getById('g1')).toMatchObject({ studentId: 'stu1', subjectId: 'sub1' });
+    expect(writes).toEqual([['update', 'grades']]);
+
+    await upgradeStoredData();
+    expect(writes).toHaveLength(1);
+  });
+
+  it('leaves records alone when the backend migrates them itself', async () => {
+    const remote = createBackend({ name: 'database', migratesData: true });
+    await setStorageBackend(createOfflineFallbackBackend({ remote, cache: createLocalStorageBackend() }));
+    await upgradeStoredData();
+
+    expect(gradeRepository.getById('g1')).toEqual(legacyGrade);
+    expect(writes).toEqual([]);
+    expect(localStorage.getItem('dataSchemaVersion')).toBeNull();
+  });
+});
+
+describe('clearLocalData', () => {
+  afterEach(() => setStorageBackend(createLocalStorageBackend()));
+
+  it('empties the repositories without deleting anything from the backend', async () => {
+    const local = createLocalStorageBackend();
+    await setStorageBackend(local);
+    await studentRepository.replaceAll([{ id: 'stu1', firstName: 'Ana', lastName: 'Cruz' }]);
+    await gradeAuditRepository.replaceAll([{ id: 'a1', gradeId: 'g1', action: 'create' }]);
+
+    await clearLocalData();
+
+    expect(studentRepository.getAll()).toEqual([]);
+    expect(gradeAuditRepository.getAll()).toEqual([]);
+    expect(local.list('students')).toEqual([{ id: 'stu1', firstName: 'Ana', lastName: 'Cruz' }]);
+  });
+
+  it('drops the offline cache and the writes still queued for the remote', async () => {
+    const remote = {
+      ...createLocalStorageBackend({ students: 'remoteStudents' }),
+      name: 'unreachable',
+      list: () => Promise.reject(Object.assign(new Error('Failed to fetch'), { name: 'NetworkError' })),
+      insert: () => Promise.reject(Object.assign(new Error('Failed to fetch'), { name: 'NetworkError' })),
+    };
+    const cache = createLocalStorageBackend({ students: 'cachedStudents' });
+    await setStorageBackend(createOfflineFallbackBackend({ remote, cache }));
+    await studentRepository.create({ id: 'stu9', firstName: 'Queued', lastName: 'Offline' });
+    expect(JSON.parse(localStorage.getItem('pendingWrites'))).toHaveLength(1);
+
+    await clearLocalData();
+
+    expect(studentRepository.getAll()).toEqual([]);
+    expect(localStorage.getItem('pendingWrites')).toBeNull();
+    expect(cache.list('students')).toEqual([]);
+  });
+});
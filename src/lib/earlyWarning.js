@@ -0,0 +1,162 @@
+import { computeFinalGrade } from './assessments';
+import { formatAttendanceRate, getSectionAttendance } from './attendance';
+import { getSectionLabel } from './enrollment';
+import { getPassingScore, indexScalesBySubject } from './grading';
+import { getStudentName, indexById, isArchived } from './records';
+import { scoreTrend } from './stats';
+import { isTermClosed, resolveGradeTerm } from './terms';
+
+// ----------------------------------------------------
+// --- EARLY WARNING (Rules that flag at-risk students) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} EarlyWarningSettings
+ * @property {boolean} decliningTrend - Flag falling scores in a subject.
+ * @property {number} declinePer30Days - Points lost per 30 days (see scoreTrend) that count as falling.
+ * @property {boolean} failingSubject - Flag final grades below the subject's passing score.
+ * @property {boolean} lowAttendance - Flag attendance below minAttendance in a section.
+ * @property {number} minAttendance - Lowest acceptable attendance rate, as a percentage.
+ * @property {boolean} missingAssessment - Flag assessments the rest of the class has a grade for.
+ */
+
+/**
+ * @typedef {Object} Warning
+ * @property {'failingSubject'|'lowAttendance'|'decliningTrend'|'missingAssessment'} rule
+ * @property {string} subjectId
+ * @property {string|null} termId
+ * @property {string} reason - e.g. "IT 101: final grade 62.0% is below the passing 75%".
+ */
+
+/**
+ * @typedef {Object} AtRiskStudent
+ * @property {import('./data').Student} student
+ * @property {Warning[]} warnings - Ordered as in WARNING_RULES.
+ */
+
+/** Every rule, most serious first. */
+export const WARNING_RULES = {
+  failingSubject: 'Failing subject',
+  lowAttendance: 'Low attendance',
+  decliningTrend: 'Falling grades',
+  missingAssessment: 'Missing assessment',
+};
+
+const RULE_ORDER = Object.keys(WARNING_RULES);
+
+/**
+ * @function validateEarlyWarningSettings
+ * @param {EarlyWarningSettings} settings
+ * @returns {string|null} A message describing the first problem, or null when the settings are valid.
+ */
+export const validateEarlyWarningSettings = (settings) => {
+  if (!Number.isFinite(settings.declinePer30Days) || settings.declinePer30Days <= 0) {
+    return 'The falling-grades threshold must be more than 0 points.';
+  }
+  if (!Number.isFinite(settings.minAttendance) || settings.minAttendance < 0 || settings.minAttendance > 100) {
+    return 'The minimum attendance must be between 0 and 100%.';
+  }
+  return null;
+};
+
+/**
+ * @function findAtRiskStudents
+ * Runs the enabled rules over every grade and class session. Grades are
+ * checked per subject and term; attendance per section. Archived students are
+ * left out.
+ * @param {{ students: Object[], subjects: Object[], grades: Object[], gradingScales: Object[], terms: Object[],
+ *   sections: Object[], enrollments: Object[], sessions: Object[], records: Object[] }} data
+ * @param {EarlyWarningSettings} settings
+ * @param {{ termId?: string|null }} [options] - Only check this term; every term when empty.
+ * @returns {AtRiskStudent[]} Students with at least one warning, most warnings first, then by name.
+ */
+export const findAtRiskStudents = (data, settings, { termId = null } = {}) => {
+  const subjectsById = indexById(data.subjects);
+  const termsById = indexById(data.terms);
+  const scalesBySubject = indexScalesBySubject(data.subjects, data.gradingScales);
+  const inTerm = (id) => !termId || id === termId;
+
+  // Grades and students (graded or enrolled) of each subject in each term
+  const groups = new Map();
+  const groupFor = (subjectId, groupTermId) => {
+    const key = `${subjectId}|${groupTermId ?? ''}`;
+    if (!groups.has(key)) groups.set(key, { subjectId, termId: groupTermId, grades: [], studentIds: new Set() });
+    return groups.get(key);
+  };
+  data.grades.forEach(grade => {
+    const gradeTermId = resolveGradeTerm(grade, data.terms)?.id ?? null;
+    if (!subjectsById.has(grade.subjectId) || !inTerm(gradeTermId)) return;
+    const group = groupFor(grade.subjectId, gradeTermId);
+    group.grades.push(grade);
+    group.studentIds.add(grade.studentId);
+  });
+  const sections = data.sections.filter(section => inTerm(section.termId) && subjectsById.has(section.subjectId));
+  const sectionsById = indexById(sections);
+  data.enrollments.forEach(enrollment => {
+    const section = sectionsById.get(enrollment.sectionId);
+    if (section) groupFor(section.subjectId, section.termId).studentIds.add(enrollment.studentId);
+  });
+
+  const warningsByStudent = new Map();
+  const warn = (studentId, warning) =>
+    warningsByStudent.set(studentId, [...(warningsByStudent.get(studentId) ?? []), warning]);
+
+  groups.forEach(({ subjectId, termId: groupTermId, grades, studentIds }) => {
+    const subject = subjectsById.get(subjectId);
+    const passing = getPassingScore(scalesBySubject.get(subjectId));
+    // Assessments are components where the subject has them, otherwise assessment names
+    const components = subject.components ?? [];
+    const assessmentOf = (grade) => (components.length > 0 ? grade.componentId : grade.assessment?.trim());
+    const labelOf = (key) => components.find(component => component.id === key)?.name ?? key;
+    const held = new Set(grades.map(assessmentOf).filter(Boolean));
+
+    studentIds.forEach(studentId => {
+      const own = grades.filter(grade => grade.studentId === studentId);
+      const flag = (rule, reason) => warn(studentId, { rule, subjectId, termId: groupTermId, reason });
+
+      if (settings.failingSubject && passing !== null) {
+        const { score } = computeFinalGrade(own, subject, { closed: isTermClosed(termsById.get(groupTermId)) });
+        if (score !== null && score < passing) {
+          flag('failingSubject', `${subject.code}: final grade ${score.toFixed(1)}% is below the passing ${passing}%`);
+        }
+      }
+      if (settings.decliningTrend) {
+        const { slopePer30Days } = scoreTrend(own);
+        if (slopePer30Days !== null && slopePer30Days <= -settings.declinePer30Days) {
+          flag('decliningTrend', `${subject.code}: scores falling ${Math.abs(slopePer30Days).toFixed(1)} points per 30 days`);
+        }
+      }
+      if (settings.missingAssessment) {
+        const taken = new Set(own.map(assessmentOf));
+        const missing = [...held].filter(key => !taken.has(key));
+        if (missing.length > 0) {
+          flag('missingAssessment', `${subject.code}: no grade for ${missing.map(labelOf).join(', ')}`);
+        }
+      }
+    });
+  });
+
+  if (settings.lowAttendance) {
+    sections.forEach(section => {
+      const summaries = getSectionAttendance(section.id, { sections, sessions: data.sessions, records: data.records });
+      summaries.forEach(({ rate }, studentId) => {
+        if (rate === null || rate >= settings.minAttendance) return;
+        warn(studentId, {
+          rule: 'lowAttendance',
+          subjectId: section.subjectId,
+          termId: section.termId,
+          reason: `${getSectionLabel(section, subjectsById.get(section.subjectId))}: attended ${formatAttendanceRate(rate)} of class sessions`,
+        });
+      });
+    });
+  }
+
+  return data.students
+    .filter(student => !isArchived(student) && warningsByStudent.has(student.id))
+    .map(student => ({
+      student,
+      warnings: warningsByStudent.get(student.id)
+        .sort((a, b) => RULE_ORDER.indexOf(a.rule) - RULE_ORDER.indexOf(b.rule) || a.reason.localeCompare(b.reason)),
+    }))
+    .sort((a, b) => b.warnings.length - a.warnings.length || getStudentName(a.student).localeCompare(getStudentName(b.student)));
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { findAtRiskStudents, validateEarlyWarningSettings } from './earlyWarning';
+import { INITIAL_GRADING_SCALES } from './seedData';
+import { DEFAULT_SETTINGS } from './settings';
+
+const settings = DEFAULT_SETTINGS.earlyWarning;
+
+const grade = (studentId, subjectId, score, date, componentId = null) =>
+  ({ id: `${studentId}-${subjectId}-${date}-${componentId}`, studentId, subjectId, score, date, termId: 't1', componentId });
+
+const data = {
+  students: [
+    { id: 'stu1', firstName: 'Ana', lastName: 'Cruz' },
+    { id: 'stu2', firstName: 'Ben', lastName: 'Reyes' },
+    { id: 'stu3', firstName: 'Cara', lastName: 'Lim', archivedAt: '2026-09-15T00:00:00.000Z' },
+    { id: 'stu4', firstName: 'Dan', lastName: 'Uy' },
+  ],
+  subjects: [
+    { id: 'it', code: 'IT 101', name: 'Intro to Programming', credits: 3, components: [] },
+    {
+      id: 'math',
+      code: 'MATH 203',
+      name: 'Calculus I',
+      credits: 4,
+      components: [{ id: 'quiz', name: 'Quizzes', weight: 40 }, { id: 'fin', name: 'Finals', weight: 60 }],
+    },
+  ],
+  grades: [
+    grade('stu1', 'it', 90, '2026-09-01'),
+    grade('stu1', 'it', 60, '2026-10-01'),
+    grade('stu2', 'it', 40, '2026-09-01'),
+    grade('stu2', 'it', 45, '2026-10-01'),
+    grade('stu3', 'it', 10, '2026-09-01'),
+    grade('stu1', 'math', 80, '2026-09-01', 'quiz'),
+    grade('stu1', 'math', 80, '2026-10-01', 'fin'),
+    grade('stu2', 'math', 70, '2026-09-01', 'quiz'),
+  ],
+  gradingScales: INITIAL_GRADING_SCALES,
+  terms: [{ id: 't1', startDate: '2026-08-01', endDate: '2026-12-31', status: 'active' }],
+  sections: [{ id: 'it-a', subjectId: 'it', termId: 't1', code: 'A' }],
+  enrollments: [
+    { id: 'e1', sectionId: 'it-a', studentId: 'stu1' },
+    { id: 'e4', sectionId: 'it-a', studentId: 'stu4' },
+  ],
+  sessions: [{ id: 's1', sectionId: 'it-a' }, { id: 's2', sectionId: 'it-a' }],
+  records: [
+    { sessionId: 's1', studentId: 'stu1', status: 'present' },
+    { sessionId: 's2', studentId: 'stu1', status: 'late' },
+    { sessionId: 's1', studentId: 'stu4', status: 'absent' },
+    { sessionId: 's2', studentId: 'stu4', status: 'present' },
+  ],
+};
+
+const summarize = (atRisk) => atRisk.map(({ student, warnings }) => [student.id, warnings.map(warning => warning.reason)]);
+
+describe('findAtRiskStudents', () => {
+  it('flags failing, low attendance, falling grades and missing assessments', () => {
+    expect(summarize(findAtRiskStudents(data, settings))).toEqual([
+      ['stu2', [
+        'IT 101: final grade 42.5% is below the passing 60%',
+        'MATH 203: no grade for Finals',
+      ]],
+      ['stu1', ['IT 101: scores falling 30.0 points per 30 days']],
+      ['stu4', ['IT 101-A: attended 50% of class sessions']],
+    ]);
+  });
+
+  it('tags each warning with its rule, subject and term', () => {
+    const [ben] = findAtRiskStudents(data, settings);
+    expect(ben.warnings.map(({ rule, subjectId, termId }) => [rule, subjectId, termId])).toEqual([
+      ['failingSubject', 'it', 't1'],
+      ['missingAssessment', 'math', 't1'],
+    ]);
+  });
+
+  it('runs only the enabled rules, with their thresholds', () => {
+    const strict = { ...settings, failingSubject: false, missingAssessment: false, declinePer30Days: 40, minAttendance: 40 };
+    expect(findAtRiskStudents(data, strict)).toEqual([]);
+  });
+
+  it('checks only the chosen term', () => {
+    expect(findAtRiskStudents(data, settings, { termId: 't2' })).toEqual([]);
+    expect(findAtRiskStudents(data, settings, { termId: 't1' })).toHaveLength(3);
+  });
+});
+
+describe('validateEarlyWarningSettings', () => {
+  it('checks the thresholds', () => {
+    expect(validateEarlyWarningSettings(settings)).toBeNull();
+    expect(validateEarlyWarningSettings({ ...settings, declinePer30Days: 0 })).toBe('The falling-grades threshold must be more than 0 points.');
+    expect(validateEarlyWarningSettings({ ...settings, minAttendance: 120 })).toBe('The minimum attendance must be between 0 and 100%.');
+  });
+});
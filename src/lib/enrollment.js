@@ -0,0 +1,69 @@
+import { attendanceSessionRepository, enrollmentRepository, sectionRepository } from './data';
+import { deleteSession } from './attendance';
+
+// ----------------------------------------------------
+// --- SECTIONS AND ENROLLMENT (Students enrolled in subjects per term) ---
+// ----------------------------------------------------
+
+/**
+ * @function getSectionLabel
+ * @param {import('./data').Section} section
+ * @param {import('./data').Subject} [subject] - The section's subject.
+ * @returns {string} e.g. "IT 101-A".
+ */
+export const getSectionLabel = (section, subject) => `${subject ? subject.code : 'Unknown subject'}-${section.code}`;
+
+/**
+ * @function getEnrolledStudentIds
+ * Students enrolled in any section of a subject in a term.
+ * @param {string} subjectId
+ * @param {string|null} termId - Null matches sections of every term.
+ * @param {{ sections: Object[], enrollments: Object[] }} [data] - Records to use instead of the stored ones.
+ * @returns {Set<string>} Student record ids.
+ */
+export const getEnrolledStudentIds = (subjectId, termId, data = {
+  sections: sectionRepository.getAll(),
+  enrollments: enrollmentRepository.getAll(),
+}) => {
+  const sectionIds = new Set(data.sections
+    .filter(section => section.subjectId === subjectId && (!termId || section.termId === termId))
+    .map(section => section.id));
+  return new Set(data.enrollments
+    .filter(enrollment => sectionIds.has(enrollment.sectionId))
+    .map(enrollment => enrollment.studentId));
+};
+
+/**
+ * @function enrollStudents
+ * Enrolls students in a section. A student takes a subject in one section
+ * per term, so students already enrolled in any section of the subject that
+ * term are skipped.
+ * @param {import('./data').Section} section
+ * @param {string[]} studentIds - Student record ids.
+ * @returns {Promise<{ enrolled: number, skipped: number }>}
+ */
+export const enrollStudents = async (section, studentIds) => {
+  const taken = getEnrolledStudentIds(section.subjectId, section.termId);
+  const requested = [...new Set(studentIds)];
+  const toEnroll = requested.filter(studentId => !taken.has(studentId));
+  const enrolledOn = new Date().toISOString().split('T')[0];
+  await Promise.all(toEnroll.map(studentId =>
+    enrollmentRepository.create({ sectionId: section.id, studentId, enrolledOn })
+  ));
+  return { enrolled: toEnroll.length, skipped: requested.length - toEnroll.length };
+};
+
+/**
+ * @function deleteSection
+ * Deletes a section together with its enrollments and class sessions. Grades
+ * are kept: they belong to the student, subject and term, not to the section.
+ * @param {string} id - Section id.
+ * @returns {Promise<void>}
+ */
+export const deleteSection = async (id) => {
+  const enrollments = enrollmentRepository.getAll().filter(enrollment => enrollment.sectionId === id);
+  await Promise.all(enrollments.map(enrollment => enrollmentRepository.remove(enrollment.id)));
+  const sessions = attendanceSessionRepository.getAll().filter(session => session.sectionId === id);
+  await Promise.all(sessions.map(session => deleteSession(session.id)));
+  await sectionRepository.remove(id);
+};
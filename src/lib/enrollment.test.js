@@ -0,0 +1,44 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { enrollmentRepository, sectionRepository } from './data';
+import { deleteSection, enrollStudents, getEnrolledStudentIds, getSectionLabel } from './enrollment';
+
+const sections = [
+  { id: 'a', subjectId: 'it', termId: 't1', code: 'A' },
+  { id: 'b', subjectId: 'it', termId: 't1', code: 'B' },
+  { id: 'c', subjectId: 'it', termId: 't2', code: 'A' },
+];
+
+describe('enrollment', () => {
+  beforeEach(async () => {
+    await sectionRepository.replaceAll(sections);
+    await enrollmentRepository.replaceAll([
+      { id: 'e1', sectionId: 'a', studentId: 'stu1' },
+      { id: 'e2', sectionId: 'c', studentId: 'stu2' },
+    ]);
+  });
+
+  it('labels sections with their subject code', () => {
+    expect(getSectionLabel(sections[0], { code: 'IT 101' })).toBe('IT 101-A');
+    expect(getSectionLabel(sections[0])).toBe('Unknown subject-A');
+  });
+
+  it('finds the students enrolled in a subject in a term, or in any term', () => {
+    expect([...getEnrolledStudentIds('it', 't1')]).toEqual(['stu1']);
+    expect([...getEnrolledStudentIds('it', null)]).toEqual(['stu1', 'stu2']);
+    expect([...getEnrolledStudentIds('math', 't1')]).toEqual([]);
+  });
+
+  it('skips students already in a section of the subject that term', async () => {
+    const result = await enrollStudents(sections[1], ['stu1', 'stu2', 'stu3', 'stu3']);
+
+    expect(result).toEqual({ enrolled: 2, skipped: 1 });
+    const enrolledInB = enrollmentRepository.getAll().filter(enrollment => enrollment.sectionId === 'b');
+    expect(enrolledInB.map(enrollment => enrollment.studentId)).toEqual(['stu2', 'stu3']);
+  });
+
+  it('deletes a section together with its enrollments', async () => {
+    await deleteSection('a');
+    expect(sectionRepository.getAll().map(section => section.id)).toEqual(['b', 'c']);
+    expect(enrollmentRepository.getAll().map(enrollment => enrollment.id)).toEqual(['e2']);
+  });
+});
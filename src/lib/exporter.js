@@ -0,0 +1,147 @@
+import { gradeRepository, gradingScaleRepository, studentRepository, subjectRepository, termRepository } from './data';
+import { getLetterGrade, indexScalesBySubject } from './grading';
+import { describeGrade, indexById } from './records';
+import { getTermLabel, resolveGradeTerm } from './terms';
+
+// ----------------------------------------------------
+// --- EXPORT (Records to CSV, XLSX and JSON files) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} label - Header; matches the import field labels so exports can be imported again.
+ * @property {(record: Object, context: Object) => (string|number)} value
+ */
+
+/** @type {Object<string, ExportColumn[]>} Spreadsheet columns of each kind of record. */
+export const EXPORT_COLUMNS = {
+  students: [
+    { label: 'Student ID', value: (s) => s.studentId },
+    { label: 'First Name', value: (s) => s.firstName },
+    { label: 'Last Name', value: (s) => s.lastName },
+    { label: 'Email', value: (s) => s.email },
+    { label: 'Phone', value: (s) => s.phone || '' },
+    { label: 'Major', value: (s) => s.major },
+    { label: 'Enrollment Date', value: (s) => s.enrollmentDate },
+    { label: 'Status', value: (s) => s.status },
+    { label: 'Archived', value: (s) => (s.archivedAt ? s.archivedAt.split('T')[0] : '') },
+  ],
+  subjects: [
+    { label: 'Subject Code', value: (s) => s.code },
+    { label: 'Subject Name', value: (s) => s.name },
+    { label: 'Credits', value: (s) => s.credits },
+    { label: 'Description', value: (s) => s.description || '' },
+    { label: 'Grading Scale', value: (s, { scalesBySubject }) => scalesBySubject.get(s.id)?.name ?? '' },
+    { label: 'Components', value: (s) => (s.components || []).map(c => `${c.name} ${c.weight}%`).join(', ') },
+    { label: 'Archived', value: (s) => (s.archivedAt ? s.archivedAt.split('T')[0] : '') },
+  ],
+  grades: [
+    { label: 'Student ID', value: (g, { describe }) => describe(g).student?.studentId ?? '' },
+    { label: 'Student Name', value: (g, { describe }) => describe(g).studentName },
+    { label: 'Subject Code', value: (g, { describe }) => describe(g).subjectCode },
+    { label: 'Score', value: (g) => g.score },
+    { label: 'Letter Grade', value: (g, { scalesBySubject }) => getLetterGrade(g.score, scalesBySubject.get(g.subjectId)) },
+    { label: 'Component', value: (g, { describe }) => describe(g).subject?.components?.find(c => c.id === g.componentId)?.name ?? '' },
+    { label: 'Assessment', value: (g) => g.assessment || '' },
+    { label: 'Date', value: (g) => g.date },
+    { label: 'Term', value: (g, { terms }) => {
+      const term = resolveGradeTerm(g, terms);
+      return term ? getTermLabel(term) : '';
+    } },
+  ],
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel (.xlsx)' },
+  { id: 'json', label: 'JSON' },
+];
+
+const REPOSITORIES = {
+  students: studentRepository,
+  subjects: subjectRepository,
+  grades: gradeRepository,
+};
+
+// Quotes cells holding the delimiter, quotes or line breaks
+const toCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+
+// ExcelJS is loaded on first use so it stays out of the main bundle
+const toXlsx = async (sheetName, headers, rows) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.addRow(headers).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.columns.forEach((column, index) => {
+    column.width = Math.min(40, Math.max(10, ...[headers, ...rows].map(row => String(row[index] ?? '').length + 2)));
+  });
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * @function downloadBlob
+ * Saves a Blob through the browser's download prompt.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking right away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * @function exportRecords
+ * Downloads records as a spreadsheet (one row per record, see EXPORT_COLUMNS)
+ * or as JSON holding the stored records.
+ * @param {'students'|'subjects'|'grades'} kind
+ * @param {Object[]} records - The records to export, e.g. a page's filtered list.
+ * @param {'csv'|'xlsx'|'json'} format
+ * @param {Object} [data] - Records used to resolve names, letters and terms.
+ * @returns {Promise<void>}
+ */
+export const exportRecords = async (kind, records, format, data = {
+  students: studentRepository.getAll(),
+  subjects: subjectRepository.getAll(),
+  gradingScales: gradingScaleRepository.getAll(),
+  terms: termRepository.getAll(),
+}) => {
+  const fileName = `${kind}-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  if (format === 'json') {
+    // Pages may pass decorated copies; the file holds what is stored
+    const stored = records.map(record => REPOSITORIES[kind].getById(record.id) ?? record);
+    downloadBlob(new Blob([JSON.stringify(stored, null, 2)], { type: 'application/json' }), fileName);
+    return;
+  }
+
+  const studentsById = indexById(data.students);
+  const subjectsById = indexById(data.subjects);
+  const context = {
+    terms: data.terms,
+    scalesBySubject: indexScalesBySubject(data.subjects, data.gradingScales),
+    describe: (grade) => describeGrade(grade, studentsById, subjectsById),
+  };
+  const columns = EXPORT_COLUMNS[kind];
+  const headers = columns.map(column => column.label);
+  const rows = records.map(record => columns.map(column => column.value(record, context)));
+
+  if (format === 'xlsx') {
+    const buffer = await toXlsx(kind, headers, rows);
+    downloadBlob(new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+  } else {
+    // The byte order mark makes Excel read the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF', toCsv(headers, rows)], { type: 'text/csv;charset=utf-8' }), fileName);
+  }
+};
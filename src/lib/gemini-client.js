@@ -0,0 +1,9 @@
+import { GoogleGenAI } from '@google/genai';
+
+const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
+
+/** Gemini model used for analyses; override with VITE_GEMINI_MODEL. */
+export const model = import.meta.env.VITE_GEMINI_MODEL || 'gemini-2.5-flash';
+
+/** Shared Gemini client, or null when VITE_GEMINI_API_KEY is not set. */
+export const ai = apiKey ? new GoogleGenAI({ apiKey }) : null;
@@ -0,0 +1,139 @@
+import { computeFinalGrade } from './assessments';
+import { gradeRepository, gradingScaleRepository, subjectRepository, termRepository } from './data';
+import { indexScalesBySubject, resolveGrade } from './grading';
+import { indexById } from './records';
+import { isTermClosed, resolveGradeTerm } from './terms';
+
+// ----------------------------------------------------
+// --- GPA ENGINE (Credit-weighted term and cumulative GPA) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} TranscriptRow
+ * @property {string} code - Subject code.
+ * @property {string} name - Subject name.
+ * @property {number} credits
+ * @property {number} score - Final grade in the subject that term (see computeFinalGrade), to one decimal.
+ * @property {string} letter - Label from the subject's grading scale.
+ * @property {number|null} points - Grade points for that label; null when it does not count towards GPAs (e.g. pass/fail).
+ * @property {boolean} passed
+ */
+
+/**
+ * @typedef {Object} TranscriptTerm
+ * @property {import('./data').Term} period - The stored term, or the suggested one for grades outside every term.
+ * @property {TranscriptRow[]} rows - Ordered by subject code.
+ * @property {number} credits - Credits graded in this term.
+ * @property {number|null} gpa - Term GPA.
+ * @property {number} cumulativeCredits - Credits graded up to and including this term.
+ * @property {number|null} cumulativeGpa - GPA over this and every earlier term.
+ */
+
+/**
+ * @typedef {Object} Transcript
+ * @property {import('./data').Student} student
+ * @property {TranscriptTerm[]} terms - Oldest first.
+ * @property {number} totalCredits
+ * @property {number|null} cumulativeGpa
+ */
+
+/**
+ * @function computeGpa
+ * Credit-weighted grade point average. Entries without grade points (such as
+ * pass/fail subjects) or without credits are left out.
+ * @param {{ points: (number|null), credits: number }[]} entries - One entry per subject.
+ * @returns {number|null} GPA, or null when no entry counts.
+ */
+export const computeGpa = (entries) => {
+  let points = 0;
+  let credits = 0;
+  for (const { points: entryPoints, credits: entryCredits } of entries) {
+    if (entryPoints === null || entryPoints === undefined || !(entryCredits > 0)) continue;
+    points += entryPoints * entryCredits;
+    credits += entryCredits;
+  }
+  return credits > 0 ? points / credits : null;
+};
+
+/**
+ * @function buildTranscript
+ * Groups a student's grades by term (see resolveGradeTerm) and subject, and
+ * computes term and cumulative GPAs. Letters and grade points come from each
+ * subject's grading scale. A subject taken in two terms counts in both.
+ * Grades not linked to an existing subject are left out, since they carry no
+ * credits, and so are subjects whose scores all sit outside its assessment
+ * components.
+ * @param {import('./data').Student} student
+ * @param {{ grades: Object[], subjects: Object[], gradingScales: Object[], terms: Object[] }} [data] - Records to use instead of the stored ones.
+ * @returns {Transcript}
+ */
+export const buildTranscript = (student, data = {
+  grades: gradeRepository.getAll(),
+  subjects: subjectRepository.getAll(),
+  gradingScales: gradingScaleRepository.getAll(),
+  terms: termRepository.getAll(),
+}) => {
+  const subjectsById = indexById(data.subjects);
+  const scalesBySubject = indexScalesBySubject(data.subjects, data.gradingScales);
+
+  // term id -> { period, gradesBySubject: Map<subjectId, Grade[]> }
+  const termsById = new Map();
+  for (const grade of data.grades) {
+    if (grade.studentId !== student.id || !subjectsById.has(grade.subjectId)) continue;
+    const period = resolveGradeTerm(grade, data.terms);
+    if (!period) continue;
+    if (!termsById.has(period.id)) {
+      termsById.set(period.id, { period, gradesBySubject: new Map() });
+    }
+    const { gradesBySubject } = termsById.get(period.id);
+    const subjectGrades = gradesBySubject.get(grade.subjectId) ?? [];
+    subjectGrades.push(grade);
+    gradesBySubject.set(grade.subjectId, subjectGrades);
+  }
+
+  const allRows = [];
+  const terms = [...termsById.values()]
+    .sort((a, b) => a.period.startDate.localeCompare(b.period.startDate))
+    .map(({ period, gradesBySubject }) => {
+      const rows = [...gradesBySubject].map(([subjectId, subjectGrades]) => {
+        const subject = subjectsById.get(subjectId);
+        const { score } = computeFinalGrade(subjectGrades, subject, { closed: isTermClosed(period) });
+        if (score === null) return null;
+        const band = resolveGrade(score, scalesBySubject.get(subjectId));
+        return {
+          code: subject.code,
+          name: subject.name,
+          credits: subject.credits,
+          score,
+          letter: band.label,
+          points: band.points,
+          passed: band.passed,
+        };
+      }).filter(Boolean).sort((a, b) => a.code.localeCompare(b.code));
+      allRows.push(...rows);
+
+      return {
+        period,
+        rows,
+        credits: rows.reduce((sum, row) => sum + row.credits, 0),
+        gpa: computeGpa(rows),
+        cumulativeCredits: allRows.reduce((sum, row) => sum + row.credits, 0),
+        cumulativeGpa: computeGpa(allRows),
+      };
+    })
+    .filter(term => term.rows.length > 0);
+
+  return {
+    student,
+    terms,
+    totalCredits: allRows.reduce((sum, row) => sum + row.credits, 0),
+    cumulativeGpa: computeGpa(allRows),
+  };
+};
+
+/**
+ * @function formatGpa
+ * @param {number|null} gpa
+ * @returns {string} Two decimals, or "N/A".
+ */
+export const formatGpa = (gpa) => (gpa === null ? 'N/A' : gpa.toFixed(2));
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { buildTranscript, computeGpa, formatGpa } from './gpa';
+import { INITIAL_GRADING_SCALES } from './seedData';
+
+const terms = [
+  { id: 't1', name: 'First Semester', schoolYear: '2025-2026', startDate: '2025-08-01', endDate: '2025-12-31', status: 'closed' },
+  { id: 't2', name: 'Second Semester', schoolYear: '2025-2026', startDate: '2026-01-05', endDate: '2026-05-31', status: 'active' },
+];
+
+const subjects = [
+  { id: 'it', code: 'IT 101', name: 'Intro to Programming', credits: 3 },
+  { id: 'math', code: 'MATH 203', name: 'Calculus I', credits: 4 },
+  { id: 'pe', code: 'PE 1', name: 'Physical Education', credits: 2, gradingScaleId: 'pass-fail' },
+];
+
+const student = { id: 'stu1', firstName: 'Ana', lastName: 'Cruz' };
+
+const grade = (subjectId, score, termId, studentId = 'stu1') =>
+  ({ id: `${subjectId}-${termId}-${score}`, studentId, subjectId, score, termId, date: null });
+
+describe('computeGpa', () => {
+  it('weights grade points by credits and skips entries without points', () => {
+    expect(computeGpa([{ points: 4, credits: 3 }, { points: 2, credits: 1 }, { points: null, credits: 2 }])).toBe(3.5);
+    expect(computeGpa([{ points: null, credits: 2 }])).toBeNull();
+    expect(formatGpa(3.456)).toBe('3.46');
+    expect(formatGpa(null)).toBe('N/A');
+  });
+});
+
+describe('buildTranscript', () => {
+  const data = {
+    grades: [
+      grade('it', 95, 't1'),
+      grade('it', 91, 't1'),
+      grade('math', 84, 't1'),
+      grade('pe', 90, 't1'),
+      grade('math', 72, 't2'),
+      grade('it', 50, 't2', 'stu2'),
+      { id: 'legacy', studentId: 'stu1', subjectId: null, score: 100, termId: 't2', date: null },
+    ],
+    subjects,
+    gradingScales: INITIAL_GRADING_SCALES,
+    terms,
+  };
+
+  it('groups final grades by term with term and cumulative GPAs', () => {
+    const transcript = buildTranscript(student, data);
+
+    expect(transcript.terms.map(term => term.period.id)).toEqual(['t1', 't2']);
+    const [first, second] = transcript.terms;
+
+    expect(first.rows.map(({ code, score, letter, points }) => [code, score, letter, points])).toEqual([
+      ['IT 101', 93, 'A', 4],
+      ['MATH 203', 84, 'B', 3],
+      ['PE 1', 90, 'Passed', null],
+    ]);
+    expect(first.credits).toBe(9);
+    // (4 * 3 + 3 * 4) / 7; pass/fail carries no grade points
+    expect(first.gpa).toBeCloseTo(24 / 7);
+
+    expect(second.rows.map(row => [row.code, row.letter])).toEqual([['MATH 203', 'C-']]);
+    expect(second.gpa).toBeCloseTo(1.7);
+    expect(second.cumulativeCredits).toBe(13);
+    expect(second.cumulativeGpa).toBeCloseTo((12 + 12 + 1.7 * 4) / 11);
+
+    expect(transcript.totalCredits).toBe(13);
+    expect(transcript.cumulativeGpa).toBe(second.cumulativeGpa);
+  });
+
+  it('counts missing components as 0 in closed terms only', () => {
+    const weighted = {
+      ...data,
+      subjects: [{ ...subjects[0], components: [{ id: 'mid', name: 'Midterm', weight: 40 }, { id: 'fin', name: 'Finals', weight: 60 }] }],
+      grades: [
+        { ...grade('it', 90, 't1'), componentId: 'mid' },
+        { ...grade('it', 80, 't2'), componentId: 'mid' },
+      ],
+    };
+    const [closed, running] = buildTranscript(student, weighted).terms;
+
+    // 90 * 40% + 0 * 60% once t1 is closed; 80 on its own while t2 runs
+    expect(closed.rows[0].score).toBe(36);
+    expect(running.rows[0].score).toBe(80);
+  });
+
+  it('is empty for a student without grades', () => {
+    const transcript = buildTranscript({ id: 'stu9' }, data);
+    expect(transcript.terms).toEqual([]);
+    expect(transcript.cumulativeGpa).toBeNull();
+    expect(transcript.totalCredits).toBe(0);
+  });
+});
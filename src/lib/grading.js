@@ -0,0 +1,102 @@
+import { INITIAL_GRADING_SCALES } from './seedData';
+
+// ----------------------------------------------------
+// --- GRADING SCALES (Letters, pass marks and grade points) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} GradeBand
+ * @property {number} min - Lowest score (0-100) that earns this band.
+ * @property {string} label - e.g. "A", "1.25" or "Passed".
+ * @property {number|null} points - Grade points (0 to 4.0) counted in GPAs; null leaves the band out of GPAs.
+ * @property {boolean} passed - Whether the band is a passing grade.
+ */
+
+/**
+ * @typedef {Object} GradingScale
+ * @property {string} id
+ * @property {string} name
+ * @property {GradeBand[]} bands - Highest min first; the last band starts at 0.
+ */
+
+/** Scale used by subjects that have none assigned (or whose scale was deleted). */
+export const DEFAULT_GRADING_SCALE_ID = 'us-letter';
+
+/** Grade points are on a 4.0 scale. */
+export const MAX_GRADE_POINTS = 4;
+
+const FALLBACK_SCALE = INITIAL_GRADING_SCALES.find(scale => scale.id === DEFAULT_GRADING_SCALE_ID);
+
+/**
+ * @function resolveGrade
+ * @param {number} score - The numeric score (0-100).
+ * @param {GradingScale} [scale] - Defaults to the built-in US letter scale.
+ * @returns {GradeBand|null} The band the score falls in, or null for a missing score.
+ */
+export const resolveGrade = (score, scale = FALLBACK_SCALE) => {
+  if (score === null || isNaN(score)) return null;
+  return scale.bands.find(band => score >= band.min) ?? null;
+};
+
+/**
+ * @function getLetterGrade
+ * Utility function to convert numeric score to letter grade.
+ * @param {number} score - The numeric score (0-100).
+ * @param {GradingScale} [scale] - Defaults to the built-in US letter scale.
+ * @returns {string} The band label, e.g. "B+" or "1.75", or "N/A".
+ */
+export const getLetterGrade = (score, scale) => resolveGrade(score, scale)?.label ?? 'N/A';
+
+/**
+ * @function getPassingScore
+ * @param {GradingScale} scale
+ * @returns {number|null} Lowest score that earns a passing band, or null when no band passes.
+ */
+export const getPassingScore = (scale) => {
+  const passing = scale.bands.filter(band => band.passed).map(band => band.min);
+  return passing.length > 0 ? Math.min(...passing) : null;
+};
+
+/**
+ * @function indexScalesBySubject
+ * Resolves the grading scale of every subject, falling back to the default
+ * scale for subjects without one.
+ * @param {import('./data').Subject[]} subjects
+ * @param {GradingScale[]} scales
+ * @returns {{ get: (subjectId: string) => GradingScale }} Lookup that always returns a scale.
+ */
+export const indexScalesBySubject = (subjects, scales) => {
+  const scalesById = new Map(scales.map(scale => [scale.id, scale]));
+  const defaultScale = scalesById.get(DEFAULT_GRADING_SCALE_ID) ?? FALLBACK_SCALE;
+  const scalesBySubject = new Map(
+    subjects.map(subject => [subject.id, scalesById.get(subject.gradingScaleId) ?? defaultScale])
+  );
+  return { get: (subjectId) => scalesBySubject.get(subjectId) ?? defaultScale };
+};
+
+/**
+ * @function validateGradingScale
+ * @param {{ name: string, bands: GradeBand[] }} scale
+ * @returns {string|null} A message describing the first problem, or null when the scale is valid.
+ */
+export const validateGradingScale = ({ name, bands }) => {
+  if (!name.trim()) return 'Please enter a scale name.';
+  if (bands.length === 0) return 'A scale needs at least one band.';
+  for (const band of bands) {
+    if (!band.label.trim()) return 'Every band needs a label.';
+    if (isNaN(band.min) || band.min < 0 || band.min > 100) return `"${band.label}" needs a minimum score between 0 and 100.`;
+    if (band.points !== null && (isNaN(band.points) || band.points < 0 || band.points > MAX_GRADE_POINTS)) {
+      return `"${band.label}" needs grade points between 0 and ${MAX_GRADE_POINTS.toFixed(1)}, or none.`;
+    }
+  }
+  if (new Set(bands.map(band => band.min)).size !== bands.length) return 'Two bands cannot start at the same score.';
+  if (!bands.some(band => band.min === 0)) return 'The lowest band must start at 0.';
+  return null;
+};
+
+/**
+ * @function sortBands
+ * @param {GradeBand[]} bands
+ * @returns {GradeBand[]} A copy ordered from the highest minimum score down.
+ */
+export const sortBands = (bands) => [...bands].sort((a, b) => b.min - a.min);
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { getLetterGrade, getPassingScore, indexScalesBySubject, resolveGrade, sortBands, validateGradingScale } from './grading';
+import { INITIAL_GRADING_SCALES } from './seedData';
+
+const scale = (id) => INITIAL_GRADING_SCALES.find(s => s.id === id);
+
+describe('resolveGrade', () => {
+  it('finds the band a score falls in', () => {
+    expect(resolveGrade(93)).toMatchObject({ label: 'A', points: 4, passed: true });
+    expect(resolveGrade(59.9)).toMatchObject({ label: 'F', passed: false });
+    expect(resolveGrade(null)).toBeNull();
+  });
+
+  it('uses the scale it is given', () => {
+    expect(getLetterGrade(80, scale('pass-fail'))).toBe('Passed');
+    expect(getLetterGrade(74, scale('pass-fail'))).toBe('Failed');
+    expect(getLetterGrade(NaN)).toBe('N/A');
+  });
+});
+
+describe('getPassingScore', () => {
+  it('is the lowest minimum of a passing band', () => {
+    expect(getPassingScore(scale('us-letter'))).toBe(60);
+    expect(getPassingScore(scale('pass-fail'))).toBe(75);
+    expect(getPassingScore({ bands: [{ min: 0, label: 'X', points: null, passed: false }] })).toBeNull();
+  });
+});
+
+describe('indexScalesBySubject', () => {
+  it('falls back to the default scale for subjects without one or with a deleted one', () => {
+    const subjects = [
+      { id: 'pe', gradingScaleId: 'pass-fail' },
+      { id: 'it' },
+      { id: 'old', gradingScaleId: 'deleted' },
+    ];
+    const scales = indexScalesBySubject(subjects, INITIAL_GRADING_SCALES);
+    expect(scales.get('pe').id).toBe('pass-fail');
+    expect(scales.get('it').id).toBe('us-letter');
+    expect(scales.get('old').id).toBe('us-letter');
+    expect(scales.get('unknown').id).toBe('us-letter');
+  });
+});
+
+describe('validateGradingScale', () => {
+  const band = (min, label, points = null, passed = true) => ({ min, label, points, passed });
+
+  it('accepts the built-in scales', () => {
+    for (const builtIn of INITIAL_GRADING_SCALES) {
+      expect(validateGradingScale(builtIn)).toBeNull();
+    }
+  });
+
+  it('explains the first problem', () => {
+    expect(validateGradingScale({ name: ' ', bands: [band(0, 'X')] })).toBe('Please enter a scale name.');
+    expect(validateGradingScale({ name: 'S', bands: [band(0, 'X', 4.5)] })).toBe('"X" needs grade points between 0 and 4.0, or none.');
+    expect(validateGradingScale({ name: 'S', bands: [band(50, 'X'), band(50, 'Y')] })).toBe('Two bands cannot start at the same score.');
+    expect(validateGradingScale({ name: 'S', bands: [band(50, 'X')] })).toBe('The lowest band must start at 0.');
+  });
+
+  it('orders bands from the highest minimum down', () => {
+    expect(sortBands([band(0, 'F'), band(90, 'A'), band(60, 'D')]).map(b => b.label)).toEqual(['A', 'D', 'F']);
+  });
+});
@@ -0,0 +1,299 @@
+import { createGrade } from './audit';
+import { subjectRepository } from './data';
+import { getEnrolledStudentIds } from './enrollment';
+import { DEFAULT_GRADING_SCALE_ID } from './grading';
+import { validateGrade, validateStudent, validateSubject } from './records';
+import { createStudent } from './students';
+import { findTermForDate, isTermClosed, resolveGradeTerm } from './terms';
+
+// ----------------------------------------------------
+// --- SPREADSHEET IMPORT (CSV/XLSX rows into records) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} ImportField
+ * @property {string} key - Field the column fills.
+ * @property {string} label
+ * @property {boolean} [required]
+ * @property {string[]} [aliases] - Other headers the column is recognized by.
+ */
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} rowNumber - Line in the spreadsheet, counting the header as 1.
+ * @property {Object<string, string>} values - Mapped cell text by field key.
+ * @property {Object} record - The record the row would create.
+ * @property {'valid'|'invalid'|'duplicate'} status
+ * @property {string|null} problem - Why the row is invalid or a duplicate.
+ */
+
+/** @type {Object<string, ImportField[]>} Columns each kind of record can be imported from. */
+export const IMPORT_FIELDS = {
+  students: [
+    { key: 'studentId', label: 'Student ID', required: true, aliases: ['id', 'student number', 'student no'] },
+    { key: 'firstName', label: 'First Name', required: true, aliases: ['first', 'given name'] },
+    { key: 'lastName', label: 'Last Name', required: true, aliases: ['last', 'surname', 'family name'] },
+    { key: 'email', label: 'Email', required: true, aliases: ['email address', 'e-mail'] },
+    { key: 'phone', label: 'Phone', aliases: ['phone number', 'mobile', 'contact number'] },
+    { key: 'major', label: 'Major', required: true, aliases: ['program', 'course'] },
+    { key: 'enrollmentDate', label: 'Enrollment Date', aliases: ['enrolled', 'enrolled on', 'date enrolled'] },
+    { key: 'status', label: 'Status' },
+  ],
+  subjects: [
+    { key: 'code', label: 'Subject Code', required: true, aliases: ['code', 'course code'] },
+    { key: 'name', label: 'Subject Name', required: true, aliases: ['name', 'title'] },
+    { key: 'credits', label: 'Credits', aliases: ['units', 'credit units'] },
+    { key: 'description', label: 'Description', aliases: ['course description', 'summary'] },
+  ],
+  grades: [
+    { key: 'studentId', label: 'Student ID', required: true, aliases: ['student', 'student number', 'student no'] },
+    { key: 'subjectCode', label: 'Subject Code', required: true, aliases: ['subject', 'code', 'course code'] },
+    { key: 'score', label: 'Score', required: true, aliases: ['grade', 'mark', 'percentage'] },
+    { key: 'date', label: 'Date' },
+    { key: 'component', label: 'Component', aliases: ['category', 'type'] },
+    { key: 'assessment', label: 'Assessment', aliases: ['title', 'activity'] },
+  ],
+};
+
+const normalize = (value = '') => String(value).trim().toLowerCase();
+const normalizeHeader = (value) => normalize(value).replace(/[^a-z0-9]/g, '');
+const today = () => new Date().toISOString().split('T')[0];
+
+// CSV text into rows of cells: quoted cells may hold the delimiter, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  const delimiter = [',', ';', '\t']
+    .reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+  return rows;
+};
+
+// The first worksheet of an XLSX file. ExcelJS is loaded on first use so it stays out of the main bundle.
+const readXlsx = async (file) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  sheet?.eachRow((row) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column += 1) {
+      const cell = row.getCell(column);
+      // Dates keep their day rather than the sheet's display format
+      cells.push(cell.value instanceof Date ? cell.value.toISOString().split('T')[0] : cell.text);
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+/**
+ * @function readSpreadsheet
+ * Reads a CSV or XLSX file. The first non-empty row holds the headers.
+ * @param {File} file
+ * @returns {Promise<{ headers: string[], rows: string[][] }>}
+ */
+export const readSpreadsheet = async (file) => {
+  const lines = /\.xlsx$/i.test(file.name) ? await readXlsx(file) : parseCsv(await file.text());
+  const [headers = [], ...rows] = lines.filter(line => line.some(cell => String(cell).trim() !== ''));
+  if (headers.length === 0) throw new Error('The file has no rows.');
+  return { headers: headers.map(header => String(header).trim()), rows };
+};
+
+/**
+ * @function guessMapping
+ * Matches headers to fields by key, label or alias, ignoring case and punctuation.
+ * @param {string[]} headers
+ * @param {ImportField[]} fields
+ * @returns {Object<string, number|null>} Column index per field key; null when unmapped.
+ */
+export const guessMapping = (headers, fields) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(fields.map(field => {
+    const names = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader);
+    const index = normalized.findIndex(header => names.includes(header));
+    return [field.key, index === -1 ? null : index];
+  }));
+};
+
+// Spreadsheets write dates many ways; anything Date can parse becomes YYYY-MM-DD
+const toIsoDate = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const parsed = new Date(value);
+  if (isNaN(parsed)) return null;
+  return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+};
+
+// Two scores are the same when they are for the same assessment on the same day
+const gradeKey = (grade) => [grade.studentId, grade.subjectId, grade.termId, grade.componentId, normalize(grade.assessment ?? ''), grade.date].join('|');
+
+// Each builder turns the mapped cells of a row into { record, problem, duplicateKey }
+const ROW_BUILDERS = {
+  students: (values) => {
+    const enrollmentDate = values.enrollmentDate ? toIsoDate(values.enrollmentDate) : today();
+    const record = {
+      studentId: values.studentId,
+      firstName: values.firstName,
+      lastName: values.lastName,
+      email: values.email,
+      phone: values.phone,
+      major: values.major,
+      enrollmentDate: enrollmentDate ?? '',
+      status: normalize(values.status) || 'active',
+    };
+    return {
+      record,
+      problem: enrollmentDate ? validateStudent(record) : `"${values.enrollmentDate}" is not a date.`,
+      duplicateKey: normalize(record.studentId),
+    };
+  },
+
+  subjects: (values) => {
+    const record = {
+      code: values.code,
+      name: values.name,
+      credits: values.credits ? Number(values.credits) : 3,
+      description: values.description || '',
+      gradingScaleId: DEFAULT_GRADING_SCALE_ID,
+      components: [],
+    };
+    return { record, problem: validateSubject(record), duplicateKey: normalize(record.code) };
+  },
+
+  grades: (values, context) => {
+    const student = context.studentsBySchoolId.get(normalize(values.studentId));
+    const subject = context.subjectsByCode.get(normalize(values.subjectCode));
+    const date = values.date ? toIsoDate(values.date) : today();
+    const components = subject?.components ?? [];
+    const component = components.find(c => normalize(c.name) === normalize(values.component));
+    // Like the grade form: the open term containing the date, else the default term
+    const termId = (date && findTermForDate(context.openTerms, date)?.id) || context.defaultTermId || null;
+    const record = {
+      studentId: student?.id ?? '',
+      subjectId: subject?.id ?? '',
+      componentId: component?.id ?? null,
+      assessment: values.assessment || null,
+      score: values.score.replace(/%$/, ''),
+      date: date ?? '',
+      termId,
+    };
+
+    let problem = null;
+    if (values.studentId && !student) problem = `No student has the ID "${values.studentId}".`;
+    else if (values.subjectCode && !subject) problem = `No subject has the code "${values.subjectCode}".`;
+    else if (!date) problem = `"${values.date}" is not a date.`;
+    else if (values.component && components.length > 0 && !component) {
+      problem = `"${values.component}" is not a component of ${subject.code}.`;
+    } else {
+      problem = validateGrade(record, {
+        subject,
+        openTerms: context.openTerms,
+        enrolled: getEnrolledStudentIds(record.subjectId, termId, context).has(record.studentId),
+      });
+    }
+    if (!problem) record.score = parseFloat(record.score);
+    return { record, problem, duplicateKey: gradeKey(record) };
+  },
+};
+
+const EXISTING_KEYS = {
+  students: ({ students }) => students.map(student => normalize(student.studentId)),
+  subjects: ({ subjects }) => subjects.map(subject => normalize(subject.code)),
+  grades: ({ grades, terms }) => grades.map(grade =>
+    gradeKey({ ...grade, termId: resolveGradeTerm(grade, terms)?.id ?? null, componentId: grade.componentId ?? null })
+  ),
+};
+
+/**
+ * @function buildImportPreview
+ * Validates every row with the rules of the record's form. Rows matching a
+ * stored record, or an earlier row of the file, are duplicates: students by
+ * student ID, subjects by code, and grades by student, subject, term,
+ * assessment and date.
+ * @param {'students'|'subjects'|'grades'} kind
+ * @param {string[][]} rows - Spreadsheet rows below the header.
+ * @param {Object<string, number|null>} mapping - Column index per field key.
+ * @param {Object} data - Stored records: students, subjects, grades, terms, sections and enrollments.
+ * @param {string} [defaultTermId] - Term for grades whose date falls in no open term.
+ * @returns {ImportRow[]}
+ */
+export const buildImportPreview = (kind, rows, mapping, data, defaultTermId) => {
+  const context = {
+    ...data,
+    studentsBySchoolId: new Map(data.students.map(student => [normalize(student.studentId), student])),
+    subjectsByCode: new Map(data.subjects.map(subject => [normalize(subject.code), subject])),
+    openTerms: data.terms.filter(term => !isTermClosed(term)),
+    defaultTermId,
+  };
+  const existing = new Set(EXISTING_KEYS[kind](data));
+  const firstRowByKey = new Map();
+
+  return rows.map((row, index) => {
+    const rowNumber = index + 2;
+    const values = Object.fromEntries(IMPORT_FIELDS[kind].map(field => [
+      field.key,
+      mapping[field.key] === null ? '' : String(row[mapping[field.key]] ?? '').trim(),
+    ]));
+    const { record, problem, duplicateKey } = ROW_BUILDERS[kind](values, context);
+
+    if (problem) return { rowNumber, values, record, status: 'invalid', problem };
+    if (existing.has(duplicateKey)) {
+      return { rowNumber, values, record, status: 'duplicate', problem: 'Already recorded.' };
+    }
+    if (firstRowByKey.has(duplicateKey)) {
+      return { rowNumber, values, record, status: 'duplicate', problem: `Same as row ${firstRowByKey.get(duplicateKey)}.` };
+    }
+    firstRowByKey.set(duplicateKey, rowNumber);
+    return { rowNumber, values, record, status: 'valid', problem: null };
+  });
+};
+
+// Imported grades go into the audit trail like any other new grade
+const CREATE_RECORD = {
+  students: (record) => createStudent(record),
+  subjects: (record) => subjectRepository.create(record),
+  grades: (record) => createGrade(record, { reason: 'Imported from a spreadsheet' }),
+};
+
+/**
+ * @function commitImport
+ * Saves the valid rows of a preview; invalid and duplicate rows are left out.
+ * @param {'students'|'subjects'|'grades'} kind
+ * @param {ImportRow[]} preview
+ * @returns {Promise<number>} How many records were created.
+ */
+export const commitImport = async (kind, preview) => {
+  const records = preview.filter(row => row.status === 'valid').map(row => row.record);
+  await Promise.all(records.map(record => CREATE_RECORD[kind](record)));
+  return records.length;
+};
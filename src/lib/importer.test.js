@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest';
+import { buildImportPreview, guessMapping, IMPORT_FIELDS, readSpreadsheet } from './importer';
+
+// readSpreadsheet only needs the name and text of a File
+const csvFile = (text) => ({ name: 'import.csv', text: async () => text });
+
+describe('readSpreadsheet', () => {
+  it('splits CSV rows, honoring quotes, doubled quotes and line breaks in cells', async () => {
+    const text = 'Code,Name,Credits\r\nIT 101,"Programming, Intro",3\nENG 101,"The ""Essay""\nand more",3\n';
+    expect(await readSpreadsheet(csvFile(text))).toEqual({
+      headers: ['Code', 'Name', 'Credits'],
+      rows: [
+        ['IT 101', 'Programming, Intro', '3'],
+        ['ENG 101', 'The "Essay"\nand more', '3'],
+      ],
+    });
+  });
+
+  it('detects semicolons and tabs as the delimiter and skips blank rows', async () => {
+    expect((await readSpreadsheet(csvFile('Code;Name\n\nIT 101;Programming'))).rows).toEqual([['IT 101', 'Programming']]);
+    expect((await readSpreadsheet(csvFile('Code\tName\nIT 101\tProgramming'))).rows).toEqual([['IT 101', 'Programming']]);
+  });
+
+  it('refuses an empty file', async () => {
+    await expect(readSpreadsheet(csvFile('\n ,\n'))).rejects.toThrow('The file has no rows.');
+  });
+});
+
+describe('guessMapping', () => {
+  it('matches headers by key, label or alias, ignoring case and punctuation', () => {
+    const mapping = guessMapping(['Student No.', 'SUBJECT', 'Mark', 'Notes'], IMPORT_FIELDS.grades);
+    expect(mapping).toMatchObject({ studentId: 0, subjectCode: 1, score: 2, date: null });
+  });
+});
+
+describe('buildImportPreview', () => {
+  const data = {
+    students: [
+      { id: 'stu1', studentId: '2024-001', firstName: 'Ana', lastName: 'Cruz' },
+      { id: 'stu2', studentId: '2024-002', firstName: 'Ben', lastName: 'Reyes' },
+    ],
+    subjects: [
+      { id: 'it', code: 'IT 101', name: 'Intro to Programming', credits: 3, components: [] },
+      {
+        id: 'math',
+        code: 'MATH 203',
+        name: 'Calculus I',
+        credits: 4,
+        components: [{ id: 'quiz', name: 'Quizzes', weight: 40 }, { id: 'fin', name: 'Finals', weight: 60 }],
+      },
+    ],
+    grades: [{ id: 'g1', studentId: 'stu1', subjectId: 'it', score: 90, date: '2026-02-01', termId: 't2', componentId: null, assessment: null }],
+    terms: [
+      { id: 't1', startDate: '2025-08-01', endDate: '2025-12-31', status: 'closed' },
+      { id: 't2', startDate: '2026-01-05', endDate: '2026-05-31', status: 'active' },
+    ],
+    sections: [
+      { id: 'it-a', subjectId: 'it', termId: 't2' },
+      { id: 'math-a', subjectId: 'math', termId: 't2' },
+    ],
+    enrollments: [
+      { id: 'e1', sectionId: 'it-a', studentId: 'stu1' },
+      { id: 'e2', sectionId: 'math-a', studentId: 'stu1' },
+    ],
+  };
+  const mapping = { studentId: 0, subjectCode: 1, score: 2, date: 3, component: 4, assessment: null };
+  const preview = (rows) => buildImportPreview('grades', rows, mapping, data, 't2')
+    .map(({ status, problem }) => [status, problem]);
+
+  it('accepts valid grades and places them in the open term holding their date', () => {
+    const [row] = buildImportPreview('grades', [['2024-001', 'math 203', '85%', '03/02/2026', 'quizzes']], mapping, data, 't2');
+    expect(row).toMatchObject({
+      rowNumber: 2,
+      status: 'valid',
+      record: { studentId: 'stu1', subjectId: 'math', componentId: 'quiz', score: 85, date: '2026-03-02', termId: 't2' },
+    });
+  });
+
+  it('marks invalid rows with the reason', () => {
+    expect(preview([
+      ['2024-999', 'IT 101', '80', '2026-02-02', ''],
+      ['2024-001', 'ART 1', '80', '2026-02-02', ''],
+      ['2024-001', 'IT 101', '80', 'someday', ''],
+      ['2024-001', 'IT 101', '120', '2026-02-02', ''],
+      ['2024-001', 'MATH 203', '80', '2026-02-02', 'Projects'],
+      ['2024-002', 'IT 101', '80', '2026-02-02', ''],
+    ])).toEqual([
+      ['invalid', 'No student has the ID "2024-999".'],
+      ['invalid', 'No subject has the code "ART 1".'],
+      ['invalid', '"someday" is not a date.'],
+      ['invalid', 'Please ensure Student, Subject, and a valid Score (0-100) are entered.'],
+      ['invalid', '"Projects" is not a component of MATH 203.'],
+      ['invalid', 'The student is not enrolled in this subject for the term.'],
+    ]);
+  });
+
+  it('marks rows that repeat a stored grade or an earlier row', () => {
+    expect(preview([
+      ['2024-001', 'IT 101', '90', '2026-02-01', ''],
+      ['2024-001', 'IT 101', '75', '2026-02-02', ''],
+      ['2024-001', 'IT 101', '78', '2026-02-02', ''],
+    ])).toEqual([
+      ['duplicate', 'Already recorded.'],
+      ['valid', null],
+      ['duplicate', 'Same as row 3.'],
+    ]);
+  });
+
+  it('checks students with the add form\'s rules', () => {
+    const studentMapping = guessMapping(['Student ID', 'First Name', 'Last Name', 'Email', 'Major', 'Status'], IMPORT_FIELDS.students);
+    const rows = buildImportPreview('students', [
+      ['2024-003', 'Cara', 'Lim', 'cara@school.test', 'Biology', ''],
+      ['2024-004', 'Dan', 'Uy', 'not-an-email', 'Biology', ''],
+      ['2024-002', 'Ben', 'Reyes', 'ben@school.test', 'Biology', ''],
+      ['2024-005', 'Eve', 'Tan', 'eve@school.test', 'Biology', 'expelled'],
+    ], studentMapping, data);
+
+    expect(rows[0].record).toMatchObject({ studentId: '2024-003', status: 'active' });
+    expect(rows.map(row => [row.status, row.problem])).toEqual([
+      ['valid', null],
+      ['invalid', 'Please enter a valid email address.'],
+      ['duplicate', 'Already recorded.'],
+      ['invalid', 'Status must be one of active, inactive, graduated, suspended.'],
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+import { attendanceRecordRepository, enrollmentRepository, gradeRepository, sectionRepository, studentNoteRepository, studentRepository, subjectRepository, termRepository } from './data';
+import { deleteGrade, updateGrade } from './audit';
+import { deleteSection } from './enrollment';
+import { createRecordMatcher } from './records';
+import { isTermClosed } from './terms';
+
+const REFERENCES = {
+  students: { repository: studentRepository, gradeField: 'studentId' },
+  subjects: { repository: subjectRepository, gradeField: 'subjectId' },
+};
+
+/**
+ * @function getDependentGrades
+ * Grades that reference a student or subject.
+ * @param {'students'|'subjects'} collection
+ * @param {string} id - Record id.
+ * @param {import('./data').Grade[]} [grades] - Defaults to every stored grade.
+ * @returns {import('./data').Grade[]}
+ */
+export const getDependentGrades = (collection, id, grades = gradeRepository.getAll()) => {
+  const { gradeField } = REFERENCES[collection];
+  return grades.filter(grade => grade[gradeField] === id);
+};
+
+// Enrollments, attendance marks and notes of a deleted student, and sections of a
+// deleted subject, go with it
+const removeRecord = async (collection, id) => {
+  if (collection === 'students') {
+    const enrollments = enrollmentRepository.getAll().filter(enrollment => enrollment.studentId === id);
+    await Promise.all(enrollments.map(enrollment => enrollmentRepository.remove(enrollment.id)));
+    const marks = attendanceRecordRepository.getAll().filter(record => record.studentId === id);
+    await Promise.all(marks.map(record => attendanceRecordRepository.remove(record.id)));
+    const notes = studentNoteRepository.getAll().filter(note => note.studentId === id);
+    await Promise.all(notes.map(note => studentNoteRepository.remove(note.id)));
+  } else {
+    const sections = sectionRepository.getAll().filter(section => section.subjectId === id);
+    await Promise.all(sections.map(section => deleteSection(section.id)));
+  }
+  await REFERENCES[collection].repository.remove(id);
+};
+
+/**
+ * @function deleteWithPolicy
+ * Deletes a student or subject while keeping grades consistent.
+ * Records without dependent grades are always deleted outright. Deleting a
+ * student drops their enrollments, attendance marks and notes; deleting a
+ * subject drops its sections.
+ * @param {'students'|'subjects'} collection
+ * @param {string} id - Record id.
+ * @param {import('./settings').DeletePolicy} policy
+ * @returns {Promise<'deleted'|'cascaded'|'archived'>} What was done.
+ * @throws {Error} An "IntegrityError" when the policy is "block" and grades still reference the record,
+ *   or when it is "cascade" and some of those grades belong to a closed term.
+ */
+export const deleteWithPolicy = async (collection, id, policy) => {
+  const { repository } = REFERENCES[collection];
+  const dependents = getDependentGrades(collection, id);
+
+  if (dependents.length === 0) {
+    await removeRecord(collection, id);
+    return 'deleted';
+  }
+
+  switch (policy) {
+    case 'cascade': {
+      const locked = dependents.filter(grade => isTermClosed(termRepository.getById(grade.termId)));
+      if (locked.length > 0) {
+        const error = new Error(`${locked.length} grade record(s) belong to closed terms and are locked. Archive the record instead.`);
+        error.name = 'IntegrityError';
+        throw error;
+      }
+      const reason = `Deleted with its ${collection === 'students' ? 'student' : 'subject'}`;
+      await Promise.all(dependents.map(grade => deleteGrade(grade.id, { reason })));
+      await removeRecord(collection, id);
+      return 'cascaded';
+    }
+    case 'archive':
+      await repository.update(id, { archivedAt: new Date().toISOString() });
+      return 'archived';
+    case 'block':
+    default: {
+      const error = new Error(`${dependents.length} grade record(s) still reference this record.`);
+      error.name = 'IntegrityError';
+      throw error;
+    }
+  }
+};
+
+/**
+ * @typedef {Object} OrphanedGrade
+ * @property {import('./data').Grade} grade
+ * @property {boolean} missingStudent - studentId is empty or points to no student.
+ * @property {boolean} missingSubject - subjectId is empty or points to no subject.
+ * @property {string|null} studentMatch - Student id found from the legacy student name, if any.
+ * @property {string|null} subjectMatch - Subject id found from the legacy subject code, if any.
+ */
+
+/**
+ * @function findOrphanedGrades
+ * Finds grades whose student or subject no longer exists (or was never linked).
+ * @param {{ grades: Object[], students: Object[], subjects: Object[] }} data
+ * @returns {OrphanedGrade[]}
+ */
+export const findOrphanedGrades = ({ grades, students, subjects }) => {
+  const studentIds = new Set(students.map(s => s.id));
+  const subjectIds = new Set(subjects.map(s => s.id));
+  const { studentIdFor, subjectIdFor } = createRecordMatcher(students, subjects);
+
+  return grades
+    .map(grade => {
+      const missingStudent = !studentIds.has(grade.studentId);
+      const missingSubject = !subjectIds.has(grade.subjectId);
+      return {
+        grade,
+        missingStudent,
+        missingSubject,
+        studentMatch: missingStudent && grade.studentName ? studentIdFor(grade.studentName) : null,
+        subjectMatch: missingSubject && grade.subjectCode ? subjectIdFor(grade.subjectCode) : null,
+      };
+    })
+    .filter(orphan => orphan.missingStudent || orphan.missingSubject);
+};
+
+/**
+ * @function isRelinkable
+ * @param {OrphanedGrade} orphan
+ * @returns {boolean} Every missing reference can be restored from the legacy name/code.
+ */
+export const isRelinkable = (orphan) =>
+  (!orphan.missingStudent || Boolean(orphan.studentMatch)) &&
+  (!orphan.missingSubject || Boolean(orphan.subjectMatch));
+
+/**
+ * @function repairOrphanedGrades
+ * Relinks every orphan that can be matched by its legacy name/code and, if
+ * `deleteUnmatched` is set, deletes the rest.
+ * @param {OrphanedGrade[]} orphans - As returned by findOrphanedGrades.
+ * @param {{ deleteUnmatched?: boolean }} [options]
+ * @returns {Promise<{ relinked: number, deleted: number }>}
+ */
+export const repairOrphanedGrades = async (orphans, { deleteUnmatched = false } = {}) => {
+  const relinkable = orphans.filter(isRelinkable);
+  const unmatched = orphans.filter(orphan => !isRelinkable(orphan));
+
+  await Promise.all(relinkable.map(({ grade, studentMatch, subjectMatch }) =>
+    updateGrade(grade.id, {
+      studentId: studentMatch ?? grade.studentId,
+      subjectId: subjectMatch ?? grade.subjectId,
+    }, { reason: 'Relinked by the integrity check' })
+  ));
+  if (deleteUnmatched) {
+    await Promise.all(unmatched.map(({ grade }) => deleteGrade(grade.id, { reason: 'Unmatched orphan deleted by the integrity check' })));
+  }
+
+  return { relinked: relinkable.length, deleted: deleteUnmatched ? unmatched.length : 0 };
+};
@@ -0,0 +1,108 @@
+// ----------------------------------------------------
+// --- JSON HELPERS (Structured AI replies) ---
+// ----------------------------------------------------
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+/**
+ * @function validateJson
+ * Checks a value against the subset of JSON Schema used for AI replies:
+ * type, properties, required, items, enum, minimum, maximum and minItems.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location used in messages.
+ * @returns {string[]} One message per problem; empty when the value is valid.
+ */
+export const validateJson = (value, schema, path = '$') => {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} should be ${schema.type}, got ${typeOf(value)}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} should be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+  if (schema.type === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${path}.${key} is required`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => value[key] !== undefined)
+      .forEach(([key, propertySchema]) => errors.push(...validateJson(value[key], propertySchema, `${path}.${key}`)));
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  return errors;
+};
+
+/**
+ * @function coerceJson
+ * Repairs common slips in model output before validation: numbers sent as
+ * strings, single values where an array is expected, and numbers outside
+ * minimum/maximum (clamped).
+ * @param {*} value
+ * @param {Object} schema
+ * @returns {*} The repaired value (a copy; the input is not modified).
+ */
+export const coerceJson = (value, schema) => {
+  if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value.replace('%', ''));
+    if (!Number.isNaN(parsed)) value = parsed;
+  }
+  if (typeof value === 'number') {
+    if (schema.type === 'integer') value = Math.round(value);
+    if (schema.minimum !== undefined) value = Math.max(schema.minimum, value);
+    if (schema.maximum !== undefined) value = Math.min(schema.maximum, value);
+    return value;
+  }
+  if (schema.type === 'array' && value !== undefined && value !== null) {
+    const items = Array.isArray(value) ? value : [value];
+    return schema.items ? items.map(item => coerceJson(item, schema.items)) : items;
+  }
+  if (schema.type === 'object' && typeOf(value) === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, propertyValue]) => [
+      key,
+      schema.properties?.[key] ? coerceJson(propertyValue, schema.properties[key]) : propertyValue,
+    ]));
+  }
+  return value;
+};
+
+/**
+ * @function parseJsonReply
+ * Parses a model reply that should be JSON. Tolerates markdown code fences and
+ * text around the JSON object.
+ * @param {string} text
+ * @returns {*} The parsed value.
+ * @throws {SyntaxError} When no JSON object can be found.
+ */
+export const parseJsonReply = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+};
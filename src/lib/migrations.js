@@ -0,0 +1,77 @@
+import { createRecordMatcher } from './records';
+import { findTermForDate, suggestTermForDate } from './terms';
+
+/**
+ * Version of the shape of stored records. Bump it and add an entry to
+ * MIGRATIONS whenever the shape changes.
+ */
+export const DATA_SCHEMA_VERSION = 3;
+
+/**
+ * @function linkGradesById
+ * Version 2: grades reference students and subjects by record id
+ * (`studentId`, `subjectId`) instead of the free-text `studentName` and
+ * `subjectCode` they used to store. The old fields are kept on the grade;
+ * grades that match no record get null ids and stay listed by their old name.
+ * @param {{ students: Object[], subjects: Object[], grades: Object[] }} data
+ * @returns {{ students: Object[], subjects: Object[], grades: Object[] }}
+ */
+const linkGradesById = (data) => {
+  const { studentIdFor, subjectIdFor } = createRecordMatcher(data.students, data.subjects);
+
+  return {
+    ...data,
+    grades: data.grades.map(grade => {
+      if (grade.studentId !== undefined && grade.subjectId !== undefined) return grade;
+      return {
+        ...grade,
+        studentId: grade.studentId ?? studentIdFor(grade.studentName),
+        subjectId: grade.subjectId ?? subjectIdFor(grade.subjectCode),
+      };
+    }),
+  };
+};
+
+/**
+ * @function assignGradeTerms
+ * Version 3: grades belong to a term (`termId`). Each dated grade goes to the
+ * stored term its date falls in; dates outside every term get the term
+ * suggested for them (see suggestTermForDate), which is added as an open term.
+ * Undated grades get a null term.
+ * @param {{ grades: Object[], terms: Object[] }} data
+ * @returns {{ grades: Object[], terms: Object[] }}
+ */
+const assignGradeTerms = (data) => {
+  const terms = [...data.terms];
+
+  const grades = data.grades.map(grade => {
+    if (grade.termId !== undefined) return grade;
+    if (!grade.date) return { ...grade, termId: null };
+    let term = findTermForDate(terms, grade.date);
+    if (!term) {
+      term = suggestTermForDate(grade.date);
+      terms.push(term);
+    }
+    return { ...grade, termId: term.id };
+  });
+
+  return { ...data, grades, terms };
+};
+
+const MIGRATIONS = [
+  { version: 2, migrate: linkGradesById },
+  { version: 3, migrate: assignGradeTerms },
+];
+
+/**
+ * @function migrateData
+ * Upgrades a snapshot of all collections from `fromVersion` to
+ * DATA_SCHEMA_VERSION. Records that need no change keep their identity.
+ * @param {Object<string, Object[]>} data - Collections keyed by name.
+ * @param {number} fromVersion - Version the data was stored with.
+ * @returns {Object<string, Object[]>}
+ */
+export const migrateData = (data, fromVersion) =>
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((migrated, migration) => migration.migrate(migrated), data);
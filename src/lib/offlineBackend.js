@@ -0,0 +1,110 @@
+const OUTBOX_KEY = 'pendingWrites';
+
+const isNetworkError = (error) =>
+  error?.name === 'NetworkError' || (typeof navigator !== 'undefined' && navigator.onLine === false);
+
+/**
+ * @function createOfflineFallbackBackend
+ * Wraps a remote StorageBackend with a local cache. Successful reads are
+ * mirrored into the cache; when the remote cannot be reached, reads are served
+ * from the cache and writes are applied locally and queued in an outbox that
+ * is replayed, in order, on the next successful connection.
+ * @param {Object} options
+ * @param {import('./storage').StorageBackend} options.remote - e.g. Supabase.
+ * @param {import('./storage').StorageBackend} options.cache - e.g. localStorage.
+ * @param {Storage} [options.outboxStorage] - Where queued writes are kept.
+ * @returns {import('./storage').StorageBackend & { isOffline: () => boolean }}
+ */
+export const createOfflineFallbackBackend = ({ remote, cache, outboxStorage = localStorage }) => {
+  let offline = false;
+  let flushing = null;
+
+  const readOutbox = () => {
+    try {
+      return JSON.parse(outboxStorage.getItem(OUTBOX_KEY)) || [];
+    } catch {
+      return [];
+    }
+  };
+
+  const writeOutbox = (operations) => {
+    outboxStorage.setItem(OUTBOX_KEY, JSON.stringify(operations));
+  };
+
+  const queue = (operation) => writeOutbox([...readOutbox(), operation]);
+
+  const replayOutbox = async () => {
+    const pending = readOutbox();
+    while (pending.length > 0) {
+      const { method, args } = pending[0];
+      try {
+        await remote[method](...args);
+      } catch (error) {
+        if (isNetworkError(error)) throw error;
+        console.error(`Dropping queued "${method}" rejected by ${remote.name}:`, error);
+      }
+      pending.shift();
+      writeOutbox(pending);
+    }
+  };
+
+  // Collections load in parallel; they must share one replay of the outbox.
+  const flushOutbox = () => {
+    if (!flushing) {
+      flushing = replayOutbox().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  /**
+   * Runs a write against the cache, then the remote. Network failures are
+   * queued instead of rethrown; any other remote error is rethrown.
+   */
+  const write = (method) => async (...args) => {
+    const localResult = await cache[method](...args);
+    if (offline) {
+      queue({ method, args });
+      return localResult;
+    }
+    try {
+      return await remote[method](...args);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      offline = true;
+      queue({ method, args });
+      return localResult;
+    }
+  };
+
+  return {
+    name: `${remote.name} (offline fallback: ${cache.name})`,
+    isOffline: () => offline,
+    logsGradeChanges: Boolean(remote.logsGradeChanges),
+    migratesData: Boolean(remote.migratesData),
+    list: async (collection) => {
+      try {
+        await flushOutbox();
+        const records = await remote.list(collection);
+        offline = false;
+        await cache.replace(collection, records);
+        return records;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        offline = true;
+        // Never null: with nothing cached, the repository must not seed the
+        // collection (and queue that seed for the remote)
+        return (await cache.list(collection)) ?? [];
+      }
+    },
+    insert: write('insert'),
+    update: write('update'),
+    remove: write('remove'),
+    replace: write('replace'),
+    clearLocal: async (collections) => {
+      outboxStorage.removeItem(OUTBOX_KEY);
+      await Promise.all(collections.map(collection => cache.replace(collection, [])));
+    },
+  };
+};
@@ -0,0 +1,133 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createOfflineFallbackBackend } from './offlineBackend';
+import { createRepository } from './repository';
+import { createLocalStorageBackend } from './storage';
+
+const networkError = () => Object.assign(new Error('Failed to fetch'), { name: 'NetworkError' });
+
+// In-memory stand-in for Supabase that can be taken offline
+const createFakeRemote = (tables = {}) => {
+  let online = true;
+  const calls = [];
+  const run = (method, fn) => async (...args) => {
+    if (!online) throw networkError();
+    calls.push([method, ...args]);
+    return fn(...args);
+  };
+  return {
+    name: 'fake remote',
+    tables,
+    calls,
+    setOnline: (value) => { online = value; },
+    list: run('list', (collection) => [...(tables[collection] ?? [])]),
+    insert: run('insert', (collection, record) => {
+      tables[collection] = [...(tables[collection] ?? []), record];
+      return record;
+    }),
+    update: run('update', (collection, id, record) => {
+      tables[collection] = tables[collection].map(r => (r.id === id ? record : r));
+      return record;
+    }),
+    remove: run('remove', (collection, id) => {
+      tables[collection] = tables[collection].filter(r => r.id !== id);
+    }),
+    replace: run('replace', (collection, records) => {
+      tables[collection] = [...records];
+    }),
+  };
+};
+
+describe('createOfflineFallbackBackend', () => {
+  let remote;
+  let cache;
+  let backend;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    remote = createFakeRemote({ students: [{ id: 'real1' }, { id: 'real2' }] });
+    cache = createLocalStorageBackend();
+    backend = createOfflineFallbackBackend({ remote, cache, outboxStorage: localStorage });
+  });
+
+  it('mirrors successful reads into the cache', async () => {
+    expect(await backend.list('students')).toEqual([{ id: 'real1' }, { id: 'real2' }]);
+    expect(cache.list('students')).toEqual([{ id: 'real1' }, { id: 'real2' }]);
+    expect(backend.isOffline()).toBe(false);
+  });
+
+  it('serves cached records while offline', async () => {
+    await backend.list('students');
+    remote.setOnline(false);
+    expect(await backend.list('students')).toEqual([{ id: 'real1' }, { id: 'real2' }]);
+    expect(backend.isOffline()).toBe(true);
+  });
+
+  it('queues offline writes and replays them in order on the next read', async () => {
+    await backend.list('students');
+    remote.setOnline(false);
+    await backend.insert('students', { id: 'new' });
+    await backend.update('students', 'new', { id: 'new', firstName: 'Ana' });
+    await backend.remove('students', 'real1');
+    expect(cache.list('students')).toEqual([{ id: 'real2' }, { id: 'new', firstName: 'Ana' }]);
+    expect(JSON.parse(localStorage.getItem('pendingWrites'))).toHaveLength(3);
+
+    remote.setOnline(true);
+    expect(await backend.list('students')).toEqual([{ id: 'real2' }, { id: 'new', firstName: 'Ana' }]);
+    expect(remote.calls.filter(([method]) => method !== 'list').map(([method]) => method)).toEqual(['insert', 'update', 'remove']);
+    expect(JSON.parse(localStorage.getItem('pendingWrites'))).toEqual([]);
+  });
+
+  it('passes write options on, including through the outbox', async () => {
+    remote.setOnline(false);
+    await backend.remove('students', 'real1', { reason: 'Duplicate' });
+    remote.setOnline(true);
+    await backend.list('students');
+    expect(remote.calls).toContainEqual(['remove', 'students', 'real1', { reason: 'Duplicate' }]);
+  });
+
+  it('rethrows errors other than network failures', async () => {
+    remote.insert = async () => {
+      throw Object.assign(new Error('duplicate key'), { name: 'SupabaseError', code: '23505' });
+    };
+    await expect(backend.insert('students', { id: 'real1' })).rejects.toThrow('duplicate key');
+    expect(localStorage.getItem('pendingWrites')).toBeNull();
+  });
+
+  it('serves an empty list, never null, when offline with nothing cached', async () => {
+    remote.setOnline(false);
+    expect(await backend.list('students')).toEqual([]);
+  });
+
+  it('does not let a repository seed over the remote after loading offline without a cache', async () => {
+    remote.setOnline(false);
+    const repository = createRepository({ collection: 'students', backend, seed: [{ id: 'stu1' }] });
+
+    expect(await repository.load()).toEqual([]);
+    expect(repository.getStatus().offline).toBe(true);
+    expect(localStorage.getItem('pendingWrites')).toBeNull();
+
+    remote.setOnline(true);
+    expect(await repository.load()).toEqual([{ id: 'real1' }, { id: 'real2' }]);
+    expect(remote.tables.students).toEqual([{ id: 'real1' }, { id: 'real2' }]);
+  });
+});
+
+describe('createRepository seeding', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('seeds a collection the backend never stored', async () => {
+    const backend = createLocalStorageBackend();
+    const repository = createRepository({ collection: 'subjects', backend, seed: [{ id: 'sub1' }] });
+    expect(await repository.load()).toEqual([{ id: 'sub1' }]);
+    await vi.waitFor(() => expect(backend.list('subjects')).toEqual([{ id: 'sub1' }]));
+  });
+
+  it('logs a failed seed write instead of leaving it unhandled', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const backend = { name: 'broken', list: () => null, replace: () => Promise.reject(new Error('quota exceeded')) };
+    const repository = createRepository({ collection: 'subjects', backend, seed: [{ id: 'sub1' }] });
+    expect(await repository.load()).toEqual([{ id: 'sub1' }]);
+    await vi.waitFor(() => expect(error).toHaveBeenCalledWith('Error seeding "subjects":', expect.any(Error)));
+  });
+});
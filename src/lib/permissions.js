@@ -0,0 +1,77 @@
+// ----------------------------------------------------
+// --- PERMISSIONS (What each role may see and change) ---
+// ----------------------------------------------------
+// Mirrors the row level security policies in
+// supabase/migrations/20261019070000_add_auth_and_roles.sql, so the app only
+// offers actions the database will accept.
+
+/**
+ * @typedef {'admin'|'instructor'|'student'} Role
+ */
+
+export const ROLE_LABELS = {
+  admin: 'Administrator',
+  instructor: 'Instructor',
+  student: 'Student',
+};
+
+/** Roles that work with every student's records. */
+export const STAFF_ROLES = ['admin', 'instructor'];
+
+/** Where each role lands after signing in. */
+export const HOME_PATHS = {
+  admin: '/students',
+  instructor: '/grades',
+  student: '/me',
+};
+
+/** Fields of their own record that students may change from the portal. */
+export const STUDENT_EDITABLE_FIELDS = ['phone'];
+
+/**
+ * @function canManageRecords
+ * Students, subjects, sections, terms and grading scales are managed by admins.
+ * @param {import('./auth').AppUser|null} user
+ * @returns {boolean}
+ */
+export const canManageRecords = (user) => user?.role === 'admin';
+
+/**
+ * @function getGradableSections
+ * Sections whose students the user may grade: every section for admins, the
+ * sections they teach for instructors, none for students.
+ * @param {import('./auth').AppUser|null} user
+ * @param {import('./data').Section[]} sections
+ * @returns {import('./data').Section[]}
+ */
+export const getGradableSections = (user, sections) => {
+  if (canManageRecords(user)) return sections;
+  if (user?.role !== 'instructor') return [];
+  return sections.filter(section => section.instructorId === user.id);
+};
+
+/**
+ * @function canTakeAttendance
+ * Attendance is taken by the section's instructor, or by an admin.
+ * @param {import('./auth').AppUser|null} user
+ * @param {import('./data').Section} section
+ * @returns {boolean}
+ */
+export const canTakeAttendance = (user, section) => getGradableSections(user, [section]).length > 0;
+
+/**
+ * @function canEditGrade
+ * Admins edit any grade; instructors edit grades of students enrolled in one
+ * of their sections of the grade's subject and term.
+ * @param {import('./auth').AppUser|null} user
+ * @param {import('./data').Grade} grade
+ * @param {{ sections: import('./data').Section[], enrollments: import('./data').Enrollment[] }} data
+ * @returns {boolean}
+ */
+export const canEditGrade = (user, grade, { sections, enrollments }) => {
+  if (canManageRecords(user)) return true;
+  const sectionIds = new Set(getGradableSections(user, sections)
+    .filter(section => section.subjectId === grade.subjectId && section.termId === grade.termId)
+    .map(section => section.id));
+  return enrollments.some(enrollment => sectionIds.has(enrollment.sectionId) && enrollment.studentId === grade.studentId);
+};
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { canEditGrade, canManageRecords, getGradableSections } from './permissions';
+
+const admin = { id: 'u-admin', role: 'admin' };
+const instructor = { id: 'u-maria', role: 'instructor' };
+const student = { id: 'u-john', role: 'student', studentId: 'stu1' };
+
+const data = {
+  sections: [
+    { id: 'it-a', subjectId: 'it', termId: 't1', instructorId: 'u-maria' },
+    { id: 'it-b', subjectId: 'it', termId: 't1', instructorId: 'u-robert' },
+  ],
+  enrollments: [
+    { id: 'e1', sectionId: 'it-a', studentId: 'stu1' },
+    { id: 'e2', sectionId: 'it-b', studentId: 'stu2' },
+  ],
+};
+
+describe('permissions', () => {
+  it('lets only admins manage records', () => {
+    expect(canManageRecords(admin)).toBe(true);
+    expect(canManageRecords(instructor)).toBe(false);
+    expect(canManageRecords(null)).toBe(false);
+  });
+
+  it('gives instructors the sections they teach', () => {
+    expect(getGradableSections(admin, data.sections)).toHaveLength(2);
+    expect(getGradableSections(instructor, data.sections).map(section => section.id)).toEqual(['it-a']);
+    expect(getGradableSections(student, data.sections)).toEqual([]);
+  });
+
+  it('lets instructors edit grades of students in their sections of the grade\'s subject and term', () => {
+    const grade = (studentId, termId = 't1') => ({ studentId, subjectId: 'it', termId });
+
+    expect(canEditGrade(instructor, grade('stu1'), data)).toBe(true);
+    expect(canEditGrade(instructor, grade('stu2'), data)).toBe(false);
+    expect(canEditGrade(instructor, grade('stu1', 't2'), data)).toBe(false);
+    expect(canEditGrade(admin, grade('stu2'), data)).toBe(true);
+    expect(canEditGrade(student, grade('stu1'), data)).toBe(false);
+  });
+});
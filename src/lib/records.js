@@ -0,0 +1,128 @@
+import { validateComponents } from './assessments';
+
+// ----------------------------------------------------
+// --- RECORD HELPERS (Shared by pages and reports) ---
+// ----------------------------------------------------
+
+/**
+ * @function getStudentName
+ * @param {import('./data').Student} student
+ * @returns {string} "First Last".
+ */
+export const getStudentName = (student) => `${student.firstName} ${student.lastName}`.trim();
+
+/**
+ * @function indexById
+ * @param {Object[]} records
+ * @returns {Map<string, Object>} Records keyed by id.
+ */
+export const indexById = (records) => new Map(records.map(record => [record.id, record]));
+
+/**
+ * @function describeGrade
+ * Resolves the student and subject a grade points to. Grades whose ids match
+ * no record (or legacy grades that were never linked) fall back to the
+ * free-text name/code stored on the grade.
+ * @param {import('./data').Grade} grade
+ * @param {Map<string, import('./data').Student>} studentsById
+ * @param {Map<string, import('./data').Subject>} subjectsById
+ * @returns {{ student: (Object|undefined), subject: (Object|undefined), studentName: string, subjectCode: string }}
+ */
+export const describeGrade = (grade, studentsById, subjectsById) => {
+  const student = studentsById.get(grade.studentId);
+  const subject = subjectsById.get(grade.subjectId);
+  return {
+    student,
+    subject,
+    studentName: student ? getStudentName(student) : (grade.studentName || 'Unknown student'),
+    subjectCode: subject ? subject.code : (grade.subjectCode || 'Unknown subject'),
+  };
+};
+
+/**
+ * @function isArchived
+ * @param {{ archivedAt?: (string|null) }} record - A student or subject.
+ * @returns {boolean}
+ */
+export const isArchived = (record) => Boolean(record.archivedAt);
+
+/**
+ * @function createRecordMatcher
+ * Looks records up by the free-text values older grades stored: a student's
+ * full name or a subject's code (case- and whitespace-insensitive).
+ * @param {import('./data').Student[]} students
+ * @param {import('./data').Subject[]} subjects
+ * @returns {{ studentIdFor: (name: string) => (string|null), subjectIdFor: (code: string) => (string|null) }}
+ */
+export const createRecordMatcher = (students, subjects) => {
+  const normalize = (value = '') => value.trim().toLowerCase();
+  const studentIdsByName = new Map(students.map(s => [normalize(getStudentName(s)), s.id]));
+  const subjectIdsByCode = new Map(subjects.map(s => [normalize(s.code), s.id]));
+  return {
+    studentIdFor: (name) => studentIdsByName.get(normalize(name)) ?? null,
+    subjectIdFor: (code) => subjectIdsByCode.get(normalize(code)) ?? null,
+  };
+};
+
+// ----------------------------------------------------
+// --- VALIDATION (Rules shared by the forms and the importer) ---
+// ----------------------------------------------------
+
+export const STUDENT_STATUSES = ['active', 'inactive', 'graduated', 'suspended'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @function validateStudent
+ * @param {import('./data').Student} student - Unsaved values.
+ * @returns {string|null} What is wrong, or null when the student is valid.
+ */
+export const validateStudent = (student) => {
+  if (!student.studentId.trim() || !student.firstName.trim() ||
+      !student.lastName.trim() || !student.email.trim() ||
+      !student.major.trim() || !student.enrollmentDate) {
+    return 'Please fill all required fields.';
+  }
+  if (!EMAIL_PATTERN.test(student.email)) return 'Please enter a valid email address.';
+  if (!STUDENT_STATUSES.includes(student.status)) return `Status must be one of ${STUDENT_STATUSES.join(', ')}.`;
+  return null;
+};
+
+/**
+ * @function validateSubject
+ * @param {import('./data').Subject} subject - Unsaved values.
+ * @returns {string|null} What is wrong, or null when the subject is valid.
+ */
+export const validateSubject = (subject) => {
+  if (!subject.code.trim() || !subject.name.trim() || !subject.credits) {
+    return 'Please ensure Subject Code, Name, and Credits are entered.';
+  }
+  if (subject.credits < 1 || subject.credits > 6) return 'Credits must be between 1 and 6.';
+  return validateComponents(subject.components || []);
+};
+
+/**
+ * @function validateGrade
+ * Locking of closed-term grades is checked separately, against the stored grade.
+ * @param {import('./data').Grade} grade - Unsaved values; the score may still be a string.
+ * @param {Object} context
+ * @param {import('./data').Subject} [context.subject] - The grade's subject.
+ * @param {import('./data').Term[]} context.openTerms - Terms that accept grades.
+ * @param {boolean} context.enrolled - Whether the student may be graded in the subject that term.
+ * @returns {string|null} What is wrong, or null when the grade is valid.
+ */
+export const validateGrade = (grade, { subject, openTerms, enrolled }) => {
+  const score = parseFloat(grade.score);
+  if (!grade.studentId || !grade.subjectId || isNaN(score) || score < 0 || score > 100) {
+    return 'Please ensure Student, Subject, and a valid Score (0-100) are entered.';
+  }
+  const components = subject?.components ?? [];
+  if (components.length > 0 && !components.some(component => component.id === grade.componentId)) {
+    return 'Please pick the assessment component this score belongs to.';
+  }
+  if (openTerms.length > 0 && !openTerms.some(term => term.id === grade.termId)) {
+    return 'Please pick an open term for this grade.';
+  }
+  if (!enrolled) return 'The student is not enrolled in this subject for the term.';
+  return null;
+};
@@ -0,0 +1,126 @@
+import { createElement } from 'react';
+import { computeFinalGrade } from './assessments';
+import { getSubjectAttendance } from './attendance';
+import { gradeRepository, gradingScaleRepository, subjectRepository, termRepository } from './data';
+import { downloadBlob } from './exporter';
+import { computeGpa } from './gpa';
+import { indexScalesBySubject, resolveGrade } from './grading';
+import { indexById } from './records';
+import { isTermClosed, resolveGradeTerm } from './terms';
+
+// ----------------------------------------------------
+// --- REPORT CARDS (Data behind the printable PDFs) ---
+// ----------------------------------------------------
+
+/**
+ * @typedef {Object} ReportCardRow
+ * @property {string} code - Subject code.
+ * @property {string} name - Subject name.
+ * @property {number} credits
+ * @property {number} score - Final grade in the subject (see computeFinalGrade), to one decimal.
+ * @property {string} letter - Label for that score on the subject's grading scale.
+ * @property {number|null} points - Grade points for that label; null when it does not count towards the GPA.
+ * @property {number|null} attendance - Attendance rate in the subject (see summarizeAttendance); null when none was taken.
+ */
+
+/**
+ * @typedef {Object} ReportCard
+ * @property {import('./data').Student} student
+ * @property {ReportCardRow[]} rows - One row per graded subject, ordered by subject code.
+ * @property {number} totalCredits
+ * @property {number|null} gpa - Credit-weighted GPA on the 4.0 scale, or null without subjects that count towards it.
+ */
+
+/**
+ * @typedef {Object} TermInfo
+ * @property {string} term - e.g. "First Semester".
+ * @property {string} schoolYear - e.g. "2026-2027".
+ * @property {string} issuedOn - ISO date (YYYY-MM-DD) printed on the card.
+ */
+
+/**
+ * @function buildReportCard
+ * Collects every grade of one student into a report card. Grades that are not
+ * linked to an existing subject are left out, since they carry no credits.
+ * Subjects whose grades all fall in closed terms get their final grade (see
+ * computeFinalGrade).
+ * @param {import('./data').Student} student
+ * @param {{ grades: Object[], subjects: Object[], gradingScales: Object[], terms: Object[], attendance?: import('./attendance').AttendanceData }} [data] -
+ *   Records to use instead of the stored ones. Pass one term's sections as attendance to count only that term.
+ * @returns {ReportCard}
+ */
+export const buildReportCard = (student, data = {
+  grades: gradeRepository.getAll(),
+  subjects: subjectRepository.getAll(),
+  gradingScales: gradingScaleRepository.getAll(),
+  terms: termRepository.getAll(),
+}) => {
+  const subjectsById = indexById(data.subjects);
+  const scalesBySubject = indexScalesBySubject(data.subjects, data.gradingScales);
+  const gradesBySubject = new Map();
+  for (const grade of data.grades) {
+    if (grade.studentId !== student.id || !subjectsById.has(grade.subjectId)) continue;
+    const subjectGrades = gradesBySubject.get(grade.subjectId) ?? [];
+    subjectGrades.push(grade);
+    gradesBySubject.set(grade.subjectId, subjectGrades);
+  }
+
+  const rows = [...gradesBySubject].map(([subjectId, subjectGrades]) => {
+    const subject = subjectsById.get(subjectId);
+    const closed = subjectGrades.every(grade => isTermClosed(resolveGradeTerm(grade, data.terms)));
+    const { score } = computeFinalGrade(subjectGrades, subject, { closed });
+    if (score === null) return null;
+    const band = resolveGrade(score, scalesBySubject.get(subjectId));
+    return {
+      code: subject.code,
+      name: subject.name,
+      credits: subject.credits,
+      score,
+      letter: band.label,
+      points: band.points,
+      attendance: getSubjectAttendance(subjectId, data.attendance).get(student.id)?.rate ?? null,
+    };
+  }).filter(Boolean).sort((a, b) => a.code.localeCompare(b.code));
+
+  return {
+    student,
+    rows,
+    totalCredits: rows.reduce((sum, row) => sum + row.credits, 0),
+    gpa: computeGpa(rows),
+  };
+};
+
+/**
+ * @function buildReportCards
+ * Report cards for a batch of students, e.g. everyone in one major.
+ * @param {import('./data').Student[]} students
+ * @param {Object} [data] - See {@link buildReportCard}.
+ * @returns {ReportCard[]} Cards ordered by last then first name.
+ */
+export const buildReportCards = (students, data = {
+  grades: gradeRepository.getAll(),
+  subjects: subjectRepository.getAll(),
+  gradingScales: gradingScaleRepository.getAll(),
+  terms: termRepository.getAll(),
+}) => [...students]
+  .sort((a, b) => a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName))
+  .map(student => buildReportCard(student, data));
+
+/**
+ * @function downloadReportCards
+ * Renders report cards into a single PDF and downloads it. The PDF renderer
+ * is loaded on first use so it stays out of the main bundle.
+ * @param {ReportCard[]} cards - One page per card.
+ * @param {TermInfo} termInfo
+ * @param {string} fileName - e.g. "report-cards.pdf".
+ * @returns {Promise<void>}
+ */
+export const downloadReportCards = async (cards, termInfo, fileName) => {
+  const [{ pdf }, { default: ReportCardDocument }] = await Promise.all([
+    import('@react-pdf/renderer'),
+    import('../components/ReportCardDocument'),
+  ]);
+  const blob = await pdf(createElement(ReportCardDocument, { cards, termInfo })).toBlob();
+  downloadBlob(blob, fileName);
+};
+
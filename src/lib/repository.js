@@ -0,0 +1,183 @@
+/**
+ * @function generateId
+ * Utility function to generate a unique ID.
+ * @returns {string} A unique identifier.
+ */
+export const generateId = () => crypto.randomUUID();
+
+const isThenable = (value) => value && typeof value.then === 'function';
+
+/**
+ * @typedef {Object} Repository
+ * @property {string} collection - Collection name in the backend.
+ * @property {() => Object[]} getAll - Current records (stable reference until a change).
+ * @property {(id: string) => (Object|undefined)} getById
+ * @property {(data: Object, options?: import('./storage').WriteOptions) => Promise<Object>} create
+ * @property {(id: string, changes: Object, options?: import('./storage').WriteOptions) => Promise<Object>} update
+ * @property {(id: string, options?: import('./storage').WriteOptions) => Promise<void>} remove
+ * @property {(records: Object[], options?: import('./storage').WriteOptions) => Promise<void>} replaceAll
+ * @property {() => void} clear - Empties the cache without touching the backend.
+ * @property {(listener: function) => function} subscribe - Returns an unsubscribe function.
+ * @property {() => Promise<Object[]>} load - (Re)loads records from the backend.
+ * @property {() => RepositoryStatus} getStatus - Current load state (stable reference until a change).
+ * @property {(backend: import('./storage').StorageBackend) => Promise<Object[]>} setBackend
+ * @property {() => import('./storage').StorageBackend} getBackend
+ */
+
+/**
+ * @typedef {Object} RepositoryStatus
+ * @property {boolean} loading - A load from the backend is in flight.
+ * @property {Error|null} error - The last load error, if any.
+ * @property {boolean} offline - The backend is serving cached records.
+ */
+
+/**
+ * @function createRepository
+ * Creates an in-memory cache of one collection, backed by a StorageBackend.
+ * Writes are applied to the cache immediately, so every subscriber sees the
+ * change right away, and then persisted. If persisting fails the cache is
+ * reloaded from the backend and the error is rethrown.
+ * @param {Object} options
+ * @param {string} options.collection - Collection name.
+ * @param {import('./storage').StorageBackend} options.backend - Initial backend.
+ * @param {Object[]} [options.seed] - Records used when the backend has none yet.
+ * @returns {Repository}
+ */
+export const createRepository = ({ collection, backend, seed = [] }) => {
+  let currentBackend = backend;
+  let records = [];
+  let status = { loading: false, error: null, offline: false };
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const setRecords = (next) => {
+    records = next;
+    notify();
+    return records;
+  };
+
+  const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    notify();
+  };
+
+  const isBackendOffline = () => Boolean(currentBackend.isOffline?.());
+
+  // A collection the backend never stored starts from the seed. Offline, the
+  // remote may well hold records the cache has not seen, so nothing is seeded:
+  // a queued seed would overwrite them when the outbox is replayed.
+  const applyLoaded = (loaded) => {
+    status = { loading: false, error: null, offline: isBackendOffline() };
+    if (loaded !== null && loaded !== undefined) {
+      return setRecords(loaded);
+    }
+    if (status.offline) {
+      return setRecords([]);
+    }
+    Promise.resolve()
+      .then(() => currentBackend.replace(collection, seed))
+      .catch(error => console.error(`Error seeding "${collection}":`, error));
+    return setRecords([...seed]);
+  };
+
+  const failLoad = (error) => {
+    console.error(`Error loading "${collection}":`, error);
+    setStatus({ loading: false, error, offline: isBackendOffline() });
+    return records;
+  };
+
+  // Never rejects: load errors are reported through getStatus().
+  const load = () => {
+    let result;
+    try {
+      result = currentBackend.list(collection);
+    } catch (error) {
+      return Promise.resolve(failLoad(error));
+    }
+    if (!isThenable(result)) {
+      return Promise.resolve(applyLoaded(result));
+    }
+    setStatus({ loading: true, error: null });
+    return result.then(applyLoaded, failLoad);
+  };
+
+  const persist = async (operation, value) => {
+    try {
+      await operation();
+      if (status.offline !== isBackendOffline()) {
+        setStatus({ offline: isBackendOffline() });
+      }
+      return value;
+    } catch (error) {
+      console.error(`Error saving "${collection}":`, error);
+      await load();
+      throw error;
+    }
+  };
+
+  const getAll = () => records;
+
+  const getStatus = () => status;
+
+  const getById = (id) => records.find(r => r.id === id);
+
+  const create = (data, options) => {
+    const record = { ...data, id: data.id || generateId() };
+    setRecords([...records, record]);
+    return persist(() => currentBackend.insert(collection, record, options), record);
+  };
+
+  const update = (id, changes, options) => {
+    const existing = getById(id);
+    if (!existing) {
+      return Promise.reject(new Error(`No record "${id}" in "${collection}".`));
+    }
+    const record = { ...existing, ...changes, id };
+    setRecords(records.map(r => (r.id === id ? record : r)));
+    return persist(() => currentBackend.update(collection, id, record, options), record);
+  };
+
+  const remove = (id, options) => {
+    setRecords(records.filter(r => r.id !== id));
+    return persist(() => currentBackend.remove(collection, id, options));
+  };
+
+  const replaceAll = (next, options) => {
+    setRecords([...next]);
+    return persist(() => currentBackend.replace(collection, next, options));
+  };
+
+  const clear = () => {
+    status = { loading: false, error: null, offline: false };
+    setRecords([]);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const setBackend = (nextBackend) => {
+    currentBackend = nextBackend;
+    return load();
+  };
+
+  const getBackend = () => currentBackend;
+
+  return {
+    collection,
+    getAll,
+    getStatus,
+    getById,
+    create,
+    update,
+    remove,
+    replaceAll,
+    clear,
+    subscribe,
+    load,
+    setBackend,
+    getBackend,
+  };
+};
@@ -0,0 +1,147 @@
+// ----------------------------------------------------
+// --- MOCK DATA (Initial records for a fresh install) ---
+// ----------------------------------------------------
+
+export const INITIAL_STUDENTS = [
+  { 
+    id: 'stu1', 
+    studentId: 'STU-2024-001', 
+    firstName: 'John', 
+    lastName: 'Doe', 
+    email: 'john.doe@university.edu',
+    phone: '+1 (555) 123-4567',
+    enrollmentDate: '2024-09-01',
+    major: 'Computer Science',
+    status: 'active'
+  },
+  { 
+    id: 'stu2', 
+    studentId: 'STU-2024-002', 
+    firstName: 'Jane', 
+    lastName: 'Smith', 
+    email: 'jane.smith@university.edu',
+    phone: '+1 (555) 987-6543',
+    enrollmentDate: '2024-08-15',
+    major: 'Electrical Engineering',
+    status: 'active'
+  },
+  { 
+    id: 'stu3', 
+    studentId: 'STU-2024-003', 
+    firstName: 'Michael', 
+    lastName: 'Johnson', 
+    email: 'michael.j@university.edu',
+    phone: '+1 (555) 456-7890',
+    enrollmentDate: '2024-09-01',
+    major: 'Business Administration',
+    status: 'active'
+  },
+  { 
+    id: 'stu4', 
+    studentId: 'STU-2023-045', 
+    firstName: 'Sarah', 
+    lastName: 'Williams', 
+    email: 'sarah.w@university.edu',
+    phone: '+1 (555) 234-5678',
+    enrollmentDate: '2023-08-20',
+    major: 'Mechanical Engineering',
+    status: 'graduated'
+  },
+  { 
+    id: 'stu5', 
+    studentId: 'STU-2024-078', 
+    firstName: 'David', 
+    lastName: 'Brown', 
+    email: 'david.brown@university.edu',
+    phone: '+1 (555) 345-6789',
+    enrollmentDate: '2024-01-15',
+    major: 'Computer Science',
+    status: 'active'
+  },
+];
+
+export const INITIAL_SUBJECTS = [
+  { id: 'sub1', code: 'IT 101', name: 'Intro to Programming', credits: 3 },
+  { id: 'sub2', code: 'MATH 203', name: 'Calculus I', credits: 4 },
+  { id: 'sub3', code: 'ENG 101', name: 'Technical Writing', credits: 3 },
+  { id: 'sub4', code: 'SCI 105', name: 'General Science', credits: 3 },
+  { id: 'sub5', code: 'HIST 201', name: 'World History', credits: 3 },
+];
+
+export const INITIAL_GRADES = [];
+
+// Built-in grading scales. Bands are listed from the highest minimum score
+// down; points are on the 4.0 GPA scale, and null keeps a band out of GPAs.
+export const INITIAL_GRADING_SCALES = [
+  {
+    id: 'us-letter',
+    name: 'US Letter (A-F)',
+    bands: [
+      { min: 93, label: 'A', points: 4.0, passed: true },
+      { min: 90, label: 'A-', points: 3.7, passed: true },
+      { min: 87, label: 'B+', points: 3.3, passed: true },
+      { min: 83, label: 'B', points: 3.0, passed: true },
+      { min: 80, label: 'B-', points: 2.7, passed: true },
+      { min: 77, label: 'C+', points: 2.3, passed: true },
+      { min: 73, label: 'C', points: 2.0, passed: true },
+      { min: 70, label: 'C-', points: 1.7, passed: true },
+      { min: 67, label: 'D+', points: 1.3, passed: true },
+      { min: 63, label: 'D', points: 1.0, passed: true },
+      { min: 60, label: 'D-', points: 0.7, passed: true },
+      { min: 0, label: 'F', points: 0.0, passed: false },
+    ],
+  },
+  {
+    id: 'ph-1-5',
+    name: 'Philippine (1.0-5.0)',
+    bands: [
+      { min: 97, label: '1.00', points: 4.0, passed: true },
+      { min: 94, label: '1.25', points: 3.7, passed: true },
+      { min: 91, label: '1.50', points: 3.3, passed: true },
+      { min: 88, label: '1.75', points: 3.0, passed: true },
+      { min: 85, label: '2.00', points: 2.7, passed: true },
+      { min: 82, label: '2.25', points: 2.3, passed: true },
+      { min: 79, label: '2.50', points: 2.0, passed: true },
+      { min: 76, label: '2.75', points: 1.7, passed: true },
+      { min: 75, label: '3.00', points: 1.0, passed: true },
+      { min: 0, label: '5.00', points: 0.0, passed: false },
+    ],
+  },
+  {
+    id: 'pass-fail',
+    name: 'Pass/Fail',
+    bands: [
+      { min: 75, label: 'Passed', points: null, passed: true },
+      { min: 0, label: 'Failed', points: null, passed: false },
+    ],
+  },
+];
+
+// The current term, so a fresh install has somewhere to record grades.
+export const INITIAL_TERMS = [
+  {
+    id: '2026-2027-1',
+    name: 'First Semester',
+    schoolYear: '2026-2027',
+    startDate: '2026-08-01',
+    endDate: '2026-12-31',
+    status: 'active',
+    closedAt: null,
+  },
+];
+
+export const INITIAL_SECTIONS = [
+  { id: 'sec1', subjectId: 'sub1', termId: '2026-2027-1', code: 'A', schedule: 'MWF 9:00-10:00', room: 'Lab 2', instructor: 'Maria Santos' },
+  { id: 'sec2', subjectId: 'sub2', termId: '2026-2027-1', code: 'A', schedule: 'TTh 10:30-12:00', room: 'Room 204', instructor: 'Robert Cruz' },
+  { id: 'sec3', subjectId: 'sub3', termId: '2026-2027-1', code: 'A', schedule: 'TTh 1:00-2:30', room: 'Room 110', instructor: 'Ana Reyes' },
+];
+
+// Every active student in each sample section
+export const INITIAL_ENROLLMENTS = INITIAL_SECTIONS.flatMap(section =>
+  ['stu1', 'stu2', 'stu3', 'stu5'].map(studentId => ({
+    id: `${section.id}-${studentId}`,
+    sectionId: section.id,
+    studentId,
+    enrolledOn: '2026-08-01',
+  }))
+);
@@ -0,0 +1,89 @@
+import { useSyncExternalStore } from 'react';
+
+const SETTINGS_KEY = 'appSettings';
+
+/**
+ * @typedef {'block'|'cascade'|'archive'} DeletePolicy
+ * What happens when a student or subject that grades still reference is deleted:
+ * - block: refuse the delete.
+ * - cascade: delete the record together with its grades.
+ * - archive: keep the record (and its grades) but hide it from day-to-day lists.
+ */
+
+/**
+ * @typedef {Object} AppSettings
+ * @property {{ students: DeletePolicy, subjects: DeletePolicy }} deletePolicy
+ * @property {string} termFilter - Term the management pages show: a term id, "active" or "all" (see src/lib/terms.js).
+ * @property {import('./earlyWarning').EarlyWarningSettings} earlyWarning - Which at-risk rules run, and their thresholds.
+ */
+
+/** @type {AppSettings} */
+export const DEFAULT_SETTINGS = {
+  deletePolicy: { students: 'block', subjects: 'block' },
+  termFilter: 'active',
+  earlyWarning: {
+    decliningTrend: true,
+    declinePer30Days: 5,
+    failingSubject: true,
+    lowAttendance: true,
+    minAttendance: 80,
+    missingAssessment: true,
+  },
+};
+
+const readSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    // Merge one level deep so settings added later get their defaults.
+    return Object.fromEntries(
+      Object.entries(DEFAULT_SETTINGS).map(([key, value]) => [
+        key,
+        typeof value === 'object' && !Array.isArray(value) ? { ...value, ...stored[key] } : (stored[key] ?? value),
+      ])
+    );
+  } catch (error) {
+    console.error(`Error reading localStorage key "${SETTINGS_KEY}":`, error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+let settings = readSettings();
+const listeners = new Set();
+
+/**
+ * @function getSettings
+ * @returns {AppSettings} Current settings (stable reference until a change).
+ */
+export const getSettings = () => settings;
+
+/**
+ * @function updateSettings
+ * Replaces top-level settings and persists them in this browser.
+ * @param {Partial<AppSettings>} changes
+ */
+export const updateSettings = (changes) => {
+  settings = { ...settings, ...changes };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error(`Error setting localStorage key "${SETTINGS_KEY}":`, error);
+  }
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * @function subscribeSettings
+ * @param {function} listener
+ * @returns {function} Unsubscribe function.
+ */
+export const subscribeSettings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * @hook useSettings
+ * Subscribes a component to the app settings.
+ * @returns {AppSettings}
+ */
+export const useSettings = () => useSyncExternalStore(subscribeSettings, getSettings);
@@ -0,0 +1,63 @@
+// ----------------------------------------------------
+// --- STATISTICS HELPERS ---
+// ----------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function mean
+ * @param {number[]} values
+ * @returns {number|null} Arithmetic mean, or null for an empty list.
+ */
+export const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * @function median
+ * @param {number[]} values
+ * @returns {number|null} Middle value (the mean of the two middle values for an
+ *   even count), or null for an empty list.
+ */
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * @function standardDeviation
+ * Population standard deviation: the values are every score, not a sample.
+ * @param {number[]} values
+ * @returns {number|null} Null for an empty list.
+ */
+export const standardDeviation = (values) => {
+  const average = mean(values);
+  if (average === null) return null;
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+/**
+ * @function scoreTrend
+ * Least-squares slope of scores over time.
+ * @param {{ score: number, date: string }[]} grades
+ * @returns {{ slopePer30Days: number|null, direction: ('improving'|'steady'|'declining'|'unknown') }}
+ *   direction is "unknown" with fewer than two dated grades; changes of less
+ *   than 2 points per 30 days count as steady.
+ */
+export const scoreTrend = (grades) => {
+  const points = grades
+    .filter(grade => grade.date)
+    .map(grade => ({ x: new Date(grade.date).getTime() / DAY_MS, y: grade.score }));
+  if (points.length < 2) return { slopePer30Days: null, direction: 'unknown' };
+
+  const meanX = mean(points.map(p => p.x));
+  const meanY = mean(points.map(p => p.y));
+  const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (variance === 0) return { slopePer30Days: null, direction: 'unknown' };
+
+  const slopePer30Days = (covariance / variance) * 30;
+  const direction = slopePer30Days > 2 ? 'improving' : slopePer30Days < -2 ? 'declining' : 'steady';
+  return { slopePer30Days, direction };
+};
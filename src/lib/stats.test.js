@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { mean, median, scoreTrend, standardDeviation } from './stats';
+
+describe('mean', () => {
+  it('averages the values, or returns null for none', () => {
+    expect(mean([70, 80, 90])).toBe(80);
+    expect(mean([])).toBeNull();
+  });
+});
+
+describe('median', () => {
+  it('takes the middle value, or the mean of the two middle values', () => {
+    expect(median([90, 70, 80])).toBe(80);
+    expect(median([90, 70, 80, 60])).toBe(75);
+    expect(median([])).toBeNull();
+  });
+});
+
+describe('standardDeviation', () => {
+  it('is the population standard deviation', () => {
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    expect(standardDeviation([80])).toBe(0);
+    expect(standardDeviation([])).toBeNull();
+  });
+});
+
+describe('scoreTrend', () => {
+  it('measures the change in points per 30 days', () => {
+    const trend = scoreTrend([
+      { score: 90, date: '2026-09-01' },
+      { score: 80, date: '2026-10-01' },
+    ]);
+    expect(trend.slopePer30Days).toBeCloseTo(-10);
+    expect(trend.direction).toBe('declining');
+  });
+
+  it('counts small changes as steady', () => {
+    expect(scoreTrend([{ score: 80, date: '2026-09-01' }, { score: 81, date: '2026-10-01' }]).direction).toBe('steady');
+    expect(scoreTrend([{ score: 70, date: '2026-09-01' }, { score: 80, date: '2026-10-01' }]).direction).toBe('improving');
+  });
+
+  it('is unknown with fewer than two dated grades', () => {
+    expect(scoreTrend([{ score: 80, date: '2026-09-01' }, { score: 60 }])).toEqual({ slopePer30Days: null, direction: 'unknown' });
+    expect(scoreTrend([{ score: 80, date: '2026-09-01' }, { score: 60, date: '2026-09-01' }]).direction).toBe('unknown');
+  });
+});
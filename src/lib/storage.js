@@ -0,0 +1,105 @@
+/**
+ * @typedef {Object} StorageBackend
+ * A persistence backend for the data layer. Records are grouped into named
+ * collections ("students", "subjects", "grades"). Every method may return its
+ * result directly or as a Promise, so synchronous stores (localStorage) and
+ * remote stores can be swapped without touching the repositories.
+ * @property {string} name - Human readable backend name.
+ * @property {(collection: string) => (Object[]|null|Promise<Object[]|null>)} list
+ *   All records of a collection, or null when the collection was never stored.
+ * @property {(collection: string, record: Object, options?: WriteOptions) => (Object|Promise<Object>)} insert
+ * @property {(collection: string, id: string, record: Object, options?: WriteOptions) => (Object|Promise<Object>)} update
+ * @property {(collection: string, id: string, options?: WriteOptions) => (void|Promise<void>)} remove
+ * @property {(collection: string, records: Object[], options?: WriteOptions) => (void|Promise<void>)} replace
+ *   Overwrites the whole collection (used for seeding and migrations).
+ * @property {boolean} [logsGradeChanges] - The store writes the grade audit
+ *   trail itself (see src/lib/audit.js), so the app must not.
+ * @property {boolean} [migratesData] - The store upgrades its records with its
+ *   own migrations, so the app must not (see upgradeStoredData).
+ * @property {(collections: string[]) => (void|Promise<void>)} [clearLocal] - Forgets
+ *   what the store keeps in this browser for a remote (cached records, queued writes).
+ */
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {string|null} [reason] - Why the change is made, for backends that
+ *   log grade changes themselves. Other backends ignore it.
+ */
+
+/**
+ * @function createCollectionStore
+ * Builds a StorageBackend on top of simple read/write functions that store a
+ * whole collection as one array.
+ * @param {string} name - Backend name.
+ * @param {(collection: string) => (Object[]|null)} read
+ * @param {(collection: string, records: Object[]) => void} write
+ * @returns {StorageBackend}
+ */
+const createCollectionStore = (name, read, write) => ({
+  name,
+  list: (collection) => read(collection),
+  insert: (collection, record) => {
+    write(collection, [...(read(collection) || []), record]);
+    return record;
+  },
+  update: (collection, id, record) => {
+    write(collection, (read(collection) || []).map(r => (r.id === id ? record : r)));
+    return record;
+  },
+  remove: (collection, id) => {
+    write(collection, (read(collection) || []).filter(r => r.id !== id));
+  },
+  replace: (collection, records) => {
+    write(collection, records);
+  },
+});
+
+/**
+ * @function createLocalStorageBackend
+ * Backend that keeps each collection as a JSON array in localStorage.
+ * @param {Object<string, string>} [keys] - Maps collection names to storage keys.
+ *   Collections without an entry are stored under their own name.
+ * @returns {StorageBackend}
+ */
+export const createLocalStorageBackend = (keys = {}) => {
+  const keyFor = (collection) => keys[collection] || collection;
+
+  const read = (collection) => {
+    const key = keyFor(collection);
+    try {
+      const storedValue = localStorage.getItem(key);
+      return storedValue ? JSON.parse(storedValue) : null;
+    } catch (error) {
+      console.error(`Error reading localStorage key "${key}":`, error);
+      return null;
+    }
+  };
+
+  const write = (collection, records) => {
+    const key = keyFor(collection);
+    try {
+      localStorage.setItem(key, JSON.stringify(records));
+    } catch (error) {
+      console.error(`Error setting localStorage key "${key}":`, error);
+    }
+  };
+
+  return createCollectionStore('localStorage', read, write);
+};
+
+/**
+ * @function createMemoryBackend
+ * Non-persistent backend, handy for tests and demos.
+ * @param {Object<string, Object[]>} [initialData] - Initial collections.
+ * @returns {StorageBackend}
+ */
+export const createMemoryBackend = (initialData = {}) => {
+  const data = { ...initialData };
+  return createCollectionStore(
+    'memory',
+    (collection) => data[collection] || null,
+    (collection, records) => {
+      data[collection] = records;
+    }
+  );
+};
@@ -0,0 +1,69 @@
+import { studentNoteRepository, studentRepository } from './data';
+import { getAuthState } from './auth';
+import { canManageRecords } from './permissions';
+
+// ----------------------------------------------------
+// --- STUDENT RECORDS (Status history and notes) ---
+// ----------------------------------------------------
+
+const statusChange = (status) => ({
+  status,
+  changedAt: new Date().toISOString(),
+  changedByName: getAuthState().user?.fullName ?? 'Unknown user',
+});
+
+/**
+ * @function createStudent
+ * Creates a student, starting their status history.
+ * @param {Object} data - Student fields.
+ * @returns {Promise<import('./data').Student>}
+ */
+export const createStudent = (data) =>
+  studentRepository.create({ ...data, statusHistory: [statusChange(data.status)] });
+
+/**
+ * @function updateStudent
+ * Updates a student, adding to their status history when the status changes.
+ * @param {string} id - Student record id.
+ * @param {Object} changes
+ * @returns {Promise<import('./data').Student>}
+ */
+export const updateStudent = (id, changes) => {
+  const before = studentRepository.getById(id);
+  if (!before || !changes.status || changes.status === before.status) {
+    return studentRepository.update(id, changes);
+  }
+  return studentRepository.update(id, {
+    ...changes,
+    statusHistory: [...(before.statusHistory ?? []), statusChange(changes.status)],
+  });
+};
+
+/**
+ * @function addStudentNote
+ * Adds a note to a student's record under the signed-in user's name.
+ * @param {string} studentId - Student record id.
+ * @param {string} body
+ * @returns {Promise<import('./data').StudentNote>}
+ * @throws {Error} When the note is empty.
+ */
+export const addStudentNote = (studentId, body) => {
+  if (!body.trim()) return Promise.reject(new Error('The note is empty.'));
+  const user = getAuthState().user;
+  return studentNoteRepository.create({
+    studentId,
+    body: body.trim(),
+    authorId: user?.id ?? 'unknown',
+    authorName: user?.fullName ?? 'Unknown user',
+    createdAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * @function canDeleteNote
+ * Notes are deleted by whoever wrote them, or by an admin.
+ * @param {import('./auth').AppUser|null} user
+ * @param {import('./data').StudentNote} note
+ * @returns {boolean}
+ */
+export const canDeleteNote = (user, note) => canManageRecords(user) || (Boolean(user) && note.authorId === user.id);
@@ -0,0 +1,36 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { getAuthState } from './auth';
+import { studentNoteRepository, studentRepository } from './data';
+import { addStudentNote, canDeleteNote, createStudent, updateStudent } from './students';
+
+describe('status history', () => {
+  beforeEach(() => studentRepository.replaceAll([]));
+
+  it('starts with the status a student is created with and grows when it changes', async () => {
+    const student = await createStudent({ firstName: 'Ana', lastName: 'Cruz', status: 'active' });
+    await updateStudent(student.id, { phone: '0917 000 0000' });
+    await updateStudent(student.id, { status: 'active' });
+    const updated = await updateStudent(student.id, { status: 'graduated' });
+
+    expect(updated.statusHistory.map(change => change.status)).toEqual(['active', 'graduated']);
+    expect(updated.statusHistory[1].changedByName).toBe(getAuthState().user.fullName);
+  });
+});
+
+describe('notes', () => {
+  beforeEach(() => studentNoteRepository.replaceAll([]));
+
+  it('are written under the signed-in user\'s name', async () => {
+    const note = await addStudentNote('stu1', '  Asked for tutoring.  ');
+    expect(note).toMatchObject({ studentId: 'stu1', body: 'Asked for tutoring.', authorId: getAuthState().user.id });
+    await expect(addStudentNote('stu1', '  ')).rejects.toThrow('The note is empty.');
+  });
+
+  it('are deleted by their author or an admin', () => {
+    const note = { authorId: 'u-maria' };
+    expect(canDeleteNote({ id: 'u-maria', role: 'instructor' }, note)).toBe(true);
+    expect(canDeleteNote({ id: 'u-robert', role: 'instructor' }, note)).toBe(false);
+    expect(canDeleteNote({ id: 'u-admin', role: 'admin' }, note)).toBe(true);
+    expect(canDeleteNote(null, note)).toBe(false);
+  });
+});
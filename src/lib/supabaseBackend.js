@@ -0,0 +1,91 @@
+/**
+ * @function toSnakeCase
+ * Converts a camelCase field name to the snake_case column name.
+ * @param {string} key
+ * @returns {string}
+ */
+const toSnakeCase = (key) => key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+/**
+ * @function toCamelCase
+ * Converts a snake_case column name to the camelCase field name.
+ * @param {string} key
+ * @returns {string}
+ */
+const toCamelCase = (key) => key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+const mapKeys = (object, mapKey) =>
+  Object.fromEntries(Object.entries(object).map(([key, value]) => [mapKey(key), value]));
+
+/**
+ * @function toSupabaseError
+ * Turns a PostgREST error into an Error. Errors without a Postgres/PostgREST
+ * code never reached the database (network failure) and are named
+ * "NetworkError" so callers can fall back to the local cache.
+ * @param {{ message: string, code?: string }} error
+ * @returns {Error}
+ */
+const toSupabaseError = (error) => {
+  const result = new Error(error.message);
+  result.name = error.code ? 'SupabaseError' : 'NetworkError';
+  result.code = error.code;
+  return result;
+};
+
+const REASON_HEADER = 'x-change-reason';
+
+// Tables are listed oldest first. grade_audit is append-only and has no
+// created_at; its entries are ordered by when the change happened.
+const ORDER_COLUMNS = {
+  grade_audit: 'changed_at',
+};
+
+const orderColumnFor = (collection) => ORDER_COLUMNS[collection] ?? 'created_at';
+
+const encodeReason = (reason) => btoa(String.fromCharCode(...new TextEncoder().encode(reason)));
+
+const unwrap = ({ data, error }) => {
+  if (error) throw toSupabaseError(error);
+  return data;
+};
+
+/**
+ * @function createSupabaseBackend
+ * StorageBackend that keeps each collection in a Supabase table of the same
+ * name (see supabase/migrations). Fields are camelCase in the app and
+ * snake_case in the database.
+ * @param {import('@supabase/supabase-js').SupabaseClient} client
+ * @returns {import('./storage').StorageBackend}
+ */
+export const createSupabaseBackend = (client) => {
+  const fromRow = (row) => mapKeys(row, toCamelCase);
+  const toRow = (record) => mapKeys(record, toSnakeCase);
+  // The grade audit trigger reads the reason from this header (see the
+  // log_grade_changes migration); base64 keeps any text header-safe.
+  const withReason = (query, { reason } = {}) =>
+    (reason ? query.setHeader(REASON_HEADER, encodeReason(reason)) : query);
+
+  return {
+    name: 'supabase',
+    logsGradeChanges: true,
+    // supabase/migrations upgrade the rows along with the tables
+    migratesData: true,
+    list: async (collection) => {
+      const rows = unwrap(await client.from(collection).select('*').order(orderColumnFor(collection)));
+      return rows.map(fromRow);
+    },
+    insert: async (collection, record, options) =>
+      fromRow(unwrap(await withReason(client.from(collection).insert(toRow(record)).select().single(), options))),
+    update: async (collection, id, record, options) =>
+      fromRow(unwrap(await withReason(client.from(collection).update(toRow(record)).eq('id', id).select().single(), options))),
+    remove: async (collection, id, options) => {
+      unwrap(await withReason(client.from(collection).delete().eq('id', id), options));
+    },
+    replace: async (collection, records, options) => {
+      unwrap(await withReason(client.from(collection).delete().not('id', 'is', null), options));
+      if (records.length > 0) {
+        unwrap(await withReason(client.from(collection).insert(records.map(toRow)), options));
+      }
+    },
+  };
+};
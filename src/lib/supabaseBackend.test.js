@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { createSupabaseBackend } from './supabaseBackend';
+
+// Records the query builder calls and resolves to the given rows
+const createFakeClient = (rows = []) => {
+  const calls = [];
+  const builder = (table) => {
+    const query = {
+      then: (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject),
+    };
+    ['select', 'order', 'eq', 'insert', 'update', 'delete', 'not', 'single', 'setHeader'].forEach((method) => {
+      query[method] = (...args) => {
+        calls.push([table, method, ...args]);
+        return query;
+      };
+    });
+    return query;
+  };
+  return { calls, from: builder };
+};
+
+describe('createSupabaseBackend list', () => {
+  it('orders collections by created_at', async () => {
+    const client = createFakeClient([{ id: 's1', full_name: 'Ana Cruz', created_at: '2026-01-01' }]);
+    const records = await createSupabaseBackend(client).list('students');
+
+    expect(records).toEqual([{ id: 's1', fullName: 'Ana Cruz', createdAt: '2026-01-01' }]);
+    expect(client.calls).toContainEqual(['students', 'order', 'created_at']);
+  });
+
+  it('orders grade_audit by changed_at, the column that table has', async () => {
+    const client = createFakeClient([
+      { id: 'a1', grade_id: 'g1', action: 'update', changed_at: '2026-03-01T10:00:00Z' },
+    ]);
+    const records = await createSupabaseBackend(client).list('grade_audit');
+
+    expect(records).toEqual([{ id: 'a1', gradeId: 'g1', action: 'update', changedAt: '2026-03-01T10:00:00Z' }]);
+    expect(client.calls).toContainEqual(['grade_audit', 'order', 'changed_at']);
+    expect(client.calls).not.toContainEqual(['grade_audit', 'order', 'created_at']);
+  });
+
+  it('throws the PostgREST error instead of returning an empty list', async () => {
+    const client = {
+      from: () => ({
+        select: () => ({
+          order: async () => ({ data: null, error: { message: 'column "created_at" does not exist', code: '42703' } }),
+        }),
+      }),
+    };
+
+    await expect(createSupabaseBackend(client).list('grade_audit')).rejects.toMatchObject({
+      name: 'SupabaseError',
+      code: '42703',
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { termRepository } from './data';
+
+// ----------------------------------------------------
+// --- ACADEMIC TERMS (Semesters and school years) ---
+// ----------------------------------------------------
+
+/** Term filter value that shows records from every term. */
+export const ALL_TERMS = 'all';
+
+/** Term filter value that follows whichever term is active. */
+export const ACTIVE_TERM = 'active';
+
+export const TERM_NAMES = ['First Semester', 'Second Semester', 'Summer'];
+
+/**
+ * @function suggestTermForDate
+ * The term a date falls in on the usual calendar: school years start in
+ * August, with the first semester from August to December, the second from
+ * January to May and summer in June and July. Used to prefill new terms and
+ * to place grades that have no term. The id is the same for every browser, so
+ * terms created from it never duplicate each other.
+ * @param {string} date - ISO date (YYYY-MM-DD).
+ * @returns {import('./data').Term} An open term, not yet stored.
+ */
+export const suggestTermForDate = (date) => {
+  const [year, month] = date.split('-').map(Number);
+  const startYear = month >= 8 ? year : year - 1;
+  const termNumber = month >= 8 ? 1 : month <= 5 ? 2 : 3;
+  const schoolYear = `${startYear}-${startYear + 1}`;
+  const [startDate, endDate] = {
+    1: [`${startYear}-08-01`, `${startYear}-12-31`],
+    2: [`${startYear + 1}-01-01`, `${startYear + 1}-05-31`],
+    3: [`${startYear + 1}-06-01`, `${startYear + 1}-07-31`],
+  }[termNumber];
+  return {
+    id: `${schoolYear}-${termNumber}`,
+    name: TERM_NAMES[termNumber - 1],
+    schoolYear,
+    startDate,
+    endDate,
+    status: 'open',
+  };
+};
+
+/**
+ * @function getTermLabel
+ * @param {import('./data').Term} term
+ * @returns {string} e.g. "First Semester 2026-2027".
+ */
+export const getTermLabel = (term) => `${term.name} ${term.schoolYear}`;
+
+/**
+ * @function sortTerms
+ * @param {import('./data').Term[]} terms
+ * @returns {import('./data').Term[]} A copy, newest first.
+ */
+export const sortTerms = (terms) => [...terms].sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+/**
+ * @function getActiveTerm
+ * @param {import('./data').Term[]} terms
+ * @returns {import('./data').Term|undefined}
+ */
+export const getActiveTerm = (terms) => terms.find(term => term.status === 'active');
+
+/**
+ * @function activateTerm
+ * Makes a term the active one. The previously active term is set back to open
+ * first, so it stays open for late grades and the database's one-active-term
+ * index never sees two active terms.
+ * @param {string} id - Term id.
+ * @returns {Promise<import('./data').Term>} The activated term.
+ */
+export const activateTerm = async (id) => {
+  const previous = getActiveTerm(termRepository.getAll());
+  if (previous?.id === id) return previous;
+  if (previous) await termRepository.update(previous.id, { status: 'open' });
+  return termRepository.update(id, { status: 'active', closedAt: null });
+};
+
+/**
+ * @function isTermClosed
+ * Closed terms lock their grades against edits.
+ * @param {import('./data').Term|undefined} term
+ * @returns {boolean}
+ */
+export const isTermClosed = (term) => term?.status === 'closed';
+
+/**
+ * @function findTermForDate
+ * @param {import('./data').Term[]} terms
+ * @param {string} date - ISO date (YYYY-MM-DD).
+ * @returns {import('./data').Term|undefined} The stored term whose dates include the date.
+ */
+export const findTermForDate = (terms, date) =>
+  terms.find(term => term.startDate <= date && date <= term.endDate);
+
+/**
+ * @function resolveGradeTerm
+ * The term a grade counts in: its own term, else the stored term its date
+ * falls in, else the suggested term for its date (see suggestTermForDate).
+ * @param {import('./data').Grade} grade
+ * @param {import('./data').Term[]} terms
+ * @returns {import('./data').Term|null} Null for undated grades without a term.
+ */
+export const resolveGradeTerm = (grade, terms) => {
+  const term = terms.find(t => t.id === grade.termId);
+  if (term) return term;
+  if (!grade.date) return null;
+  return findTermForDate(terms, grade.date) ?? suggestTermForDate(grade.date);
+};
+
+/**
+ * @function validateTerm
+ * @param {{ id?: string, name: string, schoolYear: string, startDate: string, endDate: string }} term
+ * @param {import('./data').Term[]} terms - Stored terms; the term itself is skipped.
+ * @returns {string|null} A message describing the first problem, or null when the term is valid.
+ */
+export const validateTerm = (term, terms) => {
+  if (!term.name.trim() || !term.schoolYear.trim()) return 'Please enter the term name and school year.';
+  if (!term.startDate || !term.endDate) return 'Please enter the start and end dates.';
+  if (term.startDate > term.endDate) return 'The term cannot end before it starts.';
+  const overlapping = terms.find(other =>
+    other.id !== term.id && other.startDate <= term.endDate && term.startDate <= other.endDate
+  );
+  if (overlapping) return `The dates overlap ${getTermLabel(overlapping)}.`;
+  return null;
+};
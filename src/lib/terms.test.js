@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { setStorageBackend, termRepository } from './data';
+import { createLocalStorageBackend } from './storage';
+import { activateTerm, getActiveTerm, isTermClosed, resolveGradeTerm, sortTerms, suggestTermForDate, validateTerm } from './terms';
+
+const terms = [
+  { id: 't1', name: 'First Semester', schoolYear: '2025-2026', startDate: '2025-08-01', endDate: '2025-12-31', status: 'closed' },
+  { id: 't2', name: 'Second Semester', schoolYear: '2025-2026', startDate: '2026-01-05', endDate: '2026-05-31', status: 'active' },
+];
+
+describe('suggestTermForDate', () => {
+  it('places dates on the usual school calendar', () => {
+    expect(suggestTermForDate('2025-09-15')).toEqual({
+      id: '2025-2026-1',
+      name: 'First Semester',
+      schoolYear: '2025-2026',
+      startDate: '2025-08-01',
+      endDate: '2025-12-31',
+      status: 'open',
+    });
+    expect(suggestTermForDate('2026-03-01')).toMatchObject({ id: '2025-2026-2', startDate: '2026-01-01', endDate: '2026-05-31' });
+    expect(suggestTermForDate('2026-07-31')).toMatchObject({ id: '2025-2026-3', name: 'Summer' });
+  });
+});
+
+describe('resolveGradeTerm', () => {
+  it('prefers the grade\'s own term, then a stored term holding its date', () => {
+    expect(resolveGradeTerm({ termId: 't1', date: '2026-02-01' }, terms).id).toBe('t1');
+    expect(resolveGradeTerm({ date: '2026-02-01' }, terms).id).toBe('t2');
+  });
+
+  it('suggests a term for dates no stored term holds, and none for undated grades', () => {
+    expect(resolveGradeTerm({ date: '2026-06-15' }, terms).id).toBe('2025-2026-3');
+    expect(resolveGradeTerm({ termId: 'deleted' }, terms)).toBeNull();
+  });
+});
+
+describe('term status', () => {
+  it('finds the active term and locks closed ones', () => {
+    expect(getActiveTerm(terms).id).toBe('t2');
+    expect(isTermClosed(terms[0])).toBe(true);
+    expect(isTermClosed(terms[1])).toBe(false);
+    expect(isTermClosed(undefined)).toBe(false);
+  });
+
+  it('orders terms newest first', () => {
+    expect(sortTerms(terms).map(term => term.id)).toEqual(['t2', 't1']);
+  });
+});
+
+describe('validateTerm', () => {
+  const draft = { name: 'Summer', schoolYear: '2025-2026', startDate: '2026-06-01', endDate: '2026-07-31' };
+
+  it('accepts a term that overlaps no other', () => {
+    expect(validateTerm(draft, terms)).toBeNull();
+    expect(validateTerm(terms[1], terms)).toBeNull();
+  });
+
+  it('explains the first problem', () => {
+    expect(validateTerm({ ...draft, name: '' }, terms)).toBe('Please enter the term name and school year.');
+    expect(validateTerm({ ...draft, endDate: '2026-05-31' }, terms)).toBe('The term cannot end before it starts.');
+    expect(validateTerm({ ...draft, startDate: '2026-05-01' }, terms)).toBe('The dates overlap Second Semester 2025-2026.');
+  });
+});
+
+describe('activateTerm', () => {
+  let updates;
+
+  beforeEach(async () => {
+    updates = [];
+    const local = createLocalStorageBackend();
+    await setStorageBackend({
+      ...local,
+      // Like the terms_one_active index: a second active term is refused
+      update: async (collection, id, record) => {
+        const others = await local.list(collection);
+        if (record.status === 'active' && others.some(term => term.id !== id && term.status === 'active')) {
+          throw new Error('duplicate key value violates unique constraint "terms_one_active"');
+        }
+        updates.push([id, record.status]);
+        return local.update(collection, id, record);
+      },
+    });
+    await termRepository.replaceAll(terms.map(term => ({ ...term, status: term.id === 't2' ? 'active' : 'open' })));
+  });
+
+  it('reopens the active term before activating the new one', async () => {
+    await activateTerm('t1');
+
+    expect(updates).toEqual([['t2', 'open'], ['t1', 'active']]);
+    expect(getActiveTerm(termRepository.getAll()).id).toBe('t1');
+    expect(termRepository.getById('t2').status).toBe('open');
+  });
+
+  it('leaves an already active term as it is', async () => {
+    await activateTerm('t2');
+
+    expect(updates).toEqual([]);
+  });
+});
@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * @hook useRecords
+ * Subscribes a component to a repository and returns its live records.
+ * @param {import('./repository').Repository} repository
+ * @returns {Object[]} The repository's current records.
+ */
+export const useRecords = (repository) =>
+  useSyncExternalStore(repository.subscribe, repository.getAll);
+
+/**
+ * @hook useRecordsStatus
+ * Subscribes a component to a repository's loading, error and offline state.
+ * @param {import('./repository').Repository} repository
+ * @returns {import('./repository').RepositoryStatus}
+ */
+export const useRecordsStatus = (repository) =>
+  useSyncExternalStore(repository.subscribe, repository.getStatus);
@@ -0,0 +1,29 @@
+import { useMemo } from 'react';
+import { termRepository } from './data';
+import { updateSettings, useSettings } from './settings';
+import { ACTIVE_TERM, getActiveTerm, sortTerms } from './terms';
+import { useRecords } from './useRecords';
+
+/**
+ * @function setTermFilter
+ * Picks the term the management pages show (stored in the app settings).
+ * @param {string} value - A term id, ACTIVE_TERM or ALL_TERMS.
+ */
+export const setTermFilter = (value) => updateSettings({ termFilter: value });
+
+/**
+ * @hook useSelectedTerm
+ * The term picked in the navbar term switcher. Following the active term
+ * while none is active, or picking a term that was deleted, shows every term.
+ * @returns {{ terms: import('./data').Term[], selectedTerm: (import('./data').Term|null), termFilter: string }}
+ *   Terms newest first, and the selected term or null for all terms.
+ */
+export const useSelectedTerm = () => {
+  const records = useRecords(termRepository);
+  const { termFilter } = useSettings();
+  const terms = useMemo(() => sortTerms(records), [records]);
+  const selectedTerm = termFilter === ACTIVE_TERM
+    ? getActiveTerm(terms) ?? null
+    : terms.find(term => term.id === termFilter) ?? null;
+  return { terms, selectedTerm, termFilter };
+};
@@ -0,0 +1,301 @@
+import React, { useMemo, useState } from "react";
+import { enrollmentRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentRepository, subjectRepository } from "../lib/data";
+import { collectResults, compareSubjects, getAverageByMonth, getLetterDistribution, getPassRatesByMajor, rankStudents } from "../lib/analytics";
+import { getSectionLabel } from "../lib/enrollment";
+import { getStudentName, indexById } from "../lib/records";
+import { ACTIVE_TERM, ALL_TERMS, getTermLabel } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { setTermFilter, useSelectedTerm } from "../lib/useTermFilter";
+import DataStatusBanner from "../components/DataStatusBanner";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white";
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+const ChartCard = ({ title, children, className = "" }) => (
+  <section className={`bg-white p-5 rounded-xl border border-gray-200 shadow-sm ${className}`}>
+    <h2 className="text-lg font-bold text-gray-800 mb-4">{title}</h2>
+    {children}
+  </section>
+);
+
+const NoData = () => <p className="py-8 text-center text-gray-500">No grades in this selection.</p>;
+
+// ----------------------------------------------------
+// --- LETTER HISTOGRAM (Final grades per band, one subject) ---
+// ----------------------------------------------------
+const LetterHistogram = ({ distribution }) => {
+  const maxCount = Math.max(1, ...distribution.bands.map(band => band.count));
+  return (
+    <div className="p-4 rounded-xl border border-gray-100">
+      <div className="flex justify-between items-baseline mb-3">
+        <span className="font-bold text-gray-800">{distribution.subject.code}</span>
+        <span className="text-xs text-gray-500">{distribution.total} final {distribution.total === 1 ? 'grade' : 'grades'}</span>
+      </div>
+      <div className="flex items-end gap-1 h-32" role="img" aria-label={`Letter grades in ${distribution.subject.code}: ${distribution.bands.map(band => `${band.label} ${band.count}`).join(', ')}`}>
+        {distribution.bands.map(band => (
+          <div key={band.label} className="flex-1 flex flex-col items-center justify-end h-full">
+            <span className="text-xs font-semibold text-gray-700">{band.count > 0 ? band.count : ""}</span>
+            <div
+              className={`w-full rounded-t ${band.passed ? 'bg-gradient-to-t from-indigo-500 to-purple-500' : 'bg-red-400'}`}
+              style={{ height: `${(band.count / maxCount) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {distribution.bands.map(band => (
+          <span key={band.label} className="flex-1 text-center text-xs text-gray-600 truncate">{band.label}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------
+// --- AVERAGE LINE CHART (Mean score per month) ---
+// ----------------------------------------------------
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 30;
+
+const AverageLineChart = ({ months }) => {
+  const x = (index) => CHART_PADDING + (months.length === 1 ? (CHART_WIDTH - 2 * CHART_PADDING) / 2 : (index / (months.length - 1)) * (CHART_WIDTH - 2 * CHART_PADDING));
+  const y = (score) => CHART_HEIGHT - CHART_PADDING - (score / 100) * (CHART_HEIGHT - 2 * CHART_PADDING);
+  const points = months.map((month, index) => `${x(index)},${y(month.average)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Average score per month">
+      {[0, 25, 50, 75, 100].map(score => (
+        <g key={score}>
+          <line x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={y(score)} y2={y(score)} className="stroke-gray-200" />
+          <text x={CHART_PADDING - 6} y={y(score) + 4} textAnchor="end" className="fill-gray-400 text-[10px]">{score}</text>
+        </g>
+      ))}
+      <polyline points={points} fill="none" strokeWidth="3" className="stroke-indigo-500" />
+      {months.map((month, index) => (
+        <g key={month.month}>
+          <circle cx={x(index)} cy={y(month.average)} r="5" className="fill-purple-600">
+            <title>{`${formatMonth(month.month)}: ${month.average.toFixed(1)}% over ${month.count} ${month.count === 1 ? 'grade' : 'grades'}`}</title>
+          </circle>
+          <text x={x(index)} y={CHART_HEIGHT - 8} textAnchor="middle" className="fill-gray-500 text-[10px]">{formatMonth(month.month)}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const PerformersTable = ({ title, entries }) => (
+  <div>
+    <h3 className="font-semibold text-gray-700 mb-2">{title}</h3>
+    <table className="min-w-full text-sm">
+      <tbody>
+        {entries.map(({ student, average, subjects }, index) => (
+          <tr key={student.id} className="border-b last:border-b-0">
+            <td className="py-2 pr-2 text-gray-400 w-6">{index + 1}</td>
+            <td className="py-2 pr-2">
+              <div className="font-semibold text-gray-800">{getStudentName(student)}</div>
+              <div className="text-xs text-gray-500">{student.studentId} · {student.major}</div>
+            </td>
+            <td className="py-2 text-right whitespace-nowrap">
+              <div className="font-bold text-indigo-600">{average.toFixed(1)}%</div>
+              <div className="text-xs text-gray-500">{subjects} {subjects === 1 ? 'subject' : 'subjects'}</div>
+            </td>
+          </tr>
+        ))}
+        {entries.length === 0 && (
+          <tr><td className="py-4 text-center text-gray-500">Not enough students.</td></tr>
+        )}
+      </tbody>
+    </table>
+  </div>
+);
+
+// ----------------------------------------------------
+// --- ANALYTICS PAGE (Grade charts by term and section) ---
+// ----------------------------------------------------
+const AnalyticsPage = () => {
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const grades = useRecords(gradeRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const { terms, selectedTerm, termFilter } = useSelectedTerm();
+  const [sectionId, setSectionId] = useState("");
+
+  const subjectsById = useMemo(() => indexById(subjects), [subjects]);
+  const termSections = useMemo(
+    () => sections
+      .filter(section => !selectedTerm || section.termId === selectedTerm.id)
+      .sort((a, b) => getSectionLabel(a, subjectsById.get(a.subjectId)).localeCompare(getSectionLabel(b, subjectsById.get(b.subjectId)))),
+    [sections, selectedTerm, subjectsById]
+  );
+  // A section from another term no longer applies
+  const selectedSection = termSections.find(section => section.id === sectionId) ?? null;
+
+  const { grades: scopedGrades, results } = useMemo(
+    () => collectResults(
+      { grades, students, subjects, gradingScales, terms, sections, enrollments },
+      { termId: selectedTerm?.id, sectionId: selectedSection?.id }
+    ),
+    [grades, students, subjects, gradingScales, terms, sections, enrollments, selectedTerm, selectedSection]
+  );
+  const distributions = useMemo(() => getLetterDistribution(results), [results]);
+  const months = useMemo(() => getAverageByMonth(scopedGrades), [scopedGrades]);
+  const comparison = useMemo(() => compareSubjects(results), [results]);
+  const majors = useMemo(() => getPassRatesByMajor(results), [results]);
+  const performers = useMemo(() => rankStudents(results), [results]);
+
+  const overallPassRate = results.length > 0 ? (results.filter(result => result.passed).length / results.length) * 100 : null;
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-4xl font-bold text-gray-800 mb-2">
+              Analytics 📊
+            </h1>
+            <p className="text-gray-600">
+              Final grades and scores{selectedSection ? ` of ${getSectionLabel(selectedSection, subjectsById.get(selectedSection.subjectId))}` : ""}
+              {selectedTerm ? ` in ${getTermLabel(selectedTerm)}` : " across every term"}.
+            </p>
+          </div>
+
+          <DataStatusBanner repository={gradeRepository} label="grades" />
+
+          {/* Filters */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label htmlFor="analytics-term" className="block text-sm font-semibold text-gray-700 mb-2">Term</label>
+              <select
+                id="analytics-term"
+                value={termFilter}
+                onChange={(e) => setTermFilter(e.target.value)}
+                className={inputClass}
+              >
+                <option value={ACTIVE_TERM}>
+                  {termFilter === ACTIVE_TERM && selectedTerm ? `${getTermLabel(selectedTerm)} (active)` : 'Active term'}
+                </option>
+                {terms.map(term => (
+                  <option key={term.id} value={term.id}>{getTermLabel(term)}</option>
+                ))}
+                <option value={ALL_TERMS}>All terms</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="analytics-section" className="block text-sm font-semibold text-gray-700 mb-2">Section</label>
+              <select
+                id="analytics-section"
+                value={selectedSection?.id ?? ""}
+                onChange={(e) => setSectionId(e.target.value)}
+                className={inputClass}
+              >
+                <option value="">All sections</option>
+                {termSections.map(section => (
+                  <option key={section.id} value={section.id}>
+                    {getSectionLabel(section, subjectsById.get(section.subjectId))} · {section.instructor}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Stats */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+            <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+              <div className="text-3xl font-bold text-indigo-600">{scopedGrades.length}</div>
+              <div className="text-sm text-gray-600">Scores Recorded</div>
+            </div>
+            <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-4 rounded-xl border border-purple-200">
+              <div className="text-3xl font-bold text-purple-600">{results.length}</div>
+              <div className="text-sm text-gray-600">Final Grades</div>
+            </div>
+            <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border border-green-200">
+              <div className="text-3xl font-bold text-green-600">
+                {overallPassRate !== null ? `${overallPassRate.toFixed(0)}%` : 'N/A'}
+              </div>
+              <div className="text-sm text-gray-600">Pass Rate</div>
+            </div>
+            <div className="bg-gradient-to-br from-pink-50 to-pink-100 p-4 rounded-xl border border-pink-200">
+              <div className="text-3xl font-bold text-pink-600">{comparison.length}</div>
+              <div className="text-sm text-gray-600">Subjects</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title="🔤 Letter Grades by Subject" className="lg:col-span-2">
+              {distributions.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+                  {distributions.map(distribution => (
+                    <LetterHistogram key={distribution.subject.id} distribution={distribution} />
+                  ))}
+                </div>
+              ) : <NoData />}
+            </ChartCard>
+
+            <ChartCard title="📈 Average Score over Time" className="lg:col-span-2">
+              {months.length > 0 ? <AverageLineChart months={months} /> : <NoData />}
+            </ChartCard>
+
+            <ChartCard title="📚 Subject Comparison">
+              {comparison.length > 0 ? (
+                <div className="space-y-3">
+                  {comparison.map(({ subject, average, passRate, count }) => (
+                    <div key={subject.id} className="flex items-center gap-3 text-sm">
+                      <span className="w-20 font-semibold text-gray-700 whitespace-nowrap">{subject.code}</span>
+                      <div className="flex-1 bg-gray-100 rounded-full h-4">
+                        <div
+                          className="bg-gradient-to-r from-indigo-500 to-purple-500 h-4 rounded-full"
+                          style={{ width: `${average}%` }}
+                        />
+                      </div>
+                      <span className="w-16 text-right font-bold text-gray-800">{average.toFixed(1)}%</span>
+                      <span className="w-28 text-right text-xs text-gray-500">{passRate.toFixed(0)}% pass · {count}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : <NoData />}
+            </ChartCard>
+
+            <ChartCard title="🎓 Pass/Fail by Major">
+              {majors.length > 0 ? (
+                <div className="space-y-3">
+                  {majors.map(({ major, passed, failed, passRate }) => (
+                    <div key={major} className="text-sm">
+                      <div className="flex justify-between mb-1">
+                        <span className="font-semibold text-gray-700">{major}</span>
+                        <span className="text-gray-500">{passed} passed · {failed} failed</span>
+                      </div>
+                      <div className="flex h-4 rounded-full overflow-hidden bg-gray-100" role="img" aria-label={`${major}: ${passRate.toFixed(0)}% passed`}>
+                        <div className="bg-green-500" style={{ width: `${passRate}%` }} />
+                        <div className="bg-red-400" style={{ width: `${100 - passRate}%` }} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : <NoData />}
+            </ChartCard>
+
+            <ChartCard title="🏆 Top and Bottom Performers" className="lg:col-span-2">
+              {results.length > 0 ? (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <PerformersTable title="Top performers" entries={performers.top} />
+                  <PerformersTable title="Need the most support" entries={performers.bottom} />
+                </div>
+              ) : <NoData />}
+            </ChartCard>
+          </div>
+          <p className="mt-4 text-xs text-gray-500">
+            Final grades weight each subject's assessment components. Performers are ranked by the mean of their final grades.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsPage;
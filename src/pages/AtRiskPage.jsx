@@ -0,0 +1,373 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { attendanceRecordRepository, attendanceSessionRepository, enrollmentRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentRepository, subjectRepository } from "../lib/data";
+import { riskExplainer } from "../lib/ai";
+import { aiProvider } from "../lib/aiProviders";
+import { useAuth } from "../lib/auth";
+import { findAtRiskStudents, validateEarlyWarningSettings, WARNING_RULES } from "../lib/earlyWarning";
+import { canManageRecords, getGradableSections } from "../lib/permissions";
+import { getStudentName } from "../lib/records";
+import { updateSettings, useSettings } from "../lib/settings";
+import { getTermLabel } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { useSelectedTerm } from "../lib/useTermFilter";
+import DataStatusBanner from "../components/DataStatusBanner";
+import Markdown from "../components/Markdown";
+
+const RULE_BADGES = {
+  failingSubject: 'bg-red-100 text-red-700',
+  lowAttendance: 'bg-orange-100 text-orange-700',
+  decliningTrend: 'bg-yellow-100 text-yellow-700',
+  missingAssessment: 'bg-gray-100 text-gray-700',
+};
+
+const URGENCY_BADGES = {
+  low: { label: 'Low urgency', color: 'bg-green-100 text-green-700' },
+  medium: { label: 'Medium urgency', color: 'bg-yellow-100 text-yellow-700' },
+  high: { label: 'High urgency', color: 'bg-red-100 text-red-700' },
+};
+
+const numberInputClass = "w-20 px-2 py-1 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white disabled:bg-gray-50";
+
+// ----------------------------------------------------
+// --- RULES PANEL (Which rules run, and their thresholds) ---
+// ----------------------------------------------------
+const RulesPanel = ({ rules, canEdit }) => {
+  const [form, setForm] = useState(rules);
+  const dirty = Object.keys(form).some(key => form[key] !== rules[key]);
+
+  const handleSave = () => {
+    const problem = validateEarlyWarningSettings(form);
+    if (problem) {
+      alert(`Validation failed: ${problem}`);
+      return;
+    }
+    updateSettings({ earlyWarning: form });
+    toast.success("Early-warning rules saved.");
+  };
+
+  const checkbox = (key) => (
+    <input
+      type="checkbox"
+      checked={form[key]}
+      disabled={!canEdit}
+      onChange={(e) => setForm({ ...form, [key]: e.target.checked })}
+      className="w-4 h-4 accent-indigo-600"
+    />
+  );
+  const threshold = (key, rule, label, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step="any"
+      value={Number.isNaN(form[key]) ? "" : form[key]}
+      disabled={!canEdit || !form[rule]}
+      onChange={(e) => setForm({ ...form, [key]: e.target.valueAsNumber })}
+      aria-label={label}
+      className={numberInputClass}
+    />
+  );
+
+  return (
+    <div className="mb-6 p-4 rounded-xl border border-indigo-100 bg-indigo-50">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-gray-700">
+        <label className="flex items-center gap-2">
+          {checkbox('failingSubject')}
+          <span>{WARNING_RULES.failingSubject}: final grade below the subject's passing score</span>
+        </label>
+        <label className="flex items-center gap-2">
+          {checkbox('lowAttendance')}
+          <span>{WARNING_RULES.lowAttendance}: below</span>
+          {threshold('minAttendance', 'lowAttendance', 'Minimum attendance', 0, 100)}
+          <span>% of class sessions</span>
+        </label>
+        <label className="flex items-center gap-2">
+          {checkbox('decliningTrend')}
+          <span>{WARNING_RULES.decliningTrend}: losing</span>
+          {threshold('declinePer30Days', 'decliningTrend', 'Points lost per 30 days', 0, 100)}
+          <span>points per 30 days</span>
+        </label>
+        <label className="flex items-center gap-2">
+          {checkbox('missingAssessment')}
+          <span>{WARNING_RULES.missingAssessment}: no grade where classmates have one</span>
+        </label>
+      </div>
+      {canEdit ? (
+        <div className="flex justify-end mt-3">
+          <button
+            onClick={handleSave}
+            disabled={!dirty}
+            className="px-6 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:opacity-50"
+          >
+            Save Rules
+          </button>
+        </div>
+      ) : (
+        <p className="mt-3 text-sm text-gray-500">🔒 The rules are set by administrators.</p>
+      )}
+    </div>
+  );
+};
+
+// ----------------------------------------------------
+// --- RISK EXPLANATION (AI explanation of one flagged student) ---
+// ----------------------------------------------------
+const RiskExplanation = ({ explanation }) => {
+  if (explanation.loading) {
+    return (
+      <div className="p-3 rounded-lg border border-indigo-200 bg-white text-indigo-700 animate-pulse" role="status">
+        {aiProvider.name} is reviewing the warnings...
+      </div>
+    );
+  }
+  if (explanation.error) {
+    return (
+      <div className="p-3 rounded-lg border border-red-200 bg-red-50 text-red-700" role="alert">
+        {explanation.error}
+      </div>
+    );
+  }
+  const { explanation: text, urgency, interventions } = explanation.result;
+  const badge = URGENCY_BADGES[urgency] ?? URGENCY_BADGES.medium;
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div className="bg-white p-4 rounded-xl border border-gray-200">
+        <span className={`${badge.color} px-3 py-1 rounded-full text-xs font-bold`}>{badge.label}</span>
+        <div className="mt-2"><Markdown>{text}</Markdown></div>
+      </div>
+      <div className="bg-white p-4 rounded-xl border border-gray-200">
+        <h4 className="font-bold mb-2 text-indigo-700">🧭 Suggested Interventions</h4>
+        <ul className="list-disc pl-5 space-y-1 text-gray-700 text-sm">
+          {interventions.map(item => <li key={item}>{item}</li>)}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------
+// --- AT RISK PAGE (Students flagged by the early-warning rules) ---
+// ----------------------------------------------------
+const AtRiskPage = () => {
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const grades = useRecords(gradeRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const sessions = useRecords(attendanceSessionRepository);
+  const records = useRecords(attendanceRecordRepository);
+  const { terms, selectedTerm } = useSelectedTerm();
+  const { earlyWarning } = useSettings();
+  const { user } = useAuth();
+  const canEditRules = canManageRecords(user);
+
+  const [ruleFilter, setRuleFilter] = useState("all");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [showRules, setShowRules] = useState(false);
+  // AI explanations by student id: { loading, result, error }
+  const [explanations, setExplanations] = useState({});
+
+  const flagged = useMemo(() => {
+    const atRisk = findAtRiskStudents(
+      { students, subjects, grades, gradingScales, terms, sections, enrollments, sessions, records },
+      earlyWarning,
+      { termId: selectedTerm?.id }
+    );
+    if (canManageRecords(user)) return atRisk;
+    // Instructors see the students of the sections they teach
+    const sectionIds = new Set(getGradableSections(user, sections).map(section => section.id));
+    const taught = new Set(enrollments.filter(e => sectionIds.has(e.sectionId)).map(e => e.studentId));
+    return atRisk.filter(({ student }) => taught.has(student.id));
+  }, [students, subjects, grades, gradingScales, terms, sections, enrollments, sessions, records, earlyWarning, selectedTerm, user]);
+
+  const filtered = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return flagged.filter(({ student, warnings }) =>
+      (ruleFilter === "all" || warnings.some(warning => warning.rule === ruleFilter)) &&
+      (getStudentName(student).toLowerCase().includes(term) ||
+        student.studentId.toLowerCase().includes(term) ||
+        student.major.toLowerCase().includes(term))
+    );
+  }, [flagged, ruleFilter, searchTerm]);
+
+  const ruleCounts = useMemo(() => Object.fromEntries(Object.keys(WARNING_RULES).map(rule => [
+    rule,
+    flagged.filter(({ warnings }) => warnings.some(warning => warning.rule === rule)).length,
+  ])), [flagged]);
+
+  const handleExplain = async ({ student, warnings }) => {
+    setExplanations(current => ({ ...current, [student.id]: { loading: true } }));
+    try {
+      const result = await riskExplainer(student.id, warnings, {
+        data: { grades, students, subjects, gradingScales, attendance: { sections, sessions, records } },
+      });
+      setExplanations(current => ({ ...current, [student.id]: { result } }));
+    } catch (err) {
+      setExplanations(current => ({ ...current, [student.id]: { error: err.message } }));
+    }
+  };
+
+  const handleHideExplanation = (studentId) => {
+    setExplanations(current => {
+      const next = { ...current };
+      delete next[studentId];
+      return next;
+    });
+  };
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          {/* Header */}
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+            <div>
+              <h1 className="text-4xl font-bold text-gray-800 mb-2">
+                At-Risk Students 🚨
+              </h1>
+              <p className="text-gray-600">
+                Students flagged by the early-warning rules{selectedTerm ? ` in ${getTermLabel(selectedTerm)}` : " in any term"}.
+              </p>
+            </div>
+            <button
+              onClick={() => setShowRules(!showRules)}
+              aria-expanded={showRules}
+              className="flex items-center gap-2 bg-white hover:bg-indigo-50 text-indigo-700 border-2 border-indigo-200 px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl"
+            >
+              <span className="text-xl">⚙️</span>
+              <span className="font-semibold">Rules</span>
+            </button>
+          </div>
+
+          <DataStatusBanner repository={gradeRepository} label="grades" />
+
+          {showRules && <RulesPanel key={JSON.stringify(earlyWarning)} rules={earlyWarning} canEdit={canEditRules} />}
+
+          {/* Search and Filter */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div className="relative">
+              <input
+                type="text"
+                placeholder="Search by name, ID, or major..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full px-4 py-3 pl-12 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+              />
+              <span className="absolute left-4 top-3.5 text-gray-400 text-xl">
+                🔍
+              </span>
+            </div>
+            <select
+              value={ruleFilter}
+              onChange={(e) => setRuleFilter(e.target.value)}
+              aria-label="Filter by warning"
+              className="px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+            >
+              <option value="all">All Warnings</option>
+              {Object.entries(WARNING_RULES).map(([rule, label]) => (
+                <option key={rule} value={rule}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Stats */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+            <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+              <div className="text-3xl font-bold text-indigo-600">{flagged.length}</div>
+              <div className="text-sm text-gray-600">Flagged Students</div>
+            </div>
+            {Object.entries(WARNING_RULES).map(([rule, label]) => (
+              <div key={rule} className="bg-white p-4 rounded-xl border border-gray-200">
+                <div className="text-3xl font-bold text-gray-800">{earlyWarning[rule] ? ruleCounts[rule] : "Off"}</div>
+                <div className="text-sm text-gray-600">{label}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Flagged Students Table */}
+          <div className="overflow-x-auto rounded-xl shadow-lg border border-gray-200">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                  <th className="py-4 px-6 text-left font-semibold">Student</th>
+                  <th className="py-4 px-6 text-left font-semibold">Warnings</th>
+                  <th className="py-4 px-6 text-center font-semibold">AI</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.length > 0 ? (
+                  filtered.map(entry => {
+                    const { student, warnings } = entry;
+                    const explanation = explanations[student.id];
+                    return (
+                      <React.Fragment key={student.id}>
+                        <tr className="border-b hover:bg-indigo-50 transition-colors align-top">
+                          <td className="py-4 px-6 whitespace-nowrap">
+                            <div className="font-semibold text-gray-800">{getStudentName(student)}</div>
+                            <div className="text-sm text-gray-500">{student.studentId} · {student.major}</div>
+                          </td>
+                          <td className="py-4 px-6">
+                            <ul className="space-y-1 text-sm">
+                              {warnings.map(warning => (
+                                <li key={`${warning.rule}-${warning.reason}`} className="flex flex-wrap items-center gap-2">
+                                  <span className={`px-2 py-0.5 rounded-full text-xs font-bold whitespace-nowrap ${RULE_BADGES[warning.rule]}`}>
+                                    {WARNING_RULES[warning.rule]}
+                                  </span>
+                                  <span className="text-gray-700">{warning.reason}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </td>
+                          <td className="py-4 px-6 text-center">
+                            {explanation && !explanation.loading ? (
+                              <button
+                                onClick={() => handleHideExplanation(student.id)}
+                                className="text-gray-600 hover:text-gray-700 transition font-semibold px-3 py-1 rounded hover:bg-gray-50 whitespace-nowrap"
+                              >
+                                Hide
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => handleExplain(entry)}
+                                disabled={explanation?.loading}
+                                className="text-indigo-600 hover:text-indigo-700 transition font-semibold px-3 py-1 rounded hover:bg-indigo-50 whitespace-nowrap disabled:opacity-50"
+                                aria-label={`Explain why ${getStudentName(student)} is at risk`}
+                              >
+                                ✨ Explain
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                        {explanation && (
+                          <tr className="border-b bg-gradient-to-br from-indigo-50 to-purple-50">
+                            <td colSpan="3" className="py-4 px-6">
+                              <RiskExplanation explanation={explanation} />
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan="3" className="text-center py-12 text-gray-500">
+                      <div className="text-6xl mb-4">🎉</div>
+                      <div className="text-lg font-medium">No students flagged</div>
+                      <div className="text-sm">
+                        {searchTerm || ruleFilter !== "all" ? "No flagged students match these filters" : "Every student is clear of the enabled rules"}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AtRiskPage;
@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from "react";
+import { gradeAuditRepository, studentRepository, subjectRepository, termRepository } from "../lib/data";
+import { filterAuditEntries, formatAuditValue } from "../lib/audit";
+import { indexById } from "../lib/records";
+import { useRecords } from "../lib/useRecords";
+import DataStatusBanner from "../components/DataStatusBanner";
+import { AuditActionBadge, AuditEntryChanges } from "../components/GradeHistoryDrawer";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition bg-white";
+
+const EMPTY_FILTERS = { userId: "", subjectId: "", from: "", to: "" };
+
+// ----------------------------------------------------
+// --- AUDIT LOG PAGE (Every grade change, for admins) ---
+// ----------------------------------------------------
+const AuditLogPage = () => {
+  const entries = useRecords(gradeAuditRepository);
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const terms = useRecords(termRepository);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const lookups = useMemo(() => ({
+    studentsById: indexById(students),
+    subjectsById: indexById(subjects),
+    termsById: indexById(terms),
+  }), [students, subjects, terms]);
+
+  // Everyone who has changed a grade, by the name they had at the time
+  const users = useMemo(() => {
+    const names = new Map();
+    entries.forEach(entry => names.set(entry.changedBy, entry.changedByName));
+    return [...names].map(([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name));
+  }, [entries]);
+  const subjectOptions = useMemo(() => [...subjects].sort((a, b) => a.code.localeCompare(b.code)), [subjects]);
+
+  const filteredEntries = useMemo(() => filterAuditEntries(entries, filters), [entries, filters]);
+  const filtered = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          {/* Header */}
+          <div className="mb-6">
+            <h1 className="text-4xl font-bold text-gray-800 mb-2">
+              Grade Audit Log 🕵️
+            </h1>
+            <p className="text-gray-600">
+              Every grade that was recorded, changed or deleted, by whom and why. Entries can never be edited.
+            </p>
+          </div>
+
+          <DataStatusBanner repository={gradeAuditRepository} label="audit entries" />
+
+          {/* Filters */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <div>
+              <label htmlFor="audit-user" className="block text-sm font-semibold text-gray-700 mb-2">User</label>
+              <select
+                id="audit-user"
+                value={filters.userId}
+                onChange={(e) => setFilters({ ...filters, userId: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">All users</option>
+                {users.map(user => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="audit-subject" className="block text-sm font-semibold text-gray-700 mb-2">Subject</label>
+              <select
+                id="audit-subject"
+                value={filters.subjectId}
+                onChange={(e) => setFilters({ ...filters, subjectId: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">All subjects</option>
+                {subjectOptions.map(subject => (
+                  <option key={subject.id} value={subject.id}>{subject.code} - {subject.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="audit-from" className="block text-sm font-semibold text-gray-700 mb-2">From</label>
+              <input
+                id="audit-from"
+                type="date"
+                value={filters.from}
+                onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="audit-to" className="block text-sm font-semibold text-gray-700 mb-2">To</label>
+              <input
+                id="audit-to"
+                type="date"
+                value={filters.to}
+                onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex justify-between items-center mb-4 text-sm text-gray-600">
+            <span>{filteredEntries.length} of {entries.length} changes</span>
+            {filtered && (
+              <button
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                className="text-indigo-600 hover:text-indigo-700 font-semibold"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+
+          {/* Audit Table */}
+          <div className="overflow-x-auto rounded-xl shadow-lg border border-gray-200">
+            <table className="min-w-full bg-white text-sm">
+              <thead>
+                <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                  <th className="py-4 px-6 text-left font-semibold">When</th>
+                  <th className="py-4 px-6 text-left font-semibold">User</th>
+                  <th className="py-4 px-6 text-left font-semibold">Action</th>
+                  <th className="py-4 px-6 text-left font-semibold">Student</th>
+                  <th className="py-4 px-6 text-left font-semibold">Subject</th>
+                  <th className="py-4 px-6 text-left font-semibold">Change</th>
+                  <th className="py-4 px-6 text-left font-semibold">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredEntries.length > 0 ? (
+                  filteredEntries.map(entry => (
+                    <tr key={entry.id} className="border-b hover:bg-indigo-50 transition-colors align-top">
+                      <td className="py-3 px-6 text-gray-600 whitespace-nowrap">
+                        <time dateTime={entry.changedAt}>{new Date(entry.changedAt).toLocaleString()}</time>
+                      </td>
+                      <td className="py-3 px-6 text-gray-800 whitespace-nowrap">{entry.changedByName}</td>
+                      <td className="py-3 px-6 whitespace-nowrap"><AuditActionBadge action={entry.action} /></td>
+                      <td className="py-3 px-6 text-gray-800 whitespace-nowrap">
+                        {formatAuditValue('studentId', entry.studentId, lookups)}
+                      </td>
+                      <td className="py-3 px-6 whitespace-nowrap">
+                        <span className="bg-indigo-100 text-indigo-700 px-3 py-1 rounded-full text-xs font-bold">
+                          {formatAuditValue('subjectId', entry.subjectId, lookups)}
+                        </span>
+                      </td>
+                      <td className="py-3 px-6"><AuditEntryChanges entry={entry} lookups={lookups} /></td>
+                      <td className="py-3 px-6 text-gray-600 italic">{entry.reason ?? ""}</td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="text-center py-12 text-gray-500">
+                      <div className="text-6xl mb-4">🕵️</div>
+                      <div className="text-lg font-medium">No changes found</div>
+                      <div className="text-sm">
+                        {filtered ? "No changes match these filters" : "Grade changes show up here as they are made"}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogPage;
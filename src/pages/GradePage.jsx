@@ -1,594 +1,782 @@
-import React, { useState, useEffect, useCallback } from "react";
-// Removed unused import: import supabase from "../lib/supabase";
-
-// ----------------------------------------------------
-// --- GLOBAL UTILITIES (Hooks & Functions) ---
-// ----------------------------------------------------
-
-/**
- * @hook useLocalStorage
- * Custom Hook for state persistence using localStorage.
- * @param {string} key - The localStorage key.
- * @param {*} defaultValue - The default value if nothing is in storage.
- * @returns {[*, function]} A state value and a state setter function.
- */
-const useLocalStorage = (key, defaultValue) => {
-  const [state, setState] = useState(() => {
-    try {
-      const storedValue = localStorage.getItem(key);
-      // Use stored value if it exists, otherwise use the default value
-      return storedValue ? JSON.parse(storedValue) : defaultValue;
-    } catch (error) {
-      console.error(`Error reading localStorage key "${key}":`, error);
-      return defaultValue;
-    }
-  });
-
-  // Effect to sync state to localStorage whenever state changes
-  useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(state));
-    } catch (error) {
-      console.error(`Error setting localStorage key "${key}":`, error);
-    }
-  }, [key, state]);
-
-  return [state, setState];
-};
-
-/**
- * @function generateId
- * Utility function to generate a unique ID.
- * @returns {string} A unique identifier.
- */
-const generateId = () => crypto.randomUUID();
-
-/**
- * @function getLetterGrade
- * Utility function to convert numeric score to letter grade.
- * @param {number} score - The numeric score (0-100).
- * @returns {string} The corresponding letter grade.
- */
-const getLetterGrade = (score) => {
-  if (score === null || isNaN(score)) return 'N/A';
-  if (score >= 93) return 'A';
-  if (score >= 90) return 'A-';
-  if (score >= 87) return 'B+';
-  if (score >= 83) return 'B';
-  if (score >= 80) return 'B-';
-  if (score >= 77) return 'C+';
-  if (score >= 73) return 'C';
-  if (score >= 70) return 'C-';
-  if (score >= 67) return 'D+';
-  if (score >= 63) return 'D';
-  if (score >= 60) return 'D-';
-  return 'F';
-};
-
-
-// ----------------------------------------------------
-// --- MOCK DATA (Used for GradesPage dropdowns) ---
-// ----------------------------------------------------
-const MOCK_STUDENTS = [
-  { id: 's1', name: 'Eves Mark Magbaril' },
-  { id: 's2', name: 'Jane Smith' },
-  { id: 's3', name: 'Carlos Alcaraz' },
-];
-
-const MOCK_SUBJECTS = [
-  { id: 'sub1', code: 'IT 101', name: 'Intro to Programming' },
-  { id: 'sub2', code: 'MATH 203', name: 'Calculus I' },
-  { id: 'sub3', code: 'ENG 101', name: 'Technical Writing' },
-];
-
-// ----------------------------------------------------
-// --- PAGE COMPONENTS ---
-// ----------------------------------------------------
-
-// 1. Landing Component (Home Page)
-const LandingPage = ({ setPage }) => (
-  <div className="min-h-[calc(100vh-64px)] flex flex-col justify-center items-center bg-gradient-to-br from-blue-50 to-indigo-100 p-8">
-    <div className="bg-white/80 backdrop-blur-md p-10 rounded-3xl shadow-2xl text-center max-w-lg border border-indigo-200">
-      <h1 className="text-5xl font-extrabold text-indigo-700 mb-4">
-        Grading System Dashboard
-      </h1>
-      <p className="text-xl text-gray-600 mb-8">
-        Manage students, subjects, and academic performance with ease.
-      </p>
-      <div className="flex flex-col space-y-4">
-        <button
-          onClick={() => setPage('grades')}
-          className="w-full bg-pink-600 hover:bg-pink-700 text-white font-bold py-3 px-6 rounded-xl transition-all shadow-lg transform hover:scale-[1.02]"
-        >
-          Go to Grades Management
-        </button>
-        <button
-          onClick={() => setPage('students')}
-          className="w-full bg-indigo-500 hover:bg-indigo-600 text-white font-bold py-3 px-6 rounded-xl transition-all shadow-md"
-        >
-          View Students
-        </button>
-      </div>
-    </div>
-  </div>
-);
-
-// 2. Placeholder Components
-const StudentsPage = () => (
-  <div className="min-h-[calc(100vh-64px)] flex items-center justify-center p-8 bg-gradient-to-br from-green-50 to-teal-100">
-    <div className="text-center bg-white p-10 rounded-2xl shadow-xl border border-green-200">
-      <h2 className="text-3xl font-bold text-teal-700">Student Management</h2>
-      <p className="text-gray-600 mt-2">
-        This page is ready for future development (Add, Edit, Delete Students).
-      </p>
-    </div>
-  </div>
-);
-
-const SubjectsPage = () => (
-  <div className="min-h-[calc(100vh-64px)] flex items-center justify-center p-8 bg-gradient-to-br from-yellow-50 to-orange-100">
-    <div className="text-center bg-white p-10 rounded-2xl shadow-xl border border-yellow-200">
-      <h2 className="text-3xl font-bold text-orange-700">Subject Management</h2>
-      <p className="text-gray-600 mt-2">
-        This page is ready for future development (Add, Edit, Delete Subjects).
-      </p>
-    </div>
-  </div>
-);
-
-// ----------------------------------------------------
-// --- MODAL COMPONENT (Extracted for Clarity) ---
-// ----------------------------------------------------
-const GradeModal = ({ newGrade, setNewGrade, editId, handleAddOrEdit, handleCloseModal }) => {
-  const numericScore = parseFloat(newGrade.score);
-  const letterGradePreview = getLetterGrade(numericScore);
-
-  return (
-    <div className="fixed inset-0 flex items-center justify-center bg-gradient bg-opacity-50 backdrop-blur-sm z-50 p-4">
-      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-md transform transition-all" role="dialog" aria-modal="true" aria-labelledby="modal-title">
-        <h2 id="modal-title" className="text-3xl font-bold mb-6 text-gray-800">
-          {editId ? "✏️ Edit Grade Record" : "➕ Record New Grade"}
-        </h2>
-
-        <div className="space-y-4">
-          {/* Student Dropdown */}
-          <div>
-            <label htmlFor="student-select" className="block text-sm font-semibold text-gray-700 mb-2">
-              Student Name *
-            </label>
-            <select
-              id="student-select"
-              value={newGrade.studentName}
-              onChange={(e) =>
-                setNewGrade({ ...newGrade, studentName: e.target.value })
-              }
-              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
-              required
-            >
-              <option value="" disabled>Select a student</option>
-              {MOCK_STUDENTS.map(student => (
-                <option key={student.id} value={student.name}>
-                  {student.name}
-                </option>
-              ))}
-            </select>
-          </div>
-
-          {/* Subject Dropdown */}
-          <div>
-            <label htmlFor="subject-select" className="block text-sm font-semibold text-gray-700 mb-2">
-              Subject *
-            </label>
-            <select
-              id="subject-select"
-              value={newGrade.subjectCode}
-              onChange={(e) =>
-                setNewGrade({ ...newGrade, subjectCode: e.target.value })
-              }
-              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
-              required
-            >
-              <option value="" disabled>Select a subject</option>
-              {MOCK_SUBJECTS.map(subject => (
-                <option key={subject.id} value={subject.code}>
-                  {subject.code} - {subject.name}
-                </option>
-              ))}
-            </select>
-          </div>
-
-          {/* Score Input */}
-          <div>
-            <label htmlFor="score-input" className="block text-sm font-semibold text-gray-700 mb-2">
-              Score (%) *
-            </label>
-            <input
-              id="score-input"
-              type="number"
-              value={newGrade.score}
-              onChange={(e) =>
-                setNewGrade({ ...newGrade, score: e.target.value })
-              }
-              placeholder="e.g. 92.5"
-              min="0"
-              max="100"
-              step="0.1"
-              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
-              required
-            />
-            {/* UX Enhancement: Live Grade Preview */}
-            <p className="mt-1 text-right text-sm text-indigo-600 font-medium">
-                Current Grade: <span className="font-extrabold">{letterGradePreview}</span>
-            </p>
-          </div>
-
-          {/* Date Input */}
-          <div>
-            <label htmlFor="date-input" className="block text-sm font-semibold text-gray-700 mb-2">
-              Date Recorded
-            </label>
-            <input
-              id="date-input"
-              type="date"
-              value={newGrade.date}
-              onChange={(e) =>
-                setNewGrade({ ...newGrade, date: e.target.value })
-              }
-              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
-            />
-          </div>
-        </div>
-
-        <div className="flex justify-end gap-3 mt-8">
-          <button
-            onClick={handleCloseModal}
-            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
-          >
-            Cancel
-          </button>
-          <button
-            onClick={handleAddOrEdit}
-            className="px-6 py-3 rounded-lg bg-pink-600 hover:bg-pink-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
-          >
-            {editId ? "Save Changes" : "Record Grade"}
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-};
-
-// 3. Grades Page Component
-const GradesPage = () => {
-  // State for all grades data, persisted in localStorage
-  const [grades, setGrades] = useLocalStorage("gradeRecords", []);
-
-  // State for modal and form
-  const [showModal, setShowModal] = useState(false);
-  const [newGrade, setNewGrade] = useState({
-    id: null,
-    studentName: "", // Will store the full name (e.g., 'Eves Mark Magbaril')
-    subjectCode: "", // Will store the code (e.g., 'IT 101')
-    score: "",
-    date: new Date().toISOString().substring(0, 10), // Default to today
-  });
-  const [editId, setEditId] = useState(null);
-  const [searchTerm, setSearchTerm] = useState("");
-
-  // ✅ Reset and close modal
-  const handleCloseModal = useCallback(() => {
-    setNewGrade({
-      id: null,
-      studentName: "",
-      subjectCode: "",
-      score: "",
-      date: new Date().toISOString().substring(0, 10),
-    });
-    setEditId(null);
-    setShowModal(false);
-  }, []);
-
-  // ✅ Add or Edit Grade
-  const handleAddOrEdit = useCallback(() => {
-    // Basic Input validation
-    const numericScore = parseFloat(newGrade.score);
-    if (!newGrade.studentName || !newGrade.subjectCode || isNaN(numericScore) || numericScore < 0 || numericScore > 100) {
-      alert("Validation failed: Please ensure Student, Subject, and a valid Score (0-100) are entered.");
-      return;
-    }
-
-    if (editId) {
-      // Editing existing grade
-      const updatedGrades = grades.map(g =>
-        g.id === editId ? { ...newGrade, score: numericScore } : g
-      );
-      setGrades(updatedGrades);
-    } else {
-      // Adding new grade
-      const gradeWithId = {
-        ...newGrade,
-        id: generateId(),
-        score: numericScore
-      };
-      setGrades([...grades, gradeWithId]);
-    }
-
-    // Close modal and reset form
-    handleCloseModal();
-  }, [newGrade, editId, grades, setGrades, handleCloseModal]);
-
-  // ✅ Prepare to Edit Grade
-  const handleEdit = useCallback((gradeId) => {
-    const gradeToEdit = grades.find(g => g.id === gradeId);
-    if (gradeToEdit) {
-      // Set the form state with a copy of the grade data
-      setNewGrade({
-        ...gradeToEdit,
-        score: gradeToEdit.score.toString() // Convert score back to string for input field
-      });
-      setEditId(gradeId);
-      setShowModal(true);
-    }
-  }, [grades]);
-
-  // ✅ Delete Grade
-  const handleDelete = useCallback((gradeId) => {
-    if (window.confirm("Are you sure you want to delete this grade record?")) {
-      setGrades(grades.filter((grade) => grade.id !== gradeId));
-    }
-  }, [grades, setGrades]);
-
-  // --- Filtering & Stats Calculation ---
-  const filteredGrades = React.useMemo(() => {
-    const term = searchTerm.toLowerCase();
-    return grades.filter(
-      (grade) =>
-        grade.studentName.toLowerCase().includes(term) ||
-        grade.subjectCode.toLowerCase().includes(term)
-    ).sort((a, b) => b.score - a.score); // Sort by score (descending)
-  }, [grades, searchTerm]);
-
-  // Stats Calculation
-  const averageScore = filteredGrades.length > 0
-    ? (filteredGrades.reduce((sum, g) => sum + g.score, 0) / filteredGrades.length).toFixed(1)
-    : 0;
-
-  const highestScore = filteredGrades.length > 0
-    ? Math.max(...filteredGrades.map(g => g.score))
-    : 0;
-
-
-  return (
-    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8">
-      {/* Header and Controls */}
-      <div className="max-w-7xl mx-auto">
-        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
-          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
-            <div>
-              <h1 className="text-4xl font-bold text-gray-800 mb-2">
-                Grades & Scores 📊
-              </h1>
-              <p className="text-gray-600">
-                Record and analyze student performance across subjects.
-              </p>
-            </div>
-            <button
-              onClick={() => setShowModal(true)}
-              className="flex items-center gap-2 bg-pink-600 hover:bg-pink-700 text-white px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl transform hover:scale-105 min-w-[200px]"
-            >
-              <span className="text-xl">➕</span>
-              <span className="font-semibold">Record New Grade</span>
-            </button>
-          </div>
-
-          {/* Search Bar */}
-          <div className="mb-6">
-            <div className="relative">
-              <input
-                type="text"
-                placeholder="Search by student name or subject code..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full px-4 py-3 pl-12 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
-              />
-              <span className="absolute left-4 top-3.5 text-gray-400 text-xl" aria-hidden="true">
-                🔍
-              </span>
-            </div>
-          </div>
-
-          {/* Stats */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
-            <div className="bg-gradient-to-br from-pink-50 to-pink-100 p-4 rounded-xl border border-pink-200">
-              <div className="text-3xl font-bold text-pink-600">
-                {grades.length}
-              </div>
-              <div className="text-sm text-gray-600">Total Records</div>
-            </div>
-            <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
-              <div className="text-3xl font-bold text-indigo-600">
-                {averageScore}
-              </div>
-              <div className="text-sm text-gray-600">Average Score ({filteredGrades.length} shown)</div>
-            </div>
-            <div className="bg-gradient-to-br from-yellow-50 to-yellow-100 p-4 rounded-xl border border-yellow-200">
-              <div className="text-3xl font-bold text-yellow-600">
-                {highestScore}%
-              </div>
-              <div className="text-sm text-gray-600">Highest Score</div>
-            </div>
-          </div>
-
-          {/* Grades Table */}
-          <div className="overflow-x-auto rounded-xl shadow-lg border border-gray-200">
-            <table className="min-w-full bg-white">
-              <thead>
-                <tr className="bg-gradient-to-r from-pink-500 to-purple-500 text-white">
-                  <th className="py-4 px-6 text-left font-semibold sticky left-0 bg-gradient-to-r from-pink-500 to-purple-500">Student</th>
-                  <th className="py-4 px-6 text-left font-semibold">Subject</th>
-                  <th className="py-4 px-6 text-center font-semibold">Score (%)</th>
-                  <th className="py-4 px-6 text-center font-semibold">Letter Grade</th>
-                  <th className="py-4 px-6 text-left font-semibold">Date</th>
-                  <th className="py-4 px-6 text-center font-semibold">Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {filteredGrades.length > 0 ? (
-                  filteredGrades.map((grade) => (
-                    <tr
-                      key={grade.id}
-                      className="border-b hover:bg-pink-50 transition-colors"
-                    >
-                      <td className="py-4 px-6 font-medium text-gray-800 sticky left-0 bg-white hover:bg-pink-50 transition-colors z-10 whitespace-nowrap">
-                        {grade.studentName}
-                      </td>
-                      <td className="py-4 px-6 text-gray-700 whitespace-nowrap">
-                        <span className="bg-indigo-100 text-indigo-700 px-3 py-1 rounded-full text-sm font-bold">
-                          {grade.subjectCode}
-                        </span>
-                      </td>
-                      <td className="py-4 px-6 text-center whitespace-nowrap">
-                        <span className={`font-extrabold text-lg ${grade.score >= 90 ? 'text-green-600' : grade.score >= 70 ? 'text-yellow-600' : 'text-red-600'}`}>
-                          {grade.score}%
-                        </span>
-                      </td>
-                      {/* Letter Grade Column */}
-                      <td className="py-4 px-6 text-center whitespace-nowrap">
-                        <span className="font-extrabold text-xl text-purple-600 bg-purple-100 px-3 py-1 rounded-md">
-                          {getLetterGrade(grade.score)}
-                        </span>
-                      </td>
-                      <td className="py-4 px-6 text-gray-600 text-sm whitespace-nowrap">
-                        {grade.date}
-                      </td>
-                      <td className="py-4 px-6 whitespace-nowrap">
-                        <div className="flex justify-center gap-3">
-                          <button
-                            onClick={() => handleEdit(grade.id)}
-                            className="text-indigo-600 hover:text-indigo-700 transition font-semibold px-3 py-1 rounded hover:bg-indigo-50"
-                            aria-label={`Edit grade for ${grade.studentName} in ${grade.subjectCode}`}
-                          >
-                            ✏️ Edit
-                          </button>
-                          <button
-                            onClick={() => handleDelete(grade.id)}
-                            className="text-red-600 hover:text-red-700 transition font-semibold px-3 py-1 rounded hover:bg-red-50"
-                            aria-label={`Delete grade for ${grade.studentName} in ${grade.subjectCode}`}
-                          >
-                            🗑️ Delete
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
-                  ))
-                ) : (
-                  <tr>
-                    <td
-                      colSpan="6"
-                      className="text-center py-12 text-gray-500"
-                    >
-                      <div className="text-6xl mb-4">💯</div>
-                      <div className="text-lg font-medium">
-                        No grades found
-                      </div>
-                      <div className="text-sm">
-                        {searchTerm ? `No records match "${searchTerm}"` : 'Click "Record New Grade" to start tracking scores'}
-                      </div>
-                    </td>
-                  </tr>
-                )}
-              </tbody>
-            </table>
-          </div>
-        </div>
-      </div>
-
-      {/* Modal for Add/Edit Grade */}
-      {showModal && (
-        <GradeModal
-          newGrade={newGrade}
-          setNewGrade={setNewGrade}
-          editId={editId}
-          handleAddOrEdit={handleAddOrEdit}
-          handleCloseModal={handleCloseModal}
-        />
-      )}
-    </div>
-  );
-};
-
-
-// ----------------------------------------------------
-// --- MAIN APPLICATION COMPONENTS ---
-// ----------------------------------------------------
-
-const Navbar = ({ currentPage, setPage }) => {
-  const navItems = [
-    { name: 'Home', page: 'landing' },
-    { name: 'Students', page: 'students' },
-    { name: 'Subjects', page: 'subjects' },
-    { name: 'Grades', page: 'grades' },
-  ];
-
-  return (
-    <nav className="bg-white/80 backdrop-blur-sm sticky top-0 z-50 border-b border-gray-200 shadow-md" aria-label="Main navigation">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex justify-between items-center h-16">
-          <button onClick={() => setPage('landing')} className="font-bold text-2xl text-indigo-600 hover:text-pink-600 transition-colors">
-            Grading System
-          </button>
-          <div className="flex space-x-4 sm:space-x-8">
-            {navItems.map(item => (
-              <button
-                key={item.page}
-                onClick={() => setPage(item.page)}
-                className={`
-                  transition-colors duration-200 font-medium pb-1 border-b-2
-                  ${currentPage === item.page
-                    ? 'text-pink-600 border-pink-600 font-bold'
-                    : 'text-gray-700 border-transparent hover:text-indigo-600 hover:border-indigo-600'
-                  }
-                `}
-                aria-current={currentPage === item.page ? 'page' : undefined}
-              >
-                {item.name}
-              </button>
-            ))}
-          </div>
-        </div>
-      </div>
-    </nav>
-  );
-};
-
-
-const App = () => {
-  // Simple state-based routing
-  const [page, setPage] = useState('landing');
-
-  const renderPage = useCallback(() => {
-    switch (page) {
-      case 'students':
-        return <StudentsPage />;
-      case 'subjects':
-        return <SubjectsPage />;
-      case 'grades':
-        return <GradesPage />;
-      case 'landing':
-      default:
-        return <LandingPage setPage={setPage} />;
-    }
-  }, [page]);
-
-
-  return (
-    <div className="font-sans antialiased min-h-screen">
-      <Navbar currentPage={page} setPage={setPage} />
-      <main className="min-h-[calc(100vh-64px)]">
-        {renderPage()}
-      </main>
-    </div>
-  );
-};
-
-export default App;
\ No newline at end of file
+import React, { useState, useCallback, useMemo } from "react";
+import { enrollmentRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentRepository, subjectRepository } from "../lib/data";
+import { getEnrolledStudentIds } from "../lib/enrollment";
+import { describeGrade, getStudentName, indexById, isArchived, validateGrade } from "../lib/records";
+import { findOrphanedGrades } from "../lib/integrity";
+import { getLetterGrade, getPassingScore, indexScalesBySubject, resolveGrade } from "../lib/grading";
+import { findTermForDate, getActiveTerm, getTermLabel, isTermClosed, resolveGradeTerm } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { createGrade, deleteGrade, updateGrade } from "../lib/audit";
+import { useSelectedTerm } from "../lib/useTermFilter";
+import { useAuth } from "../lib/auth";
+import { canEditGrade, canManageRecords, getGradableSections } from "../lib/permissions";
+import DataStatusBanner from "../components/DataStatusBanner";
+import FinalGradesPanel from "../components/FinalGradesPanel";
+import GradeHistoryDrawer from "../components/GradeHistoryDrawer";
+import Gradebook from "../components/Gradebook";
+import ExportMenu from "../components/ExportMenu";
+import ImportWizard from "../components/ImportWizard";
+import IntegrityCheckModal from "../components/IntegrityCheckModal";
+import toast from "react-hot-toast";
+
+// The records table lists every score; the gradebook shows one section as a grid
+const VIEWS = [
+  { id: "records", label: "📋 Records" },
+  { id: "gradebook", label: "🧮 Gradebook" },
+];
+
+/**
+ * @function getScoreColor
+ * Failing scores are red, scores in the lowest passing band yellow and the
+ * rest green, all judged on the subject's grading scale.
+ * @param {number} score
+ * @param {import("../lib/grading").GradingScale} scale
+ * @returns {string} Tailwind text color class.
+ */
+const getScoreColor = (score, scale) => {
+  const band = resolveGrade(score, scale);
+  if (!band || !band.passed) return 'text-red-600';
+  return band.min === getPassingScore(scale) ? 'text-yellow-600' : 'text-green-600';
+};
+
+// ----------------------------------------------------
+// --- MODAL COMPONENT (Extracted for Clarity) ---
+// ----------------------------------------------------
+const GradeModal = ({ newGrade, setNewGrade, editId, reason, setReason, students, subjects, terms, scalesBySubject, handleAddOrEdit, handleCloseModal }) => {
+  const numericScore = parseFloat(newGrade.score);
+  const scale = scalesBySubject.get(newGrade.subjectId);
+  const letterGradePreview = getLetterGrade(numericScore, scale);
+  const components = subjects.find(subject => subject.id === newGrade.subjectId)?.components ?? [];
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-gradient bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-md transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="modal-title">
+        <h2 id="modal-title" className="text-3xl font-bold mb-6 text-gray-800">
+          {editId ? "✏️ Edit Grade Record" : "➕ Record New Grade"}
+        </h2>
+
+        <div className="space-y-4">
+          {/* Subject Dropdown */}
+          <div>
+            <label htmlFor="subject-select" className="block text-sm font-semibold text-gray-700 mb-2">
+              Subject *
+            </label>
+            <select
+              id="subject-select"
+              value={newGrade.subjectId}
+              onChange={(e) =>
+                // Components belong to a subject, so a new subject clears the pick
+                setNewGrade({ ...newGrade, subjectId: e.target.value, componentId: "" })
+              }
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+              required
+            >
+              <option value="" disabled>Select a subject</option>
+              {subjects.map(subject => (
+                <option key={subject.id} value={subject.id}>
+                  {subject.code} - {subject.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Student Dropdown */}
+          <div>
+            <label htmlFor="student-select" className="block text-sm font-semibold text-gray-700 mb-2">
+              Student Name *
+            </label>
+            <select
+              id="student-select"
+              value={newGrade.studentId}
+              onChange={(e) =>
+                setNewGrade({ ...newGrade, studentId: e.target.value })
+              }
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+              required
+            >
+              <option value="" disabled>
+                {newGrade.subjectId ? "Select an enrolled student" : "Select a subject first"}
+              </option>
+              {students.map(student => (
+                <option key={student.id} value={student.id}>
+                  {getStudentName(student)} ({student.studentId})
+                </option>
+              ))}
+            </select>
+            {newGrade.subjectId && students.length === 0 && (
+              <p className="mt-1 text-sm text-red-600">
+                No students are enrolled in this subject for the term. Enroll them on the Sections page.
+              </p>
+            )}
+          </div>
+
+          {/* Assessment Component (only for subjects that define components) */}
+          {components.length > 0 && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="component-select" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Component *
+                </label>
+                <select
+                  id="component-select"
+                  value={newGrade.componentId || ""}
+                  onChange={(e) =>
+                    setNewGrade({ ...newGrade, componentId: e.target.value })
+                  }
+                  className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+                  required
+                >
+                  <option value="" disabled>Select a component</option>
+                  {components.map(component => (
+                    <option key={component.id} value={component.id}>
+                      {component.name} ({component.weight}%)
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="assessment-input" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Assessment
+                </label>
+                <input
+                  id="assessment-input"
+                  type="text"
+                  value={newGrade.assessment || ""}
+                  onChange={(e) =>
+                    setNewGrade({ ...newGrade, assessment: e.target.value })
+                  }
+                  placeholder="e.g. Quiz 1"
+                  className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Score Input */}
+          <div>
+            <label htmlFor="score-input" className="block text-sm font-semibold text-gray-700 mb-2">
+              Score (%) *
+            </label>
+            <input
+              id="score-input"
+              type="number"
+              value={newGrade.score}
+              onChange={(e) =>
+                setNewGrade({ ...newGrade, score: e.target.value })
+              }
+              placeholder="e.g. 92.5"
+              min="0"
+              max="100"
+              step="0.1"
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
+              required
+            />
+            {/* UX Enhancement: Live Grade Preview */}
+            <p className="mt-1 text-right text-sm text-indigo-600 font-medium">
+                Current Grade: <span className="font-extrabold">{letterGradePreview}</span>
+                <span className="text-gray-500"> ({scale.name})</span>
+            </p>
+          </div>
+
+          {/* Date Input */}
+          <div>
+            <label htmlFor="date-input" className="block text-sm font-semibold text-gray-700 mb-2">
+              Date Recorded
+            </label>
+            <input
+              id="date-input"
+              type="date"
+              value={newGrade.date}
+              onChange={(e) => {
+                // Move the grade to the open term the new date falls in, if any
+                const dateTerm = findTermForDate(terms, e.target.value);
+                setNewGrade({ ...newGrade, date: e.target.value, termId: dateTerm?.id ?? newGrade.termId });
+              }}
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
+            />
+          </div>
+
+          {/* Term Dropdown (open terms only; closed terms are locked) */}
+          {terms.length > 0 && (
+            <div>
+              <label htmlFor="term-select" className="block text-sm font-semibold text-gray-700 mb-2">
+                Term *
+              </label>
+              <select
+                id="term-select"
+                value={newGrade.termId || ""}
+                onChange={(e) =>
+                  setNewGrade({ ...newGrade, termId: e.target.value })
+                }
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition bg-white"
+                required
+              >
+                <option value="" disabled>Select a term</option>
+                {terms.map(term => (
+                  <option key={term.id} value={term.id}>
+                    {getTermLabel(term)}{term.status === 'active' ? ' (active)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Reason Input (kept in the grade's history) */}
+          {editId && (
+            <div>
+              <label htmlFor="reason-input" className="block text-sm font-semibold text-gray-700 mb-2">
+                Reason for Change
+              </label>
+              <input
+                id="reason-input"
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g., Regraded after review"
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-8">
+          <button
+            onClick={handleCloseModal}
+            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleAddOrEdit}
+            className="px-6 py-3 rounded-lg bg-pink-600 hover:bg-pink-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+          >
+            {editId ? "Save Changes" : "Record Grade"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// 3. Grades Page Component
+const GradesPage = () => {
+  // All grades, shared with every other page through the data layer
+  const grades = useRecords(gradeRepository);
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const { terms, selectedTerm } = useSelectedTerm();
+  const { user } = useAuth();
+  const canManage = canManageRecords(user);
+  // Students only see their own grades, read-only
+  const isStudent = user?.role === "student";
+
+  // Instructors grade the students of the sections they teach
+  const gradableSections = useMemo(() => getGradableSections(user, sections), [user, sections]);
+  const canEdit = useCallback(
+    (grade) => canEditGrade(user, grade, { sections, enrollments }),
+    [user, sections, enrollments]
+  );
+  const visibleGrades = useMemo(
+    () => (isStudent ? grades.filter(grade => grade.studentId === user.studentId) : grades),
+    [grades, isStudent, user]
+  );
+
+  // Lookups for resolving the student/subject of a grade and its grading scale
+  const studentsById = useMemo(() => indexById(students), [students]);
+  const subjectsById = useMemo(() => indexById(subjects), [subjects]);
+  const scalesBySubject = useMemo(() => indexScalesBySubject(subjects, gradingScales), [subjects, gradingScales]);
+  const termsById = useMemo(() => indexById(terms), [terms]);
+
+  // Grades of closed terms are locked against edits
+  const isLocked = useCallback((grade) => isTermClosed(termsById.get(grade.termId)), [termsById]);
+  const openTerms = useMemo(() => terms.filter(term => !isTermClosed(term)), [terms]);
+  // New grades go to the term being viewed, or the active term while viewing a closed one or all terms
+  const defaultTermId = (selectedTerm && !isTermClosed(selectedTerm) ? selectedTerm : getActiveTerm(terms))?.id ?? "";
+
+  // State for modal and form
+  const [showModal, setShowModal] = useState(false);
+  const [newGrade, setNewGrade] = useState({
+    id: null,
+    studentId: "", // id of the student record
+    subjectId: "", // id of the subject record
+    componentId: "", // assessment component of the subject, when it has components
+    assessment: "", // optional name of the assessment, e.g. "Quiz 1"
+    score: "",
+    date: new Date().toISOString().substring(0, 10), // Default to today
+    termId: "", // term the grade belongs to; picked when the modal opens
+  });
+  const [editId, setEditId] = useState(null);
+  const [reason, setReason] = useState("");
+  const [historyId, setHistoryId] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [showIntegrityCheck, setShowIntegrityCheck] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [view, setView] = useState("records");
+
+  // Students enrolled in the chosen subject in the grade's term
+  const enrolledStudentIds = useMemo(
+    () => (newGrade.subjectId
+      ? getEnrolledStudentIds(newGrade.subjectId, newGrade.termId || null, { sections: gradableSections, enrollments })
+      : new Set()),
+    [newGrade.subjectId, newGrade.termId, gradableSections, enrollments]
+  );
+
+  // Dropdown options; archived or unenrolled records only show up on grades that already use them
+  const studentOptions = useMemo(
+    () => students
+      .filter(s => (enrolledStudentIds.has(s.id) && !isArchived(s)) || s.id === newGrade.studentId)
+      .sort((a, b) => getStudentName(a).localeCompare(getStudentName(b))),
+    [students, enrolledStudentIds, newGrade.studentId]
+  );
+  const subjectOptions = useMemo(() => {
+    const taughtIds = new Set(gradableSections.map(section => section.subjectId));
+    return subjects
+      .filter(s => ((canManage || taughtIds.has(s.id)) && !isArchived(s)) || s.id === newGrade.subjectId)
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }, [subjects, gradableSections, canManage, newGrade.subjectId]);
+  const orphanCount = useMemo(
+    () => findOrphanedGrades({ grades, students, subjects }).length,
+    [grades, students, subjects]
+  );
+
+  // ✅ Reset and close modal
+  const handleCloseModal = useCallback(() => {
+    setNewGrade({
+      id: null,
+      studentId: "",
+      subjectId: "",
+      componentId: "",
+      assessment: "",
+      score: "",
+      date: new Date().toISOString().substring(0, 10),
+      termId: "",
+    });
+    setEditId(null);
+    setReason("");
+    setShowModal(false);
+  }, []);
+
+  // ✅ Open the modal for a new grade in the default term
+  const handleOpenModal = useCallback(() => {
+    setNewGrade(grade => ({ ...grade, termId: defaultTermId }));
+    setShowModal(true);
+  }, [defaultTermId]);
+
+  // ✅ Add or Edit Grade
+  const handleAddOrEdit = useCallback(() => {
+    const original = editId && grades.find(g => g.id === editId);
+    if (original && isLocked(original)) {
+      alert("This grade belongs to a closed term and is locked.");
+      return;
+    }
+    if (original && !canEdit(original)) {
+      alert("You can only change grades of students in your sections.");
+      return;
+    }
+    // Grades recorded before enrollment existed can still be edited as they are
+    const unchangedEnrollment = original &&
+      original.studentId === newGrade.studentId &&
+      original.subjectId === newGrade.subjectId &&
+      (original.termId || "") === (newGrade.termId || "");
+    const subject = subjectsById.get(newGrade.subjectId);
+    const problem = validateGrade(newGrade, {
+      subject,
+      openTerms,
+      enrolled: enrolledStudentIds.has(newGrade.studentId) || Boolean(unchangedEnrollment),
+    });
+    if (problem) {
+      alert(`Validation failed: ${problem}`);
+      return;
+    }
+    const gradeData = {
+      ...newGrade,
+      score: parseFloat(newGrade.score),
+      componentId: subject?.components?.length > 0 ? newGrade.componentId : null,
+      assessment: newGrade.assessment?.trim() || null,
+      termId: newGrade.termId || null,
+    };
+
+    if (editId) {
+      // Editing existing grade
+      updateGrade(editId, gradeData, { reason })
+        .catch((error) => toast.error(`Could not save grade: ${error.message}`));
+    } else {
+      // Adding new grade
+      createGrade(gradeData)
+        .catch((error) => toast.error(`Could not save grade: ${error.message}`));
+    }
+
+    // Close modal and reset form
+    handleCloseModal();
+  }, [newGrade, editId, reason, grades, subjectsById, openTerms, isLocked, canEdit, enrolledStudentIds, handleCloseModal]);
+
+  // ✅ Prepare to Edit Grade
+  const handleEdit = useCallback((gradeId) => {
+    const gradeToEdit = grades.find(g => g.id === gradeId);
+    if (gradeToEdit && !isLocked(gradeToEdit) && canEdit(gradeToEdit)) {
+      // Set the form state with a copy of the grade data
+      setNewGrade({
+        ...gradeToEdit,
+        // Unlinked legacy grades start with nothing selected
+        studentId: gradeToEdit.studentId || "",
+        subjectId: gradeToEdit.subjectId || "",
+        componentId: gradeToEdit.componentId || "",
+        assessment: gradeToEdit.assessment || "",
+        termId: gradeToEdit.termId || "",
+        score: gradeToEdit.score.toString() // Convert score back to string for input field
+      });
+      setEditId(gradeId);
+      setShowModal(true);
+    }
+  }, [grades, isLocked, canEdit]);
+
+  // ✅ Delete Grade
+  const handleDelete = useCallback((gradeId) => {
+    const gradeToDelete = grades.find(g => g.id === gradeId);
+    if (gradeToDelete && (isLocked(gradeToDelete) || !canEdit(gradeToDelete))) return;
+    // Cancelling the prompt keeps the grade; the reason itself is optional
+    const deleteReason = window.prompt("Delete this grade record? Enter a reason for its history (optional):", "");
+    if (deleteReason !== null) {
+      deleteGrade(gradeId, { reason: deleteReason })
+        .catch((error) => toast.error(`Could not delete grade: ${error.message}`));
+    }
+  }, [grades, isLocked, canEdit]);
+
+  // --- Filtering & Stats Calculation ---
+  const termGrades = useMemo(
+    () => (selectedTerm ? visibleGrades.filter(grade => resolveGradeTerm(grade, terms)?.id === selectedTerm.id) : visibleGrades),
+    [visibleGrades, terms, selectedTerm]
+  );
+
+  const filteredGrades = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return termGrades
+      .map((grade) => {
+        const described = describeGrade(grade, studentsById, subjectsById);
+        const component = described.subject?.components?.find(c => c.id === grade.componentId);
+        return { ...grade, ...described, component, locked: isLocked(grade), editable: canEdit(grade) };
+      })
+      .filter(
+        (grade) =>
+          grade.studentName.toLowerCase().includes(term) ||
+          grade.subjectCode.toLowerCase().includes(term)
+      ).sort((a, b) => b.score - a.score); // Sort by score (descending)
+  }, [termGrades, studentsById, subjectsById, isLocked, canEdit, searchTerm]);
+
+  // Stats Calculation
+  const averageScore = filteredGrades.length > 0
+    ? (filteredGrades.reduce((sum, g) => sum + g.score, 0) / filteredGrades.length).toFixed(1)
+    : 0;
+
+  const highestScore = filteredGrades.length > 0
+    ? Math.max(...filteredGrades.map(g => g.score))
+    : 0;
+
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8">
+      {/* Header and Controls */}
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+            <div>
+              <h1 className="text-4xl font-bold text-gray-800 mb-2">
+                {isStudent ? "My Grades 📊" : "Grades & Scores 📊"}
+              </h1>
+              <p className="text-gray-600">
+                {isStudent ? "Your scores and final grades across subjects." : "Record and analyze student performance across subjects."}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {canManage && (
+                <>
+                  <button
+                    onClick={() => setShowIntegrityCheck(true)}
+                    className="flex items-center gap-2 bg-white hover:bg-gray-50 text-gray-800 border-2 border-gray-200 px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl"
+                  >
+                    <span className="text-xl">🩺</span>
+                    <span className="font-semibold">Check Integrity</span>
+                    {orphanCount > 0 && (
+                      <span className="bg-red-600 text-white text-xs font-bold px-2 py-0.5 rounded-full">
+                        {orphanCount}
+                      </span>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => setShowImport(true)}
+                    className="flex items-center gap-2 bg-white hover:bg-pink-50 text-pink-700 border-2 border-pink-200 px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl"
+                  >
+                    <span className="text-xl">📥</span>
+                    <span className="font-semibold">Import</span>
+                  </button>
+                </>
+              )}
+              <ExportMenu kind="grades" records={filteredGrades} accent="pink" />
+              {!isStudent && (
+                <button
+                  onClick={handleOpenModal}
+                  className="flex items-center gap-2 bg-pink-600 hover:bg-pink-700 text-white px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl transform hover:scale-105 min-w-[200px]"
+                >
+                  <span className="text-xl">➕</span>
+                  <span className="font-semibold">Record New Grade</span>
+                </button>
+              )}
+            </div>
+          </div>
+
+          <DataStatusBanner repository={gradeRepository} label="grades" />
+
+          {/* View Switcher */}
+          {!isStudent && (
+            <div className="flex gap-2 mb-6" role="tablist" aria-label="Grades view">
+              {VIEWS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  role="tab"
+                  aria-selected={view === id}
+                  onClick={() => setView(id)}
+                  className={`px-5 py-2 rounded-lg font-semibold transition ${view === id ? 'bg-pink-600 text-white shadow-lg' : 'bg-white text-gray-700 border-2 border-gray-200 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {view === "records" || isStudent ? (
+            <>
+              {/* Search Bar */}
+              <div className="mb-6">
+                <div className="relative">
+                  <input
+                    type="text"
+                    placeholder="Search by student name or subject code..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="w-full px-4 py-3 pl-12 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-transparent outline-none transition"
+                  />
+                  <span className="absolute left-4 top-3.5 text-gray-400 text-xl" aria-hidden="true">
+                    🔍
+                  </span>
+                </div>
+              </div>
+
+              {/* Stats */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+                <div className="bg-gradient-to-br from-pink-50 to-pink-100 p-4 rounded-xl border border-pink-200">
+                  <div className="text-3xl font-bold text-pink-600">
+                    {termGrades.length}
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    Total Records{selectedTerm && ` (${getTermLabel(selectedTerm)})`}
+                  </div>
+                </div>
+                <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+                  <div className="text-3xl font-bold text-indigo-600">
+                    {averageScore}
+                  </div>
+                  <div className="text-sm text-gray-600">Average Score ({filteredGrades.length} shown)</div>
+                </div>
+                <div className="bg-gradient-to-br from-yellow-50 to-yellow-100 p-4 rounded-xl border border-yellow-200">
+                  <div className="text-3xl font-bold text-yellow-600">
+                    {highestScore}%
+                  </div>
+                  <div className="text-sm text-gray-600">Highest Score</div>
+                </div>
+              </div>
+
+              {/* Grades Table */}
+              <div className="overflow-x-auto rounded-xl shadow-lg border border-gray-200">
+                <table className="min-w-full bg-white">
+                  <thead>
+                    <tr className="bg-gradient-to-r from-pink-500 to-purple-500 text-white">
+                      <th className="py-4 px-6 text-left font-semibold sticky left-0 bg-gradient-to-r from-pink-500 to-purple-500">Student</th>
+                      <th className="py-4 px-6 text-left font-semibold">Subject</th>
+                      <th className="py-4 px-6 text-center font-semibold">Score (%)</th>
+                      <th className="py-4 px-6 text-center font-semibold">Letter Grade</th>
+                      <th className="py-4 px-6 text-left font-semibold">Date</th>
+                      <th className="py-4 px-6 text-center font-semibold">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredGrades.length > 0 ? (
+                      filteredGrades.map((grade) => (
+                        <tr
+                          key={grade.id}
+                          className="border-b hover:bg-pink-50 transition-colors"
+                        >
+                          <td className="py-4 px-6 font-medium text-gray-800 sticky left-0 bg-white hover:bg-pink-50 transition-colors z-10 whitespace-nowrap">
+                            {grade.studentName}
+                            {!grade.student && (
+                              <span className="ml-2 text-xs font-semibold text-red-600" title="This grade is not linked to a student record. Edit it to pick the student.">
+                                (unlinked)
+                              </span>
+                            )}
+                          </td>
+                          <td className="py-4 px-6 text-gray-700 whitespace-nowrap">
+                            <span className="bg-indigo-100 text-indigo-700 px-3 py-1 rounded-full text-sm font-bold">
+                              {grade.subjectCode}
+                            </span>
+                            {!grade.subject && (
+                              <span className="ml-2 text-xs font-semibold text-red-600" title="This grade is not linked to a subject record. Edit it to pick the subject.">
+                                (unlinked)
+                              </span>
+                            )}
+                            {(grade.component || grade.assessment) && (
+                              <div className="text-xs text-gray-500 mt-1">
+                                {[grade.component?.name, grade.assessment].filter(Boolean).join(' · ')}
+                              </div>
+                            )}
+                          </td>
+                          <td className="py-4 px-6 text-center whitespace-nowrap">
+                            <span className={`font-extrabold text-lg ${getScoreColor(grade.score, scalesBySubject.get(grade.subjectId))}`}>
+                              {grade.score}%
+                            </span>
+                          </td>
+                          {/* Letter Grade Column */}
+                          <td className="py-4 px-6 text-center whitespace-nowrap">
+                            <span className="font-extrabold text-xl text-purple-600 bg-purple-100 px-3 py-1 rounded-md">
+                              {getLetterGrade(grade.score, scalesBySubject.get(grade.subjectId))}
+                            </span>
+                          </td>
+                          <td className="py-4 px-6 text-gray-600 text-sm whitespace-nowrap">
+                            {grade.date}
+                          </td>
+                          <td className="py-4 px-6 whitespace-nowrap">
+                            <div className="flex justify-center items-center gap-3">
+                              <button
+                                onClick={() => setHistoryId(grade.id)}
+                                className="text-gray-600 hover:text-gray-800 transition font-semibold px-3 py-1 rounded hover:bg-gray-100"
+                                aria-label={`History of the grade for ${grade.studentName} in ${grade.subjectCode}`}
+                              >
+                                🕘 History
+                              </button>
+                              {grade.locked ? (
+                                <span className="text-sm font-semibold text-gray-500" title="This grade belongs to a closed term. Reopen the term to change it.">
+                                  🔒 Locked
+                                </span>
+                              ) : !grade.editable ? (
+                                <span className="text-sm text-gray-400" title={isStudent ? "Grades are recorded by your instructors." : "Only the student's instructor in this subject can change it."}>
+                                  View only
+                                </span>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => handleEdit(grade.id)}
+                                    className="text-indigo-600 hover:text-indigo-700 transition font-semibold px-3 py-1 rounded hover:bg-indigo-50"
+                                    aria-label={`Edit grade for ${grade.studentName} in ${grade.subjectCode}`}
+                                  >
+                                    ✏️ Edit
+                                  </button>
+                                  <button
+                                    onClick={() => handleDelete(grade.id)}
+                                    className="text-red-600 hover:text-red-700 transition font-semibold px-3 py-1 rounded hover:bg-red-50"
+                                    aria-label={`Delete grade for ${grade.studentName} in ${grade.subjectCode}`}
+                                  >
+                                    🗑️ Delete
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td
+                          colSpan="6"
+                          className="text-center py-12 text-gray-500"
+                        >
+                          <div className="text-6xl mb-4">💯</div>
+                          <div className="text-lg font-medium">
+                            No grades found
+                          </div>
+                          <div className="text-sm">
+                            {searchTerm ? `No records match "${searchTerm}"` : (isStudent ? 'No grades have been recorded for you yet' : 'Click "Record New Grade" to start tracking scores')}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Final Grades */}
+              <FinalGradesPanel
+                grades={termGrades}
+                students={students}
+                subjects={subjects}
+                scalesBySubject={scalesBySubject}
+                closed={isTermClosed(selectedTerm)}
+              />
+            </>
+          ) : (
+            <Gradebook
+              grades={grades}
+              students={students}
+              subjects={subjects}
+              terms={terms}
+              sections={gradableSections}
+              enrollments={enrollments}
+              scalesBySubject={scalesBySubject}
+              selectedTerm={selectedTerm}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Modal for Add/Edit Grade */}
+      {showModal && (
+        <GradeModal
+          newGrade={newGrade}
+          setNewGrade={setNewGrade}
+          editId={editId}
+          reason={reason}
+          setReason={setReason}
+          students={studentOptions}
+          subjects={subjectOptions}
+          terms={openTerms}
+          scalesBySubject={scalesBySubject}
+          handleAddOrEdit={handleAddOrEdit}
+          handleCloseModal={handleCloseModal}
+        />
+      )}
+
+      {/* Grade History */}
+      {historyId && (
+        <GradeHistoryDrawer
+          gradeId={historyId}
+          grades={grades}
+          students={students}
+          subjects={subjects}
+          terms={terms}
+          handleClose={() => setHistoryId(null)}
+        />
+      )}
+
+      {/* Data Integrity Check */}
+      {showIntegrityCheck && (
+        <IntegrityCheckModal
+          grades={grades}
+          students={students}
+          subjects={subjects}
+          handleCloseModal={() => setShowIntegrityCheck(false)}
+        />
+      )}
+
+      {/* Spreadsheet Import */}
+      {showImport && (
+        <ImportWizard
+          kind="grades"
+          defaultTermId={defaultTermId}
+          handleCloseModal={() => setShowImport(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GradesPage;
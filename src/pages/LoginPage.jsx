@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import { Link, Navigate, useLocation } from "react-router";
+import toast from "react-hot-toast";
+import { AUTH_ENABLED, signIn, useAuth } from "../lib/auth";
+import { HOME_PATHS } from "../lib/permissions";
+
+// ----------------------------------------------------
+// --- LOGIN PAGE (Email and password through Supabase Auth) ---
+// ----------------------------------------------------
+const LoginPage = () => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  // Signed in (or nothing to sign in to): continue where the user was headed
+  if (user || !AUTH_ENABLED) {
+    return <Navigate to={location.state?.from ?? HOME_PATHS[user?.role] ?? "/students"} replace />;
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      alert("Please enter your email and password.");
+      return;
+    }
+    setSubmitting(true);
+    signIn(email.trim(), password)
+      .catch((error) => toast.error(`Could not sign in: ${error.message}`))
+      .finally(() => setSubmitting(false));
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-8 border border-white w-full max-w-md space-y-4"
+        aria-labelledby="login-title"
+      >
+        <Link to="/" className="font-bold text-xl text-indigo-600 hover:text-pink-600 transition-colors">
+          Grading System
+        </Link>
+        <h1 id="login-title" className="text-3xl font-bold text-gray-800">Sign in 🔐</h1>
+        <p className="text-gray-600">Use the account your department gave you.</p>
+
+        <div>
+          <label htmlFor="login-email" className="block text-sm font-semibold text-gray-700 mb-2">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="login-password" className="block text-sm font-semibold text-gray-700 mb-2">Password</label>
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={submitting || loading}
+          className="w-full px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:opacity-50"
+        >
+          {submitting ? "Signing in..." : "Sign In"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
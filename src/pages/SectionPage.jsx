@@ -0,0 +1,539 @@
+import React, { useState, useCallback, useEffect, useMemo } from "react";
+import { enrollmentRepository, sectionRepository, subjectRepository } from "../lib/data";
+import { useRecords } from "../lib/useRecords";
+import { useSelectedTerm } from "../lib/useTermFilter";
+import { getTermLabel, isTermClosed } from "../lib/terms";
+import { deleteSection, getSectionLabel } from "../lib/enrollment";
+import { indexById, isArchived } from "../lib/records";
+import { AUTH_ENABLED, listInstructors, useAuth } from "../lib/auth";
+import { canManageRecords, canTakeAttendance } from "../lib/permissions";
+import DataStatusBanner from "../components/DataStatusBanner";
+import AttendanceModal from "../components/AttendanceModal";
+import SectionRosterModal from "../components/SectionRosterModal";
+import toast from "react-hot-toast";
+
+const inputClass = "w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition";
+
+// ----------------------------------------------------
+// --- SECTION MODAL COMPONENT ---
+// ----------------------------------------------------
+const SectionModal = ({
+  sectionForm,
+  setSectionForm,
+  editId,
+  subjects,
+  terms,
+  instructors,
+  handleAddOrEdit,
+  handleCloseModal
+}) => {
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm z-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-lg transform transition-all max-h-[90vh] overflow-y-auto" role="dialog" aria-modal="true" aria-labelledby="modal-title">
+        <h2 id="modal-title" className="text-3xl font-bold mb-6 text-gray-800">
+          {editId ? "✏️ Edit Section" : "➕ Add New Section"}
+        </h2>
+
+        <div className="space-y-4">
+          {/* Subject Dropdown */}
+          <div>
+            <label htmlFor="section-subject" className="block text-sm font-semibold text-gray-700 mb-2">
+              Subject *
+            </label>
+            <select
+              id="section-subject"
+              value={sectionForm.subjectId}
+              onChange={(e) => setSectionForm({ ...sectionForm, subjectId: e.target.value })}
+              className={`${inputClass} bg-white`}
+              required
+            >
+              <option value="" disabled>Select a subject</option>
+              {subjects.map(subject => (
+                <option key={subject.id} value={subject.id}>
+                  {subject.code} - {subject.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Term Dropdown */}
+            <div>
+              <label htmlFor="section-term" className="block text-sm font-semibold text-gray-700 mb-2">
+                Term *
+              </label>
+              <select
+                id="section-term"
+                value={sectionForm.termId}
+                onChange={(e) => setSectionForm({ ...sectionForm, termId: e.target.value })}
+                className={`${inputClass} bg-white`}
+                required
+              >
+                <option value="" disabled>Select a term</option>
+                {terms.map(term => (
+                  <option key={term.id} value={term.id}>{getTermLabel(term)}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Section Code Input */}
+            <div>
+              <label htmlFor="section-code" className="block text-sm font-semibold text-gray-700 mb-2">
+                Section *
+              </label>
+              <input
+                id="section-code"
+                type="text"
+                value={sectionForm.code}
+                onChange={(e) => setSectionForm({ ...sectionForm, code: e.target.value.toUpperCase() })}
+                placeholder="e.g., A"
+                className={inputClass}
+                required
+              />
+            </div>
+          </div>
+
+          {/* Schedule Input */}
+          <div>
+            <label htmlFor="section-schedule" className="block text-sm font-semibold text-gray-700 mb-2">
+              Schedule *
+            </label>
+            <input
+              id="section-schedule"
+              type="text"
+              value={sectionForm.schedule}
+              onChange={(e) => setSectionForm({ ...sectionForm, schedule: e.target.value })}
+              placeholder="e.g., MWF 9:00-10:00"
+              className={inputClass}
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Room Input */}
+            <div>
+              <label htmlFor="section-room" className="block text-sm font-semibold text-gray-700 mb-2">
+                Room
+              </label>
+              <input
+                id="section-room"
+                type="text"
+                value={sectionForm.room}
+                onChange={(e) => setSectionForm({ ...sectionForm, room: e.target.value })}
+                placeholder="e.g., Room 204"
+                className={inputClass}
+              />
+            </div>
+
+            {/* Instructor: an account when signing in is on, a name otherwise */}
+            <div>
+              <label htmlFor="section-instructor" className="block text-sm font-semibold text-gray-700 mb-2">
+                Instructor *
+              </label>
+              {AUTH_ENABLED ? (
+                <select
+                  id="section-instructor"
+                  value={sectionForm.instructorId ?? ""}
+                  onChange={(e) => {
+                    const instructor = instructors.find(i => i.id === e.target.value);
+                    setSectionForm({ ...sectionForm, instructorId: e.target.value, instructor: instructor?.fullName ?? "" });
+                  }}
+                  className={`${inputClass} bg-white`}
+                  required
+                >
+                  <option value="" disabled>Select an instructor</option>
+                  {instructors.map(instructor => (
+                    <option key={instructor.id} value={instructor.id}>{instructor.fullName}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  id="section-instructor"
+                  type="text"
+                  value={sectionForm.instructor}
+                  onChange={(e) => setSectionForm({ ...sectionForm, instructor: e.target.value })}
+                  placeholder="e.g., Maria Santos"
+                  className={inputClass}
+                  required
+                />
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-8">
+          <button
+            onClick={handleCloseModal}
+            className="px-6 py-3 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold transition"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleAddOrEdit}
+            className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl"
+          >
+            {editId ? "Save Changes" : "Add Section"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------
+// --- SECTIONS PAGE COMPONENT ---
+// ----------------------------------------------------
+const SectionsPage = () => {
+  const sections = useRecords(sectionRepository);
+  const subjects = useRecords(subjectRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const { terms, selectedTerm } = useSelectedTerm();
+  const { user } = useAuth();
+  const canManage = canManageRecords(user);
+
+  const subjectsById = useMemo(() => indexById(subjects), [subjects]);
+  const termsById = useMemo(() => indexById(terms), [terms]);
+  // Sections of closed terms keep their roster as it was
+  const isLocked = useCallback((section) => isTermClosed(termsById.get(section.termId)), [termsById]);
+
+  const emptyForm = useCallback(() => ({
+    id: null,
+    subjectId: "",
+    termId: (selectedTerm && !isTermClosed(selectedTerm) ? selectedTerm.id : terms.find(t => t.status === 'active')?.id) ?? "",
+    code: "",
+    schedule: "",
+    room: "",
+    instructor: "",
+    instructorId: null,
+  }), [selectedTerm, terms]);
+
+  const [showModal, setShowModal] = useState(false);
+  const [sectionForm, setSectionForm] = useState(emptyForm);
+  const [editId, setEditId] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [rosterId, setRosterId] = useState(null);
+  const [attendanceId, setAttendanceId] = useState(null);
+  const [instructors, setInstructors] = useState([]);
+
+  // Instructor accounts for the section form
+  useEffect(() => {
+    if (!AUTH_ENABLED || !canManage) return;
+    listInstructors()
+      .then(setInstructors)
+      .catch((error) => toast.error(`Could not load instructors: ${error.message}`));
+  }, [canManage]);
+
+  // Dropdown options; archived subjects and closed terms only show up on sections that already use them
+  const subjectOptions = useMemo(
+    () => subjects
+      .filter(s => !isArchived(s) || s.id === sectionForm.subjectId)
+      .sort((a, b) => a.code.localeCompare(b.code)),
+    [subjects, sectionForm.subjectId]
+  );
+  const termOptions = useMemo(
+    () => terms.filter(t => !isTermClosed(t) || t.id === sectionForm.termId),
+    [terms, sectionForm.termId]
+  );
+
+  const enrollmentCounts = useMemo(() => {
+    const counts = new Map();
+    enrollments.forEach(enrollment => counts.set(enrollment.sectionId, (counts.get(enrollment.sectionId) || 0) + 1));
+    return counts;
+  }, [enrollments]);
+
+  // ✅ Open the modal for a new section in the current term
+  const handleOpenModal = useCallback(() => {
+    setSectionForm(emptyForm());
+    setShowModal(true);
+  }, [emptyForm]);
+
+  // ✅ Reset and close modal
+  const handleCloseModal = useCallback(() => {
+    setSectionForm(emptyForm());
+    setEditId(null);
+    setShowModal(false);
+  }, [emptyForm]);
+
+  // ✅ Add or Edit Section
+  const handleAddOrEdit = useCallback(() => {
+    const section = {
+      ...sectionForm,
+      code: sectionForm.code.trim(),
+      schedule: sectionForm.schedule.trim(),
+      room: sectionForm.room?.trim() || "",
+      instructor: sectionForm.instructor.trim(),
+    };
+    if (!section.subjectId || !section.termId || !section.code || !section.schedule || !section.instructor) {
+      alert("Validation failed: Please ensure Subject, Term, Section, Schedule and Instructor are entered.");
+      return;
+    }
+    const duplicate = sections.find(s =>
+      s.id !== editId && s.subjectId === section.subjectId && s.termId === section.termId && s.code === section.code
+    );
+    if (duplicate) {
+      alert(`Section ${getSectionLabel(section, subjectsById.get(section.subjectId))} already exists in this term.`);
+      return;
+    }
+
+    if (editId) {
+      sectionRepository.update(editId, section)
+        .catch((error) => toast.error(`Could not save section: ${error.message}`));
+    } else {
+      sectionRepository.create(section)
+        .catch((error) => toast.error(`Could not save section: ${error.message}`));
+    }
+
+    handleCloseModal();
+  }, [sectionForm, editId, sections, subjectsById, handleCloseModal]);
+
+  // ✅ Prepare to Edit Section
+  const handleEdit = useCallback((sectionId) => {
+    const sectionToEdit = sections.find(s => s.id === sectionId);
+    if (sectionToEdit) {
+      setSectionForm({ room: "", ...sectionToEdit });
+      setEditId(sectionId);
+      setShowModal(true);
+    }
+  }, [sections]);
+
+  // ✅ Delete Section with its enrollments
+  const handleDelete = useCallback((section) => {
+    const count = enrollmentCounts.get(section.id) || 0;
+    const label = getSectionLabel(section, subjectsById.get(section.subjectId));
+    const message = count > 0
+      ? `Delete section ${label}, its ${count} enrollment(s) and its attendance? Grades are kept.`
+      : `Delete section ${label}?`;
+    if (window.confirm(message)) {
+      deleteSection(section.id)
+        .then(() => toast.success("Section deleted."))
+        .catch((error) => toast.error(`Could not delete section: ${error.message}`));
+    }
+  }, [enrollmentCounts, subjectsById]);
+
+  // --- Filtering & Stats Calculation ---
+  const termSections = useMemo(
+    () => (selectedTerm ? sections.filter(s => s.termId === selectedTerm.id) : sections),
+    [sections, selectedTerm]
+  );
+
+  const filteredSections = useMemo(() => {
+    const term = searchTerm.toLowerCase();
+    return termSections
+      .map(section => ({ ...section, subject: subjectsById.get(section.subjectId) }))
+      .filter(section =>
+        getSectionLabel(section, section.subject).toLowerCase().includes(term) ||
+        (section.subject?.name || '').toLowerCase().includes(term) ||
+        section.instructor.toLowerCase().includes(term)
+      )
+      .sort((a, b) => getSectionLabel(a, a.subject).localeCompare(getSectionLabel(b, b.subject)));
+  }, [termSections, subjectsById, searchTerm]);
+
+  // Stats Calculation
+  const totalEnrollments = termSections.reduce((sum, section) => sum + (enrollmentCounts.get(section.id) || 0), 0);
+  const totalInstructors = new Set(termSections.map(section => section.instructor.toLowerCase())).size;
+
+  const sectionInRoster = sections.find(s => s.id === rosterId);
+  const sectionInAttendance = sections.find(s => s.id === attendanceId);
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          {/* Header and Controls */}
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+            <div>
+              <h1 className="text-4xl font-bold text-gray-800 mb-2">
+                Class Sections 🏫
+              </h1>
+              <p className="text-gray-600">
+                Schedule subjects each term and enroll students in their sections.
+              </p>
+            </div>
+            {canManage && (
+              <button
+                onClick={handleOpenModal}
+                className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl transform hover:scale-105 min-w-[200px]"
+              >
+                <span className="text-xl">➕</span>
+                <span className="font-semibold">Add New Section</span>
+              </button>
+            )}
+          </div>
+
+          <DataStatusBanner repository={sectionRepository} label="sections" />
+
+          {/* Search Bar */}
+          <div className="mb-6">
+            <div className="relative">
+              <input
+                type="text"
+                placeholder="Search by section, subject or instructor..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full px-4 py-3 pl-12 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+              />
+              <span className="absolute left-4 top-3.5 text-gray-400 text-xl" aria-hidden="true">
+                🔍
+              </span>
+            </div>
+          </div>
+
+          {/* Stats */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+            <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+              <div className="text-3xl font-bold text-indigo-600">
+                {termSections.length}
+              </div>
+              <div className="text-sm text-gray-600">
+                Total Sections{selectedTerm && ` (${getTermLabel(selectedTerm)})`}
+              </div>
+            </div>
+            <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-4 rounded-xl border border-purple-200">
+              <div className="text-3xl font-bold text-purple-600">
+                {totalEnrollments}
+              </div>
+              <div className="text-sm text-gray-600">Enrollments</div>
+            </div>
+            <div className="bg-gradient-to-br from-pink-50 to-pink-100 p-4 rounded-xl border border-pink-200">
+              <div className="text-3xl font-bold text-pink-600">
+                {totalInstructors}
+              </div>
+              <div className="text-sm text-gray-600">Instructors</div>
+            </div>
+          </div>
+
+          {/* Sections Table */}
+          <div className="overflow-x-auto rounded-xl shadow-lg border border-gray-200">
+            <table className="min-w-full bg-white">
+              <thead>
+                <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                  <th className="py-4 px-6 text-left font-semibold">Section</th>
+                  <th className="py-4 px-6 text-left font-semibold">Subject</th>
+                  <th className="py-4 px-6 text-left font-semibold">Term</th>
+                  <th className="py-4 px-6 text-left font-semibold">Schedule</th>
+                  <th className="py-4 px-6 text-left font-semibold">Instructor</th>
+                  <th className="py-4 px-6 text-center font-semibold">Enrolled</th>
+                  <th className="py-4 px-6 text-center font-semibold">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredSections.length > 0 ? (
+                  filteredSections.map((section) => (
+                    <tr key={section.id} className="border-b hover:bg-indigo-50 transition-colors">
+                      <td className="py-4 px-6 font-medium text-gray-800 whitespace-nowrap">
+                        <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm font-bold">
+                          {getSectionLabel(section, section.subject)}
+                        </span>
+                      </td>
+                      <td className="py-4 px-6 text-gray-700">
+                        {section.subject?.name ?? 'Unknown subject'}
+                      </td>
+                      <td className="py-4 px-6 text-gray-700 whitespace-nowrap">
+                        {termsById.has(section.termId) ? getTermLabel(termsById.get(section.termId)) : '—'}
+                        {isLocked(section) && <span className="ml-2" title="Closed term">🔒</span>}
+                      </td>
+                      <td className="py-4 px-6 text-gray-700 whitespace-nowrap">
+                        {section.schedule}
+                        {section.room && <div className="text-xs text-gray-500 mt-1">{section.room}</div>}
+                      </td>
+                      <td className="py-4 px-6 text-gray-700 whitespace-nowrap">{section.instructor}</td>
+                      <td className="py-4 px-6 text-center">
+                        <span className="font-extrabold text-lg text-green-600 bg-green-100 px-3 py-1 rounded-full">
+                          {enrollmentCounts.get(section.id) || 0}
+                        </span>
+                      </td>
+                      <td className="py-4 px-6">
+                        <div className="flex justify-center gap-3">
+                          <button
+                            onClick={() => setRosterId(section.id)}
+                            className="text-purple-600 hover:text-purple-700 transition font-semibold px-3 py-1 rounded hover:bg-purple-50 whitespace-nowrap"
+                            aria-label={`Roster of ${getSectionLabel(section, section.subject)}`}
+                          >
+                            👥 Roster
+                          </button>
+                          <button
+                            onClick={() => setAttendanceId(section.id)}
+                            className="text-green-600 hover:text-green-700 transition font-semibold px-3 py-1 rounded hover:bg-green-50 whitespace-nowrap"
+                            aria-label={`Attendance of ${getSectionLabel(section, section.subject)}`}
+                          >
+                            📋 Attendance
+                          </button>
+                          {canManage && !isLocked(section) && (
+                            <>
+                              <button
+                                onClick={() => handleEdit(section.id)}
+                                className="text-indigo-600 hover:text-indigo-700 transition font-semibold px-3 py-1 rounded hover:bg-indigo-50 whitespace-nowrap"
+                                aria-label={`Edit ${getSectionLabel(section, section.subject)}`}
+                              >
+                                ✏️ Edit
+                              </button>
+                              <button
+                                onClick={() => handleDelete(section)}
+                                className="text-red-600 hover:text-red-700 transition font-semibold px-3 py-1 rounded hover:bg-red-50 whitespace-nowrap"
+                                aria-label={`Delete ${getSectionLabel(section, section.subject)}`}
+                              >
+                                🗑️ Delete
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="text-center py-12 text-gray-500">
+                      <div className="text-6xl mb-4">🏫</div>
+                      <div className="text-lg font-medium">
+                        No sections found
+                      </div>
+                      <div className="text-sm">
+                        {searchTerm ? `No sections match "${searchTerm}"` : (canManage ? 'Click "Add New Section" to schedule a subject' : 'No sections are scheduled for this term')}
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Modal for Add/Edit Section */}
+      {showModal && (
+        <SectionModal
+          sectionForm={sectionForm}
+          setSectionForm={setSectionForm}
+          editId={editId}
+          subjects={subjectOptions}
+          terms={termOptions}
+          instructors={instructors}
+          handleAddOrEdit={handleAddOrEdit}
+          handleCloseModal={handleCloseModal}
+        />
+      )}
+
+      {/* Section Roster */}
+      {sectionInRoster && (
+        <SectionRosterModal
+          section={sectionInRoster}
+          locked={!canManage || isLocked(sectionInRoster)}
+          lockReason={canManage ? undefined : "🔒 Rosters are managed by administrators."}
+          handleCloseModal={() => setRosterId(null)}
+        />
+      )}
+
+      {/* Section Attendance */}
+      {sectionInAttendance && (
+        <AttendanceModal
+          section={sectionInAttendance}
+          locked={!canTakeAttendance(user, sectionInAttendance) || isLocked(sectionInAttendance)}
+          lockReason={canTakeAttendance(user, sectionInAttendance) ? undefined : "🔒 Attendance is taken by the section's instructor."}
+          handleCloseModal={() => setAttendanceId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SectionsPage;
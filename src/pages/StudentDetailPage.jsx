@@ -0,0 +1,485 @@
+import React, { useMemo, useState } from "react";
+import { Link, useParams } from "react-router";
+import toast from "react-hot-toast";
+import { attendanceRecordRepository, attendanceSessionRepository, enrollmentRepository, gradeAuditRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentNoteRepository, studentRepository, subjectRepository } from "../lib/data";
+import { collectStudentGrades } from "../lib/ai";
+import { computeFinalGrade } from "../lib/assessments";
+import { formatAttendanceRate, getSectionAttendance, summarizeAttendance } from "../lib/attendance";
+import { filterAuditEntries } from "../lib/audit";
+import { useAuth } from "../lib/auth";
+import { getSectionLabel } from "../lib/enrollment";
+import { buildTranscript, formatGpa } from "../lib/gpa";
+import { getLetterGrade, indexScalesBySubject } from "../lib/grading";
+import { describeGrade, getStudentName, indexById, isArchived } from "../lib/records";
+import { addStudentNote, canDeleteNote } from "../lib/students";
+import { getTermLabel, isTermClosed, resolveGradeTerm } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { useSelectedTerm } from "../lib/useTermFilter";
+import DataStatusBanner from "../components/DataStatusBanner";
+import { AuditActionBadge, AuditEntryChanges } from "../components/GradeHistoryDrawer";
+import ReportCardModal from "../components/ReportCardModal";
+import StudentProgressReport, { TrendBadge } from "../components/StudentProgressReport";
+import StudentStatusBadge from "../components/StudentStatusBadge";
+import Transcript from "../components/Transcript";
+
+// The fields of the student form, in the same order
+const PROFILE_FIELDS = [
+  { key: 'studentId', label: 'Student ID' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'enrollmentDate', label: 'Enrollment Date' },
+  { key: 'major', label: 'Major' },
+];
+
+const SectionTitle = ({ id, children }) => (
+  <h2 id={id} className="text-xl font-bold text-gray-800 mb-3">{children}</h2>
+);
+
+// ----------------------------------------------------
+// --- STUDENT NOTES (Staff notes on one student) ---
+// ----------------------------------------------------
+const StudentNotes = ({ studentId }) => {
+  const notes = useRecords(studentNoteRepository);
+  const { user } = useAuth();
+  const [body, setBody] = useState("");
+
+  const studentNotes = useMemo(
+    () => notes.filter(note => note.studentId === studentId).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    [notes, studentId]
+  );
+
+  const handleAdd = () => {
+    if (!body.trim()) {
+      alert("Please write the note first.");
+      return;
+    }
+    addStudentNote(studentId, body)
+      .catch((error) => toast.error(`Could not save note: ${error.message}`));
+    setBody("");
+  };
+
+  const handleDelete = (note) => {
+    if (!window.confirm("Delete this note?")) return;
+    studentNoteRepository.remove(note.id)
+      .catch((error) => toast.error(`Could not delete note: ${error.message}`));
+  };
+
+  return (
+    <section className="mb-8" aria-labelledby="notes-title">
+      <SectionTitle id="notes-title">📝 Notes</SectionTitle>
+      <div className="flex flex-col md:flex-row gap-3 mb-4">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={2}
+          placeholder="e.g., Met with the student about the missed midterm; make-up exam set for Friday."
+          aria-label="New note"
+          className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+        />
+        <button
+          onClick={handleAdd}
+          className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl whitespace-nowrap self-start"
+        >
+          ➕ Add Note
+        </button>
+      </div>
+      {studentNotes.length === 0 ? (
+        <p className="p-4 rounded-xl border border-gray-200 text-center text-gray-500">No notes yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {studentNotes.map(note => (
+            <li key={note.id} className="p-4 rounded-xl border border-gray-200 bg-white">
+              <p className="text-gray-800 whitespace-pre-line">{note.body}</p>
+              <div className="flex justify-between items-center gap-2 mt-2 text-xs text-gray-500">
+                <span>
+                  {note.authorName} · <time dateTime={note.createdAt}>{new Date(note.createdAt).toLocaleString()}</time>
+                </span>
+                {canDeleteNote(user, note) && (
+                  <button
+                    onClick={() => handleDelete(note)}
+                    className="text-red-600 hover:text-red-700 transition font-semibold px-2 py-1 rounded hover:bg-red-50"
+                  >
+                    🗑️ Delete
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+// ----------------------------------------------------
+// --- STUDENT DETAIL PAGE (Full academic profile, deep-linkable) ---
+// ----------------------------------------------------
+const StudentDetailPage = () => {
+  const { id } = useParams();
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const grades = useRecords(gradeRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const sessions = useRecords(attendanceSessionRepository);
+  const attendanceRecords = useRecords(attendanceRecordRepository);
+  const auditEntries = useRecords(gradeAuditRepository);
+  const { terms } = useSelectedTerm();
+  const [showReportCard, setShowReportCard] = useState(false);
+
+  const student = students.find(s => s.id === id);
+  const lookups = useMemo(() => ({
+    studentsById: indexById(students),
+    subjectsById: indexById(subjects),
+    termsById: indexById(terms),
+  }), [students, subjects, terms]);
+  const scalesBySubject = useMemo(() => indexScalesBySubject(subjects, gradingScales), [subjects, gradingScales]);
+  const attendance = useMemo(() => ({ sections, sessions, records: attendanceRecords }), [sections, sessions, attendanceRecords]);
+
+  const myGrades = useMemo(() => grades.filter(grade => grade.studentId === id), [grades, id]);
+  const { subjects: subjectSummaries, overall } = useMemo(
+    () => collectStudentGrades(id, { grades, students, subjects, gradingScales, attendance }),
+    [id, grades, students, subjects, gradingScales, attendance]
+  );
+  const transcript = useMemo(
+    () => (student ? buildTranscript(student, { grades, subjects, gradingScales, terms }) : null),
+    [student, grades, subjects, gradingScales, terms]
+  );
+  const attendanceSummary = useMemo(
+    () => summarizeAttendance(attendanceRecords.filter(record => record.studentId === id)),
+    [attendanceRecords, id]
+  );
+
+  // Every section the student is enrolled in, newest term first
+  const enrolledSections = useMemo(() => {
+    const sectionsById = indexById(sections);
+    return enrollments
+      .filter(enrollment => enrollment.studentId === id)
+      .map(enrollment => sectionsById.get(enrollment.sectionId))
+      .filter(Boolean)
+      .map(section => {
+        const subject = lookups.subjectsById.get(section.subjectId);
+        const { score } = computeFinalGrade(
+          myGrades.filter(grade => grade.subjectId === section.subjectId && resolveGradeTerm(grade, terms)?.id === section.termId),
+          subject,
+          { closed: isTermClosed(lookups.termsById.get(section.termId)) }
+        );
+        return {
+          section,
+          subject,
+          term: lookups.termsById.get(section.termId),
+          score,
+          letter: score !== null ? getLetterGrade(score, scalesBySubject.get(section.subjectId)) : null,
+          attendance: getSectionAttendance(section.id, attendance).get(id)?.rate ?? null,
+        };
+      })
+      .sort((a, b) => (b.term?.startDate ?? '').localeCompare(a.term?.startDate ?? '') ||
+        getSectionLabel(a.section, a.subject).localeCompare(getSectionLabel(b.section, b.subject)));
+  }, [id, sections, enrollments, myGrades, terms, lookups, scalesBySubject, attendance]);
+
+  const gradeRows = useMemo(
+    () => [...myGrades]
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+      .map(grade => {
+        const { subject, subjectCode } = describeGrade(grade, lookups.studentsById, lookups.subjectsById);
+        const term = resolveGradeTerm(grade, terms);
+        return {
+          grade,
+          subjectCode,
+          assessment: [subject?.components?.find(component => component.id === grade.componentId)?.name, grade.assessment].filter(Boolean).join(' · '),
+          letter: getLetterGrade(grade.score, scalesBySubject.get(grade.subjectId)),
+          term,
+        };
+      }),
+    [myGrades, lookups, terms, scalesBySubject]
+  );
+
+  const history = useMemo(() => filterAuditEntries(auditEntries, { studentId: id }), [auditEntries, id]);
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => toast.success("Link copied."))
+      .catch((error) => toast.error(`Could not copy the link: ${error.message}`));
+  };
+
+  if (!student) {
+    return (
+      <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+        <div className="max-w-xl mx-auto bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-8 border border-white text-center">
+          <DataStatusBanner repository={studentRepository} label="students" />
+          <div className="text-6xl mb-4">🔎</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Student not found</h1>
+          <p className="text-gray-600 mb-4">
+            This student record does not exist, or it was deleted.
+          </p>
+          <Link to="/students" className="text-indigo-600 hover:text-indigo-700 font-semibold">← All students</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          <Link to="/students" className="text-sm text-indigo-600 hover:text-indigo-700 font-semibold">← All students</Link>
+
+          {/* Header */}
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mt-2 mb-6 gap-4">
+            <div>
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <h1 className="text-4xl font-bold text-gray-800">{getStudentName(student)}</h1>
+                {isArchived(student) ? (
+                  <span className="bg-gray-200 text-gray-700 px-3 py-1 rounded-full text-sm font-bold">🗄️ Archived</span>
+                ) : <StudentStatusBadge status={student.status} />}
+              </div>
+              <p className="text-gray-600">
+                {student.studentId} · {student.major} · {student.email}
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={handleCopyLink}
+                className="flex items-center gap-2 bg-white hover:bg-indigo-50 text-indigo-700 border-2 border-indigo-200 px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl"
+              >
+                <span className="text-xl">🔗</span>
+                <span className="font-semibold">Copy Link</span>
+              </button>
+              <button
+                onClick={() => setShowReportCard(true)}
+                className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl"
+              >
+                <span className="text-xl">📄</span>
+                <span className="font-semibold">Report Card</span>
+              </button>
+            </div>
+          </div>
+
+          <DataStatusBanner repository={gradeRepository} label="grades" />
+
+          {/* Stats */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+            <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+              <div className="text-3xl font-bold text-indigo-600">{formatGpa(transcript.cumulativeGpa)}</div>
+              <div className="text-sm text-gray-600">Cumulative GPA · {transcript.totalCredits} credits</div>
+            </div>
+            <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-4 rounded-xl border border-purple-200">
+              <div className="text-3xl font-bold text-purple-600">
+                {overall.average !== null ? `${overall.average.toFixed(1)}%` : 'N/A'}
+              </div>
+              <div className="text-sm text-gray-600">Average Score</div>
+            </div>
+            <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border border-green-200">
+              <div className="text-3xl font-bold text-green-600">{formatAttendanceRate(attendanceSummary.rate)}</div>
+              <div className="text-sm text-gray-600">
+                Attendance · {attendanceSummary.absent} {attendanceSummary.absent === 1 ? 'absence' : 'absences'}, {attendanceSummary.late} late
+              </div>
+            </div>
+            <div className="bg-gradient-to-br from-pink-50 to-pink-100 p-4 rounded-xl border border-pink-200 flex flex-col justify-center gap-2">
+              <TrendBadge trend={overall.trend} />
+              <div className="text-sm text-gray-600">Overall Trend</div>
+            </div>
+          </div>
+
+          {/* Profile and status history */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+            <section aria-labelledby="profile-title">
+              <SectionTitle id="profile-title">👤 Profile</SectionTitle>
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-4 rounded-xl border border-gray-200 bg-white">
+                {PROFILE_FIELDS.map(({ key, label }) => (
+                  <div key={key}>
+                    <dt className="text-sm font-semibold text-gray-500">{label}</dt>
+                    <dd className="text-gray-800">
+                      {key === 'enrollmentDate' ? new Date(student.enrollmentDate).toLocaleDateString() : (student[key] || '—')}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+            <section aria-labelledby="status-history-title">
+              <SectionTitle id="status-history-title">🕘 Status History</SectionTitle>
+              <ol className="p-4 rounded-xl border border-gray-200 bg-white space-y-3">
+                {[...(student.statusHistory ?? [])].reverse().map((change, index) => (
+                  <li key={`${change.changedAt}-${index}`} className="flex justify-between items-center gap-3 text-sm">
+                    <StudentStatusBadge status={change.status} />
+                    <span className="text-gray-500 text-right">
+                      <time dateTime={change.changedAt}>{new Date(change.changedAt).toLocaleDateString()}</time> · {change.changedByName}
+                    </span>
+                  </li>
+                ))}
+                {(student.statusHistory ?? []).length === 0 && (
+                  <li className="flex justify-between items-center gap-3 text-sm">
+                    <StudentStatusBadge status={student.status} />
+                    <span className="text-gray-500">Since before status changes were recorded</span>
+                  </li>
+                )}
+              </ol>
+            </section>
+          </div>
+
+          {/* Enrolled subjects */}
+          <section className="mb-8" aria-labelledby="enrolled-title">
+            <SectionTitle id="enrolled-title">📚 Enrolled Subjects</SectionTitle>
+            <div className="overflow-x-auto rounded-xl border border-gray-200">
+              <table className="min-w-full bg-white text-sm">
+                <thead>
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Section</th>
+                    <th className="py-3 px-4 text-left font-semibold">Subject</th>
+                    <th className="py-3 px-4 text-left font-semibold">Term</th>
+                    <th className="py-3 px-4 text-left font-semibold">Instructor</th>
+                    <th className="py-3 px-4 text-center font-semibold">Attendance</th>
+                    <th className="py-3 px-4 text-center font-semibold">Final Grade</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {enrolledSections.length > 0 ? (
+                    enrolledSections.map(({ section, subject, term, score, letter, attendance: rate }) => (
+                      <tr key={section.id} className="border-b">
+                        <td className="py-3 px-4 whitespace-nowrap">
+                          <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm font-bold">
+                            {getSectionLabel(section, subject)}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-gray-800">{subject?.name ?? 'Unknown subject'}</td>
+                        <td className="py-3 px-4 text-gray-700 whitespace-nowrap">{term ? getTermLabel(term) : 'No term'}</td>
+                        <td className="py-3 px-4 text-gray-700 whitespace-nowrap">{section.instructor}</td>
+                        <td className="py-3 px-4 text-center text-gray-700 whitespace-nowrap">{formatAttendanceRate(rate)}</td>
+                        <td className="py-3 px-4 text-center font-bold text-indigo-600 whitespace-nowrap">
+                          {score !== null ? <>{score.toFixed(1)}% <span className="text-gray-600">({letter})</span></> : <span className="font-normal text-gray-400">No scores yet</span>}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center py-8 text-gray-500">Not enrolled in any section.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* Grades by subject */}
+          <section className="mb-8" aria-labelledby="subjects-title">
+            <SectionTitle id="subjects-title">📈 Subjects and Trends</SectionTitle>
+            <div className="overflow-x-auto rounded-xl border border-gray-200">
+              <table className="min-w-full bg-white text-sm">
+                <thead>
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Subject</th>
+                    <th className="py-3 px-4 text-center font-semibold">Final Grade</th>
+                    <th className="py-3 px-4 text-center font-semibold">Attendance</th>
+                    <th className="py-3 px-4 text-center font-semibold">Trend</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {subjectSummaries.length > 0 ? (
+                    subjectSummaries.map(summary => (
+                      <tr key={summary.subject} className="border-b">
+                        <td className="py-3 px-4 font-semibold text-gray-800 whitespace-nowrap">{summary.subject}</td>
+                        <td className="py-3 px-4 text-center font-bold text-indigo-600 whitespace-nowrap">
+                          {summary.finalGrade !== null ? `${summary.finalGrade.toFixed(1)}%` : 'N/A'} <span className="text-gray-600">({summary.grade})</span>
+                        </td>
+                        <td className="py-3 px-4 text-center text-gray-700 whitespace-nowrap">{formatAttendanceRate(summary.attendance)}</td>
+                        <td className="py-3 px-4 text-center"><TrendBadge trend={summary.trend} /></td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="4" className="text-center py-8 text-gray-500">No grades recorded yet.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* Every grade */}
+          <section className="mb-8" aria-labelledby="grades-title">
+            <SectionTitle id="grades-title">🧾 Every Grade</SectionTitle>
+            <div className="overflow-x-auto rounded-xl border border-gray-200 max-h-96 overflow-y-auto">
+              <table className="min-w-full bg-white text-sm">
+                <thead className="sticky top-0">
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Date</th>
+                    <th className="py-3 px-4 text-left font-semibold">Subject</th>
+                    <th className="py-3 px-4 text-left font-semibold">Assessment</th>
+                    <th className="py-3 px-4 text-left font-semibold">Term</th>
+                    <th className="py-3 px-4 text-center font-semibold">Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {gradeRows.length > 0 ? (
+                    gradeRows.map(({ grade, subjectCode, assessment, letter, term }) => (
+                      <tr key={grade.id} className="border-b">
+                        <td className="py-3 px-4 text-gray-600 whitespace-nowrap">{grade.date ? new Date(grade.date).toLocaleDateString() : '—'}</td>
+                        <td className="py-3 px-4 whitespace-nowrap">
+                          <span className="bg-indigo-100 text-indigo-700 px-3 py-1 rounded-full text-xs font-bold">{subjectCode}</span>
+                        </td>
+                        <td className="py-3 px-4 text-gray-700">{assessment || '—'}</td>
+                        <td className="py-3 px-4 text-gray-700 whitespace-nowrap">{term ? getTermLabel(term) : 'No term'}</td>
+                        <td className="py-3 px-4 text-center font-bold text-indigo-600 whitespace-nowrap">
+                          {grade.score}% <span className="text-gray-600">({letter})</span>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="5" className="text-center py-8 text-gray-500">No grades recorded yet.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <Transcript student={student} grades={grades} subjects={subjects} gradingScales={gradingScales} terms={terms} />
+
+          {/* Audit history */}
+          <section className="mb-8" aria-labelledby="audit-title">
+            <SectionTitle id="audit-title">🕵️ Grade Changes</SectionTitle>
+            {history.length === 0 ? (
+              <p className="p-4 rounded-xl border border-gray-200 text-center text-gray-500">No grade changes recorded.</p>
+            ) : (
+              <ol className="space-y-3 max-h-96 overflow-y-auto">
+                {history.map(entry => (
+                  <li key={entry.id} className="p-4 rounded-xl border border-gray-200 bg-white text-sm">
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                      <span className="flex items-center gap-2">
+                        <AuditActionBadge action={entry.action} />
+                        <span className="bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full text-xs font-bold">
+                          {lookups.subjectsById.get(entry.subjectId)?.code ?? 'Deleted subject'}
+                        </span>
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        {entry.changedByName} · <time dateTime={entry.changedAt}>{new Date(entry.changedAt).toLocaleString()}</time>
+                      </span>
+                    </div>
+                    <AuditEntryChanges entry={entry} lookups={lookups} />
+                    {entry.reason && <p className="mt-2 text-gray-600 italic">“{entry.reason}”</p>}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+
+          <StudentNotes studentId={student.id} />
+
+          <StudentProgressReport studentId={student.id} />
+        </div>
+      </div>
+
+      {showReportCard && (
+        <ReportCardModal
+          students={students}
+          initialStudentId={student.id}
+          handleCloseModal={() => setShowReportCard(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default StudentDetailPage;
@@ -0,0 +1,271 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { attendanceRecordRepository, attendanceSessionRepository, enrollmentRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentRepository, subjectRepository } from "../lib/data";
+import { computeFinalGrade } from "../lib/assessments";
+import { formatAttendanceRate, getSectionAttendance } from "../lib/attendance";
+import { useAuth } from "../lib/auth";
+import { getSectionLabel } from "../lib/enrollment";
+import { getLetterGrade, indexScalesBySubject } from "../lib/grading";
+import { STUDENT_EDITABLE_FIELDS } from "../lib/permissions";
+import { getStudentName, indexById, validateStudent } from "../lib/records";
+import { buildReportCards, downloadReportCards } from "../lib/reportCards";
+import { getTermLabel, isTermClosed, resolveGradeTerm, suggestTermForDate } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { useSelectedTerm } from "../lib/useTermFilter";
+import DataStatusBanner from "../components/DataStatusBanner";
+import StudentProgressReport from "../components/StudentProgressReport";
+import Transcript from "../components/Transcript";
+
+// The fields of the student form, in the same order
+const PROFILE_FIELDS = [
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'studentId', label: 'Student ID' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'enrollmentDate', label: 'Enrollment Date' },
+  { key: 'major', label: 'Major' },
+  { key: 'status', label: 'Status' },
+];
+
+// ----------------------------------------------------
+// --- PROFILE CARD (Read-only except the editable fields) ---
+// ----------------------------------------------------
+const ProfileCard = ({ student }) => {
+  const [changes, setChanges] = useState({});
+  const dirty = Object.keys(changes).some(key => changes[key] !== student[key]);
+
+  const handleSave = () => {
+    const updated = { ...student, ...changes };
+    const problem = validateStudent(updated);
+    if (problem) {
+      alert(`Validation failed: ${problem}`);
+      return;
+    }
+    studentRepository.update(student.id, changes)
+      .then(() => toast.success("Profile updated."))
+      .catch((error) => toast.error(`Could not save profile: ${error.message}`));
+    setChanges({});
+  };
+
+  return (
+    <section className="mb-8" aria-labelledby="profile-title">
+      <h2 id="profile-title" className="text-xl font-bold text-gray-800 mb-3">👤 Profile</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {PROFILE_FIELDS.map(({ key, label }) => (
+          <div key={key}>
+            <label htmlFor={`profile-${key}`} className="block text-sm font-semibold text-gray-700 mb-2">{label}</label>
+            {STUDENT_EDITABLE_FIELDS.includes(key) ? (
+              <input
+                id={`profile-${key}`}
+                type={key === 'phone' ? 'tel' : 'text'}
+                value={changes[key] ?? student[key] ?? ""}
+                onChange={(e) => setChanges({ ...changes, [key]: e.target.value })}
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent outline-none transition"
+              />
+            ) : (
+              <input
+                id={`profile-${key}`}
+                type="text"
+                value={key === 'status' ? student.status.charAt(0).toUpperCase() + student.status.slice(1) : student[key] ?? ""}
+                readOnly
+                className="w-full px-4 py-3 border-2 border-gray-100 rounded-lg bg-gray-50 text-gray-600 outline-none"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between items-center gap-3 mt-4">
+        <p className="text-sm text-gray-500">To correct anything else, contact the registrar.</p>
+        <button
+          onClick={handleSave}
+          disabled={!dirty}
+          className="px-6 py-3 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white font-semibold transition shadow-lg hover:shadow-xl disabled:opacity-50"
+        >
+          Save Changes
+        </button>
+      </div>
+    </section>
+  );
+};
+
+// ----------------------------------------------------
+// --- STUDENT PORTAL PAGE (A signed-in student's own records) ---
+// ----------------------------------------------------
+const StudentPortalPage = () => {
+  const { user } = useAuth();
+  const students = useRecords(studentRepository);
+  const subjects = useRecords(subjectRepository);
+  const grades = useRecords(gradeRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const sessions = useRecords(attendanceSessionRepository);
+  const attendanceRecords = useRecords(attendanceRecordRepository);
+  const { terms, selectedTerm } = useSelectedTerm();
+  const [generating, setGenerating] = useState(false);
+
+  const student = students.find(s => s.id === user?.studentId);
+  const myGrades = useMemo(() => grades.filter(grade => grade.studentId === student?.id), [grades, student]);
+
+  // Sections the student is enrolled in, in the selected term, with their running final grade
+  const enrolledSubjects = useMemo(() => {
+    if (!student) return [];
+    const sectionsById = indexById(sections);
+    const subjectsById = indexById(subjects);
+    const termsById = indexById(terms);
+    const scalesBySubject = indexScalesBySubject(subjects, gradingScales);
+    return enrollments
+      .filter(enrollment => enrollment.studentId === student.id)
+      .map(enrollment => sectionsById.get(enrollment.sectionId))
+      .filter(section => section && (!selectedTerm || section.termId === selectedTerm.id))
+      .map(section => {
+        const subject = subjectsById.get(section.subjectId);
+        const { score } = computeFinalGrade(
+          myGrades.filter(grade => grade.subjectId === section.subjectId && grade.termId === section.termId),
+          subject,
+          { closed: isTermClosed(termsById.get(section.termId)) }
+        );
+        return {
+          section,
+          subject,
+          term: termsById.get(section.termId),
+          score,
+          letter: score !== null ? getLetterGrade(score, scalesBySubject.get(section.subjectId)) : null,
+          attendance: getSectionAttendance(section.id, { sections, sessions, records: attendanceRecords }).get(student.id)?.rate ?? null,
+        };
+      })
+      .sort((a, b) => getSectionLabel(a.section, a.subject).localeCompare(getSectionLabel(b.section, b.subject)));
+  }, [student, sections, subjects, terms, gradingScales, enrollments, sessions, attendanceRecords, myGrades, selectedTerm]);
+
+  // ✅ Report card for the term picked in the navbar, or every term
+  const handleDownloadReportCard = async () => {
+    setGenerating(true);
+    try {
+      const issuedOn = new Date().toISOString().split('T')[0];
+      const { name, schoolYear } = selectedTerm ?? suggestTermForDate(issuedOn);
+      const termGrades = selectedTerm
+        ? myGrades.filter(grade => resolveGradeTerm(grade, terms)?.id === selectedTerm.id)
+        : myGrades;
+      const attendance = {
+        sections: selectedTerm ? sections.filter(section => section.termId === selectedTerm.id) : sections,
+        sessions,
+        records: attendanceRecords,
+      };
+      const cards = buildReportCards([student], { grades: termGrades, subjects, gradingScales, terms, attendance });
+      await downloadReportCards(cards, { term: name, schoolYear, issuedOn }, `report-card-${student.studentId.toLowerCase()}.pdf`);
+      toast.success("Report card downloaded.");
+    } catch (err) {
+      toast.error(`Could not generate the PDF: ${err.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  if (!student) {
+    return (
+      <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8">
+        <div className="max-w-xl mx-auto bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-8 border border-white text-center">
+          <div className="text-6xl mb-4">🪪</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">No student record linked</h1>
+          <p className="text-gray-600">
+            Your account is not linked to a student record yet. Ask the registrar to link it.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-blue-50 to-indigo-100 p-4 sm:p-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          {/* Header */}
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+            <div>
+              <h1 className="text-4xl font-bold text-gray-800 mb-2">
+                Hi, {student.firstName} 👋
+              </h1>
+              <p className="text-gray-600">
+                {getStudentName(student)} · {student.studentId} · {student.major}
+              </p>
+            </div>
+            <button
+              onClick={handleDownloadReportCard}
+              disabled={generating}
+              className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl disabled:opacity-50"
+            >
+              <span className="text-xl">📄</span>
+              <span className="font-semibold">
+                {generating ? "Generating..." : `Report Card (${selectedTerm ? getTermLabel(selectedTerm) : "all terms"})`}
+              </span>
+            </button>
+          </div>
+
+          <DataStatusBanner repository={gradeRepository} label="grades" />
+
+          <ProfileCard key={student.id} student={student} />
+
+          {/* Enrolled subjects */}
+          <section className="mb-8" aria-labelledby="enrolled-title">
+            <h2 id="enrolled-title" className="text-xl font-bold text-gray-800 mb-3">
+              📚 Enrolled Subjects{selectedTerm && ` (${getTermLabel(selectedTerm)})`}
+            </h2>
+            <div className="overflow-x-auto rounded-xl border border-gray-200">
+              <table className="min-w-full bg-white text-sm">
+                <thead>
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Section</th>
+                    <th className="py-3 px-4 text-left font-semibold">Subject</th>
+                    <th className="py-3 px-4 text-left font-semibold">Schedule</th>
+                    <th className="py-3 px-4 text-left font-semibold">Instructor</th>
+                    <th className="py-3 px-4 text-center font-semibold">Attendance</th>
+                    <th className="py-3 px-4 text-center font-semibold">Grade so far</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {enrolledSubjects.length > 0 ? (
+                    enrolledSubjects.map(({ section, subject, term, score, letter, attendance }) => (
+                      <tr key={section.id} className="border-b">
+                        <td className="py-3 px-4 whitespace-nowrap">
+                          <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-sm font-bold">
+                            {getSectionLabel(section, subject)}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-gray-800">
+                          {subject?.name ?? 'Unknown subject'}
+                          {!selectedTerm && term && <div className="text-xs text-gray-500 mt-1">{getTermLabel(term)}</div>}
+                        </td>
+                        <td className="py-3 px-4 text-gray-700 whitespace-nowrap">
+                          {section.schedule}
+                          {section.room && <div className="text-xs text-gray-500 mt-1">{section.room}</div>}
+                        </td>
+                        <td className="py-3 px-4 text-gray-700 whitespace-nowrap">{section.instructor}</td>
+                        <td className="py-3 px-4 text-center text-gray-700 whitespace-nowrap">{formatAttendanceRate(attendance)}</td>
+                        <td className="py-3 px-4 text-center font-bold text-indigo-600 whitespace-nowrap">
+                          {score !== null ? <>{score.toFixed(1)}% <span className="text-gray-600">({letter})</span></> : <span className="font-normal text-gray-400">No scores yet</span>}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center py-8 text-gray-500">
+                        You are not enrolled in any section{selectedTerm && " this term"}.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <Transcript student={student} grades={myGrades} subjects={subjects} gradingScales={gradingScales} terms={terms} />
+
+          <StudentProgressReport studentId={student.id} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentPortalPage;
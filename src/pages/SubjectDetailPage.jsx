@@ -0,0 +1,328 @@
+import React, { useMemo } from "react";
+import { Link, useParams } from "react-router";
+import toast from "react-hot-toast";
+import { attendanceRecordRepository, attendanceSessionRepository, enrollmentRepository, gradeRepository, gradingScaleRepository, sectionRepository, studentRepository, subjectRepository } from "../lib/data";
+import { computeFinalGrade } from "../lib/assessments";
+import { formatAttendanceRate, getSectionAttendance } from "../lib/attendance";
+import { getSectionLabel } from "../lib/enrollment";
+import { indexScalesBySubject, resolveGrade } from "../lib/grading";
+import { describeGrade, getStudentName, indexById, isArchived } from "../lib/records";
+import { mean, median, standardDeviation } from "../lib/stats";
+import { getTermLabel, isTermClosed, resolveGradeTerm } from "../lib/terms";
+import { useRecords } from "../lib/useRecords";
+import { useSelectedTerm } from "../lib/useTermFilter";
+import DataStatusBanner from "../components/DataStatusBanner";
+import AIInsightsPanel from "../components/AIInsightsPanel";
+
+const formatScore = (score) => (score === null ? 'N/A' : `${score.toFixed(1)}%`);
+
+const SectionTitle = ({ id, children }) => (
+  <h2 id={id} className="text-xl font-bold text-gray-800 mb-3">{children}</h2>
+);
+
+// ----------------------------------------------------
+// --- LETTER DISTRIBUTION (Scores per band of the subject's scale) ---
+// ----------------------------------------------------
+const LetterDistribution = ({ bands }) => {
+  const maxCount = Math.max(1, ...bands.map(band => band.count));
+  return (
+    <div className="space-y-2 p-4 rounded-xl border border-gray-200 bg-white">
+      {bands.map(band => (
+        <div key={band.label} className="flex items-center gap-3 text-sm">
+          <span className="w-16 font-semibold text-gray-700 whitespace-nowrap">{band.label}</span>
+          <div className="flex-1 bg-gray-100 rounded-full h-4">
+            <div
+              className={`h-4 rounded-full ${band.passed ? 'bg-gradient-to-r from-indigo-500 to-purple-500' : 'bg-gradient-to-r from-red-400 to-pink-500'}`}
+              style={{ width: `${(band.count / maxCount) * 100}%` }}
+            />
+          </div>
+          <span className="w-8 text-right font-semibold text-gray-800">{band.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ----------------------------------------------------
+// --- SUBJECT DETAIL PAGE (Roster, grades and statistics, deep-linkable) ---
+// ----------------------------------------------------
+const SubjectDetailPage = () => {
+  const { id } = useParams();
+  const subjects = useRecords(subjectRepository);
+  const students = useRecords(studentRepository);
+  const grades = useRecords(gradeRepository);
+  const gradingScales = useRecords(gradingScaleRepository);
+  const sections = useRecords(sectionRepository);
+  const enrollments = useRecords(enrollmentRepository);
+  const sessions = useRecords(attendanceSessionRepository);
+  const attendanceRecords = useRecords(attendanceRecordRepository);
+  const { terms, selectedTerm } = useSelectedTerm();
+
+  const subject = subjects.find(s => s.id === id);
+  const scale = useMemo(() => indexScalesBySubject(subjects, gradingScales).get(id), [subjects, gradingScales, id]);
+  const studentsById = useMemo(() => indexById(students), [students]);
+  const subjectsById = useMemo(() => indexById(subjects), [subjects]);
+  const termsById = useMemo(() => indexById(terms), [terms]);
+
+  // Grades of the subject in the selected term (every term when none is selected)
+  const subjectGrades = useMemo(
+    () => grades
+      .filter(grade => grade.subjectId === id)
+      .map(grade => ({ grade, term: resolveGradeTerm(grade, terms) }))
+      .filter(({ term }) => !selectedTerm || term?.id === selectedTerm.id),
+    [grades, id, terms, selectedTerm]
+  );
+
+  const gradeRows = useMemo(
+    () => subjectGrades
+      .map(({ grade, term }) => ({
+        grade,
+        term,
+        studentName: describeGrade(grade, studentsById, subjectsById).studentName,
+        student: studentsById.get(grade.studentId),
+        assessment: [subject?.components?.find(component => component.id === grade.componentId)?.name, grade.assessment].filter(Boolean).join(' · '),
+        band: resolveGrade(grade.score, scale),
+      }))
+      .sort((a, b) => (b.grade.date || '').localeCompare(a.grade.date || '')),
+    [subjectGrades, studentsById, subjectsById, subject, scale]
+  );
+
+  const stats = useMemo(() => {
+    const scores = subjectGrades.map(({ grade }) => grade.score);
+    return { count: scores.length, mean: mean(scores), median: median(scores), standardDeviation: standardDeviation(scores) };
+  }, [subjectGrades]);
+
+  const bands = useMemo(
+    () => (scale?.bands ?? []).map(band => ({
+      label: band.label,
+      passed: band.passed,
+      count: gradeRows.filter(row => row.band?.label === band.label).length,
+    })),
+    [scale, gradeRows]
+  );
+
+  // Students enrolled in a section of the subject in the selected term
+  const roster = useMemo(() => {
+    const attendance = { sections, sessions, records: attendanceRecords };
+    return sections
+      .filter(section => section.subjectId === id && (!selectedTerm || section.termId === selectedTerm.id))
+      .flatMap(section => {
+        const sectionAttendance = getSectionAttendance(section.id, attendance);
+        return enrollments
+          .filter(enrollment => enrollment.sectionId === section.id && studentsById.has(enrollment.studentId))
+          .map(enrollment => {
+            const student = studentsById.get(enrollment.studentId);
+            const { score } = computeFinalGrade(
+              subjectGrades
+                .filter(({ grade, term }) => grade.studentId === student.id && term?.id === section.termId)
+                .map(({ grade }) => grade),
+              subject,
+              { closed: isTermClosed(termsById.get(section.termId)) }
+            );
+            return {
+              student,
+              section,
+              term: termsById.get(section.termId),
+              score,
+              letter: score !== null ? resolveGrade(score, scale)?.label : null,
+              attendance: sectionAttendance.get(student.id)?.rate ?? null,
+            };
+          });
+      })
+      .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName) || a.student.firstName.localeCompare(b.student.firstName));
+  }, [id, sections, sessions, attendanceRecords, enrollments, studentsById, subjectGrades, subject, scale, termsById, selectedTerm]);
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => toast.success("Link copied."))
+      .catch((error) => toast.error(`Could not copy the link: ${error.message}`));
+  };
+
+  if (!subject) {
+    return (
+      <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+        <div className="max-w-xl mx-auto bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-8 border border-white text-center">
+          <DataStatusBanner repository={subjectRepository} label="subjects" />
+          <div className="text-6xl mb-4">🔎</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Subject not found</h1>
+          <p className="text-gray-600 mb-4">
+            This subject does not exist, or it was deleted.
+          </p>
+          <Link to="/subjects" className="text-indigo-600 hover:text-indigo-700 font-semibold">← All subjects</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-[calc(100vh-64px)] bg-gradient-to-br from-indigo-50 to-purple-100 p-4 sm:p-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="bg-white/80 backdrop-blur-sm shadow-xl rounded-2xl p-6 sm:p-8 border border-white">
+          <Link to="/subjects" className="text-sm text-indigo-600 hover:text-indigo-700 font-semibold">← All subjects</Link>
+
+          {/* Header */}
+          <div className="flex flex-col md:flex-row justify-between items-start md:items-center mt-2 mb-6 gap-4">
+            <div>
+              <div className="flex flex-wrap items-center gap-3 mb-2">
+                <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-lg font-bold">{subject.code}</span>
+                <h1 className="text-4xl font-bold text-gray-800">{subject.name}</h1>
+                {isArchived(subject) && (
+                  <span className="bg-gray-200 text-gray-700 px-3 py-1 rounded-full text-sm font-bold">🗄️ Archived</span>
+                )}
+              </div>
+              <p className="text-gray-600">
+                {subject.credits} {subject.credits === 1 ? 'credit' : 'credits'} · {scale?.name} ·{" "}
+                {selectedTerm ? getTermLabel(selectedTerm) : 'All terms'}
+              </p>
+            </div>
+            <button
+              onClick={handleCopyLink}
+              className="flex items-center gap-2 bg-white hover:bg-indigo-50 text-indigo-700 border-2 border-indigo-200 px-6 py-3 rounded-lg transition-all shadow-lg hover:shadow-xl"
+            >
+              <span className="text-xl">🔗</span>
+              <span className="font-semibold">Copy Link</span>
+            </button>
+          </div>
+
+          <DataStatusBanner repository={gradeRepository} label="grades" />
+
+          {/* Description and assessment components */}
+          <div className="p-4 rounded-xl border border-gray-200 bg-white mb-8">
+            <p className={subject.description ? "text-gray-800 whitespace-pre-line" : "text-gray-500"}>
+              {subject.description || 'No description yet.'}
+            </p>
+            {subject.components?.length > 0 && (
+              <p className="text-sm text-gray-500 mt-2">
+                Final grade: {subject.components.map(component => `${component.name} ${component.weight}%`).join(' · ')}
+              </p>
+            )}
+          </div>
+
+          {/* Stats */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+            <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-4 rounded-xl border border-indigo-200">
+              <div className="text-3xl font-bold text-indigo-600">{stats.count}</div>
+              <div className="text-sm text-gray-600">Scores Recorded · {roster.length} enrolled</div>
+            </div>
+            <div className="bg-gradient-to-br from-purple-50 to-purple-100 p-4 rounded-xl border border-purple-200">
+              <div className="text-3xl font-bold text-purple-600">{formatScore(stats.mean)}</div>
+              <div className="text-sm text-gray-600">Mean</div>
+            </div>
+            <div className="bg-gradient-to-br from-pink-50 to-pink-100 p-4 rounded-xl border border-pink-200">
+              <div className="text-3xl font-bold text-pink-600">{formatScore(stats.median)}</div>
+              <div className="text-sm text-gray-600">Median</div>
+            </div>
+            <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 rounded-xl border border-green-200">
+              <div className="text-3xl font-bold text-green-600">
+                {stats.standardDeviation !== null ? stats.standardDeviation.toFixed(1) : 'N/A'}
+              </div>
+              <div className="text-sm text-gray-600">Standard Deviation</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+            {/* Letter distribution */}
+            <section aria-labelledby="distribution-title">
+              <SectionTitle id="distribution-title">📊 Letter Distribution</SectionTitle>
+              <LetterDistribution bands={bands} />
+            </section>
+
+            {/* Roster */}
+            <section className="lg:col-span-2" aria-labelledby="roster-title">
+              <SectionTitle id="roster-title">👥 Enrolled Students</SectionTitle>
+              <div className="overflow-x-auto rounded-xl border border-gray-200 max-h-96 overflow-y-auto">
+                <table className="min-w-full bg-white text-sm">
+                  <thead className="sticky top-0">
+                    <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                      <th className="py-3 px-4 text-left font-semibold">Student</th>
+                      <th className="py-3 px-4 text-left font-semibold">Section</th>
+                      <th className="py-3 px-4 text-left font-semibold">Term</th>
+                      <th className="py-3 px-4 text-center font-semibold">Attendance</th>
+                      <th className="py-3 px-4 text-center font-semibold">Final Grade</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {roster.length > 0 ? (
+                      roster.map(({ student, section, term, score, letter, attendance }) => (
+                        <tr key={`${section.id}-${student.id}`} className="border-b">
+                          <td className="py-3 px-4 font-semibold text-gray-800">
+                            <Link to={`/students/${student.id}`} className="hover:text-indigo-600 hover:underline transition">
+                              {getStudentName(student)}
+                            </Link>
+                            <div className="text-xs font-normal text-gray-500">{student.studentId}</div>
+                          </td>
+                          <td className="py-3 px-4 whitespace-nowrap">
+                            <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full text-xs font-bold">
+                              {getSectionLabel(section, subject)}
+                            </span>
+                          </td>
+                          <td className="py-3 px-4 text-gray-700 whitespace-nowrap">{term ? getTermLabel(term) : 'No term'}</td>
+                          <td className="py-3 px-4 text-center text-gray-700 whitespace-nowrap">{formatAttendanceRate(attendance)}</td>
+                          <td className="py-3 px-4 text-center font-bold text-indigo-600 whitespace-nowrap">
+                            {score !== null ? <>{score.toFixed(1)}% <span className="text-gray-600">({letter})</span></> : <span className="font-normal text-gray-400">No scores yet</span>}
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="5" className="text-center py-8 text-gray-500">No students are enrolled in a section of this subject.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          </div>
+
+          {/* Every grade */}
+          <section className="mb-8" aria-labelledby="grades-title">
+            <SectionTitle id="grades-title">🧾 Every Grade</SectionTitle>
+            <div className="overflow-x-auto rounded-xl border border-gray-200 max-h-96 overflow-y-auto">
+              <table className="min-w-full bg-white text-sm">
+                <thead className="sticky top-0">
+                  <tr className="bg-gradient-to-r from-indigo-500 to-purple-500 text-white">
+                    <th className="py-3 px-4 text-left font-semibold">Date</th>
+                    <th className="py-3 px-4 text-left font-semibold">Student</th>
+                    <th className="py-3 px-4 text-left font-semibold">Assessment</th>
+                    <th className="py-3 px-4 text-left font-semibold">Term</th>
+                    <th className="py-3 px-4 text-center font-semibold">Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {gradeRows.length > 0 ? (
+                    gradeRows.map(({ grade, term, student, studentName, assessment, band }) => (
+                      <tr key={grade.id} className="border-b">
+                        <td className="py-3 px-4 text-gray-600 whitespace-nowrap">{grade.date ? new Date(grade.date).toLocaleDateString() : '—'}</td>
+                        <td className="py-3 px-4 text-gray-800 font-semibold">
+                          {student ? (
+                            <Link to={`/students/${student.id}`} className="hover:text-indigo-600 hover:underline transition">
+                              {studentName}
+                            </Link>
+                          ) : studentName}
+                        </td>
+                        <td className="py-3 px-4 text-gray-700">{assessment || '—'}</td>
+                        <td className="py-3 px-4 text-gray-700 whitespace-nowrap">{term ? getTermLabel(term) : 'No term'}</td>
+                        <td className="py-3 px-4 text-center font-bold text-indigo-600 whitespace-nowrap">
+                          {grade.score}% <span className="text-gray-600">({band?.label ?? 'N/A'})</span>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="5" className="text-center py-8 text-gray-500">No grades recorded yet.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          {/* AI Insights */}
+          <AIInsightsPanel subjects={[subject]} initialSubjectId={subject.id} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubjectDetailPage;
@@ -0,0 +1,47 @@
+-- Core tables for students, subjects and grades.
+-- Column names are the snake_case form of the fields used in the app
+-- (see src/lib/data.js); src/lib/supabaseBackend.js converts between them.
+
+create table if not exists public.students (
+  id text primary key default gen_random_uuid()::text,
+  student_id text not null unique,
+  first_name text not null,
+  last_name text not null,
+  email text not null,
+  phone text,
+  enrollment_date date not null,
+  major text not null,
+  status text not null default 'active'
+    check (status in ('active', 'inactive', 'graduated', 'suspended')),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.subjects (
+  id text primary key default gen_random_uuid()::text,
+  code text not null unique,
+  name text not null,
+  credits integer not null check (credits between 1 and 6),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.grades (
+  id text primary key default gen_random_uuid()::text,
+  student_name text not null,
+  subject_code text not null,
+  score numeric(5, 2) not null check (score between 0 and 100),
+  date date not null default current_date,
+  created_at timestamptz not null default now()
+);
+
+-- The whole department shares these records. Access is open to the anon key
+-- for now; role-based policies replace these once authentication is in place.
+alter table public.students enable row level security;
+alter table public.subjects enable row level security;
+alter table public.grades enable row level security;
+
+create policy "Department can manage students" on public.students
+  for all to anon, authenticated using (true) with check (true);
+create policy "Department can manage subjects" on public.subjects
+  for all to anon, authenticated using (true) with check (true);
+create policy "Department can manage grades" on public.grades
+  for all to anon, authenticated using (true) with check (true);
@@ -0,0 +1,27 @@
+-- Grades reference students and subjects by id instead of by the free-text
+-- student name and subject code. Existing rows are linked where the name/code
+-- matches a record; the old columns are kept (now optional) so unmatched
+-- grades still show which student/subject they were entered for.
+
+alter table public.grades
+  add column if not exists student_id text references public.students (id),
+  add column if not exists subject_id text references public.subjects (id);
+
+update public.grades g
+set student_id = s.id
+from public.students s
+where g.student_id is null
+  and lower(trim(g.student_name)) = lower(trim(s.first_name || ' ' || s.last_name));
+
+update public.grades g
+set subject_id = sub.id
+from public.subjects sub
+where g.subject_id is null
+  and lower(trim(g.subject_code)) = lower(trim(sub.code));
+
+alter table public.grades
+  alter column student_name drop not null,
+  alter column subject_code drop not null;
+
+create index if not exists grades_student_id_idx on public.grades (student_id);
+create index if not exists grades_subject_id_idx on public.grades (subject_id);
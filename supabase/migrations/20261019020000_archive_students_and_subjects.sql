@@ -0,0 +1,6 @@
+-- Students and subjects can be archived instead of deleted, so grades that
+-- reference them stay valid. Hard deletes of referenced rows are still
+-- rejected by the grades foreign keys unless the app cascades them first.
+
+alter table public.students add column if not exists archived_at timestamptz;
+alter table public.subjects add column if not exists archived_at timestamptz;
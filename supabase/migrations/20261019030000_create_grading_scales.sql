@@ -0,0 +1,55 @@
+-- Named grading scales that turn scores into marks (see src/lib/grading.js).
+-- Bands are stored as a JSON array of { min, label, points, passed }, highest
+-- min first. Subjects without a scale use 'us-letter'.
+
+create table if not exists public.grading_scales (
+  id text primary key default gen_random_uuid()::text,
+  name text not null,
+  bands jsonb not null check (jsonb_typeof(bands) = 'array'),
+  created_at timestamptz not null default now()
+);
+
+alter table public.grading_scales enable row level security;
+
+create policy "Department can manage grading scales" on public.grading_scales
+  for all to anon, authenticated using (true) with check (true);
+
+-- The built-in scales (mirrors INITIAL_GRADING_SCALES in src/lib/seedData.js).
+-- The app only seeds collections that were never stored, which never applies
+-- to a Supabase table, so they are inserted here.
+insert into public.grading_scales (id, name, bands)
+values
+  ('us-letter', 'US Letter (A-F)', '[
+    {"min": 93, "label": "A", "points": 4.0, "passed": true},
+    {"min": 90, "label": "A-", "points": 3.7, "passed": true},
+    {"min": 87, "label": "B+", "points": 3.3, "passed": true},
+    {"min": 83, "label": "B", "points": 3.0, "passed": true},
+    {"min": 80, "label": "B-", "points": 2.7, "passed": true},
+    {"min": 77, "label": "C+", "points": 2.3, "passed": true},
+    {"min": 73, "label": "C", "points": 2.0, "passed": true},
+    {"min": 70, "label": "C-", "points": 1.7, "passed": true},
+    {"min": 67, "label": "D+", "points": 1.3, "passed": true},
+    {"min": 63, "label": "D", "points": 1.0, "passed": true},
+    {"min": 60, "label": "D-", "points": 0.7, "passed": true},
+    {"min": 0, "label": "F", "points": 0.0, "passed": false}
+  ]'),
+  ('ph-1-5', 'Philippine (1.0-5.0)', '[
+    {"min": 97, "label": "1.00", "points": 4.0, "passed": true},
+    {"min": 94, "label": "1.25", "points": 3.7, "passed": true},
+    {"min": 91, "label": "1.50", "points": 3.3, "passed": true},
+    {"min": 88, "label": "1.75", "points": 3.0, "passed": true},
+    {"min": 85, "label": "2.00", "points": 2.7, "passed": true},
+    {"min": 82, "label": "2.25", "points": 2.3, "passed": true},
+    {"min": 79, "label": "2.50", "points": 2.0, "passed": true},
+    {"min": 76, "label": "2.75", "points": 1.7, "passed": true},
+    {"min": 75, "label": "3.00", "points": 1.0, "passed": true},
+    {"min": 0, "label": "5.00", "points": 0.0, "passed": false}
+  ]'),
+  ('pass-fail', 'Pass/Fail', '[
+    {"min": 75, "label": "Passed", "points": null, "passed": true},
+    {"min": 0, "label": "Failed", "points": null, "passed": false}
+  ]')
+on conflict (id) do nothing;
+
+alter table public.subjects
+  add column if not exists grading_scale_id text references public.grading_scales (id) on delete set null;
@@ -0,0 +1,8 @@
+-- Subjects can split their final grade into weighted assessment components
+-- (quizzes, exams, projects). They are stored inline as a jsonb array of
+-- { id, name, weight }, and each grade names the component it counts towards.
+
+alter table public.subjects add column if not exists components jsonb not null default '[]'::jsonb;
+
+alter table public.grades add column if not exists component_id text;
+alter table public.grades add column if not exists assessment text;
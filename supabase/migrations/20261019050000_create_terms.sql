@@ -0,0 +1,60 @@
+-- Academic terms (see src/lib/terms.js). At most one term is active; new
+-- grades go to it by default. Closed terms lock their grades in the app.
+
+create table if not exists public.terms (
+  id text primary key default gen_random_uuid()::text,
+  name text not null,
+  school_year text not null,
+  start_date date not null,
+  end_date date not null check (end_date >= start_date),
+  status text not null default 'open' check (status in ('open', 'active', 'closed')),
+  closed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists terms_one_active on public.terms (status) where status = 'active';
+
+alter table public.terms enable row level security;
+
+create policy "Department can manage terms" on public.terms
+  for all to anon, authenticated using (true) with check (true);
+
+alter table public.grades add column if not exists term_id text references public.terms (id) on delete restrict;
+
+-- Existing grades go to the term their date falls in, on the calendar of
+-- suggestTermForDate: August-December is the first semester, January-May
+-- the second and June-July the summer term. Ids match the ones the app's
+-- data migration picks, so browsers upgrading their cache reuse these terms.
+with dated as (
+  select
+    g.id as grade_id,
+    case when extract(month from g.date) >= 8 then extract(year from g.date)::int else extract(year from g.date)::int - 1 end as start_year,
+    case when extract(month from g.date) >= 8 then 1 when extract(month from g.date) <= 5 then 2 else 3 end as term_number
+  from public.grades g
+  where g.term_id is null and g.date is not null
+),
+suggested as (
+  select distinct
+    start_year || '-' || (start_year + 1) || '-' || term_number as id,
+    (array['First Semester', 'Second Semester', 'Summer'])[term_number] as name,
+    start_year || '-' || (start_year + 1) as school_year,
+    case term_number
+      when 1 then make_date(start_year, 8, 1)
+      when 2 then make_date(start_year + 1, 1, 1)
+      else make_date(start_year + 1, 6, 1)
+    end as start_date,
+    case term_number
+      when 1 then make_date(start_year, 12, 31)
+      when 2 then make_date(start_year + 1, 5, 31)
+      else make_date(start_year + 1, 7, 31)
+    end as end_date
+  from dated
+)
+insert into public.terms (id, name, school_year, start_date, end_date)
+select id, name, school_year, start_date, end_date from suggested
+on conflict (id) do nothing;
+
+update public.grades g
+set term_id = t.id
+from public.terms t
+where g.term_id is null and g.date between t.start_date and t.end_date;
@@ -0,0 +1,35 @@
+-- Class sections (a subject taught in a term) and the students enrolled in
+-- them (see src/lib/enrollment.js). The app keeps one section per student,
+-- subject and term; grades stay linked to the student, subject and term.
+
+create table if not exists public.sections (
+  id text primary key default gen_random_uuid()::text,
+  subject_id text not null references public.subjects (id) on delete cascade,
+  term_id text references public.terms (id) on delete restrict,
+  code text not null,
+  schedule text not null default '',
+  room text not null default '',
+  instructor text not null default '',
+  created_at timestamptz not null default now(),
+  unique (subject_id, term_id, code)
+);
+
+create table if not exists public.enrollments (
+  id text primary key default gen_random_uuid()::text,
+  section_id text not null references public.sections (id) on delete cascade,
+  student_id text not null references public.students (id) on delete cascade,
+  enrolled_on date not null default current_date,
+  created_at timestamptz not null default now(),
+  unique (section_id, student_id)
+);
+
+create index if not exists enrollments_student_id_idx on public.enrollments (student_id);
+
+alter table public.sections enable row level security;
+alter table public.enrollments enable row level security;
+
+create policy "Department can manage sections" on public.sections
+  for all to anon, authenticated using (true) with check (true);
+
+create policy "Department can manage enrollments" on public.enrollments
+  for all to anon, authenticated using (true) with check (true);
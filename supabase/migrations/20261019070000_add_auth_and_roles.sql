@@ -0,0 +1,157 @@
+-- Supabase Auth accounts with a role each (see src/lib/auth.js and
+-- src/lib/permissions.js). Replaces the open "Department can manage" policies:
+--   admin      manages every record and account;
+--   instructor reads every record and grades the students of their sections;
+--   student    reads their own student record, enrollments and grades.
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  full_name text not null default '',
+  role text not null default 'student' check (role in ('admin', 'instructor', 'student')),
+  student_id text references public.students (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- Every new account gets a profile; an admin then sets its role.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, full_name)
+  values (new.id, coalesce(new.raw_user_meta_data ->> 'full_name', ''))
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+alter table public.sections
+  add column if not exists instructor_id uuid references public.profiles (id) on delete set null;
+
+create index if not exists sections_instructor_id_idx on public.sections (instructor_id);
+
+-- Helpers for the policies. Security definer so they can read profiles,
+-- sections and enrollments whatever the caller's own policies allow.
+create or replace function public.current_app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.profiles where id = auth.uid();
+$$;
+
+create or replace function public.current_student_id()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select student_id from public.profiles where id = auth.uid();
+$$;
+
+-- Whether the signed-in user teaches a section of the subject in the term
+-- that the student is enrolled in.
+create or replace function public.teaches_student(p_student_id text, p_subject_id text, p_term_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.sections s
+    join public.enrollments e on e.section_id = s.id
+    where s.instructor_id = auth.uid()
+      and s.subject_id = p_subject_id
+      and s.term_id is not distinct from p_term_id
+      and e.student_id = p_student_id
+  );
+$$;
+
+drop policy if exists "Department can manage students" on public.students;
+drop policy if exists "Department can manage subjects" on public.subjects;
+drop policy if exists "Department can manage grades" on public.grades;
+drop policy if exists "Department can manage grading scales" on public.grading_scales;
+drop policy if exists "Department can manage terms" on public.terms;
+drop policy if exists "Department can manage sections" on public.sections;
+drop policy if exists "Department can manage enrollments" on public.enrollments;
+
+alter table public.profiles enable row level security;
+
+-- Profiles
+create policy "Users can read their own profile" on public.profiles
+  for select to authenticated using (id = auth.uid());
+create policy "Admins can manage profiles" on public.profiles
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+
+-- Catalog records every signed-in user needs to read their grades
+create policy "Signed-in users can read subjects" on public.subjects
+  for select to authenticated using (true);
+create policy "Signed-in users can read grading scales" on public.grading_scales
+  for select to authenticated using (true);
+create policy "Signed-in users can read terms" on public.terms
+  for select to authenticated using (true);
+create policy "Signed-in users can read sections" on public.sections
+  for select to authenticated using (true);
+
+create policy "Admins can manage subjects" on public.subjects
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+create policy "Admins can manage grading scales" on public.grading_scales
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+create policy "Admins can manage terms" on public.terms
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+create policy "Admins can manage sections" on public.sections
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+
+-- Students
+create policy "Staff can read students" on public.students
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Students can read their own record" on public.students
+  for select to authenticated using (id = public.current_student_id());
+create policy "Admins can manage students" on public.students
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+
+-- Enrollments
+create policy "Staff can read enrollments" on public.enrollments
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Students can read their own enrollments" on public.enrollments
+  for select to authenticated using (student_id = public.current_student_id());
+create policy "Admins can manage enrollments" on public.enrollments
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+
+-- Grades
+create policy "Staff can read grades" on public.grades
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Students can read their own grades" on public.grades
+  for select to authenticated using (student_id = public.current_student_id());
+create policy "Admins can manage grades" on public.grades
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+create policy "Instructors can add grades for their sections" on public.grades
+  for insert to authenticated
+  with check (public.teaches_student(student_id, subject_id, term_id));
+create policy "Instructors can update grades for their sections" on public.grades
+  for update to authenticated
+  using (public.teaches_student(student_id, subject_id, term_id))
+  with check (public.teaches_student(student_id, subject_id, term_id));
+create policy "Instructors can delete grades for their sections" on public.grades
+  for delete to authenticated
+  using (public.teaches_student(student_id, subject_id, term_id));
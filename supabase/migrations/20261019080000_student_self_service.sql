@@ -0,0 +1,28 @@
+-- Students keep their own phone number up to date from the /me portal
+-- (src/pages/StudentPortalPage.jsx). The app saves whole records, so the
+-- policy lets students update their own row and a trigger refuses changes to
+-- any other column (STUDENT_EDITABLE_FIELDS in src/lib/permissions.js).
+
+create policy "Students can update their own record" on public.students
+  for update to authenticated
+  using (id = public.current_student_id())
+  with check (id = public.current_student_id());
+
+create or replace function public.limit_student_self_service()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if public.current_app_role() = 'student'
+     and (to_jsonb(new) - 'phone') is distinct from (to_jsonb(old) - 'phone') then
+    raise exception 'Students can only change their phone number.';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists limit_student_self_service on public.students;
+create trigger limit_student_self_service
+  before update on public.students
+  for each row execute function public.limit_student_self_service();
@@ -0,0 +1,38 @@
+-- Append-only log of grade changes (see src/lib/audit.js). Entries outlive
+-- the grades, students and subjects they describe, so they hold plain ids
+-- rather than foreign keys. There are no update or delete policies: once
+-- written, an entry cannot be changed.
+
+create table if not exists public.grade_audit (
+  id text primary key default gen_random_uuid()::text,
+  grade_id text not null,
+  action text not null check (action in ('create', 'update', 'delete')),
+  before jsonb,
+  after jsonb,
+  student_id text not null,
+  subject_id text not null,
+  reason text,
+  changed_by text not null,
+  changed_by_name text not null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists grade_audit_grade_id_idx on public.grade_audit (grade_id);
+create index if not exists grade_audit_changed_at_idx on public.grade_audit (changed_at);
+
+alter table public.grade_audit enable row level security;
+
+revoke update, delete, truncate on public.grade_audit from anon, authenticated;
+
+-- Whoever may change a grade logs it under their own account
+create policy "Staff can add audit entries" on public.grade_audit
+  for insert to authenticated
+  with check (
+    changed_by = auth.uid()::text
+    and public.current_app_role() in ('admin', 'instructor')
+  );
+
+create policy "Staff can read audit entries" on public.grade_audit
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Students can read the history of their own grades" on public.grade_audit
+  for select to authenticated using (student_id = public.current_student_id());
@@ -0,0 +1,83 @@
+-- Class sessions of a section and who attended them (see src/lib/attendance.js).
+-- A session goes with its section, and a mark with its session or student.
+
+create table if not exists public.attendance_sessions (
+  id text primary key default gen_random_uuid()::text,
+  section_id text not null references public.sections (id) on delete cascade,
+  date date not null,
+  topic text not null default '',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attendance_sessions_section_id_idx on public.attendance_sessions (section_id);
+
+create table if not exists public.attendance_records (
+  id text primary key default gen_random_uuid()::text,
+  session_id text not null references public.attendance_sessions (id) on delete cascade,
+  student_id text not null references public.students (id) on delete cascade,
+  status text not null check (status in ('present', 'absent', 'late', 'excused')),
+  created_at timestamptz not null default now(),
+  unique (session_id, student_id)
+);
+
+create index if not exists attendance_records_student_id_idx on public.attendance_records (student_id);
+
+-- Whether the signed-in user teaches the section, or the section of the session.
+create or replace function public.teaches_section(p_section_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.sections where id = p_section_id and instructor_id = auth.uid()
+  );
+$$;
+
+create or replace function public.teaches_session(p_session_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.attendance_sessions a
+    join public.sections s on s.id = a.section_id
+    where a.id = p_session_id and s.instructor_id = auth.uid()
+  );
+$$;
+
+alter table public.attendance_sessions enable row level security;
+alter table public.attendance_records enable row level security;
+
+-- Sessions
+create policy "Staff can read class sessions" on public.attendance_sessions
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Students can read the sessions of their sections" on public.attendance_sessions
+  for select to authenticated using (
+    exists (
+      select 1 from public.enrollments e
+      where e.section_id = attendance_sessions.section_id and e.student_id = public.current_student_id()
+    )
+  );
+create policy "Admins can manage class sessions" on public.attendance_sessions
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+create policy "Instructors can manage the sessions of their sections" on public.attendance_sessions
+  for all to authenticated
+  using (public.teaches_section(section_id)) with check (public.teaches_section(section_id));
+
+-- Marks
+create policy "Staff can read attendance" on public.attendance_records
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Students can read their own attendance" on public.attendance_records
+  for select to authenticated using (student_id = public.current_student_id());
+create policy "Admins can manage attendance" on public.attendance_records
+  for all to authenticated
+  using (public.current_app_role() = 'admin') with check (public.current_app_role() = 'admin');
+create policy "Instructors can take attendance in their sections" on public.attendance_records
+  for all to authenticated
+  using (public.teaches_session(session_id)) with check (public.teaches_session(session_id));
@@ -0,0 +1,27 @@
+-- Student status changes and staff notes (see src/lib/students.js).
+-- Status changes are stored inline as a jsonb array of
+-- { status, changedAt, changedByName }, oldest first.
+
+alter table public.students add column if not exists status_history jsonb not null default '[]'::jsonb;
+
+create table if not exists public.student_notes (
+  id text primary key default gen_random_uuid()::text,
+  student_id text not null references public.students (id) on delete cascade,
+  body text not null check (length(trim(body)) > 0),
+  author_id text not null,
+  author_name text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists student_notes_student_id_idx on public.student_notes (student_id);
+
+alter table public.student_notes enable row level security;
+
+create policy "Staff can read student notes" on public.student_notes
+  for select to authenticated using (public.current_app_role() in ('admin', 'instructor'));
+create policy "Staff can add notes in their own name" on public.student_notes
+  for insert to authenticated
+  with check (public.current_app_role() in ('admin', 'instructor') and author_id = auth.uid()::text);
+create policy "Authors and admins can delete notes" on public.student_notes
+  for delete to authenticated
+  using (author_id = auth.uid()::text or public.current_app_role() = 'admin');
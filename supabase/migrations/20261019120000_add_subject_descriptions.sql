@@ -0,0 +1,3 @@
+-- A short description of what each subject covers, shown on its detail page.
+
+alter table public.subjects add column if not exists description text not null default '';
@@ -0,0 +1,77 @@
+-- Grade audit entries are written by a trigger on public.grades, in the same
+-- transaction as the change (see src/lib/audit.js). A change can no longer be
+-- saved without its entry, and clients cannot add entries of their own.
+--
+-- The app sends the reason for a change in the x-change-reason request header,
+-- base64-encoded UTF-8 (see src/lib/supabaseBackend.js). Changes made outside
+-- the app, e.g. in SQL, are logged without a reason.
+
+-- Legacy grades that were never linked keep a null student or subject
+alter table public.grade_audit alter column student_id drop not null;
+alter table public.grade_audit alter column subject_id drop not null;
+
+drop policy if exists "Staff can add audit entries" on public.grade_audit;
+
+-- The audited fields of a grade, keyed as in the app
+create or replace function public.grade_snapshot(g public.grades)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'studentId', g.student_id,
+    'subjectId', g.subject_id,
+    'componentId', g.component_id,
+    'assessment', g.assessment,
+    'score', g.score,
+    'date', g.date,
+    'termId', g.term_id
+  );
+$$;
+
+create or replace function public.log_grade_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_header text := nullif(current_setting('request.headers', true), '')::json ->> 'x-change-reason';
+  v_reason text;
+  v_before jsonb := case when tg_op in ('UPDATE', 'DELETE') then public.grade_snapshot(old) end;
+  v_after jsonb := case when tg_op in ('INSERT', 'UPDATE') then public.grade_snapshot(new) end;
+  v_grade public.grades := case when tg_op = 'DELETE' then old else new end;
+begin
+  begin
+    v_reason := nullif(trim(convert_from(decode(v_header, 'base64'), 'UTF8')), '');
+  exception when others then
+    -- A malformed header must not block the change itself
+    v_reason := null;
+  end;
+
+  -- Saves that leave every audited field as it was are not logged
+  if tg_op = 'UPDATE' and v_before = v_after then
+    return null;
+  end if;
+
+  insert into public.grade_audit (
+    grade_id, action, before, after, student_id, subject_id, reason, changed_by, changed_by_name
+  ) values (
+    v_grade.id,
+    case tg_op when 'INSERT' then 'create' when 'UPDATE' then 'update' else 'delete' end,
+    v_before,
+    v_after,
+    v_grade.student_id,
+    v_grade.subject_id,
+    v_reason,
+    coalesce(auth.uid()::text, 'system'),
+    coalesce((select full_name from public.profiles where id = auth.uid()), 'System')
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists log_grade_change on public.grades;
+create trigger log_grade_change
+  after insert or update or delete on public.grades
+  for each row execute function public.log_grade_change();
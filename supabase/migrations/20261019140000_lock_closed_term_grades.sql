@@ -0,0 +1,39 @@
+-- Closed terms lock their grades (see isTermClosed in src/lib/terms.js). The
+-- app hides the edit controls; this trigger refuses the change for every role,
+-- so a grade cannot be added to, changed in, moved out of or deleted from a
+-- closed term. Reopen the term to fix a mistake. Saves that leave the row as
+-- it was still pass, so restoring a backup can rewrite unchanged grades.
+
+create or replace function public.is_term_closed(p_term_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.terms where id = p_term_id and status = 'closed');
+$$;
+
+create or replace function public.lock_closed_term_grades()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' and to_jsonb(new) is not distinct from to_jsonb(old) then
+    return new;
+  end if;
+  if tg_op in ('UPDATE', 'DELETE') and public.is_term_closed(old.term_id) then
+    raise exception 'Grades in closed terms are locked. Reopen the term to change them.';
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') and public.is_term_closed(new.term_id) then
+    raise exception 'Grades in closed terms are locked. Reopen the term to change them.';
+  end if;
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+drop trigger if exists lock_closed_term_grades on public.grades;
+create trigger lock_closed_term_grades
+  before insert or update or delete on public.grades
+  for each row execute function public.lock_closed_term_grades();
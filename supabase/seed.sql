@@ -0,0 +1,75 @@
+-- Sample records for a local Supabase stack (`npx supabase db reset`).
+-- Mirrors src/lib/seedData.js.
+
+insert into public.students
+  (id, student_id, first_name, last_name, email, phone, enrollment_date, major, status)
+values
+  ('stu1', 'STU-2024-001', 'John', 'Doe', 'john.doe@university.edu', '+1 (555) 123-4567', '2024-09-01', 'Computer Science', 'active'),
+  ('stu2', 'STU-2024-002', 'Jane', 'Smith', 'jane.smith@university.edu', '+1 (555) 987-6543', '2024-08-15', 'Electrical Engineering', 'active'),
+  ('stu3', 'STU-2024-003', 'Michael', 'Johnson', 'michael.j@university.edu', '+1 (555) 456-7890', '2024-09-01', 'Business Administration', 'active'),
+  ('stu4', 'STU-2023-045', 'Sarah', 'Williams', 'sarah.w@university.edu', '+1 (555) 234-5678', '2023-08-20', 'Mechanical Engineering', 'graduated'),
+  ('stu5', 'STU-2024-078', 'David', 'Brown', 'david.brown@university.edu', '+1 (555) 345-6789', '2024-01-15', 'Computer Science', 'active')
+on conflict (id) do nothing;
+
+insert into public.subjects (id, code, name, credits)
+values
+  ('sub1', 'IT 101', 'Intro to Programming', 3),
+  ('sub2', 'MATH 203', 'Calculus I', 4),
+  ('sub3', 'ENG 101', 'Technical Writing', 3),
+  ('sub4', 'SCI 105', 'General Science', 3),
+  ('sub5', 'HIST 201', 'World History', 3)
+on conflict (id) do nothing;
+
+insert into public.terms (id, name, school_year, start_date, end_date, status)
+values
+  ('2026-2027-1', 'First Semester', '2026-2027', '2026-08-01', '2026-12-31', 'active')
+on conflict (id) do nothing;
+
+insert into public.sections (id, subject_id, term_id, code, schedule, room, instructor)
+values
+  ('sec1', 'sub1', '2026-2027-1', 'A', 'MWF 9:00-10:00', 'Lab 2', 'Maria Santos'),
+  ('sec2', 'sub2', '2026-2027-1', 'A', 'TTh 10:30-12:00', 'Room 204', 'Robert Cruz'),
+  ('sec3', 'sub3', '2026-2027-1', 'A', 'TTh 1:00-2:30', 'Room 110', 'Ana Reyes')
+on conflict (id) do nothing;
+
+insert into public.enrollments (id, section_id, student_id, enrolled_on)
+select s.id || '-' || st.id, s.id, st.id, '2026-08-01'
+from public.sections s
+cross join (values ('stu1'), ('stu2'), ('stu3'), ('stu5')) as st (id)
+where s.id in ('sec1', 'sec2', 'sec3')
+on conflict (id) do nothing;
+
+-- Local sign-in accounts, all with the password "password123". Profiles are
+-- created by the on_auth_user_created trigger.
+insert into auth.users
+  (instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+   raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+   confirmation_token, email_change, email_change_token_new, recovery_token)
+select
+  '00000000-0000-0000-0000-000000000000', u.id, 'authenticated', 'authenticated', u.email,
+  crypt('password123', gen_salt('bf')), now(),
+  '{"provider": "email", "providers": ["email"]}', jsonb_build_object('full_name', u.full_name), now(), now(),
+  '', '', '', ''
+from (values
+  ('00000000-0000-4000-a000-000000000001'::uuid, 'admin@school.test', 'School Administrator'),
+  ('00000000-0000-4000-a000-000000000002'::uuid, 'maria.santos@school.test', 'Maria Santos'),
+  ('00000000-0000-4000-a000-000000000003'::uuid, 'robert.cruz@school.test', 'Robert Cruz'),
+  ('00000000-0000-4000-a000-000000000004'::uuid, 'ana.reyes@school.test', 'Ana Reyes'),
+  ('00000000-0000-4000-a000-000000000005'::uuid, 'john.doe@school.test', 'John Doe')
+) as u (id, email, full_name)
+on conflict (id) do nothing;
+
+insert into auth.identities (id, user_id, provider_id, identity_data, provider, last_sign_in_at, created_at, updated_at)
+select gen_random_uuid(), u.id, u.id::text, jsonb_build_object('sub', u.id::text, 'email', u.email), 'email', now(), now(), now()
+from auth.users u
+where u.email like '%@school.test'
+on conflict do nothing;
+
+update public.profiles set role = 'admin' where id = '00000000-0000-4000-a000-000000000001';
+update public.profiles set role = 'instructor'
+where id in ('00000000-0000-4000-a000-000000000002', '00000000-0000-4000-a000-000000000003', '00000000-0000-4000-a000-000000000004');
+update public.profiles set student_id = 'stu1' where id = '00000000-0000-4000-a000-000000000005';
+
+update public.sections set instructor_id = '00000000-0000-4000-a000-000000000002' where id = 'sec1';
+update public.sections set instructor_id = '00000000-0000-4000-a000-000000000003' where id = 'sec2';
+update public.sections set instructor_id = '00000000-0000-4000-a000-000000000004' where id = 'sec3';
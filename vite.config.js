@@ -5,4 +5,15 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react() ,tailwindcss()],
+  test: {
+    environment: 'jsdom',
+    // Tests run offline: no Supabase, no Gemini, whatever .env holds
+    env: {
+      VITE_DATA_BACKEND: 'local',
+      VITE_SUPABASE_URL: '',
+      VITE_SUPABASE_ANON_KEY: '',
+      VITE_GEMINI_API_KEY: '',
+      VITE_AI_PROVIDER: 'mock',
+    },
+  },
 })